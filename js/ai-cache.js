@@ -0,0 +1,135 @@
+/**
+ * AI Cache - Stores AI responses in systemDB.aiCache
+ * Entries are keyed by prompt type plus a hash of the rendered prompt, so the same
+ * context gives a cache hit no matter how the caller built its context object.
+ */
+
+class AiResponseCache {
+    constructor(storageManager) {
+        this.storage = storageManager;
+        this.dbName = 'systemDB';
+        this.storeName = 'aiCache';
+
+        const HOUR = 60 * 60 * 1000;
+        // After the TTL an entry is stale: still returned, but refreshed in the background
+        this.ttl = {
+            'motivation': 6 * HOUR,
+            'habit-suggestion': 24 * HOUR,
+            'learning': 24 * HOUR,
+            'mental-health': 12 * HOUR,
+            'progress-analysis': 24 * HOUR,
+            'default': HOUR
+        };
+        // Entries older than this are never returned and are removed by prune()
+        this.maxAge = 7 * 24 * HOUR;
+        // Oldest entries are removed once all responses together exceed this size
+        this.maxBytes = 256 * 1024;
+    }
+
+    getTTL(type) {
+        return this.ttl[type] || this.ttl.default;
+    }
+
+    /**
+     * Cache key for a prompt
+     * @param {string} type - Prompt type, e.g. 'learning'
+     * @param {Array<{role: string, content: string}>} messages - Rendered prompt
+     * @param {object} [scope] - Anything else that changes the answer, e.g. provider and language
+     * @returns {Promise<string>} e.g. 'learning:3f1c…'
+     */
+    async createKey(type, messages, scope = {}) {
+        const normalized = JSON.stringify({
+            scope: Object.keys(scope).sort().map(key => [key, scope[key]]),
+            messages: messages.map(message => [message.role, message.content.replace(/\s+/g, ' ').trim()])
+        });
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(normalized));
+        const hash = Array.from(new Uint8Array(digest).slice(0, 16))
+            .map(byte => byte.toString(16).padStart(2, '0'))
+            .join('');
+        return `${type}:${hash}`;
+    }
+
+    /**
+     * Look up a response
+     * @returns {Promise<{response: string, timestamp: string, age: number, stale: boolean}|null>}
+     *   null on a miss, when the entry is past maxAge or when the cache can't be read
+     */
+    async get(cacheKey) {
+        try {
+            const entry = await this.storage.getFromDB(this.dbName, this.storeName, cacheKey);
+            if (!entry) return null;
+
+            const age = Date.now() - new Date(entry.timestamp).getTime();
+            if (age > this.maxAge) return null;
+
+            return {
+                response: entry.response,
+                timestamp: entry.timestamp,
+                age: age,
+                stale: age > this.getTTL(entry.type)
+            };
+        } catch (error) {
+            console.warn('Failed to read AI cache:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Store a response; failures are logged and ignored
+     */
+    async set(cacheKey, type, response) {
+        try {
+            await this.storage.saveToDB(this.dbName, this.storeName, {
+                cacheKey: cacheKey,
+                type: type,
+                response: response,
+                size: new Blob([response]).size,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            console.warn('Failed to write AI cache:', error);
+        }
+    }
+
+    /**
+     * Remove entries older than maxAge, then the oldest entries until the cache fits in maxBytes
+     * @returns {Promise<number>} Number of removed entries
+     */
+    async prune() {
+        try {
+            const cutoff = new Date(Date.now() - this.maxAge).toISOString();
+            const expired = await this.storage.query(this.dbName, this.storeName)
+                .where('timestamp').below(cutoff)
+                .toArray();
+
+            const remaining = await this.storage.query(this.dbName, this.storeName)
+                .where('timestamp').aboveOrEqual(cutoff)
+                .orderBy('desc')
+                .toArray();
+
+            let totalBytes = 0;
+            const oversized = remaining.filter(entry => {
+                totalBytes += entry.size || 0;
+                return totalBytes > this.maxBytes;
+            });
+
+            const removed = [...expired, ...oversized];
+            for (const entry of removed) {
+                await this.storage.deleteFromDB(this.dbName, this.storeName, entry.cacheKey);
+            }
+            return removed.length;
+        } catch (error) {
+            console.warn('Failed to prune AI cache:', error);
+            return 0;
+        }
+    }
+
+    /**
+     * Remove every cached response
+     */
+    clear() {
+        return this.storage.clearStore(this.dbName, this.storeName);
+    }
+}
+
+window.AiResponseCache = AiResponseCache;
@@ -1,6 +1,7 @@
 /**
- * AI Integration - OpenRouter API Handler
- * Manages AI-powered recommendations and responses
+ * AI Integration - AI provider handler
+ * Manages AI-powered recommendations and responses through a pluggable provider
+ * (OpenRouter, any OpenAI-compatible server, or the offline mock)
  */
 
 class AiIntegration {
@@ -9,61 +10,214 @@ class AiIntegration {
             throw new Error("StorageManager is a required dependency for AiIntegration.");
         }
         this.storageManager = storageManager;
-        this.endpoint = 'https://openrouter.ai/api/v1/chat/completions';
-        this.model = 'deepseek/deepseek-chat-v3.1:free';
+        this.profiles = new ProfileRepository(storageManager);
+        this.providers = {};
+        [new OpenRouterProvider(), new OpenAICompatibleProvider(), new MockAiProvider()]
+            .forEach(provider => this.registerProvider(provider));
+        this.activeProviderId = 'openrouter';
+        this.providerConfigs = {};
         this.dailyQuota = 20;
         this.requestCount = 0;
+        this.usage = {};
+        this.cacheHits = 0;
+        this.prompts = new AiPromptCatalogue();
+        this.schemaValidator = new AiSchemaValidator();
+        this.cache = new AiResponseCache(storageManager);
+        this.privacy = new AiPrivacyFilter();
+        this.outgoingLog = new AiOutgoingLog(storageManager);
+        this.revalidating = new Set();
+        // Earlier coach messages sent along with each new one
+        this.coachHistoryLimit = 12;
     }
 
     /**
      * Initializes the AI integration manager.
      */
     async init() {
+        await this.loadProviderSettings();
         this.loadDailyCount();
         this.updateQuotaUI();
+        this.cache.prune();
     }
 
     /**
-     * Loads the daily request count from local storage.
+     * Add a provider that can be selected in settings.
+     * @param {AiProvider} provider
+     */
+    registerProvider(provider) {
+        this.providers[provider.id] = provider;
+    }
+
+    /**
+     * The provider requests currently go to.
+     * @returns {AiProvider}
+     */
+    getActiveProvider() {
+        return this.providers[this.activeProviderId] || this.providers.openrouter;
+    }
+
+    /**
+     * Loads the selected provider and the stored config of every provider.
+     */
+    async loadProviderSettings() {
+        const settings = this.storageManager.getFromLocalStorage('aiSettings') || {};
+        if (settings.activeProvider && this.providers[settings.activeProvider]) {
+            this.activeProviderId = settings.activeProvider;
+        }
+
+        try {
+            const stored = await this.storageManager.getAllFromDB('systemDB', 'aiProviders');
+            this.providerConfigs = Object.fromEntries(stored.map(config => [config.id, config]));
+        } catch (error) {
+            console.warn('Failed to load AI provider settings:', error);
+            this.providerConfigs = {};
+        }
+        this.dailyQuota = this.getProviderQuota(this.activeProviderId);
+    }
+
+    /**
+     * Config of a provider with defaults applied and the API key decrypted.
+     * @param {string} providerId
+     * @returns {Promise<{baseUrl: string, model: string, dailyQuota: number, apiKey: string|null}>}
+     */
+    async getProviderConfig(providerId) {
+        const provider = this.providers[providerId];
+        if (!provider) throw new Error(`Unknown AI provider: ${providerId}`);
+
+        const stored = this.providerConfigs[providerId] || {};
+        return {
+            ...provider.defaults,
+            ...(stored.baseUrl !== undefined ? { baseUrl: stored.baseUrl } : {}),
+            ...(stored.model ? { model: stored.model } : {}),
+            ...(stored.dailyQuota !== undefined ? { dailyQuota: stored.dailyQuota } : {}),
+            apiKey: await this.storageManager.decryptSecret(stored.apiKey),
+            hasApiKey: Boolean(stored.apiKey)
+        };
+    }
+
+    /**
+     * Save the config of a provider. The API key is stored encrypted with a device-bound key;
+     * pass apiKey undefined to keep the current key or an empty string to remove it.
+     * @param {string} providerId
+     * @param {{baseUrl?: string, model?: string, apiKey?: string, dailyQuota?: number}} changes
+     */
+    async saveProviderConfig(providerId, changes) {
+        if (!this.providers[providerId]) throw new Error(`Unknown AI provider: ${providerId}`);
+
+        const { apiKey, ...rest } = changes;
+        const config = { ...(this.providerConfigs[providerId] || {}), ...rest, id: providerId, updatedAt: new Date().toISOString() };
+        if (apiKey !== undefined) {
+            config.apiKey = apiKey ? await this.storageManager.encryptSecret(apiKey) : null;
+        }
+
+        await this.storageManager.saveToDB('systemDB', 'aiProviders', config);
+        this.providerConfigs[providerId] = config;
+        if (providerId === this.activeProviderId) {
+            this.dailyQuota = this.getProviderQuota(providerId);
+            this.updateQuotaUI();
+        }
+    }
+
+    /**
+     * Select the provider used for new requests.
+     */
+    setActiveProvider(providerId) {
+        if (!this.providers[providerId]) throw new Error(`Unknown AI provider: ${providerId}`);
+        this.activeProviderId = providerId;
+        this.storageManager.saveToLocalStorage('aiSettings', {
+            ...(this.storageManager.getFromLocalStorage('aiSettings') || {}),
+            activeProvider: providerId
+        });
+        this.dailyQuota = this.getProviderQuota(providerId);
+        this.loadDailyCount();
+        this.updateQuotaUI();
+    }
+
+    /**
+     * Daily request quota of a provider; 0 means unlimited.
+     */
+    getProviderQuota(providerId) {
+        const stored = this.providerConfigs[providerId];
+        return stored?.dailyQuota !== undefined ? stored.dailyQuota : this.providers[providerId].defaults.dailyQuota;
+    }
+
+    /**
+     * Whether the active provider has used up today's quota.
+     */
+    isQuotaExceeded() {
+        return this.dailyQuota > 0 && this.requestCount >= this.dailyQuota;
+    }
+
+    /**
+     * Loads today's request counts per provider from local storage.
      */
     loadDailyCount() {
         const today = new Date().toISOString().split('T')[0];
-        const usage = this.storageManager.getFromLocalStorage('ai-usage') || { date: today, count: 0 };
+        const usage = this.storageManager.getFromLocalStorage('ai-usage') || { date: today, counts: {} };
         if (usage.date !== today) {
+            this.usage = {};
             this.requestCount = 0;
+            this.cacheHits = 0;
             this.saveDailyCount();
-        } else {
-            this.requestCount = usage.count;
+            return;
         }
+        // Older versions kept a single count, which was always OpenRouter
+        this.usage = usage.counts || { openrouter: usage.count || 0 };
+        this.requestCount = this.usage[this.activeProviderId] || 0;
+        this.cacheHits = usage.cacheHits || 0;
     }
 
     /**
-     * Saves the current request count to local storage.
+     * Saves the request counts per provider to local storage.
      */
     saveDailyCount() {
         const today = new Date().toISOString().split('T')[0];
-        this.storageManager.saveToLocalStorage('ai-usage', { date: today, count: this.requestCount });
+        this.usage[this.activeProviderId] = this.requestCount;
+        this.storageManager.saveToLocalStorage('ai-usage', { date: today, counts: this.usage, cacheHits: this.cacheHits });
+    }
+
+    /**
+     * Counts a response served from the cache; these don't use quota.
+     */
+    recordCacheHit() {
+        this.cacheHits++;
+        this.saveDailyCount();
+        this.updateQuotaUI();
     }
 
     /**
      * Generates a recommendation using the AI model.
+     * Cached responses are returned without using quota; stale ones are refreshed in the background.
      * @param {string} type - The type of recommendation (e.g., 'motivation').
      * @param {object} context - Additional context for the prompt.
+     * @param {object} [options]
+     * @param {boolean} [options.regenerate=false] - Skip the cache and ask the AI again.
+     * @param {function(string): void} [options.onUpdate] - Called with the new response when a stale one was refreshed.
      * @returns {Promise<string>} - The AI-generated response or a fallback.
      */
-    async generateRecommendation(type, context) {
-        if (this.requestCount >= this.dailyQuota) {
+    async generateRecommendation(type, context, options = {}) {
+        const prompt = this.buildPrompt(type, context);
+        const cacheKey = await this.cache.createKey(type, prompt.messages, {
+            provider: this.activeProviderId,
+            language: prompt.language
+        });
+
+        const cached = options.regenerate ? null : await this.cache.get(cacheKey);
+        if (cached) {
+            this.recordCacheHit();
+            if (cached.stale) {
+                this.revalidate(cacheKey, () => this.requestAndCache(cacheKey, type, prompt), options.onUpdate);
+            }
+            return cached.response;
+        }
+
+        if (this.isQuotaExceeded()) {
             console.warn("AI daily quota exceeded.");
             return this.getFallbackResponse(type);
         }
 
-        const prompt = this.buildPrompt(type, context);
         try {
-            const response = await this.callAI(prompt);
-            this.requestCount++;
-            this.saveDailyCount();
-            this.updateQuotaUI();
-            return response;
+            return await this.requestAndCache(cacheKey, type, prompt);
         } catch (error) {
             console.error('AI request failed:', error);
             return this.getFallbackResponse(type);
@@ -71,44 +225,467 @@ class AiIntegration {
     }
 
     /**
-     * Builds a prompt string for the AI model.
+     * Like generateRecommendation, but reports the response token by token.
+     * A request counts against quota as soon as the provider accepts it, so a cancelled
+     * or interrupted stream still uses one request. Partial responses are not cached.
+     * @param {string} type - The type of recommendation.
+     * @param {object} context - Additional context for the prompt.
+     * @param {object} [options]
+     * @param {boolean} [options.regenerate=false] - Skip the cache and ask the AI again.
+     * @param {AbortSignal} [options.signal] - Cancels the request.
+     * @param {function(string, string): void} [options.onToken] - Receives each new chunk and the text so far.
+     * @param {function(string): void} [options.onUpdate] - Called when a stale cached response was refreshed.
+     * @returns {Promise<{text: string, cancelled: boolean, fromCache: boolean}>}
+     */
+    async streamRecommendation(type, context, options = {}) {
+        const prompt = this.buildPrompt(type, context);
+        const cacheKey = await this.cache.createKey(type, prompt.messages, {
+            provider: this.activeProviderId,
+            language: prompt.language
+        });
+
+        const cached = options.regenerate ? null : await this.cache.get(cacheKey);
+        if (cached) {
+            this.recordCacheHit();
+            if (cached.stale) {
+                this.revalidate(cacheKey, () => this.requestAndCache(cacheKey, type, prompt), options.onUpdate);
+            }
+            options.onToken?.(cached.response, cached.response);
+            return { text: cached.response, cancelled: false, fromCache: true };
+        }
+
+        if (this.isQuotaExceeded()) {
+            console.warn("AI daily quota exceeded.");
+            const fallback = this.getFallbackResponse(type);
+            options.onToken?.(fallback, fallback);
+            return { text: fallback, cancelled: false, fromCache: false };
+        }
+
+        const provider = this.getActiveProvider();
+        try {
+            const config = await this.getProviderConfig(provider.id);
+            await this.outgoingLog.add({ type: type, provider: provider, config: config, messages: prompt.messages });
+            const text = await provider.stream(prompt.messages, config, {
+                signal: options.signal,
+                onStart: () => this.countRequest(),
+                onToken: options.onToken
+            });
+            await this.cache.set(cacheKey, type, text);
+            return { text: text, cancelled: false, fromCache: false };
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                return { text: error.partial || '', cancelled: true, fromCache: false };
+            }
+            console.error('AI stream failed:', error);
+            if (error.partial) {
+                return { text: error.partial, cancelled: false, fromCache: false };
+            }
+            const fallback = this.getFallbackResponse(type);
+            options.onToken?.(fallback, fallback);
+            return { text: fallback, cancelled: false, fromCache: false };
+        }
+    }
+
+    /**
+     * Compact snapshot of the user's data that the coach gets as system context.
+     * @returns {Promise<{habits: Array, mood: object, learning: object, finance: object}>}
+     */
+    async getCoachContext() {
+        const habitRepository = new HabitRepository(this.storageManager);
+        const mentalRepository = new MentalRepository(this.storageManager);
+        const learningRepository = new LearningRepository(this.storageManager);
+        const financeRepository = new FinanceRepository(this.storageManager);
+
+        const daysAgo = (days) => {
+            const date = new Date();
+            date.setDate(date.getDate() - days);
+            return date.toISOString().split('T')[0];
+        };
+        const average = (logs) => logs.length > 0
+            ? Math.round((logs.reduce((sum, log) => sum + log.mood, 0) / logs.length) * 10) / 10
+            : null;
+
+        const [habits, logs, streaks, moods, learning, transactions, converter] = await Promise.all([
+            habitRepository.getHabits(),
+            habitRepository.getLogs({ from: daysAgo(6) }),
+            habitRepository.getStreaks(),
+            mentalRepository.getMoodLogs({ from: daysAgo(13) }),
+            learningRepository.getLearningData(),
+            financeRepository.getTransactionsForMonth(new Date().toISOString().slice(0, 7)),
+            financeRepository.getCurrencyConverter()
+        ]);
+
+        const streakMap = new Map(streaks.map(streak => [streak.habitId, streak.currentStreak]));
+        const weekStart = daysAgo(6);
+        const expenses = transactions.filter(t => t.type === 'expense');
+        const byCategory = {};
+        expenses.forEach(t => {
+            byCategory[t.category] = (byCategory[t.category] || 0) + converter.toBase(t);
+        });
+
+        return {
+            habits: habits.map(habit => ({
+                name: habit.name,
+                completedLast7: logs.filter(log => log.habitId === habit.id && log.status === 'completed').length,
+                streak: streakMap.get(habit.id) || 0
+            })),
+            mood: {
+                average: average(moods.filter(log => log.date >= weekStart)),
+                previousAverage: average(moods.filter(log => log.date < weekStart))
+            },
+            learning: {
+                completedSkills: learning.completedSkills.length,
+                totalXP: learning.totalXP
+            },
+            finance: {
+                ...converter.totals(transactions),
+                currency: converter.baseCurrency,
+                topCategories: Object.entries(byCategory)
+                    .sort((a, b) => b[1] - a[1])
+                    .slice(0, 3)
+                    .map(([category]) => category)
+            }
+        };
+    }
+
+    /**
+     * Messages for one coach turn: system context, the recent history and the new message.
+     * @param {object} coachContext - From getCoachContext().
+     * @param {Array<{role: string, content: string}>} history - Earlier messages, oldest first.
+     * @param {string} message - The user's new message.
+     */
+    buildCoachMessages(coachContext, history, message) {
+        const prompt = this.buildPrompt('coach', { ...coachContext, message: message });
+        const recent = history
+            .filter(entry => entry.content)
+            .slice(-this.coachHistoryLimit)
+            .map(entry => ({ role: entry.role, content: entry.content }));
+        const redacted = this.privacy.redactMessages(recent, this.getPrivacySettings(), this.profiles.get());
+        return [prompt.messages[0], ...redacted, prompt.messages[1]];
+    }
+
+    /**
+     * Sends one coach message and streams the reply. Each message uses one request of quota.
+     * @param {object} coachContext - From getCoachContext().
+     * @param {Array<{role: string, content: string}>} history - Earlier messages, oldest first.
+     * @param {string} message - The user's new message.
+     * @param {object} [options]
+     * @param {AbortSignal} [options.signal]
+     * @param {function(string, string): void} [options.onToken]
+     * @returns {Promise<{text: string, cancelled: boolean}>}
+     */
+    async chat(coachContext, history, message, options = {}) {
+        if (this.isQuotaExceeded()) {
+            const error = new Error('AI daily quota exceeded');
+            error.code = 'QUOTA_EXCEEDED';
+            throw error;
+        }
+
+        const provider = this.getActiveProvider();
+        const config = await this.getProviderConfig(provider.id);
+        const messages = this.buildCoachMessages(coachContext, history, message);
+        await this.outgoingLog.add({ type: 'coach', provider: provider, config: config, messages: messages });
+        try {
+            const text = await provider.stream(messages, config, {
+                signal: options.signal,
+                onStart: () => this.countRequest(),
+                onToken: options.onToken
+            });
+            return { text: text, cancelled: false };
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                return { text: error.partial || '', cancelled: true };
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Today's request budget of the active provider.
+     * @returns {{used: number, quota: number, remaining: number}} - quota and remaining are Infinity when unlimited.
+     */
+    getBudget() {
+        const quota = this.dailyQuota > 0 ? this.dailyQuota : Infinity;
+        return {
+            used: this.requestCount,
+            quota: quota,
+            remaining: Math.max(0, quota - this.requestCount)
+        };
+    }
+
+    /**
+     * Rough token count of messages (about 4 characters per token), for showing the cost of a request.
+     */
+    estimateTokens(messages) {
+        return Math.ceil(messages.reduce((sum, message) => sum + message.content.length, 0) / 4);
+    }
+
+    /**
+     * Asks the AI, counts the request against quota and caches the response.
+     */
+    async requestAndCache(cacheKey, type, prompt) {
+        const response = await this.callAI(prompt.messages, { type: type });
+        this.countRequest();
+        await this.cache.set(cacheKey, type, response);
+        return response;
+    }
+
+    /**
+     * Counts one request against the active provider's quota.
+     */
+    countRequest() {
+        this.requestCount++;
+        this.saveDailyCount();
+        this.updateQuotaUI();
+    }
+
+    /**
+     * Refreshes a stale cache entry in the background, at most once at a time per key.
+     * @param {string} cacheKey
+     * @param {function(): Promise<*>} request - Fetches and caches the new response.
+     * @param {function(*): void} [onUpdate] - Receives the new response.
+     */
+    revalidate(cacheKey, request, onUpdate) {
+        if (this.isQuotaExceeded() || this.revalidating.has(cacheKey)) return;
+
+        this.revalidating.add(cacheKey);
+        request()
+            .then(response => onUpdate?.(response))
+            .catch(error => console.warn('Background AI refresh failed:', error))
+            .finally(() => this.revalidating.delete(cacheKey));
+    }
+
+    /**
+     * Generates a JSON recommendation that matches the template's schema.
+     * Invalid output gets one repair attempt; after that, or when the AI is unavailable,
+     * the offline fallback for the type is used. Only valid output is cached.
+     * @param {string} type - A prompt type with a schema, e.g. 'habit-suggestion'.
+     * @param {object} context - Additional context for the prompt.
+     * @param {object} [options] - regenerate and onUpdate, see generateRecommendation.
+     * @returns {Promise<{data: object, source: string}>} - source is 'ai', 'cache' or 'offline'.
+     */
+    async generateStructured(type, context, options = {}) {
+        const prompt = this.buildPrompt(type, context);
+        if (!prompt.schema) {
+            throw new Error(`Prompt type ${type} has no output schema`);
+        }
+        const cacheKey = await this.cache.createKey(type, prompt.messages, {
+            provider: this.activeProviderId,
+            language: prompt.language
+        });
+        const offline = () => ({ data: this.getStructuredFallback(type, context), source: 'offline' });
+
+        const cached = options.regenerate ? null : await this.cache.get(cacheKey);
+        if (cached) {
+            const { value, errors } = this.schemaValidator.parse(cached.response, prompt.schema);
+            if (errors.length === 0) {
+                this.recordCacheHit();
+                if (cached.stale) {
+                    this.revalidate(cacheKey, () => this.requestStructured(cacheKey, type, prompt), (data) => {
+                        if (data) options.onUpdate?.({ data: data, source: 'ai' });
+                    });
+                }
+                return { data: value, source: 'cache' };
+            }
+        }
+
+        if (this.isQuotaExceeded()) {
+            console.warn("AI daily quota exceeded.");
+            return offline();
+        }
+
+        try {
+            const data = await this.requestStructured(cacheKey, type, prompt);
+            return data ? { data: data, source: 'ai' } : offline();
+        } catch (error) {
+            console.error('AI request failed:', error);
+            return offline();
+        }
+    }
+
+    /**
+     * Asks for JSON output, validates it and repairs it once if needed.
+     * @returns {Promise<object|null>} - The valid value, or null when the output stayed invalid.
+     */
+    async requestStructured(cacheKey, type, prompt) {
+        const raw = await this.callAI(prompt.messages, { type: type, responseFormat: 'json' });
+        this.countRequest();
+        let result = this.schemaValidator.parse(raw, prompt.schema);
+
+        if (result.errors.length > 0) {
+            console.warn(`Invalid ${type} output, asking the AI to repair it:`, result.errors);
+            if (this.isQuotaExceeded()) return null;
+
+            const repaired = await this.callAI(this.prompts.renderRepair(prompt, raw, result.errors), { type: type, responseFormat: 'json' });
+            this.countRequest();
+            result = this.schemaValidator.parse(repaired, prompt.schema);
+            if (result.errors.length > 0) {
+                console.warn(`Repaired ${type} output is still invalid:`, result.errors);
+                return null;
+            }
+        }
+
+        await this.cache.set(cacheKey, type, JSON.stringify(result.value));
+        return result.value;
+    }
+
+    /**
+     * Suggests new habits as structured data.
+     * @param {string} category - Habit category, e.g. 'umum'.
+     * @param {object} [options] - See generateStructured.
+     * @returns {Promise<{data: {habits: Array<{name: string, category: string, difficulty: string, icon: string, targetTime: string, reason: string}>}, source: string}>}
+     */
+    async generateHabitSuggestion(category, options = {}) {
+        const habitRepository = new HabitRepository(this.storageManager);
+        const [habits, streaks] = await Promise.all([habitRepository.getHabits(), habitRepository.getStreaks()]);
+        const userProfile = this.profiles.get();
+
+        return this.generateStructured('habit-suggestion', {
+            category: category,
+            habits: habits,
+            streaks: Object.fromEntries(streaks.map(streak => [streak.habitId, streak.currentStreak])),
+            interests: userProfile?.interests || [],
+            userProfile: userProfile
+        }, options);
+    }
+
+    /**
+     * Builds the prompt for the AI model from the prompt catalogue.
+     * Data the user did not consent to share is removed before rendering and scrubbed from the text after.
      * @param {string} type - The type of prompt to build.
      * @param {object} context - The context for the prompt.
-     * @returns {string} - The constructed prompt.
+     * @returns {{system: string, user: string, withheld: string[], messages: Array<{role: string, content: string}>}} - The rendered prompt.
      */
-    buildPrompt(type, context) {
-        const userProfile = this.storageManager.getFromLocalStorage('userProfile');
-        const userName = userProfile?.basicInfo?.name || 'user';
-        
-        switch(type) {
-            case 'motivation':
-                return `Berikan saya kutipan motivasi singkat dan kuat dalam Bahasa Indonesia untuk ${userName} yang sedang dalam perjalanan pengembangan diri.`;
-            // Add other prompt types here...
-            default:
-                return `Tolong berikan respons yang membantu untuk: ${type}`;
-        }
+    buildPrompt(type, context = {}) {
+        const settings = this.getPrivacySettings();
+        const userProfile = this.profiles.get();
+        const filtered = this.privacy.filterContext(type, { userProfile: userProfile, ...context }, settings);
+        const prompt = this.prompts.render(type, filtered.context, { language: this.getLanguage() });
+        return this.privacy.redactPrompt(prompt, filtered.withheld, settings, userProfile);
+    }
+
+    /**
+     * What the user allows in AI prompts, per module (profile preference aiPrivacy).
+     * @returns {Object<string, Object<string, boolean>>}
+     */
+    getPrivacySettings() {
+        return this.privacy.normalize(this.profiles.getPreferences().aiPrivacy);
+    }
+
+    /**
+     * Store the consent of one module.
+     * @param {string} module - e.g. 'finance'.
+     * @param {Object<string, boolean>} changes - e.g. { amounts: false }.
+     */
+    savePrivacySettings(module, changes) {
+        const settings = this.getPrivacySettings();
+        settings[module] = { ...settings[module], ...changes };
+        return this.profiles.savePreferences({ aiPrivacy: settings });
     }
 
     /**
-     * Calls the OpenRouter AI API.
-     * @param {string} prompt - The prompt to send to the AI.
+     * The language AI answers in ('id' or 'en'), from the user's preferences.
+     */
+    getLanguage() {
+        return this.profiles.getPreferences().aiLanguage;
+    }
+
+    /**
+     * Sends a prompt to the active provider and records it in the outgoing log.
+     * @param {string|Array<{role: string, content: string}>} prompt - A user prompt or full chat messages.
+     * @param {object} [options] - Passed to the provider (e.g. signal).
+     * @param {string} [options.type='default'] - Prompt type shown in the outgoing log.
      * @returns {Promise<string>} - The content of the AI's response.
      */
-    async callAI(prompt) {
-        const response = await fetch(this.endpoint, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                model: this.model,
-                messages: [{ role: 'user', content: prompt }],
-            })
-        });
+    async callAI(prompt, options = {}) {
+        const { type = 'default', ...providerOptions } = options;
+        const provider = this.getActiveProvider();
+        const config = await this.getProviderConfig(provider.id);
+        const messages = Array.isArray(prompt) ? prompt : [{ role: 'user', content: prompt }];
+        await this.outgoingLog.add({ type: type, provider: provider, config: config, messages: messages });
+        return provider.complete(messages, config, providerOptions);
+    }
+
+    /**
+     * Sends a short test prompt to a provider without counting it against the quota.
+     * @param {string} providerId
+     * @returns {Promise<string>} - The provider's reply.
+     */
+    async testProvider(providerId) {
+        const provider = this.providers[providerId];
+        if (!provider) throw new Error(`Unknown AI provider: ${providerId}`);
+        const config = await this.getProviderConfig(providerId);
+        const messages = [{ role: 'user', content: 'Balas dengan satu kata: siap' }];
+        await this.outgoingLog.add({ type: 'test', provider: provider, config: config, messages: messages });
+        return provider.complete(messages, config);
+    }
+
+    /**
+     * Offline data for structured types when the AI is unavailable or keeps returning invalid output.
+     * @param {string} type - The prompt type.
+     * @param {object} context - The context passed to generateStructured.
+     * @returns {object} - Data in the shape of the type's schema.
+     */
+    getStructuredFallback(type, context = {}) {
+        if (type === 'habit-suggestion') {
+            return { habits: this.getOfflineHabitRecommendations(context.interests, context.habits) };
+        }
+        throw new Error(`No offline fallback for prompt type ${type}`);
+    }
+
+    /**
+     * Curated habit suggestions keyed by the interests chosen during onboarding.
+     * Picks from each interest in turn and skips habits the user already has.
+     * @param {string[]} interests - e.g. ['fitness', 'finance'].
+     * @param {Array<{name: string}>} existingHabits
+     * @param {number} [count=3]
+     */
+    getOfflineHabitRecommendations(interests = [], existingHabits = [], count = 3) {
+        const catalogue = {
+            finance: [
+                { name: 'Catat pengeluaran harian', category: 'financial', difficulty: 'easy', icon: '💰', targetTime: '21:00', reason: 'Mencatat setiap pengeluaran membuatmu sadar ke mana uang pergi.' },
+                { name: 'Sisihkan tabungan di awal hari', category: 'financial', difficulty: 'medium', icon: '🎯', targetTime: '08:00', reason: 'Menabung sebelum belanja lebih konsisten daripada menabung sisa.' },
+                { name: 'Baca 1 artikel keuangan', category: 'financial', difficulty: 'easy', icon: '📚', targetTime: '20:00', reason: 'Literasi keuangan tumbuh dari kebiasaan belajar kecil setiap hari.' }
+            ],
+            fitness: [
+                { name: 'Jalan kaki 20 menit', category: 'physical', difficulty: 'easy', icon: '🏃', targetTime: '06:00', reason: 'Aktivitas ringan setiap pagi menjaga energi sepanjang hari.' },
+                { name: 'Push-up 3 set', category: 'physical', difficulty: 'medium', icon: '💪', targetTime: '06:30', reason: 'Latihan kekuatan singkat yang bisa dilakukan di mana saja.' },
+                { name: 'Minum 8 gelas air', category: 'physical', difficulty: 'easy', icon: '🌱', targetTime: '12:00', reason: 'Tubuh yang terhidrasi membantu fokus dan pemulihan.' }
+            ],
+            mental: [
+                { name: 'Meditasi 10 menit', category: 'mental', difficulty: 'easy', icon: '🧘', targetTime: '05:30', reason: 'Meditasi singkat membantu mengelola stres dan menjaga fokus.' },
+                { name: 'Tulis jurnal syukur', category: 'mental', difficulty: 'easy', icon: '⭐', targetTime: '21:30', reason: 'Menulis tiga hal yang disyukuri memperbaiki suasana hati.' },
+                { name: 'Tanpa layar 1 jam sebelum tidur', category: 'mental', difficulty: 'medium', icon: '🌱', targetTime: '21:00', reason: 'Mengurangi layar di malam hari membuat tidur lebih nyenyak.' }
+            ],
+            skills: [
+                { name: 'Belajar skill baru 30 menit', category: 'mental', difficulty: 'medium', icon: '📚', targetTime: '19:30', reason: 'Waktu belajar rutin membuat kemajuan skill terasa setiap minggu.' },
+                { name: 'Baca buku 10 halaman', category: 'mental', difficulty: 'easy', icon: '📚', targetTime: '21:00', reason: 'Sepuluh halaman sehari berarti belasan buku setahun.' },
+                { name: 'Latihan deep work 1 jam', category: 'mental', difficulty: 'hard', icon: '🚀', targetTime: '09:00', reason: 'Fokus tanpa gangguan menghasilkan kerja berkualitas tinggi.' }
+            ],
+            relationships: [
+                { name: 'Hubungi satu teman atau keluarga', category: 'social', difficulty: 'easy', icon: '🎯', targetTime: '19:00', reason: 'Kontak kecil yang rutin menjaga hubungan tetap dekat.' },
+                { name: 'Makan bersama tanpa ponsel', category: 'social', difficulty: 'medium', icon: '🌱', targetTime: '19:00', reason: 'Waktu bersama yang penuh perhatian memperkuat hubungan.' },
+                { name: 'Ucapkan terima kasih secara spesifik', category: 'social', difficulty: 'easy', icon: '⭐', targetTime: '12:00', reason: 'Apresiasi yang jelas membuat orang di sekitarmu merasa dihargai.' }
+            ],
+            spiritual: [
+                { name: 'Baca kitab suci 1 halaman', category: 'spiritual', difficulty: 'easy', icon: '📚', targetTime: '05:00', reason: 'Bacaan rutin di pagi hari menjadi fondasi ketenangan.' },
+                { name: 'Refleksi diri 5 menit', category: 'spiritual', difficulty: 'easy', icon: '🧘', targetTime: '21:30', reason: 'Merenungkan hari membantu memperbaiki diri esok hari.' },
+                { name: 'Sedekah harian', category: 'spiritual', difficulty: 'medium', icon: '🌱', targetTime: '07:00', reason: 'Memberi sedikit setiap hari melatih rasa syukur dan kepedulian.' }
+            ]
+        };
+
+        const existing = new Set(existingHabits.map(habit => habit.name.trim().toLowerCase()));
+        const known = interests.filter(interest => catalogue[interest]);
+        const pools = (known.length > 0 ? known : Object.keys(catalogue))
+            .map(interest => catalogue[interest].filter(habit => !existing.has(habit.name.toLowerCase())));
 
-        if (!response.ok) {
-            throw new Error(`AI API error! status: ${response.status}`);
+        const picks = [];
+        for (let round = 0; picks.length < count && pools.some(pool => pool.length > round); round++) {
+            pools.forEach(pool => {
+                if (picks.length < count && pool[round]) picks.push(pool[round]);
+            });
         }
-        const data = await response.json();
-        return data.choices[0].message.content.trim();
+        return picks;
     }
 
     /**
@@ -135,9 +712,18 @@ class AiIntegration {
         const quotaText = document.getElementById('ai-quota-text');
         const quotaBar = document.getElementById('ai-quota-bar');
         if (quotaText && quotaBar) {
-            quotaText.textContent = `${this.requestCount}/${this.dailyQuota}`;
-            const percentage = (this.requestCount / this.dailyQuota) * 100;
-            quotaBar.style.width = `${percentage}%`;
+            if (this.dailyQuota > 0) {
+                quotaText.textContent = `${this.requestCount}/${this.dailyQuota}`;
+                quotaBar.style.width = `${Math.min(100, (this.requestCount / this.dailyQuota) * 100)}%`;
+            } else {
+                // Unlimited, e.g. a local server or the mock provider
+                quotaText.textContent = `${this.requestCount}/∞`;
+                quotaBar.style.width = '0%';
+            }
+            if (this.cacheHits > 0) {
+                quotaText.textContent += ` · ${this.cacheHits} cache`;
+            }
+            quotaText.title = `${this.getActiveProvider().name} - ${this.cacheHits} jawaban dari cache hari ini tidak memakai kuota`;
         }
     }
 }
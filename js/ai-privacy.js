@@ -0,0 +1,303 @@
+/**
+ * AI Privacy - Decides which user data may go into AI prompts and records what was sent
+ * Consent is stored per module in the profile preferences (aiPrivacy). Prompts are redacted in two steps:
+ * filterContext() removes data from the context before rendering, redactMessages() scrubs the rendered text.
+ */
+
+class AiPrivacyFilter {
+    constructor() {
+        // Consent options each module offers; the settings matrix shows one column per option
+        this.modules = {
+            profile: { label: 'Profil', prompt: { id: 'profil', en: 'profile' }, options: ['share', 'names', 'locations'] },
+            habits: { label: 'Kebiasaan', prompt: { id: 'kebiasaan', en: 'habits' }, options: ['share', 'names', 'notes'] },
+            finance: { label: 'Keuangan', prompt: { id: 'keuangan', en: 'finance' }, options: ['share', 'amounts', 'notes'] },
+            mental: { label: 'Kesehatan mental', prompt: { id: 'kesehatan mental', en: 'mental health' }, options: ['share', 'notes'] },
+            learning: { label: 'Belajar', prompt: { id: 'belajar', en: 'learning' }, options: ['share'] }
+        };
+        this.options = {
+            share: 'Kirim data',
+            names: 'Nama',
+            locations: 'Lokasi',
+            amounts: 'Nominal uang',
+            notes: 'Catatan & emosi'
+        };
+        // Identity and free text stay on the device unless the user opts in
+        this.defaults = {
+            profile: { share: true, names: false, locations: false },
+            habits: { share: true, names: true, notes: false },
+            finance: { share: true, amounts: true, notes: false },
+            mental: { share: true, notes: false },
+            learning: { share: true }
+        };
+
+        // Context keys each prompt type reads, and the module they belong to
+        this.contextModules = {
+            'motivation': { streak: 'habits' },
+            'habit-suggestion': { habits: 'habits', streaks: 'habits', interests: 'profile' },
+            'learning': {
+                totalXP: 'learning',
+                completedSkills: 'learning',
+                completedSkillNames: 'learning',
+                availableSkills: 'learning',
+                categories: 'learning'
+            },
+            'mental-health': { avgMood: 'mental', moodHistory: 'mental', meditationLog: 'mental', streaks: 'mental' },
+            'progress-analysis': {
+                'progressData.habits': 'habits',
+                'progressData.learning': 'learning',
+                'progressData.finance': 'finance',
+                'progressData.mental': 'mental'
+            },
+            'coach': { habits: 'habits', mood: 'mental', learning: 'learning', finance: 'finance' }
+        };
+        // Free-text fields removed when a module's notes are not shared
+        this.noteKeys = ['notes', 'note', 'description', 'emotions', 'journal', 'reflection'];
+        // Money fields removed when a module's amounts are not shared
+        this.amountKeys = ['amount', 'income', 'expense'];
+
+        this.placeholders = { name: '[nama]', location: '[lokasi]', amount: 'Rp [jumlah]' };
+        this.withheldNotice = {
+            id: 'Pengguna memilih tidak membagikan data {{modules}}. Jangan menebak atau mengarang data tersebut.',
+            en: 'The user chose not to share their {{modules}} data. Do not guess or invent that data.'
+        };
+    }
+
+    /**
+     * Stored settings with defaults for missing modules and options
+     * @param {object} [stored] - The aiPrivacy preference
+     * @returns {Object<string, Object<string, boolean>>}
+     */
+    normalize(stored = {}) {
+        return Object.fromEntries(Object.entries(this.defaults).map(([module, defaults]) =>
+            [module, { ...defaults, ...(stored?.[module] || {}) }]
+        ));
+    }
+
+    /**
+     * Remove the data the user did not consent to from a prompt context
+     * @param {string} type - Prompt type
+     * @param {object} context - Context including userProfile
+     * @param {object} settings - Result of normalize()
+     * @returns {{context: object, withheld: string[]}} withheld lists the modules left out entirely
+     */
+    filterContext(type, context, settings) {
+        const filtered = structuredClone(context);
+        const withheld = new Set();
+
+        const profile = settings.profile;
+        if (filtered.userProfile) {
+            if (!profile.share) {
+                delete filtered.userProfile;
+            } else {
+                const basicInfo = filtered.userProfile.basicInfo || {};
+                if (!profile.names) delete basicInfo.name;
+                if (!profile.locations) {
+                    delete basicInfo.location;
+                    delete basicInfo.birthPlace;
+                }
+            }
+        }
+
+        Object.entries(this.contextModules[type] || {}).forEach(([path, module]) => {
+            const keys = path.split('.');
+            const last = keys.pop();
+            const parent = keys.reduce((value, key) => value?.[key], filtered);
+            if (!parent || parent[last] === undefined) return;
+
+            const consent = settings[module];
+            if (!consent.share) {
+                delete parent[last];
+                withheld.add(module);
+                return;
+            }
+            if (consent.names === false) {
+                parent[last] = this.anonymizeNames(parent[last], this.modules[module].label);
+            }
+            if (consent.notes === false) {
+                parent[last] = this.stripKeys(parent[last], this.noteKeys);
+            }
+            if (consent.amounts === false) {
+                parent[last] = this.stripKeys(parent[last], this.amountKeys);
+            }
+        });
+
+        return { context: filtered, withheld: Array.from(withheld) };
+    }
+
+    /**
+     * Replace the name of every item in a list with a numbered label, e.g. "Kebiasaan 2"
+     */
+    anonymizeNames(value, label) {
+        if (Array.isArray(value)) {
+            return value.map((item, index) => item && typeof item === 'object' && 'name' in item
+                ? { ...this.anonymizeNames(item, label), name: `${label} ${index + 1}` }
+                : this.anonymizeNames(item, label));
+        }
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value).map(([key, child]) => [key, this.anonymizeNames(child, label)]));
+        }
+        return value;
+    }
+
+    /**
+     * Drop the given fields at any depth
+     * @param {string[]} keys - E.g. noteKeys or amountKeys
+     */
+    stripKeys(value, keys) {
+        if (Array.isArray(value)) {
+            return value.map(item => this.stripKeys(item, keys));
+        }
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value)
+                .filter(([key]) => !keys.includes(key))
+                .map(([key, child]) => [key, this.stripKeys(child, keys)]));
+        }
+        return value;
+    }
+
+    /**
+     * Scrub identifying text from rendered messages. Catches what the context filter can't,
+     * such as the user typing their own name or city in the coach chat.
+     * @param {Array<{role: string, content: string}>} messages
+     * @param {object} settings - Result of normalize()
+     * @param {object|null} userProfile - The stored profile, source of the name and places to hide
+     * @returns {Array<{role: string, content: string}>}
+     */
+    redactMessages(messages, settings, userProfile) {
+        const basicInfo = userProfile?.basicInfo || {};
+        const replacements = [];
+
+        if (!settings.profile.share || !settings.profile.names) {
+            // Full name first, then each part of it
+            const name = (basicInfo.name || '').trim();
+            [name, ...name.split(/\s+/)]
+                .filter(part => part.length >= 3)
+                .forEach(part => replacements.push([this.wordPattern(part), this.placeholders.name]));
+        }
+        if (!settings.profile.share || !settings.profile.locations) {
+            [basicInfo.location?.city, basicInfo.birthPlace]
+                .filter(place => place && place.trim().length >= 3)
+                .forEach(place => replacements.push([this.wordPattern(place.trim()), this.placeholders.location]));
+        }
+        if (!settings.finance.share || !settings.finance.amounts) {
+            // filterContext already dropped the amounts; this catches ones the user typed into the chat
+            replacements.push([/Rp\s?\d+(?:[.,]\d+)*/gi, this.placeholders.amount]);
+        }
+
+        if (replacements.length === 0) return messages;
+        return messages.map(message => ({
+            ...message,
+            content: replacements.reduce((text, [pattern, placeholder]) => text.replace(pattern, placeholder), message.content)
+        }));
+    }
+
+    /**
+     * Case-insensitive whole-word pattern for a literal string
+     */
+    wordPattern(text) {
+        const escaped = text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        return new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, 'giu');
+    }
+
+    /**
+     * System prompt sentence telling the model which modules were left out, or '' when none were
+     */
+    renderWithheld(withheld, language) {
+        if (withheld.length === 0) return '';
+        const lang = language === 'en' ? 'en' : 'id';
+        const modules = withheld.map(module => this.modules[module].prompt[lang]).join(', ');
+        return this.withheldNotice[lang].replace('{{modules}}', modules);
+    }
+
+    /**
+     * Apply the text redaction and withheld notice to a rendered prompt
+     * @param {object} prompt - Result of AiPromptCatalogue.render()
+     * @param {string[]} withheld - From filterContext()
+     * @param {object} settings - Result of normalize()
+     * @param {object|null} userProfile
+     * @returns {object} The prompt with system, user and messages replaced
+     */
+    redactPrompt(prompt, withheld, settings, userProfile) {
+        const notice = this.renderWithheld(withheld, prompt.language);
+        const [system, user] = this.redactMessages([
+            { role: 'system', content: notice ? `${prompt.system}\n\n${notice}` : prompt.system },
+            { role: 'user', content: prompt.user }
+        ], settings, userProfile);
+
+        return {
+            ...prompt,
+            system: system.content,
+            user: user.content,
+            withheld: withheld,
+            messages: [system, user]
+        };
+    }
+}
+
+/**
+ * Log of prompts sent to AI providers, kept in systemDB.aiOutgoingLog
+ */
+class AiOutgoingLog {
+    constructor(storageManager) {
+        this.storage = storageManager;
+        this.dbName = 'systemDB';
+        this.storeName = 'aiOutgoingLog';
+        // Oldest entries are removed beyond this many
+        this.maxEntries = 50;
+    }
+
+    /**
+     * Record one request; failures are logged and ignored so they never block the request
+     * @param {object} entry
+     * @param {string} entry.type - Prompt type, e.g. 'coach'
+     * @param {AiProvider} entry.provider
+     * @param {object} entry.config - Provider config, for the model and endpoint
+     * @param {Array<{role: string, content: string}>} entry.messages - Exactly what is sent
+     */
+    async add({ type, provider, config, messages }) {
+        try {
+            await this.storage.saveToDB(this.dbName, this.storeName, {
+                timestamp: new Date().toISOString(),
+                type: type,
+                providerId: provider.id,
+                providerName: provider.name,
+                remote: provider.remote,
+                endpoint: provider.remote ? config.baseUrl : null,
+                model: config.model,
+                messages: messages
+            });
+            await this.prune();
+        } catch (error) {
+            console.warn('Failed to write AI outgoing log:', error);
+        }
+    }
+
+    /**
+     * Most recent entries first
+     */
+    getRecent(limit = this.maxEntries) {
+        return this.storage.query(this.dbName, this.storeName)
+            .where('timestamp')
+            .orderBy('desc')
+            .limit(limit)
+            .toArray();
+    }
+
+    async prune() {
+        const expired = await this.storage.query(this.dbName, this.storeName)
+            .where('timestamp')
+            .orderBy('desc')
+            .offset(this.maxEntries)
+            .toArray();
+        for (const entry of expired) {
+            await this.storage.deleteFromDB(this.dbName, this.storeName, entry.id);
+        }
+    }
+
+    clear() {
+        return this.storage.clearStore(this.dbName, this.storeName);
+    }
+}
+
+window.AiPrivacyFilter = AiPrivacyFilter;
+window.AiOutgoingLog = AiOutgoingLog;
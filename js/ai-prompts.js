@@ -0,0 +1,332 @@
+/**
+ * AI Prompts - Prompt catalogue for AiIntegration
+ * One template per recommendation type. Rendering is a pure function of (type, context, options)
+ * so it can be checked without a browser or network.
+ */
+
+class AiPromptCatalogue {
+    constructor() {
+        this.languages = ['id', 'en'];
+        this.defaultLanguage = 'id';
+
+        this.baseSystem = {
+            id: 'Kamu adalah coach pengembangan diri di aplikasi Pria 1% Journey. Jawab dalam Bahasa Indonesia yang hangat, jelas, dan praktis. Gunakan data pengguna yang diberikan, jangan mengarang angka, dan jangan memberi diagnosis medis.',
+            en: 'You are a self-improvement coach in the Pria 1% Journey app. Answer in clear, warm and practical English. Use the user data provided, never invent numbers, and never give a medical diagnosis.'
+        };
+
+        this.templates = {
+            'motivation': {
+                system: {
+                    id: 'Tulis kutipan motivasi yang singkat dan kuat, maksimal dua kalimat.',
+                    en: 'Write a short, powerful motivational quote of at most two sentences.'
+                },
+                user: {
+                    id: 'Berikan kutipan motivasi untuk {{name}} yang sedang dalam perjalanan pengembangan diri.{{#streak}} Streak terbaiknya saat ini {{streak}} hari.{{/streak}}',
+                    en: 'Give a motivational quote for {{name}}, who is on a self-improvement journey.{{#streak}} Their best current streak is {{streak}} days.{{/streak}}'
+                },
+                prepare: (context) => ({
+                    streak: context.streak || 0
+                })
+            },
+
+            'habit-suggestion': {
+                system: {
+                    id: 'Sarankan kebiasaan baru yang realistis dan belum dimiliki pengguna. Balas hanya dengan JSON yang valid, tanpa teks lain.',
+                    en: 'Suggest realistic new habits the user does not have yet. Reply with valid JSON only, no other text.'
+                },
+                user: {
+                    id: 'Sarankan 3 kebiasaan baru kategori {{category}} untuk {{name}}.\nMinat: {{interests}}\nKebiasaan saat ini: {{habits}}\n\nBalas dengan JSON berbentuk:\n{{example}}\ncategory salah satu dari physical, mental, financial, social, spiritual. difficulty salah satu dari easy, medium, hard. icon satu emoji. targetTime format HH:MM. reason dalam Bahasa Indonesia, maksimal 2 kalimat.',
+                    en: 'Suggest 3 new {{category}} habits for {{name}}.\nInterests: {{interests}}\nCurrent habits: {{habits}}\n\nReply with JSON shaped like:\n{{example}}\ncategory is one of physical, mental, financial, social, spiritual. difficulty is one of easy, medium, hard. icon is a single emoji. targetTime uses HH:MM. reason is in English, at most 2 sentences.'
+                },
+                responseFormat: 'json',
+                schema: {
+                    type: 'object',
+                    required: ['habits'],
+                    properties: {
+                        habits: {
+                            type: 'array',
+                            minItems: 1,
+                            maxItems: 5,
+                            items: {
+                                type: 'object',
+                                required: ['name', 'category', 'difficulty', 'icon', 'targetTime', 'reason'],
+                                properties: {
+                                    name: { type: 'string', minLength: 2, maxLength: 60 },
+                                    category: { type: 'string', enum: ['physical', 'mental', 'financial', 'social', 'spiritual'] },
+                                    difficulty: { type: 'string', enum: ['easy', 'medium', 'hard'] },
+                                    icon: { type: 'string', minLength: 1, maxLength: 8 },
+                                    targetTime: { type: 'string', pattern: '^([01]\\d|2[0-3]):[0-5]\\d$' },
+                                    reason: { type: 'string', minLength: 1, maxLength: 300 }
+                                }
+                            }
+                        }
+                    }
+                },
+                prepare: (context, language) => ({
+                    example: '{"habits": [{"name": "...", "category": "physical", "difficulty": "easy", "icon": "🏃", "targetTime": "06:00", "reason": "..."}]}',
+                    category: context.category || (language === 'en' ? 'general' : 'umum'),
+                    interests: this.list(context.interests, language),
+                    habits: this.list((context.habits || []).map(habit => {
+                        const streak = context.streaks?.[habit.id];
+                        return streak ? `${habit.name} (${streak} ${language === 'en' ? 'day streak' : 'hari streak'})` : habit.name;
+                    }), language)
+                })
+            },
+
+            'learning': {
+                system: {
+                    id: 'Rekomendasikan skill berikutnya yang paling berdampak dan jelaskan langkah belajar pertamanya.',
+                    en: 'Recommend the most impactful next skill and explain the first learning step.'
+                },
+                user: {
+                    id: 'Data belajar {{name}}:\n- Total XP: {{totalXP}}\n- Skill selesai: {{completed}}\n- Skill yang bisa dipelajari sekarang: {{available}}\n- Kategori: {{categories}}\n\nPilih satu skill dari daftar yang bisa dipelajari, jelaskan alasannya, dan beri 3 langkah konkret untuk minggu ini.',
+                    en: 'Learning data for {{name}}:\n- Total XP: {{totalXP}}\n- Completed skills: {{completed}}\n- Skills available now: {{available}}\n- Categories: {{categories}}\n\nPick one skill from the available list, explain why, and give 3 concrete steps for this week.'
+                },
+                prepare: (context, language) => ({
+                    totalXP: context.totalXP || 0,
+                    completed: this.list(context.completedSkillNames || context.completedSkills, language),
+                    available: this.list(context.availableSkills, language),
+                    categories: this.list(context.categories, language)
+                })
+            },
+
+            'mental-health': {
+                system: {
+                    id: 'Beri insight kesehatan mental yang suportif berdasarkan pola mood dan meditasi. Jika ada tanda krisis, sarankan menghubungi tenaga profesional.',
+                    en: 'Give supportive mental health insights based on mood and meditation patterns. If there are signs of crisis, suggest contacting a professional.'
+                },
+                user: {
+                    id: 'Data mental {{name}}:\n- Rata-rata mood: {{avgMood}}/5\n- Mood 7 hari terakhir: {{moods}}\n- Meditasi terakhir: {{meditations}}\n- Streak check-in mood: {{moodStreak}} hari, streak meditasi: {{meditationStreak}} hari\n\nJelaskan pola yang terlihat dan beri 3 saran praktis.',
+                    en: 'Mental data for {{name}}:\n- Average mood: {{avgMood}}/5\n- Moods of the last 7 days: {{moods}}\n- Recent meditation: {{meditations}}\n- Mood check-in streak: {{moodStreak}} days, meditation streak: {{meditationStreak}} days\n\nExplain the patterns you see and give 3 practical suggestions.'
+                },
+                prepare: (context, language) => ({
+                    avgMood: Number(context.avgMood || 0).toFixed(1),
+                    moods: this.list((context.moodHistory || []).map(entry => {
+                        const emotions = entry.emotions?.length ? ` (${entry.emotions.join(', ')})` : '';
+                        return `${entry.date}: ${entry.mood}${emotions}`;
+                    }), language),
+                    meditations: this.list((context.meditationLog || []).map(session =>
+                        `${session.date} ${session.type} ${session.duration} ${language === 'en' ? 'min' : 'menit'}`
+                    ), language),
+                    moodStreak: context.streaks?.moodTracking || 0,
+                    meditationStreak: context.streaks?.meditation || 0
+                })
+            },
+
+            'progress-analysis': {
+                system: {
+                    id: 'Analisis progress lintas area (habit, belajar, keuangan, mental). Sebutkan kekuatan, area yang perlu diperbaiki, dan prioritas minggu depan.',
+                    en: 'Analyse progress across areas (habits, learning, finance, mental). Name strengths, areas to improve and next week\'s priorities.'
+                },
+                user: {
+                    id: 'Ringkasan progress {{name}}:\n- Progress keseluruhan: {{overall}}%\n- Tingkat penyelesaian: {{rates}}\n- Streak habit terbaik: {{habitStreak}} hari\n- Habit: {{habits}}\n- Skill selesai: {{skillCount}}, total XP belajar: {{totalXP}}\n- Keuangan bulan ini: pemasukan {{income}}, pengeluaran {{expense}}, tabungan {{savingsRate}}%\n- Rata-rata mood: {{avgMood}}/5\n- Kategori terbaik: {{best}}, perlu perhatian: {{improvement}}\n\nBuat analisis singkat dan 3 prioritas untuk minggu depan.',
+                    en: 'Progress summary for {{name}}:\n- Overall progress: {{overall}}%\n- Completion rates: {{rates}}\n- Best habit streak: {{habitStreak}} days\n- Habits: {{habits}}\n- Completed skills: {{skillCount}}, total learning XP: {{totalXP}}\n- Finance this month: income {{income}}, expenses {{expense}}, savings rate {{savingsRate}}%\n- Average mood: {{avgMood}}/5\n- Best category: {{best}}, needs attention: {{improvement}}\n\nWrite a short analysis and 3 priorities for next week.'
+                },
+                prepare: (context, language) => {
+                    const data = context.progressData || {};
+                    const stats = data.aggregatedStats || {};
+                    const finance = data.finance || {};
+                    const moods = data.mental?.moodHistory || [];
+                    const report = context.weeklyReport || {};
+
+                    return {
+                        overall: Math.round(stats.overallProgress || 0),
+                        rates: this.list(Object.entries(stats.completionRates || {})
+                            .map(([area, rate]) => `${area} ${Math.round(rate)}%`), language),
+                        habitStreak: stats.streaks?.habits || 0,
+                        habits: this.list((data.habits?.habits || []).map(habit => `${habit.name} (${habit.streak || 0})`), language),
+                        skillCount: (data.learning?.completedSkills || []).length,
+                        totalXP: data.learning?.totalXP || 0,
+                        income: this.formatCurrency(finance.income, finance.currency, language),
+                        expense: this.formatCurrency(finance.expense, finance.currency, language),
+                        savingsRate: finance.savingsRate ?? 0,
+                        avgMood: moods.length > 0
+                            ? (moods.reduce((sum, entry) => sum + entry.mood, 0) / moods.length).toFixed(1)
+                            : '-',
+                        best: report.bestCategory ? `${report.bestCategory.name} (${report.bestCategory.progress}%)` : '-',
+                        improvement: report.improvementArea ? `${report.improvementArea.name} (${report.improvementArea.progress}%)` : '-'
+                    };
+                }
+            },
+
+            'coach': {
+                system: {
+                    id: 'Kamu sedang mengobrol sebagai coach pribadi. Jawab singkat (maksimal 150 kata) kecuali pengguna meminta detail, dan akhiri dengan satu langkah yang bisa dilakukan hari ini.\n\nRingkasan data {{name}} saat ini:\n{{summary}}',
+                    en: 'You are chatting as a personal coach. Keep answers short (at most 150 words) unless the user asks for detail, and end with one step they can take today.\n\nCurrent summary of {{name}}\'s data:\n{{summary}}'
+                },
+                user: {
+                    id: '{{message}}',
+                    en: '{{message}}'
+                },
+                prepare: (context, language) => {
+                    const en = language === 'en';
+                    const habits = context.habits || [];
+                    const mood = context.mood || {};
+                    const learning = context.learning || {};
+                    const finance = context.finance || {};
+                    const trend = mood.previousAverage === null || mood.previousAverage === undefined || mood.average === null
+                        ? (en ? 'not enough data' : 'data belum cukup')
+                        : mood.average > mood.previousAverage + 0.2
+                            ? (en ? 'improving' : 'membaik')
+                            : mood.average < mood.previousAverage - 0.2
+                                ? (en ? 'declining' : 'menurun')
+                                : (en ? 'stable' : 'stabil');
+
+                    const lines = en ? [
+                        `- Habits (completed in the last 7 days / streak): ${this.list(habits.map(h => `${h.name} ${h.completedLast7}/7, ${h.streak}d`), language)}`,
+                        `- Mood last 7 days: average ${mood.average ?? '-'}/5, trend ${trend}`,
+                        `- Learning: ${learning.completedSkills || 0} skills completed, ${learning.totalXP || 0} XP`,
+                        `- Finance this month: income ${this.formatCurrency(finance.income, finance.currency, language)}, expenses ${this.formatCurrency(finance.expense, finance.currency, language)}, top spending ${this.list(finance.topCategories, language)}`
+                    ] : [
+                        `- Habit (selesai 7 hari terakhir / streak): ${this.list(habits.map(h => `${h.name} ${h.completedLast7}/7, ${h.streak} hari`), language)}`,
+                        `- Mood 7 hari terakhir: rata-rata ${mood.average ?? '-'}/5, tren ${trend}`,
+                        `- Belajar: ${learning.completedSkills || 0} skill selesai, ${learning.totalXP || 0} XP`,
+                        `- Keuangan bulan ini: pemasukan ${this.formatCurrency(finance.income, finance.currency, language)}, pengeluaran ${this.formatCurrency(finance.expense, finance.currency, language)}, pengeluaran terbesar ${this.list(finance.topCategories, language)}`
+                    ];
+                    return {
+                        summary: lines.join('\n'),
+                        message: context.message || ''
+                    };
+                }
+            },
+
+            'default': {
+                system: {
+                    id: 'Jawab dengan singkat dan membantu.',
+                    en: 'Answer briefly and helpfully.'
+                },
+                user: {
+                    id: 'Tolong berikan respons yang membantu untuk: {{type}}',
+                    en: 'Please give a helpful response for: {{type}}'
+                },
+                prepare: () => ({})
+            }
+        };
+    }
+
+    /**
+     * Quick intents offered in the coach chat: a label and the message sent for it
+     */
+    getCoachIntents(language = this.defaultLanguage) {
+        const intents = {
+            'plan-week': {
+                label: { id: 'Rencanakan mingguku', en: 'Plan my week' },
+                message: {
+                    id: 'Bantu aku menyusun rencana minggu ini berdasarkan habit, target belajar, dan kondisiku sekarang. Buat per hari, singkat saja.',
+                    en: 'Help me plan this week based on my habits, learning goals and how I am doing now. One short line per day.'
+                }
+            },
+            'review-spending': {
+                label: { id: 'Tinjau pengeluaranku', en: 'Review my spending' },
+                message: {
+                    id: 'Tinjau pengeluaranku bulan ini. Apa yang paling perlu dikurangi, dan berapa target realistisnya?',
+                    en: 'Review my spending this month. What should I cut first, and what is a realistic target?'
+                }
+            },
+            'trigger': {
+                label: { id: 'Aku sedang terpicu', en: "I'm feeling a trigger" },
+                message: {
+                    id: 'Aku sedang merasa terpicu dan takut kehilangan kendali. Bantu aku melewati beberapa menit ke depan, langkah demi langkah.',
+                    en: 'I am feeling triggered and afraid of losing control. Help me get through the next few minutes, step by step.'
+                }
+            }
+        };
+        const lang = this.languages.includes(language) ? language : this.defaultLanguage;
+        return Object.entries(intents).map(([id, intent]) => ({
+            id: id,
+            label: intent.label[lang],
+            message: intent.message[lang]
+        }));
+    }
+
+    /**
+     * Types that have their own template
+     */
+    getTypes() {
+        return Object.keys(this.templates).filter(type => type !== 'default');
+    }
+
+    /**
+     * Render the system and user prompt for a recommendation type.
+     * Unknown types use the default template.
+     * @param {string} type - e.g. 'mental-health'
+     * @param {object} [context] - Data passed by the calling module
+     * @param {object} [options]
+     * @param {string} [options.language='id'] - 'id' or 'en'
+     * @returns {{type: string, language: string, system: string, user: string, messages: Array<{role: string, content: string}>}}
+     */
+    render(type, context = {}, options = {}) {
+        const language = this.languages.includes(options.language) ? options.language : this.defaultLanguage;
+        const template = this.templates[type] || this.templates.default;
+
+        const vars = {
+            type: type,
+            name: context.userProfile?.basicInfo?.name || (language === 'en' ? 'the user' : 'pengguna'),
+            ...template.prepare(context, language)
+        };
+
+        const system = `${this.baseSystem[language]} ${this.fill(template.system[language], vars)}`;
+        const user = this.fill(template.user[language], vars);
+
+        return {
+            type: type,
+            language: language,
+            system: system,
+            user: user,
+            responseFormat: template.responseFormat || 'text',
+            schema: template.schema || null,
+            messages: [
+                { role: 'system', content: system },
+                { role: 'user', content: user }
+            ]
+        };
+    }
+
+    /**
+     * Follow-up messages asking the model to fix output that failed schema validation
+     * @param {object} rendered - Result of render()
+     * @param {string} invalidOutput - The rejected reply
+     * @param {string[]} errors - Validation errors
+     * @returns {Array<{role: string, content: string}>}
+     */
+    renderRepair(rendered, invalidOutput, errors) {
+        const instruction = {
+            id: `Jawaban sebelumnya tidak valid:\n- ${errors.slice(0, 10).join('\n- ')}\n\nKirim ulang jawaban lengkap hanya sebagai JSON valid sesuai format yang diminta.`,
+            en: `The previous reply was invalid:\n- ${errors.slice(0, 10).join('\n- ')}\n\nSend the complete answer again as valid JSON only, in the requested format.`
+        };
+        return [
+            ...rendered.messages,
+            { role: 'assistant', content: invalidOutput },
+            { role: 'user', content: instruction[rendered.language] }
+        ];
+    }
+
+    /**
+     * Replace {{name}} placeholders. {{#name}}...{{/name}} keeps its content only when name is truthy.
+     * Missing values render as an empty string.
+     */
+    fill(template, vars) {
+        return template
+            .replace(/\{\{#(\w+)\}\}([\s\S]*?)\{\{\/\1\}\}/g, (match, key, inner) => vars[key] ? inner : '')
+            .replace(/\{\{(\w+)\}\}/g, (match, key) => vars[key] === undefined || vars[key] === null ? '' : String(vars[key]));
+    }
+
+    /**
+     * Comma-separated list, or a "none" marker for empty lists
+     */
+    list(items, language) {
+        const values = (items || []).filter(Boolean);
+        if (values.length === 0) return language === 'en' ? 'none' : 'belum ada';
+        return values.join(', ');
+    }
+
+    /**
+     * Amount in the currency the context was totalled in; amounts the privacy settings withheld get a marker
+     */
+    formatCurrency(amount, currency, language) {
+        if (amount === undefined || amount === null) return language === 'en' ? '[not shared]' : '[tidak dibagikan]';
+        return CurrencyConverter.format(amount, currency);
+    }
+}
+
+window.AiPromptCatalogue = AiPromptCatalogue;
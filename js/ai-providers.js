@@ -0,0 +1,290 @@
+/**
+ * AI Providers - Backends that AiIntegration can send chat completions to
+ * Every provider takes OpenAI-style messages plus its stored config and resolves to the reply text.
+ */
+
+/**
+ * Base provider. Subclasses implement complete().
+ */
+class AiProvider {
+    /**
+     * @param {object} options
+     * @param {string} options.id - Stable id used for settings and quota
+     * @param {string} options.name - Label shown in settings
+     * @param {object} options.defaults - Default config (baseUrl, model, dailyQuota)
+     * @param {boolean} [options.requiresApiKey=false]
+     * @param {boolean} [options.remote=true] - Whether prompts leave the device
+     */
+    constructor({ id, name, defaults, requiresApiKey = false, remote = true }) {
+        this.id = id;
+        this.name = name;
+        this.defaults = defaults;
+        this.requiresApiKey = requiresApiKey;
+        this.remote = remote;
+    }
+
+    /**
+     * Send messages and resolve to the reply text
+     * @param {Array<{role: string, content: string}>} messages
+     * @param {object} config - baseUrl, model, apiKey
+     * @param {object} [options]
+     * @param {AbortSignal} [options.signal]
+     * @param {string} [options.responseFormat='text'] - 'json' asks for a JSON object reply
+     * @returns {Promise<string>}
+     */
+    async complete(messages, config, options = {}) {
+        throw new Error(`${this.name} does not implement complete()`);
+    }
+
+    /**
+     * Send messages and report the reply as it arrives.
+     * Providers without streaming deliver the whole reply as one token.
+     * @param {Array<{role: string, content: string}>} messages
+     * @param {object} config - baseUrl, model, apiKey
+     * @param {object} [options]
+     * @param {AbortSignal} [options.signal]
+     * @param {function(): void} [options.onStart] - Called once the provider accepted the request
+     * @param {function(string, string): void} [options.onToken] - Receives each new chunk and the text so far
+     * @returns {Promise<string>} The full reply. When aborted, rejects with an AbortError whose
+     *   `partial` property holds the text received so far.
+     */
+    async stream(messages, config, options = {}) {
+        const text = await this.complete(messages, config, options);
+        options.onStart?.();
+        options.onToken?.(text, text);
+        return text;
+    }
+
+    /**
+     * Throw a clear error when required settings are missing
+     */
+    validateConfig(config) {
+        if (!config.model) {
+            throw new Error(`${this.name}: no model configured`);
+        }
+        if (this.requiresApiKey && !config.apiKey) {
+            throw new Error(`${this.name}: no API key configured`);
+        }
+    }
+}
+
+/**
+ * Any server that speaks the OpenAI chat completions API,
+ * e.g. a local llama.cpp server or Ollama (http://localhost:11434/v1)
+ */
+class OpenAICompatibleProvider extends AiProvider {
+    constructor(options = {}) {
+        super({
+            id: 'openai-compatible',
+            name: 'OpenAI-compatible',
+            defaults: { baseUrl: 'http://localhost:11434/v1', model: 'llama3.1', dailyQuota: 0 },
+            ...options
+        });
+    }
+
+    validateConfig(config) {
+        super.validateConfig(config);
+        if (!config.baseUrl) {
+            throw new Error(`${this.name}: no base URL configured`);
+        }
+    }
+
+    /**
+     * Request headers; API key is optional for local servers
+     */
+    buildHeaders(config) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (config.apiKey) {
+            headers['Authorization'] = `Bearer ${config.apiKey}`;
+        }
+        return headers;
+    }
+
+    async complete(messages, config, options = {}) {
+        this.validateConfig(config);
+
+        const response = await fetch(`${config.baseUrl.replace(/\/+$/, '')}/chat/completions`, {
+            method: 'POST',
+            headers: this.buildHeaders(config),
+            body: JSON.stringify({
+                model: config.model,
+                messages: messages,
+                ...(options.responseFormat === 'json' ? { response_format: { type: 'json_object' } } : {})
+            }),
+            signal: options.signal
+        });
+
+        if (!response.ok) {
+            throw new Error(`AI API error! status: ${response.status}`);
+        }
+        const data = await response.json();
+        const content = data.choices?.[0]?.message?.content;
+        if (typeof content !== 'string') {
+            throw new Error(`${this.name}: response has no message content`);
+        }
+        return content.trim();
+    }
+
+    async stream(messages, config, options = {}) {
+        this.validateConfig(config);
+
+        const response = await fetch(`${config.baseUrl.replace(/\/+$/, '')}/chat/completions`, {
+            method: 'POST',
+            headers: this.buildHeaders(config),
+            body: JSON.stringify({
+                model: config.model,
+                messages: messages,
+                stream: true
+            }),
+            signal: options.signal
+        });
+
+        if (!response.ok) {
+            throw new Error(`AI API error! status: ${response.status}`);
+        }
+        options.onStart?.();
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let text = '';
+
+        try {
+            while (true) {
+                const { done, value } = await reader.read();
+                if (done) break;
+
+                buffer += decoder.decode(value, { stream: true });
+                // Server-sent events are separated by newlines; keep the incomplete last line
+                const lines = buffer.split('\n');
+                buffer = lines.pop();
+
+                for (const line of lines) {
+                    const data = line.trim();
+                    if (!data.startsWith('data:')) continue;
+
+                    const payload = data.slice(5).trim();
+                    if (payload === '[DONE]') return text.trim();
+
+                    let chunk;
+                    try {
+                        chunk = JSON.parse(payload);
+                    } catch (error) {
+                        console.warn(`${this.name}: skipping malformed stream chunk`, payload);
+                        continue;
+                    }
+                    if (chunk.error) {
+                        throw new Error(`AI API error! ${chunk.error.message || 'stream error'}`);
+                    }
+                    const token = chunk.choices?.[0]?.delta?.content;
+                    if (token) {
+                        text += token;
+                        options.onToken?.(token, text);
+                    }
+                }
+            }
+        } catch (error) {
+            error.partial = text;
+            throw error;
+        }
+        return text.trim();
+    }
+}
+
+/**
+ * OpenRouter, the default hosted backend
+ */
+class OpenRouterProvider extends OpenAICompatibleProvider {
+    constructor() {
+        super({
+            id: 'openrouter',
+            name: 'OpenRouter',
+            defaults: { baseUrl: 'https://openrouter.ai/api/v1', model: 'deepseek/deepseek-chat-v3.1:free', dailyQuota: 20 },
+            requiresApiKey: true
+        });
+    }
+
+    buildHeaders(config) {
+        return {
+            ...super.buildHeaders(config),
+            // Lets OpenRouter attribute requests to the app
+            'HTTP-Referer': window.location.origin,
+            'X-Title': 'Pria 1% Journey'
+        };
+    }
+}
+
+/**
+ * Offline provider with deterministic answers, for tests and demos.
+ * The same messages always produce the same reply.
+ */
+class MockAiProvider extends AiProvider {
+    constructor() {
+        super({
+            id: 'mock',
+            name: 'Mock (offline)',
+            defaults: { baseUrl: '', model: 'mock-1', dailyQuota: 0 },
+            remote: false
+        });
+        this.tokenDelay = 40;
+        this.replies = [
+            'Fokus pada satu kebiasaan kecil hari ini dan selesaikan sebelum jam 9 pagi.',
+            'Konsistensi lebih penting dari intensitas. Lanjutkan streak kamu walau hanya 5 menit.',
+            'Catat satu hal yang kamu syukuri hari ini, lalu rencanakan satu langkah untuk besok.',
+            'Evaluasi pengeluaran minggu ini dan pilih satu pos yang bisa dikurangi 10%.'
+        ];
+        this.habitReplies = [
+            { name: '[mock] Jalan pagi 15 menit', category: 'physical', difficulty: 'easy', icon: '🏃', targetTime: '06:00', reason: 'Respons uji dari provider mock.' },
+            { name: '[mock] Catat pengeluaran harian', category: 'financial', difficulty: 'easy', icon: '💰', targetTime: '21:00', reason: 'Respons uji dari provider mock.' }
+        ];
+    }
+
+    async complete(messages, config, options = {}) {
+        if (options.signal?.aborted) {
+            throw new DOMException('The request was aborted', 'AbortError');
+        }
+        if (options.responseFormat === 'json') {
+            return JSON.stringify({ habits: this.habitReplies });
+        }
+        const lastMessage = messages[messages.length - 1]?.content || '';
+        return `[mock] ${this.replies[this.hash(lastMessage) % this.replies.length]}`;
+    }
+
+    /**
+     * Emits the reply word by word so streaming UIs can be tried offline
+     */
+    async stream(messages, config, options = {}) {
+        const reply = await this.complete(messages, config, options);
+        options.onStart?.();
+
+        let text = '';
+        for (const word of reply.split(/(?<= )/)) {
+            if (options.signal?.aborted) {
+                const error = new DOMException('The request was aborted', 'AbortError');
+                error.partial = text;
+                throw error;
+            }
+            await new Promise(resolve => setTimeout(resolve, this.tokenDelay));
+            text += word;
+            options.onToken?.(word, text);
+        }
+        return text;
+    }
+
+    /**
+     * FNV-1a hash, so replies depend only on the input
+     */
+    hash(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+        return hash;
+    }
+}
+
+window.AiProvider = AiProvider;
+window.OpenAICompatibleProvider = OpenAICompatibleProvider;
+window.OpenRouterProvider = OpenRouterProvider;
+window.MockAiProvider = MockAiProvider;
@@ -0,0 +1,110 @@
+/**
+ * AI Schema - Parses and validates structured (JSON) AI output
+ * Supports the subset of JSON Schema the prompt catalogue uses:
+ * type, properties, required, items, minItems, maxItems, enum, pattern, minLength, maxLength.
+ */
+
+class AiSchemaValidator {
+    /**
+     * Extract and validate JSON from a model reply
+     * @param {string} raw - Model output, possibly wrapped in ```json fences or prose
+     * @param {object} schema
+     * @returns {{value: *, errors: string[]}} errors is empty when the value is valid
+     */
+    parse(raw, schema) {
+        const json = this.extractJSON(raw || '');
+        if (json === null) {
+            return { value: null, errors: ['response does not contain a JSON object'] };
+        }
+
+        let value;
+        try {
+            value = JSON.parse(json);
+        } catch (error) {
+            return { value: null, errors: [`invalid JSON: ${error.message}`] };
+        }
+        return { value: value, errors: this.validate(value, schema) };
+    }
+
+    /**
+     * The JSON part of a reply: a fenced block if present, otherwise the outermost braces
+     */
+    extractJSON(text) {
+        const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+        const candidate = fenced ? fenced[1] : text;
+        const start = candidate.indexOf('{');
+        const end = candidate.lastIndexOf('}');
+        if (start === -1 || end <= start) return null;
+        return candidate.slice(start, end + 1);
+    }
+
+    /**
+     * Validate a value against a schema
+     * @returns {string[]} Error messages with the path of each invalid field
+     */
+    validate(value, schema, path = '$') {
+        const errors = [];
+
+        if (schema.type && !this.matchesType(value, schema.type)) {
+            errors.push(`${path} should be ${schema.type}`);
+            return errors;
+        }
+
+        if (schema.enum && !schema.enum.includes(value)) {
+            errors.push(`${path} should be one of ${schema.enum.join(', ')}`);
+        }
+
+        if (typeof value === 'string') {
+            if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+                errors.push(`${path} should have at least ${schema.minLength} characters`);
+            }
+            if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+                errors.push(`${path} should have at most ${schema.maxLength} characters`);
+            }
+            if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+                errors.push(`${path} should match ${schema.pattern}`);
+            }
+        }
+
+        if (Array.isArray(value)) {
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                errors.push(`${path} should have at least ${schema.minItems} items`);
+            }
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+                errors.push(`${path} should have at most ${schema.maxItems} items`);
+            }
+            if (schema.items) {
+                value.forEach((item, index) => {
+                    errors.push(...this.validate(item, schema.items, `${path}[${index}]`));
+                });
+            }
+        }
+
+        if (schema.type === 'object') {
+            (schema.required || []).forEach(key => {
+                if (value[key] === undefined || value[key] === null) {
+                    errors.push(`${path}.${key} is required`);
+                }
+            });
+            Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+                if (value[key] !== undefined && value[key] !== null) {
+                    errors.push(...this.validate(value[key], propertySchema, `${path}.${key}`));
+                }
+            });
+        }
+
+        return errors;
+    }
+
+    matchesType(value, type) {
+        switch (type) {
+            case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+            case 'array': return Array.isArray(value);
+            case 'integer': return Number.isInteger(value);
+            case 'number': return typeof value === 'number' && Number.isFinite(value);
+            default: return typeof value === type;
+        }
+    }
+}
+
+window.AiSchemaValidator = AiSchemaValidator;
@@ -0,0 +1,393 @@
+/**
+ * Coach Manager - Conversational AI coach
+ * Keeps conversations in systemDB and sends each message with a summary of the user's data
+ */
+
+class CoachManager {
+    constructor() {
+        this.repository = new CoachRepository(window.storageManager);
+        this.ai = window.aiIntegration || new AiIntegration(window.storageManager);
+        this.conversations = [];
+        this.activeConversation = null;
+        this.messages = [];
+        this.coachContext = null;
+        this.controller = null;
+        this.init();
+    }
+
+    /**
+     * Initialize coach page
+     */
+    async init() {
+        try {
+            await this.ai.init();
+            this.setupEventListeners();
+            this.renderIntents();
+            await Promise.all([this.loadCoachContext(), this.loadConversations()]);
+
+            if (this.conversations.length > 0) {
+                await this.openConversation(this.conversations[0].id);
+            } else {
+                this.renderMessages();
+            }
+            this.renderBudget();
+
+            // Conversations continued in another tab
+            this.repository.subscribe(() => this.handleRemoteChange());
+        } catch (error) {
+            console.error('Error initializing coach:', error);
+        }
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        // Mobile menu
+        document.getElementById('mobile-menu-btn')?.addEventListener('click', () => {
+            document.getElementById('sidebar').classList.toggle('-translate-x-full');
+            document.getElementById('mobile-menu-overlay').classList.toggle('hidden');
+        });
+
+        document.getElementById('mobile-menu-overlay')?.addEventListener('click', () => {
+            document.getElementById('sidebar').classList.add('-translate-x-full');
+            document.getElementById('mobile-menu-overlay').classList.add('hidden');
+        });
+
+        document.getElementById('new-conversation-btn')?.addEventListener('click', () => {
+            this.startNewConversation();
+        });
+
+        document.getElementById('coach-form')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            // The send button doubles as cancel while the coach is replying
+            if (this.controller) {
+                this.controller.abort();
+                return;
+            }
+            const input = document.getElementById('coach-input');
+            this.sendMessage(input.value);
+        });
+
+        document.getElementById('coach-input')?.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && !e.shiftKey) {
+                e.preventDefault();
+                document.getElementById('coach-form').requestSubmit();
+            }
+        });
+    }
+
+    /**
+     * Load the data summary sent as system context
+     */
+    async loadCoachContext() {
+        try {
+            this.coachContext = await this.ai.getCoachContext();
+        } catch (error) {
+            console.error('Error loading coach context:', error);
+            this.coachContext = {};
+        }
+
+        const systemMessage = this.ai.buildCoachMessages(this.coachContext, [], '')[0];
+        document.getElementById('coach-context-summary').textContent = systemMessage.content;
+    }
+
+    /**
+     * Load the conversation list
+     */
+    async loadConversations() {
+        this.conversations = await this.repository.getConversations();
+        this.renderConversationList();
+    }
+
+    /**
+     * Render the conversation list
+     */
+    renderConversationList() {
+        const list = document.getElementById('conversation-list');
+        if (!list) return;
+
+        if (this.conversations.length === 0) {
+            list.innerHTML = '<li class="text-sm text-gray-400 px-2 py-1">Belum ada percakapan</li>';
+            return;
+        }
+
+        list.innerHTML = '';
+        this.conversations.forEach(conversation => {
+            const active = this.activeConversation?.id === conversation.id;
+            const item = document.createElement('li');
+            item.className = `group flex items-center justify-between rounded-lg px-2 py-2 cursor-pointer ${
+                active ? 'bg-blue-50 text-secondary' : 'text-gray-700 hover:bg-gray-50'
+            }`;
+            item.innerHTML = `
+                <div class="min-w-0">
+                    <p class="text-sm font-medium truncate" data-field="title"></p>
+                    <p class="text-xs text-gray-400">${new Date(conversation.updatedAt).toLocaleDateString('id-ID', { day: 'numeric', month: 'short' })}</p>
+                </div>
+                <button class="delete-conversation-btn text-gray-300 hover:text-red-500 p-1 opacity-0 group-hover:opacity-100" title="Hapus percakapan">
+                    <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16"></path>
+                    </svg>
+                </button>
+            `;
+            item.querySelector('[data-field="title"]').textContent = conversation.title;
+            item.addEventListener('click', () => this.openConversation(conversation.id));
+            item.querySelector('.delete-conversation-btn').addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.deleteConversation(conversation.id);
+            });
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Show a stored conversation
+     */
+    async openConversation(conversationId) {
+        if (this.controller) return;
+
+        this.activeConversation = this.conversations.find(conversation => conversation.id === conversationId) || null;
+        this.messages = this.activeConversation ? await this.repository.getMessages(conversationId) : [];
+        this.renderConversationList();
+        this.renderMessages();
+        this.renderBudget();
+    }
+
+    /**
+     * Clear the chat; the conversation is stored once the first message is sent
+     */
+    startNewConversation() {
+        if (this.controller) return;
+
+        this.activeConversation = null;
+        this.messages = [];
+        this.renderConversationList();
+        this.renderMessages();
+        this.renderBudget();
+        document.getElementById('coach-input').focus();
+    }
+
+    /**
+     * Delete a conversation after confirmation
+     */
+    async deleteConversation(conversationId) {
+        if (!confirm('Hapus percakapan ini? Pesan yang dihapus tidak bisa dikembalikan.')) return;
+
+        try {
+            await this.repository.deleteConversation(conversationId);
+            if (this.activeConversation?.id === conversationId) {
+                this.activeConversation = null;
+                this.messages = [];
+                this.renderMessages();
+            }
+            await this.loadConversations();
+        } catch (error) {
+            console.error('Error deleting conversation:', error);
+            this.showNotice('Gagal menghapus percakapan');
+        }
+    }
+
+    /**
+     * Render quick intent buttons
+     */
+    renderIntents() {
+        const container = document.getElementById('coach-intents');
+        if (!container) return;
+
+        container.innerHTML = '';
+        this.ai.prompts.getCoachIntents(this.ai.getLanguage()).forEach(intent => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'text-sm bg-gray-100 hover:bg-gray-200 text-gray-700 px-3 py-1.5 rounded-full transition-colors';
+            button.textContent = intent.label;
+            button.addEventListener('click', () => this.sendMessage(intent.message, intent.id));
+            container.appendChild(button);
+        });
+    }
+
+    /**
+     * Send a message and stream the coach's reply into the chat
+     * @param {string} text - The message
+     * @param {string|null} [intent] - Quick intent id when sent from an intent button
+     */
+    async sendMessage(text, intent = null) {
+        const content = text.trim();
+        if (!content || this.controller) return;
+
+        if (this.ai.getBudget().remaining <= 0) {
+            this.renderBudget();
+            return;
+        }
+        this.hideNotice();
+
+        try {
+            if (!this.activeConversation) {
+                this.activeConversation = await this.repository.createConversation(content.slice(0, 40));
+                this.conversations.unshift(this.activeConversation);
+            }
+
+            const history = this.messages.slice();
+            const userMessage = await this.repository.addMessage(this.activeConversation, { role: 'user', content: content, intent: intent });
+            this.messages.push(userMessage);
+            document.getElementById('coach-input').value = '';
+            this.renderMessages();
+            this.renderConversationList();
+
+            const output = this.appendMessageBubble({ role: 'assistant', content: '' });
+            output.textContent = '...';
+            this.controller = new AbortController();
+            this.setSending(true);
+
+            const result = await this.ai.chat(this.coachContext, history, content, {
+                signal: this.controller.signal,
+                onToken: (token, reply) => {
+                    output.textContent = reply;
+                    this.scrollToBottom();
+                }
+            });
+
+            if (result.text) {
+                const reply = await this.repository.addMessage(this.activeConversation, {
+                    role: 'assistant',
+                    content: result.text,
+                    cancelled: result.cancelled
+                });
+                this.messages.push(reply);
+            }
+        } catch (error) {
+            console.error('Coach request failed:', error);
+            this.showNotice(error.code === 'QUOTA_EXCEEDED'
+                ? 'Kuota AI hari ini sudah habis.'
+                : 'Coach tidak bisa dihubungi. Periksa koneksi atau pengaturan AI, lalu coba lagi.');
+        } finally {
+            this.controller = null;
+            this.setSending(false);
+            this.renderMessages();
+            this.renderBudget();
+        }
+    }
+
+    /**
+     * Render all messages of the active conversation
+     */
+    renderMessages() {
+        const container = document.getElementById('coach-messages');
+        if (!container) return;
+
+        container.innerHTML = '';
+        if (this.messages.length === 0) {
+            container.innerHTML = `
+                <div class="text-center py-12 text-gray-500">
+                    <div class="text-4xl mb-3">🤖</div>
+                    <p class="text-lg mb-1">Halo! Ada yang bisa saya bantu?</p>
+                    <p class="text-sm">Tanyakan apa saja atau pilih salah satu topik cepat di bawah.</p>
+                </div>
+            `;
+            return;
+        }
+
+        this.messages.forEach(message => this.appendMessageBubble(message));
+        this.scrollToBottom();
+    }
+
+    /**
+     * Add one message bubble to the chat
+     * @returns {HTMLElement} The element holding the message text
+     */
+    appendMessageBubble(message) {
+        const container = document.getElementById('coach-messages');
+        const isUser = message.role === 'user';
+
+        const row = document.createElement('div');
+        row.className = `flex ${isUser ? 'justify-end' : 'justify-start'}`;
+        row.innerHTML = `
+            <div class="max-w-[85%] rounded-2xl px-4 py-3 ${isUser ? 'bg-secondary text-white' : 'bg-gray-100 text-gray-800'}">
+                <p class="message-text text-sm leading-relaxed whitespace-pre-line"></p>
+                ${message.cancelled ? '<p class="text-xs text-gray-400 mt-1">Dibatalkan, jawaban belum lengkap</p>' : ''}
+            </div>
+        `;
+        const text = row.querySelector('.message-text');
+        text.textContent = message.content;
+        container.appendChild(row);
+        this.scrollToBottom();
+        return text;
+    }
+
+    scrollToBottom() {
+        const container = document.getElementById('coach-messages');
+        container.scrollTop = container.scrollHeight;
+    }
+
+    /**
+     * Show remaining requests and the approximate size of the next request
+     */
+    renderBudget() {
+        const budget = this.ai.getBudget();
+        const budgetText = document.getElementById('coach-budget-text');
+        const budgetBar = document.getElementById('coach-budget-bar');
+        const tokenText = document.getElementById('coach-token-text');
+
+        if (budget.quota === Infinity) {
+            budgetText.textContent = `${budget.used} pesan hari ini · tanpa batas`;
+            budgetBar.style.width = '0%';
+        } else {
+            budgetText.textContent = `Sisa ${budget.remaining} dari ${budget.quota} pesan AI hari ini`;
+            budgetBar.style.width = `${Math.min(100, (budget.used / budget.quota) * 100)}%`;
+        }
+
+        const tokens = this.ai.estimateTokens(this.ai.buildCoachMessages(this.coachContext || {}, this.messages, ''));
+        tokenText.textContent = `±${tokens} token konteks per pesan`;
+
+        const exhausted = budget.remaining <= 0;
+        document.getElementById('coach-input').disabled = exhausted;
+        document.getElementById('coach-send-btn').disabled = exhausted;
+        document.querySelectorAll('#coach-intents button').forEach(button => {
+            button.disabled = exhausted;
+        });
+        if (exhausted) {
+            this.showNotice('Kuota AI hari ini sudah habis. Coba lagi besok atau ganti penyedia AI di Pengaturan.');
+        }
+    }
+
+    /**
+     * Toggle the send button between send and cancel
+     */
+    setSending(sending) {
+        const button = document.getElementById('coach-send-btn');
+        button.textContent = sending ? 'Batalkan' : 'Kirim';
+        button.classList.toggle('bg-accent', !sending);
+        button.classList.toggle('hover:bg-emerald-700', !sending);
+        button.classList.toggle('bg-gray-600', sending);
+        button.classList.toggle('hover:bg-gray-700', sending);
+        document.querySelectorAll('#coach-intents button').forEach(intentButton => {
+            intentButton.disabled = sending;
+        });
+    }
+
+    /**
+     * Reload after another tab changed the conversations
+     */
+    async handleRemoteChange() {
+        if (this.controller) return;
+
+        await this.loadConversations();
+        if (this.activeConversation) {
+            await this.openConversation(this.activeConversation.id);
+        }
+    }
+
+    showNotice(message) {
+        const notice = document.getElementById('coach-notice');
+        notice.textContent = message;
+        notice.classList.remove('hidden');
+    }
+
+    hideNotice() {
+        document.getElementById('coach-notice').classList.add('hidden');
+    }
+}
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    window.coachManager = new CoachManager();
+});
@@ -0,0 +1,130 @@
+/**
+ * Currency Converter - Converts amounts with the local exchange rate table of financeDB.exchangeRates
+ * Loaded by every page that totals transactions, so it only uses plain math and no DOM. Get one with the
+ * stored rates and base currency from FinanceRepository.getCurrencyConverter().
+ */
+
+class CurrencyConverter {
+    // Records saved before currencies existed have no currency field and are in rupiah
+    static legacyCurrency = 'IDR';
+
+    /**
+     * @param {Array<{currency: string, quote: string, date: string, rate: number}>} rates - 1 currency = rate quote
+     * @param {string} [baseCurrency]
+     */
+    constructor(rates = [], baseCurrency = CurrencyConverter.legacyCurrency) {
+        this.rates = rates;
+        this.baseCurrency = baseCurrency;
+        // Rate history per "CURRENCY|QUOTE" pair, oldest first
+        this.pairs = new Map();
+        rates.forEach(rate => {
+            const key = `${rate.currency}|${rate.quote}`;
+            if (!this.pairs.has(key)) this.pairs.set(key, []);
+            this.pairs.get(key).push(rate);
+        });
+        this.pairs.forEach(history => history.sort((a, b) => a.date.localeCompare(b.date)));
+        // Currencies that could not be converted to the base currency
+        this.missing = new Set();
+    }
+
+    /**
+     * Amount in a currency, e.g. "Rp 150.000" or "US$ 12,50"
+     */
+    static format(amount, currency = CurrencyConverter.legacyCurrency) {
+        try {
+            const options = { style: 'currency', currency: currency };
+            // Rupiah amounts are shown without cents
+            if (currency === 'IDR') options.minimumFractionDigits = 0;
+            return new Intl.NumberFormat('id-ID', options).format(amount);
+        } catch (error) {
+            console.error('Error formatting currency:', error);
+            return `${currency === 'IDR' ? 'Rp' : currency} ${Math.round(amount).toLocaleString('id-ID')}`;
+        }
+    }
+
+    currencyOf(record) {
+        return record?.currency || CurrencyConverter.legacyCurrency;
+    }
+
+    /**
+     * Rate of a stored pair on a date: the latest rate on or before it, or the earliest one when the
+     * date is older than the whole history
+     * @returns {number|null}
+     */
+    getPairRate(currency, quote, date) {
+        const history = this.pairs.get(`${currency}|${quote}`);
+        if (!history) return null;
+        let rate = history[0];
+        for (const item of history) {
+            if (item.date > date) break;
+            rate = item;
+        }
+        return rate.rate;
+    }
+
+    /**
+     * Rate that converts 1 unit of one currency into another on a date. Uses the pair as stored, its
+     * inverse, or a route through a third currency (USD → IDR → SGD).
+     * @param {string} date - YYYY-MM-DD
+     * @returns {number|null} null when the rate table has no route
+     */
+    getRate(from, to, date) {
+        if (from === to) return 1;
+        const direct = (a, b) => {
+            const rate = this.getPairRate(a, b, date);
+            if (rate) return rate;
+            const inverse = this.getPairRate(b, a, date);
+            return inverse ? 1 / inverse : null;
+        };
+
+        const rate = direct(from, to);
+        if (rate) return rate;
+
+        const known = new Set(this.rates.flatMap(item => [item.currency, item.quote]));
+        for (const via of known) {
+            if (via === from || via === to) continue;
+            const first = direct(from, via);
+            const second = first ? direct(via, to) : null;
+            if (second) return first * second;
+        }
+        return null;
+    }
+
+    /**
+     * Convert an amount between currencies with the rate of its date
+     * @returns {number|null} null when no rate is known
+     */
+    convert(amount, from, to = this.baseCurrency, date = new Date().toISOString().split('T')[0]) {
+        const rate = this.getRate(from || CurrencyConverter.legacyCurrency, to, date);
+        return rate === null ? null : amount * rate;
+    }
+
+    /**
+     * Amount of a transaction in the base currency at its date. Amounts without a known rate count
+     * as 0 and their currency is remembered in this.missing, so totals stay in one currency.
+     */
+    toBase(transaction, amount = transaction.amount) {
+        const currency = this.currencyOf(transaction);
+        const converted = this.convert(amount, currency, this.baseCurrency, transaction.date);
+        if (converted === null) {
+            this.missing.add(currency);
+            return 0;
+        }
+        return converted;
+    }
+
+    /**
+     * Income and expense of a list of transactions in the base currency
+     * @returns {{income: number, expense: number}}
+     */
+    totals(transactions) {
+        return transactions.reduce((totals, transaction) => {
+            if (transaction.type === 'income' || transaction.type === 'expense') {
+                totals[transaction.type] += this.toBase(transaction);
+            }
+            return totals;
+        }, { income: 0, expense: 0 });
+    }
+}
+
+window.CurrencyConverter = CurrencyConverter;
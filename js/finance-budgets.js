@@ -0,0 +1,365 @@
+/**
+ * Finance Budgets - Monthly spending limits per expense category
+ * Each category has one budget record (financeDB.budgets, keyed by category) that tracks the
+ * current month. When a month ends it is settled: spending is added to the history and,
+ * depending on the rollover option, the leftover or overspend carries into the next month.
+ */
+
+class BudgetManager {
+    constructor(financeManager) {
+        this.finance = financeManager;
+        this.repository = financeManager.repository;
+        // Percentages of the limit at which the user is alerted, once per month each
+        this.alertThresholds = [80, 100];
+        this.rolloverOptions = {
+            none: 'Tidak ada',
+            surplus: 'Sisa dibawa ke bulan depan',
+            full: 'Sisa dan kelebihan dibawa'
+        };
+        this.underBudgetXP = 50;
+        this.historyLimit = 12;
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        document.getElementById('add-budget-btn')?.addEventListener('click', () => {
+            this.showBudgetModal();
+        });
+
+        document.getElementById('budget-list')?.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-budget-action]');
+            if (!button) return;
+            const budget = this.finance.budgets.get(button.dataset.category);
+            if (button.dataset.budgetAction === 'edit') {
+                this.showBudgetModal(budget);
+            } else if (button.dataset.budgetAction === 'delete') {
+                this.deleteBudget(budget);
+            }
+        });
+    }
+
+    /**
+     * A YYYY-MM month moved by a number of months
+     */
+    shiftMonth(month, offset) {
+        const [year, monthNumber] = month.split('-').map(Number);
+        return new Date(Date.UTC(year, monthNumber - 1 + offset, 1)).toISOString().slice(0, 7);
+    }
+
+    /**
+     * Limit for the budget's current month, including what was carried over
+     */
+    getAvailable(budget) {
+        return Math.max(0, budget.limit + (budget.carryover || 0));
+    }
+
+    /**
+     * Spending of the current month per category
+     * @returns {Map<string, number>}
+     */
+    getSpentByCategory(transactions = this.finance.transactions) {
+        const spent = new Map();
+        transactions
+            .filter(t => t.type === 'expense')
+            .forEach(t => spent.set(t.category, (spent.get(t.category) || 0) + this.finance.currencyManager.toBase(t)));
+        return spent;
+    }
+
+    /**
+     * Progress of every budget in the current month, fullest first
+     * @returns {Array<{budget: Object, spent: number, available: number, percent: number}>}
+     */
+    getStatus() {
+        const spent = this.getSpentByCategory();
+        return Array.from(this.finance.budgets.values())
+            .filter(budget => budget.month === this.finance.currentMonth)
+            .map(budget => {
+                const available = this.getAvailable(budget);
+                const categorySpent = spent.get(budget.category) || 0;
+                return {
+                    budget: budget,
+                    spent: categorySpent,
+                    available: available,
+                    percent: available > 0 ? Math.round((categorySpent / available) * 100) : (categorySpent > 0 ? 100 : 0)
+                };
+            })
+            .sort((a, b) => b.percent - a.percent);
+    }
+
+    /**
+     * Settle every budget whose month has ended, then reward months that stayed under budget.
+     * @returns {Promise<boolean>} Whether any budget changed
+     */
+    async settleClosedMonths() {
+        const currentMonth = this.finance.currentMonth;
+        const open = Array.from(this.finance.budgets.values()).filter(budget => budget.month < currentMonth);
+        if (open.length === 0) return false;
+
+        // Spending of every month that needs settling, in one read
+        const firstMonth = open.reduce((min, budget) => budget.month < min ? budget.month : min, currentMonth);
+        const transactions = await this.repository.getTransactionsInRange(`${firstMonth}-01`, `${this.shiftMonth(currentMonth, -1)}-31`);
+        const spent = new Map();
+        const trackedMonths = new Set();
+        transactions
+            .filter(t => t.type === 'expense')
+            .forEach(t => {
+                const key = `${t.date.slice(0, 7)}|${t.category}`;
+                spent.set(key, (spent.get(key) || 0) + this.finance.currencyManager.toBase(t));
+                trackedMonths.add(t.date.slice(0, 7));
+            });
+
+        // Per closed month: whether every budget in it stayed within its limit
+        const closedMonths = new Map();
+        for (const budget of open) {
+            const results = [];
+            const settled = await this.repository.settleBudget(budget.category, budget.month, (stored) => {
+                const updated = { ...stored, history: [...(stored.history || [])] };
+                while (updated.month < currentMonth) {
+                    const available = this.getAvailable(updated);
+                    const monthSpent = spent.get(`${updated.month}|${updated.category}`) || 0;
+                    const remaining = available - monthSpent;
+
+                    updated.history.push({ month: updated.month, limit: available, spent: monthSpent });
+                    results.push({ month: updated.month, underBudget: remaining >= 0 });
+
+                    updated.carryover = updated.rollover === 'full' ? remaining
+                        : updated.rollover === 'surplus' ? Math.max(0, remaining)
+                            : 0;
+                    updated.month = this.shiftMonth(updated.month, 1);
+                    updated.alerts = [];
+                }
+                updated.history = updated.history.slice(-this.historyLimit);
+                return updated;
+            });
+
+            // Another tab settled it first and will give the reward
+            if (!settled) continue;
+            results.forEach(({ month, underBudget }) => {
+                closedMonths.set(month, (closedMonths.get(month) ?? true) && underBudget);
+            });
+        }
+
+        for (const [month, underBudget] of closedMonths) {
+            // Months without any recorded expense were not tracked, so they earn nothing
+            if (underBudget && trackedMonths.has(month) && this.finance.gamification) {
+                await this.finance.gamification.addXP(this.underBudgetXP, `Bulan ${this.formatMonth(month)} sesuai anggaran`);
+            }
+        }
+        return closedMonths.size > 0;
+    }
+
+    /**
+     * Alert once per month for each threshold a budget has reached
+     */
+    async checkAlerts() {
+        for (const status of this.getStatus()) {
+            const { budget, spent, available, percent } = status;
+            const alerted = budget.alerts || [];
+            const reached = this.alertThresholds.filter(threshold => percent >= threshold);
+            const newThresholds = reached.filter(threshold => !alerted.includes(threshold));
+            if (newThresholds.length === 0) continue;
+
+            const label = this.finance.getCategoryLabel(budget.category);
+            const amounts = `${this.finance.formatCurrency(spent)} dari ${this.finance.formatCurrency(available)}`;
+            if (Math.max(...newThresholds) >= 100) {
+                window.notificationManager?.showAlert(`Anggaran ${label} terlampaui`, `Pengeluaran bulan ini ${amounts}.`, 'error');
+            } else {
+                window.notificationManager?.showAlert(`Anggaran ${label} hampir habis`, `Sudah terpakai ${percent}% (${amounts}).`, 'warning');
+            }
+
+            const updated = { ...budget, alerts: reached };
+            this.finance.budgets.set(budget.category, updated);
+            try {
+                await this.repository.saveBudget(updated);
+            } catch (error) {
+                console.error('Error saving budget alert state:', error);
+            }
+        }
+    }
+
+    /**
+     * Render budget bars for the current month
+     */
+    render() {
+        const container = document.getElementById('budget-list');
+        if (!container) return;
+
+        const statuses = this.getStatus();
+        if (statuses.length === 0) {
+            container.innerHTML = `
+                <div class="text-center py-8 text-gray-500">
+                    <p class="mb-1">Belum ada anggaran</p>
+                    <p class="text-sm">Tetapkan batas pengeluaran bulanan per kategori agar tidak kebablasan.</p>
+                </div>
+            `;
+            return;
+        }
+
+        container.innerHTML = statuses.map(({ budget, spent, available, percent }) => {
+            const barColor = percent >= 100 ? 'bg-red-500' : percent >= 80 ? 'bg-amber-500' : 'bg-emerald-500';
+            const remaining = available - spent;
+            const carryover = budget.carryover || 0;
+            return `
+                <div class="p-4 bg-gray-50 rounded-lg">
+                    <div class="flex items-center justify-between mb-2">
+                        <div>
+                            <h4 class="font-medium text-gray-900">${Utils.sanitizeHTML(this.finance.getCategoryLabel(budget.category))}</h4>
+                            <p class="text-sm text-gray-500">
+                                ${this.finance.formatCurrency(spent)} dari ${this.finance.formatCurrency(available)}
+                                ${carryover !== 0 ? `<span class="text-xs ${carryover > 0 ? 'text-emerald-600' : 'text-red-600'}">(${carryover > 0 ? '+' : '-'}${this.finance.formatCurrency(Math.abs(carryover))} dari bulan lalu)</span>` : ''}
+                            </p>
+                        </div>
+                        <div class="flex items-center space-x-2">
+                            <span class="text-sm font-semibold ${percent >= 100 ? 'text-red-600' : percent >= 80 ? 'text-amber-600' : 'text-gray-700'}">${percent}%</span>
+                            <button data-budget-action="edit" data-category="${budget.category}" class="text-gray-400 hover:text-gray-700 p-1" title="Ubah anggaran">
+                                <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                    <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z"></path>
+                                </svg>
+                            </button>
+                            <button data-budget-action="delete" data-category="${budget.category}" class="text-gray-400 hover:text-red-600 p-1" title="Hapus anggaran">
+                                <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                    <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16"></path>
+                                </svg>
+                            </button>
+                        </div>
+                    </div>
+                    <div class="w-full bg-gray-200 rounded-full h-2">
+                        <div class="${barColor} h-2 rounded-full transition-all duration-300" style="width: ${Math.min(100, percent)}%"></div>
+                    </div>
+                    <p class="text-xs mt-2 ${remaining < 0 ? 'text-red-600' : 'text-gray-500'}">
+                        ${remaining < 0 ? `Lebih ${this.finance.formatCurrency(-remaining)}` : `Sisa ${this.finance.formatCurrency(remaining)}`}
+                        · Rollover: ${this.rolloverOptions[budget.rollover] || this.rolloverOptions.none}
+                    </p>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Show the create/edit budget modal
+     * @param {Object} [budget] - Existing budget to edit
+     */
+    showBudgetModal(budget = null) {
+        const used = new Set(this.finance.budgets.keys());
+        const categories = this.finance.getExpenseCategories()
+            .filter(category => category === budget?.category || !used.has(category));
+
+        if (categories.length === 0) {
+            window.notificationManager?.showMessage('Semua kategori sudah punya anggaran', 'info');
+            return;
+        }
+
+        const modal = document.createElement('div');
+        modal.className = 'fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center p-4';
+        modal.innerHTML = `
+            <div class="bg-white rounded-2xl max-w-md w-full p-6">
+                <h3 class="text-xl font-poppins font-semibold text-gray-900 mb-6">${budget ? 'Ubah Anggaran' : 'Atur Anggaran'}</h3>
+                <form id="budget-form" class="space-y-4">
+                    <div>
+                        <label class="block text-sm font-medium text-gray-700 mb-2">Kategori</label>
+                        <select id="budget-category" class="form-input" ${budget ? 'disabled' : ''} required>
+                            ${categories.map(category => `
+                                <option value="${category}" ${category === budget?.category ? 'selected' : ''}>${Utils.sanitizeHTML(this.finance.getCategoryLabel(category))}</option>
+                            `).join('')}
+                        </select>
+                    </div>
+                    <div>
+                        <label class="block text-sm font-medium text-gray-700 mb-2">Batas per bulan</label>
+                        <input type="number" id="budget-limit" class="form-input" min="1" step="1" placeholder="1500000" value="${budget?.limit ?? ''}" required>
+                    </div>
+                    <div>
+                        <label class="block text-sm font-medium text-gray-700 mb-2">Rollover</label>
+                        <select id="budget-rollover" class="form-input">
+                            ${Object.entries(this.rolloverOptions).map(([value, label]) => `
+                                <option value="${value}" ${value === (budget?.rollover || 'none') ? 'selected' : ''}>${label}</option>
+                            `).join('')}
+                        </select>
+                        <p class="text-xs text-gray-500 mt-1">Menentukan apa yang terjadi dengan sisa atau kelebihan anggaran di akhir bulan.</p>
+                    </div>
+                    <div class="flex space-x-3 pt-4">
+                        <button type="button" data-close class="flex-1 bg-gray-100 hover:bg-gray-200 text-gray-700 font-medium py-3 px-6 rounded-lg transition-colors">
+                            Batal
+                        </button>
+                        <button type="submit" class="flex-1 bg-secondary hover:bg-blue-700 text-white font-medium py-3 px-6 rounded-lg transition-colors">
+                            Simpan
+                        </button>
+                    </div>
+                </form>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+        modal.querySelector('[data-close]').addEventListener('click', () => modal.remove());
+        modal.querySelector('#budget-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleSaveBudget(modal, budget);
+        });
+    }
+
+    /**
+     * Save the budget form
+     */
+    async handleSaveBudget(modal, existing) {
+        const limit = parseFloat(modal.querySelector('#budget-limit').value);
+        if (!Number.isFinite(limit) || limit <= 0) {
+            window.notificationManager?.showErrorMessage('Batas anggaran harus lebih dari 0');
+            return;
+        }
+
+        const budget = existing ? { ...existing } : {
+            category: modal.querySelector('#budget-category').value,
+            month: this.finance.currentMonth,
+            carryover: 0,
+            alerts: [],
+            history: [],
+            createdAt: new Date().toISOString()
+        };
+        budget.limit = limit;
+        budget.rollover = modal.querySelector('#budget-rollover').value;
+        // A new limit may put the budget back under a threshold
+        budget.alerts = [];
+
+        try {
+            await this.repository.saveBudget(budget);
+            this.finance.budgets.set(budget.category, budget);
+            modal.remove();
+            this.render();
+            window.notificationManager?.showSuccessMessage('Anggaran disimpan');
+
+            // Budget alerts are only useful as system notifications when the user is away
+            await window.notificationManager?.requestPermission();
+            await this.checkAlerts();
+        } catch (error) {
+            console.error('Error saving budget:', error);
+            window.notificationManager?.showErrorMessage('Gagal menyimpan anggaran');
+        }
+    }
+
+    /**
+     * Delete a budget after confirmation
+     */
+    async deleteBudget(budget) {
+        if (!budget) return;
+        if (!confirm(`Hapus anggaran ${this.finance.getCategoryLabel(budget.category)}?`)) return;
+
+        try {
+            await this.repository.deleteBudget(budget.category);
+            this.finance.budgets.delete(budget.category);
+            this.render();
+        } catch (error) {
+            console.error('Error deleting budget:', error);
+            window.notificationManager?.showErrorMessage('Gagal menghapus anggaran');
+        }
+    }
+
+    /**
+     * e.g. "Maret 2025"
+     */
+    formatMonth(month) {
+        return new Date(`${month}-01T00:00:00`).toLocaleDateString('id-ID', { month: 'long', year: 'numeric' });
+    }
+}
+
+window.BudgetManager = BudgetManager;
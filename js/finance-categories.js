@@ -0,0 +1,440 @@
+/**
+ * Finance Categories - User categories and the rules that assign them, on financeDB.categories/categoryRules
+ * Rules match the description (contains or regex), an amount range and the account. Rules the user writes
+ * win over rules learned from their corrections.
+ */
+
+class CategoryManager {
+    constructor(financeManager) {
+        this.finance = financeManager;
+        this.repository = financeManager.repository;
+        this.categories = new Map();
+        this.rules = [];
+        // Learned rules use this many leading words of the cleaned description
+        this.learnedKeywordWords = 3;
+        this.typeLabels = { expense: 'Pengeluaran', income: 'Pemasukan', transfer: 'Transfer', any: 'Semua' };
+    }
+
+    async load() {
+        try {
+            const categories = await this.repository.getCategories();
+            this.categories = new Map(categories.map(category => [category.id, category]));
+            this.rules = await this.repository.getCategoryRules();
+        } catch (error) {
+            console.error('Error loading finance categories:', error);
+        }
+    }
+
+    /**
+     * Category name, prefixed with its parent for sub-categories ("Makanan › Kopi")
+     */
+    getLabel(categoryId) {
+        const category = this.categories.get(categoryId);
+        if (!category) return categoryId;
+        const parent = category.parentId ? this.categories.get(category.parentId) : null;
+        return parent ? `${parent.name} › ${category.name}` : category.name;
+    }
+
+    getIcon(categoryId) {
+        return this.categories.get(categoryId)?.icon || '📦';
+    }
+
+    getColor(categoryId) {
+        return this.categories.get(categoryId)?.color || '#6B7280';
+    }
+
+    /**
+     * Categories usable for a transaction type, each parent followed by its sub-categories
+     * @param {'income'|'expense'|'transfer'} type
+     * @returns {Array<Object>}
+     */
+    getCategories(type) {
+        const usable = Array.from(this.categories.values())
+            .filter(category => !type || category.type === type || category.type === 'any');
+        const byOrder = (a, b) => (a.order ?? 999) - (b.order ?? 999) || a.name.localeCompare(b.name);
+        const roots = usable.filter(category => !category.parentId || !usable.some(item => item.id === category.parentId)).sort(byOrder);
+
+        return roots.flatMap(root => [root, ...usable.filter(category => category.parentId === root.id).sort(byOrder)]);
+    }
+
+    /**
+     * <option> elements for a category select
+     */
+    renderOptions(type, selected = null) {
+        return this.getCategories(type).map(category => `
+            <option value="${category.id}" ${category.id === selected ? 'selected' : ''}>${category.parentId ? '↳ ' : ''}${Utils.sanitizeHTML(category.icon || '')} ${Utils.sanitizeHTML(category.name)}</option>
+        `).join('');
+    }
+
+    /**
+     * Description reduced to the words that identify the merchant: lowercase, no digits or punctuation
+     */
+    normalizeDescription(description) {
+        return (description || '')
+            .toLowerCase()
+            .replace(/[^\p{L}\s]/gu, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Whether a rule applies to a transaction
+     * @param {Object} rule
+     * @param {Object} transaction - type, amount, description and optional accountId
+     */
+    matches(rule, transaction) {
+        const match = rule.match || {};
+        const category = this.categories.get(rule.categoryId);
+        if (!category || (category.type !== 'any' && category.type !== transaction.type)) return false;
+
+        const description = (transaction.description || '').toLowerCase();
+        if (match.contains && !this.normalizeDescription(description).includes(this.normalizeDescription(match.contains))) {
+            return false;
+        }
+        if (match.regex) {
+            try {
+                if (!new RegExp(match.regex, 'i').test(transaction.description || '')) return false;
+            } catch (error) {
+                return false;
+            }
+        }
+        if (match.minAmount !== undefined && match.minAmount !== null && transaction.amount < match.minAmount) return false;
+        if (match.maxAmount !== undefined && match.maxAmount !== null && transaction.amount > match.maxAmount) return false;
+        if (match.accountId && transaction.accountId !== match.accountId) return false;
+        return true;
+    }
+
+    /**
+     * Rules in the order they are tried: the user's own rules first, then learned ones,
+     * more specific rules before general ones
+     */
+    getOrderedRules() {
+        const specificity = (rule) => Object.values(rule.match || {}).filter(value => value !== null && value !== undefined && value !== '').length * 100
+            + (rule.match?.contains || '').length;
+        return [...this.rules].sort((a, b) =>
+            Number(a.source === 'learned') - Number(b.source === 'learned') || specificity(b) - specificity(a)
+        );
+    }
+
+    /**
+     * Category the rules assign to a transaction
+     * @returns {string|null} null when no rule matches
+     */
+    categorize(transaction) {
+        const rule = this.getOrderedRules().find(item => this.matches(item, transaction));
+        return rule ? rule.categoryId : null;
+    }
+
+    /**
+     * Remember a correction: when the user picks another category than the rules suggested, future
+     * transactions with a similar description get the user's choice.
+     * @param {Object} transaction - As saved
+     * @param {string|null} suggested - What categorize() returned when the form was filled in
+     */
+    async learn(transaction, suggested) {
+        const keyword = this.normalizeDescription(transaction.description).split(' ').slice(0, this.learnedKeywordWords).join(' ');
+        if (!keyword || transaction.category === suggested || transaction.type === 'transfer') return;
+        // Leaving an unsuggested transaction in 'other' is not a correction
+        if (!suggested && transaction.category === 'other') return;
+
+        const existing = this.rules.find(rule => rule.source === 'learned' && rule.match?.contains === keyword);
+        const rule = existing
+            ? { ...existing, categoryId: transaction.category }
+            : { categoryId: transaction.category, match: { contains: keyword }, source: 'learned', createdAt: new Date().toISOString() };
+
+        try {
+            rule.id = await this.repository.saveCategoryRule(rule);
+            this.rules = [...this.rules.filter(item => item.id !== rule.id), rule];
+        } catch (error) {
+            console.error('Error saving learned category rule:', error);
+        }
+    }
+
+    /**
+     * Apply the rules to stored transactions
+     * @param {boolean} onlyUncategorized - Only change transactions still in 'other'
+     * @returns {Promise<number>} Number of transactions changed
+     */
+    rerun(onlyUncategorized) {
+        return this.repository.recategorizeTransactions(transaction => {
+            if (transaction.type === 'transfer' || (onlyUncategorized && transaction.category !== 'other')) return null;
+            return this.categorize(transaction);
+        });
+    }
+
+    /**
+     * Show the category and rule management modal
+     */
+    show() {
+        const modal = document.createElement('div');
+        modal.className = 'fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center p-4';
+        modal.innerHTML = `
+            <div class="bg-white rounded-2xl max-w-3xl w-full p-6 max-h-screen overflow-y-auto">
+                <div class="flex items-center justify-between mb-6">
+                    <h3 class="text-xl font-poppins font-semibold text-gray-900">Kategori & Aturan</h3>
+                    <button data-close class="text-gray-400 hover:text-gray-600 text-2xl leading-none" title="Tutup">&times;</button>
+                </div>
+
+                <section class="mb-8">
+                    <h4 class="font-semibold text-gray-900 mb-3">Kategori</h4>
+                    <div id="category-manage-list" class="space-y-2 mb-4"></div>
+                    <form id="category-form" class="grid grid-cols-2 md:grid-cols-6 gap-2 items-end">
+                        <input type="text" id="category-name" class="form-input md:col-span-2" placeholder="Nama kategori" maxlength="40" required>
+                        <select id="category-type" class="form-input">
+                            <option value="expense">Pengeluaran</option>
+                            <option value="income">Pemasukan</option>
+                        </select>
+                        <select id="category-parent" class="form-input"></select>
+                        <div class="flex space-x-2">
+                            <input type="text" id="category-icon" class="form-input w-14 text-center" placeholder="☕" maxlength="4">
+                            <input type="color" id="category-color" class="h-10 w-12 rounded border border-gray-200" value="#1E40AF">
+                        </div>
+                        <button type="submit" class="bg-secondary hover:bg-blue-700 text-white font-medium py-2 px-4 rounded-lg transition-colors">Tambah</button>
+                    </form>
+                </section>
+
+                <section>
+                    <h4 class="font-semibold text-gray-900 mb-1">Aturan otomatis</h4>
+                    <p class="text-xs text-gray-500 mb-3">Dipakai saat mencatat dan mengimpor transaksi. Aturan "dipelajari" dibuat dari koreksi Anda.</p>
+                    <div id="rule-list" class="space-y-2 mb-4"></div>
+                    <form id="rule-form" class="grid grid-cols-2 md:grid-cols-3 gap-2">
+                        <select id="rule-category" class="form-input" required></select>
+                        <input type="text" id="rule-contains" class="form-input" placeholder="Deskripsi mengandung">
+                        <input type="text" id="rule-regex" class="form-input" placeholder="atau regex, mis. ^GRAB.*FOOD">
+                        <input type="number" id="rule-min" class="form-input" min="0" step="any" placeholder="Jumlah min.">
+                        <input type="number" id="rule-max" class="form-input" min="0" step="any" placeholder="Jumlah maks.">
+                        <select id="rule-account" class="form-input"></select>
+                        <button type="submit" class="md:col-span-3 bg-gray-100 hover:bg-gray-200 text-gray-700 font-medium py-2 px-4 rounded-lg transition-colors">Tambah Aturan</button>
+                    </form>
+                    <div class="flex flex-wrap items-center gap-3 mt-6 p-3 bg-gray-50 rounded-lg">
+                        <label class="flex items-center text-sm text-gray-700">
+                            <input type="checkbox" id="rerun-uncategorized" class="mr-2" checked>
+                            Hanya transaksi "Lainnya"
+                        </label>
+                        <button id="rerun-rules-btn" class="ml-auto text-secondary hover:text-blue-700 font-medium text-sm">Terapkan ke riwayat transaksi</button>
+                    </div>
+                </section>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+        this.renderManagement(modal);
+
+        modal.querySelector('[data-close]').addEventListener('click', async () => {
+            modal.remove();
+            await this.finance.loadData();
+            await this.finance.updateUI();
+        });
+        modal.querySelector('#category-type').addEventListener('change', () => this.renderParentOptions(modal));
+        modal.querySelector('#category-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleAddCategory(modal);
+        });
+        modal.querySelector('#rule-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleAddRule(modal);
+        });
+        modal.querySelector('#rerun-rules-btn').addEventListener('click', () => this.handleRerun(modal));
+        modal.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-category-delete], [data-rule-delete]');
+            if (!button) return;
+            if (button.dataset.categoryDelete) {
+                this.deleteCategory(modal, button.dataset.categoryDelete);
+            } else {
+                this.deleteRule(modal, Number(button.dataset.ruleDelete));
+            }
+        });
+    }
+
+    renderManagement(modal) {
+        const groups = ['expense', 'income', 'transfer', 'any'].map(type => {
+            const categories = this.getCategories(type).filter(category => category.type === type);
+            if (categories.length === 0) return '';
+            return `
+                <div>
+                    <p class="text-xs font-medium text-gray-500 mb-1">${this.typeLabels[type]}</p>
+                    <div class="flex flex-wrap gap-2">
+                        ${categories.map(category => `
+                            <span class="inline-flex items-center px-3 py-1 rounded-full text-sm text-white" style="background-color: ${category.color}">
+                                ${Utils.sanitizeHTML(category.icon || '')} ${Utils.sanitizeHTML(this.getLabel(category.id))}
+                                ${category.builtIn ? '' : `<button data-category-delete="${category.id}" class="ml-2 opacity-75 hover:opacity-100" title="Hapus">&times;</button>`}
+                            </span>
+                        `).join('')}
+                    </div>
+                </div>
+            `;
+        }).join('');
+        modal.querySelector('#category-manage-list').innerHTML = groups;
+
+        const accounts = this.finance.wealth;
+        const ruleText = (rule) => {
+            const parts = [];
+            if (rule.match.contains) parts.push(`mengandung "${Utils.sanitizeHTML(rule.match.contains)}"`);
+            if (rule.match.regex) parts.push(`regex <code>${Utils.sanitizeHTML(rule.match.regex)}</code>`);
+            if (rule.match.minAmount != null) parts.push(`≥ ${this.finance.formatCurrency(rule.match.minAmount)}`);
+            if (rule.match.maxAmount != null) parts.push(`≤ ${this.finance.formatCurrency(rule.match.maxAmount)}`);
+            if (rule.match.accountId) {
+                const account = accounts.find(item => item.id === rule.match.accountId);
+                parts.push(`akun ${Utils.sanitizeHTML(account?.name || '?')}`);
+            }
+            return parts.join(', ');
+        };
+        const rules = this.getOrderedRules();
+        modal.querySelector('#rule-list').innerHTML = rules.length === 0
+            ? '<p class="text-sm text-gray-500">Belum ada aturan</p>'
+            : rules.map(rule => `
+                <div class="flex items-center justify-between p-2 bg-gray-50 rounded-lg text-sm">
+                    <span>
+                        ${ruleText(rule)} → <strong>${Utils.sanitizeHTML(this.getIcon(rule.categoryId))} ${Utils.sanitizeHTML(this.getLabel(rule.categoryId))}</strong>
+                        ${rule.source === 'learned' ? '<span class="text-xs text-gray-400 ml-1">dipelajari</span>' : ''}
+                    </span>
+                    <button data-rule-delete="${rule.id}" class="text-gray-400 hover:text-red-600 px-2" title="Hapus aturan">&times;</button>
+                </div>
+            `).join('');
+
+        modal.querySelector('#rule-category').innerHTML = ['expense', 'income']
+            .map(type => `<optgroup label="${this.typeLabels[type]}">${this.getCategories(type).filter(category => category.type === type).map(category => `<option value="${category.id}">${Utils.sanitizeHTML(category.icon || '')} ${Utils.sanitizeHTML(this.getLabel(category.id))}</option>`).join('')}</optgroup>`)
+            .join('');
+        modal.querySelector('#rule-account').innerHTML = '<option value="">Semua akun</option>' +
+            accounts.map(account => `<option value="${account.id}">${Utils.sanitizeHTML(account.name)}</option>`).join('');
+        this.renderParentOptions(modal);
+    }
+
+    renderParentOptions(modal) {
+        const type = modal.querySelector('#category-type').value;
+        modal.querySelector('#category-parent').innerHTML = '<option value="">Tanpa induk</option>' +
+            this.getCategories(type)
+                .filter(category => category.type === type && !category.parentId)
+                .map(category => `<option value="${category.id}">Sub dari ${Utils.sanitizeHTML(category.name)}</option>`)
+                .join('');
+    }
+
+    /**
+     * Id for a new category: its name as a slug, made unique
+     */
+    createId(name) {
+        const base = name.toLowerCase().normalize('NFKD').replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'kategori';
+        let id = base;
+        for (let i = 2; this.categories.has(id); i++) {
+            id = `${base}-${i}`;
+        }
+        return id;
+    }
+
+    async handleAddCategory(modal) {
+        const name = modal.querySelector('#category-name').value.trim();
+        if (!name) return;
+        const parentId = modal.querySelector('#category-parent').value || null;
+        const parent = parentId ? this.categories.get(parentId) : null;
+
+        const category = {
+            id: this.createId(name),
+            name: name,
+            type: modal.querySelector('#category-type').value,
+            parentId: parentId,
+            icon: modal.querySelector('#category-icon').value.trim() || parent?.icon || '🏷️',
+            color: modal.querySelector('#category-color').value,
+            builtIn: false,
+            order: this.categories.size,
+            createdAt: new Date().toISOString()
+        };
+
+        try {
+            await this.repository.saveCategory(category);
+            this.categories.set(category.id, category);
+            modal.querySelector('#category-form').reset();
+            this.renderManagement(modal);
+        } catch (error) {
+            console.error('Error saving category:', error);
+            window.notificationManager?.showErrorMessage('Gagal menyimpan kategori');
+        }
+    }
+
+    async deleteCategory(modal, categoryId) {
+        const category = this.categories.get(categoryId);
+        if (!category) return;
+        const replacementId = category.parentId || 'other';
+        if (!confirm(`Hapus kategori "${category.name}"? Transaksi dan aturannya dipindah ke "${this.getLabel(replacementId)}".`)) return;
+
+        try {
+            await this.repository.deleteCategory(categoryId, replacementId);
+            await this.load();
+            this.renderManagement(modal);
+        } catch (error) {
+            console.error('Error deleting category:', error);
+            window.notificationManager?.showErrorMessage('Gagal menghapus kategori');
+        }
+    }
+
+    async handleAddRule(modal) {
+        const number = (selector) => {
+            const value = modal.querySelector(selector).value;
+            return value === '' ? null : parseFloat(value);
+        };
+        const match = {
+            contains: modal.querySelector('#rule-contains').value.trim() || null,
+            regex: modal.querySelector('#rule-regex').value.trim() || null,
+            minAmount: number('#rule-min'),
+            maxAmount: number('#rule-max'),
+            accountId: Number(modal.querySelector('#rule-account').value) || null
+        };
+        Object.keys(match).forEach(key => {
+            if (match[key] === null) delete match[key];
+        });
+
+        if (Object.keys(match).length === 0) {
+            window.notificationManager?.showErrorMessage('Isi minimal satu syarat aturan');
+            return;
+        }
+        if (match.regex) {
+            try {
+                new RegExp(match.regex, 'i');
+            } catch (error) {
+                window.notificationManager?.showErrorMessage('Regex tidak valid');
+                return;
+            }
+        }
+
+        const rule = {
+            categoryId: modal.querySelector('#rule-category').value,
+            match: match,
+            source: 'user',
+            createdAt: new Date().toISOString()
+        };
+        try {
+            rule.id = await this.repository.saveCategoryRule(rule);
+            this.rules.push(rule);
+            modal.querySelector('#rule-form').reset();
+            this.renderManagement(modal);
+        } catch (error) {
+            console.error('Error saving category rule:', error);
+            window.notificationManager?.showErrorMessage('Gagal menyimpan aturan');
+        }
+    }
+
+    async deleteRule(modal, ruleId) {
+        try {
+            await this.repository.deleteCategoryRule(ruleId);
+            this.rules = this.rules.filter(rule => rule.id !== ruleId);
+            this.renderManagement(modal);
+        } catch (error) {
+            console.error('Error deleting category rule:', error);
+            window.notificationManager?.showErrorMessage('Gagal menghapus aturan');
+        }
+    }
+
+    async handleRerun(modal) {
+        const onlyUncategorized = modal.querySelector('#rerun-uncategorized').checked;
+        if (!onlyUncategorized && !confirm('Terapkan aturan ke semua transaksi? Kategori yang Anda pilih sendiri bisa berubah.')) return;
+
+        try {
+            const changed = await this.rerun(onlyUncategorized);
+            window.notificationManager?.showSuccessMessage(`${changed} transaksi dikategorikan ulang`);
+        } catch (error) {
+            console.error('Error re-running category rules:', error);
+            window.notificationManager?.showErrorMessage('Gagal menerapkan aturan');
+        }
+    }
+}
+
+window.CategoryManager = CategoryManager;
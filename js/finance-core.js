@@ -7,11 +7,24 @@ class FinanceManager {
     constructor(storageManager, gamificationManager) {
         this.storage = storageManager;
         this.gamification = gamificationManager;
+        this.repository = new FinanceRepository(storageManager || window.storageManager);
         this.transactions = [];
+        this.recentTransactions = [];
         this.budgets = new Map();
         this.goals = [];
         this.wealth = [];
+        this.wealthSnapshots = [];
         this.currentMonth = new Date().toISOString().slice(0, 7); // YYYY-MM
+        this.budgetManager = new BudgetManager(this);
+        this.goalManager = new GoalManager(this);
+        this.wealthManager = new WealthManager(this);
+        this.reportManager = new ReportManager(this);
+        this.recurringManager = new RecurringManager(this);
+        this.importManager = new ImportManager(this);
+        this.categoryManager = new CategoryManager(this);
+        this.currencyManager = new CurrencyManager(this);
+        this.debtPlanner = new DebtPlanner(this);
+        this.zakatManager = new ZakatManager(this);
         this.init();
     }
 
@@ -20,9 +33,21 @@ class FinanceManager {
      */
     async init() {
         try {
+            await this.categoryManager.load();
+            await this.currencyManager.load();
+            await this.recurringManager.materializeDue();
             await this.loadData();
+            if (await this.budgetManager.settleClosedMonths()) {
+                await this.loadData();
+            }
             this.setupEventListeners();
+            this.subscribeToChanges();
             this.updateUI();
+            await this.goalManager.loadProjections();
+            this.goalManager.render();
+            this.recurringManager.scheduleReminders();
+            this.recurringManager.registerBackgroundSync();
+            await this.budgetManager.checkAlerts();
         } catch (error) {
             console.error('Error initializing finance manager:', error);
         }
@@ -33,20 +58,39 @@ class FinanceManager {
      */
     async loadData() {
         try {
-            this.transactions = await window.storageManager.getAllFromDB('financeDB', 'transactions');
-            const budgetData = await window.storageManager.getAllFromDB('financeDB', 'budgets');
+            // Current month for the stats, latest entries for the list
+            this.transactions = await this.repository.getTransactionsForMonth(this.currentMonth);
+            this.recentTransactions = await this.repository.getRecentTransactions(10);
+            const budgetData = await this.repository.getBudgets();
             this.budgets = new Map(budgetData.map(b => [b.category, b]));
-            this.goals = await window.storageManager.getAllFromDB('financeDB', 'goals');
-            this.wealth = await window.storageManager.getAllFromDB('financeDB', 'wealth');
+            this.goals = await this.repository.getGoals();
+            this.wealth = await this.repository.getWealth();
+            this.wealthSnapshots = await this.repository.getWealthSnapshots();
         } catch (error) {
             console.error('Error loading finance data:', error);
             this.transactions = [];
+            this.recentTransactions = [];
             this.budgets = new Map();
             this.goals = [];
             this.wealth = [];
+            this.wealthSnapshots = [];
         }
     }
 
+    /**
+     * Refresh when finance data is changed in another tab
+     */
+    subscribeToChanges() {
+        this.repository.subscribe('*', async () => {
+            await this.categoryManager.load();
+            await this.currencyManager.load();
+            await this.loadData();
+            await this.goalManager.loadProjections();
+            await this.recurringManager.loadTemplates();
+            await this.updateUI();
+        });
+    }
+
     /**
      * Setup event listeners
      */
@@ -56,6 +100,25 @@ class FinanceManager {
             this.showAddTransactionModal();
         });
 
+        document.getElementById('import-statement-btn')?.addEventListener('click', () => {
+            this.importManager.show();
+        });
+        document.getElementById('manage-categories-btn')?.addEventListener('click', () => {
+            this.categoryManager.show();
+        });
+        document.getElementById('manage-currency-btn')?.addEventListener('click', () => {
+            this.currencyManager.show();
+        });
+        document.getElementById('debt-plan-btn')?.addEventListener('click', () => {
+            this.debtPlanner.show();
+        });
+
+        this.budgetManager.setupEventListeners();
+        this.goalManager.setupEventListeners();
+        this.wealthManager.setupEventListeners();
+        this.recurringManager.setupEventListeners();
+        this.zakatManager.setupEventListeners();
+
         // Quick action buttons
         document.querySelectorAll('button').forEach(btn => {
             if (btn.textContent.includes('Catat Pemasukan')) {
@@ -81,32 +144,37 @@ class FinanceManager {
                 <form id="transaction-form" class="space-y-4">
                     <div>
                         <label class="block text-sm font-medium text-gray-700 mb-2">Tipe</label>
-                        <select id="transaction-type" class="form-input" value="${type}">
-                            <option value="income">Pemasukan</option>
-                            <option value="expense">Pengeluaran</option>
+                        <select id="transaction-type" class="form-input">
+                            <option value="income" ${type === 'income' ? 'selected' : ''}>Pemasukan</option>
+                            <option value="expense" ${type === 'expense' ? 'selected' : ''}>Pengeluaran</option>
                         </select>
                     </div>
-                    <div>
-                        <label class="block text-sm font-medium text-gray-700 mb-2">Jumlah</label>
-                        <input type="number" id="transaction-amount" class="form-input" placeholder="100000" required>
+                    <div class="grid grid-cols-3 gap-3">
+                        <div class="col-span-2">
+                            <label class="block text-sm font-medium text-gray-700 mb-2">Jumlah</label>
+                            <input type="number" id="transaction-amount" class="form-input" placeholder="100000" step="any" required>
+                        </div>
+                        <div>
+                            <label class="block text-sm font-medium text-gray-700 mb-2">Mata uang</label>
+                            <select id="transaction-currency" class="form-input">${this.currencyManager.renderOptions()}</select>
+                        </div>
                     </div>
                     <div>
                         <label class="block text-sm font-medium text-gray-700 mb-2">Kategori</label>
-                        <select id="transaction-category" class="form-input" required>
-                            <option value="">Pilih Kategori</option>
-                            <option value="salary">Gaji</option>
-                            <option value="food">Makanan</option>
-                            <option value="transport">Transportasi</option>
-                            <option value="entertainment">Hiburan</option>
-                            <option value="health">Kesehatan</option>
-                            <option value="education">Pendidikan</option>
-                            <option value="other">Lainnya</option>
-                        </select>
+                        <select id="transaction-category" class="form-input" required></select>
+                        <p id="transaction-category-hint" class="text-xs text-gray-500 mt-1 hidden">Dipilih otomatis dari aturan kategori</p>
                     </div>
                     <div>
                         <label class="block text-sm font-medium text-gray-700 mb-2">Deskripsi</label>
                         <input type="text" id="transaction-description" class="form-input" placeholder="Deskripsi transaksi">
                     </div>
+                    <div class="${this.wealth.length === 0 ? 'hidden' : ''}">
+                        <label class="block text-sm font-medium text-gray-700 mb-2">Akun (opsional)</label>
+                        <select id="transaction-account" class="form-input">
+                            <option value="">-</option>
+                            ${this.wealth.map(account => `<option value="${account.id}">${Utils.sanitizeHTML(account.name)}</option>`).join('')}
+                        </select>
+                    </div>
                     <div>
                         <label class="block text-sm font-medium text-gray-700 mb-2">Tanggal</label>
                         <input type="date" id="transaction-date" class="form-input" value="${new Date().toISOString().split('T')[0]}" required>
@@ -125,6 +193,49 @@ class FinanceManager {
 
         document.body.appendChild(modal);
 
+        // Suggest a category from the rules until the user picks one themselves
+        const categorySelect = document.getElementById('transaction-category');
+        let pickedByUser = false;
+        modal.suggestedCategory = null;
+        const suggest = () => {
+            const draft = this.readTransactionForm();
+            modal.suggestedCategory = this.categoryManager.categorize(draft);
+            if (pickedByUser) return;
+            categorySelect.value = modal.suggestedCategory || 'other';
+            document.getElementById('transaction-category-hint').classList.toggle('hidden', !modal.suggestedCategory);
+        };
+        const fillCategories = () => {
+            categorySelect.innerHTML = this.categoryManager.renderOptions(document.getElementById('transaction-type').value);
+            suggest();
+        };
+        fillCategories();
+
+        document.getElementById('transaction-type').addEventListener('change', () => {
+            pickedByUser = false;
+            fillCategories();
+        });
+        categorySelect.addEventListener('change', () => {
+            pickedByUser = true;
+            document.getElementById('transaction-category-hint').classList.add('hidden');
+        });
+        const debouncedSuggest = Utils.debounce(suggest, 300);
+        ['transaction-description', 'transaction-amount'].forEach(id => {
+            document.getElementById(id).addEventListener('input', debouncedSuggest);
+        });
+        // Follow the account's currency until the user picks one themselves
+        const currencySelect = document.getElementById('transaction-currency');
+        let currencyPicked = false;
+        currencySelect.addEventListener('change', () => {
+            currencyPicked = true;
+        });
+        document.getElementById('transaction-account').addEventListener('change', (e) => {
+            const account = this.wealth.find(item => item.id === Number(e.target.value));
+            if (!currencyPicked) {
+                currencySelect.value = account ? this.currencyManager.currencyOf(account) : this.currencyManager.baseCurrency;
+            }
+            suggest();
+        });
+
         // Handle form submission
         document.getElementById('transaction-form').addEventListener('submit', (e) => {
             e.preventDefault();
@@ -133,30 +244,46 @@ class FinanceManager {
     }
 
     /**
-     * Handle add transaction
+     * Current values of the add transaction form
      */
-    async handleAddTransaction(modal) {
-        const formData = {
+    readTransactionForm() {
+        const transaction = {
             type: document.getElementById('transaction-type').value,
             amount: parseFloat(document.getElementById('transaction-amount').value),
+            currency: document.getElementById('transaction-currency').value,
             category: document.getElementById('transaction-category').value,
             description: document.getElementById('transaction-description').value,
             date: document.getElementById('transaction-date').value,
             timestamp: new Date().toISOString()
         };
+        const accountId = Number(document.getElementById('transaction-account').value);
+        if (accountId) transaction.accountId = accountId;
+        return transaction;
+    }
+
+    /**
+     * Handle add transaction
+     */
+    async handleAddTransaction(modal) {
+        const formData = this.readTransactionForm();
 
         try {
             // Save transaction
-            await window.storageManager.saveToDB('financeDB', 'transactions', formData);
+            await this.repository.addTransaction(formData);
+            await this.categoryManager.learn(formData, modal.suggestedCategory);
             
-            // Add to local array
-            this.transactions.push(formData);
+            // Reload so the month stats and recent list stay in their ranges
+            await this.loadData();
             
             // Update UI
             await this.updateUI();
             
             // Close modal
             document.body.removeChild(modal);
+
+            if (formData.type === 'expense') {
+                await this.budgetManager.checkAlerts();
+            }
             
             // Show success message
             if (window.notificationManager) {
@@ -181,26 +308,39 @@ class FinanceManager {
      * Update UI
      */
     async updateUI() {
+        this.currencyManager.missing.clear();
         this.renderStats();
+        this.budgetManager.render();
+        this.goalManager.render();
+        this.wealthManager.render();
+        this.recurringManager.render();
+        await this.zakatManager.render();
         this.renderRecentTransactions();
+        this.renderCurrencyNotice();
+    }
+
+    /**
+     * Warn when totals left out amounts in a currency without an exchange rate
+     */
+    renderCurrencyNotice() {
+        const notice = document.getElementById('currency-notice');
+        if (!notice) return;
+        const text = this.currencyManager.getMissingNotice();
+        notice.textContent = text;
+        notice.classList.toggle('hidden', !text);
     }
 
     /**
-     * Render financial stats
+     * Render financial stats, converted to the base currency
      */
     renderStats() {
-        const currentMonth = new Date().toISOString().slice(0, 7);
-        const thisMonthTransactions = this.transactions.filter(t => 
-            t.date.startsWith(currentMonth)
-        );
-        
-        const totalIncome = thisMonthTransactions
+        const totalIncome = this.transactions
             .filter(t => t.type === 'income')
-            .reduce((sum, t) => sum + t.amount, 0);
+            .reduce((sum, t) => sum + this.currencyManager.toBase(t), 0);
         
-        const totalExpense = thisMonthTransactions
+        const totalExpense = this.transactions
             .filter(t => t.type === 'expense')
-            .reduce((sum, t) => sum + t.amount, 0);
+            .reduce((sum, t) => sum + this.currencyManager.toBase(t), 0);
         
         const savingsRate = totalIncome > 0 ? 
             Math.round(((totalIncome - totalExpense) / totalIncome) * 100) : 0;
@@ -226,26 +366,25 @@ class FinanceManager {
         const container = document.getElementById('recent-transactions');
         if (!container) return;
         
-        if (this.transactions.length === 0) {
+        if (this.recentTransactions.length === 0) {
             // Keep the empty state
             return;
         }
         
-        // Get recent transactions (last 10)
-        const recentTransactions = this.transactions
-            .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
-            .slice(0, 10);
-        
         container.innerHTML = '';
         
-        recentTransactions.forEach(transaction => {
+        this.recentTransactions.forEach(transaction => {
             const transactionElement = document.createElement('div');
             transactionElement.className = 'flex items-center justify-between p-4 bg-gray-50 rounded-lg';
             
             const isIncome = transaction.type === 'income';
-            const amountClass = isIncome ? 'text-emerald-600' : 'text-red-600';
-            const iconBg = isIncome ? 'bg-emerald-100' : 'bg-red-100';
-            const icon = isIncome ? 
+            // Transfers (e.g. goal contributions) move money without being income or expense
+            const isTransfer = transaction.type === 'transfer';
+            const amountClass = isTransfer ? 'text-blue-600' : isIncome ? 'text-emerald-600' : 'text-red-600';
+            const iconBg = isTransfer ? 'bg-blue-100' : isIncome ? 'bg-emerald-100' : 'bg-red-100';
+            const icon = isTransfer ?
+                '<svg class="w-5 h-5 text-blue-600" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M8 7h12m0 0l-4-4m4 4l-4 4m0 6H4m0 0l4 4m-4-4l4-4"></path></svg>' :
+                isIncome ? 
                 '<svg class="w-5 h-5 text-emerald-600" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 6v6m0 0v6m0-6h6m-6 0H6"></path></svg>' :
                 '<svg class="w-5 h-5 text-red-600" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M20 12H4"></path></svg>';
             
@@ -255,13 +394,13 @@ class FinanceManager {
                         ${icon}
                     </div>
                     <div>
-                        <h4 class="font-medium text-gray-900">${this.getCategoryLabel(transaction.category)}</h4>
-                        <p class="text-sm text-gray-500">${transaction.description || 'Tidak ada deskripsi'}</p>
-                        <p class="text-xs text-gray-400">${Utils.formatDate(transaction.date)}</p>
+                        <h4 class="font-medium text-gray-900">${Utils.sanitizeHTML(this.categoryManager.getIcon(transaction.category))} ${Utils.sanitizeHTML(this.getCategoryLabel(transaction.category))}</h4>
+                        <p class="text-sm text-gray-500">${Utils.sanitizeHTML(transaction.description || 'Tidak ada deskripsi')}</p>
+                        <p class="text-xs text-gray-400">${Utils.formatDate(transaction.date)}${transaction.recurringId ? ' · berulang' : ''}${transaction.estimated ? ' · jumlah perkiraan' : ''}</p>
                     </div>
                 </div>
                 <div class="text-right">
-                    <p class="font-semibold ${amountClass}">${isIncome ? '+' : '-'} ${this.formatCurrency(transaction.amount)}</p>
+                    <p class="font-semibold ${amountClass}">${isTransfer ? '' : isIncome ? '+ ' : '- '}${this.currencyManager.formatWithBase(transaction)}</p>
                 </div>
             `;
             
@@ -270,16 +409,16 @@ class FinanceManager {
     }
 
     /**
-     * Calculate net worth
+     * Calculate net worth in the base currency at today's rates
      */
     calculateNetWorth() {
         const totalAssets = this.wealth
             .filter(item => item.type === 'asset')
-            .reduce((sum, item) => sum + item.value, 0);
+            .reduce((sum, item) => sum + this.currencyManager.accountToBase(item), 0);
         
         const totalLiabilities = this.wealth
             .filter(item => item.type === 'liability')
-            .reduce((sum, item) => sum + item.value, 0);
+            .reduce((sum, item) => sum + this.currencyManager.accountToBase(item), 0);
         
         return totalAssets - totalLiabilities;
     }
@@ -288,57 +427,48 @@ class FinanceManager {
      * Get category label
      */
     getCategoryLabel(category) {
-        const labels = {
-            'salary': 'Gaji',
-            'food': 'Makanan',
-            'transport': 'Transportasi',
-            'entertainment': 'Hiburan',
-            'health': 'Kesehatan',
-            'education': 'Pendidikan',
-            'other': 'Lainnya'
-        };
-        return labels[category] || category;
+        return this.categoryManager.getLabel(category);
+    }
+
+    /**
+     * Categories that can be chosen for an expense
+     */
+    getExpenseCategories() {
+        return this.categoryManager.getCategories('expense').map(category => category.id);
+    }
+
+    /**
+     * Categories that can be chosen for an income
+     */
+    getIncomeCategories() {
+        return this.categoryManager.getCategories('income').map(category => category.id);
     }
 
     /**
-     * Format currency
+     * Format currency, in the base currency unless another one is given
      */
-    formatCurrency(amount) {
-        return new Intl.NumberFormat('id-ID', {
-            style: 'currency',
-            currency: 'IDR',
-            minimumFractionDigits: 0
-        }).format(amount);
+    formatCurrency(amount, currency = this.currencyManager.baseCurrency) {
+        return Utils.formatCurrency(amount, currency);
     }
 
     /**
      * Show report modal
      */
     showReportModal() {
-        // Simplified report modal
-        const modal = document.createElement('div');
-        modal.className = 'fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center p-4';
-        modal.innerHTML = `
-            <div class="bg-white rounded-2xl max-w-lg w-full p-6">
-                <h3 class="text-xl font-poppins font-semibold text-gray-900 mb-6">Laporan Keuangan</h3>
-                <div class="space-y-4">
-                    <div class="text-center py-8">
-                        <div class="text-6xl mb-4">📊</div>
-                        <p class="text-gray-600">Fitur laporan detail akan segera hadir!</p>
-                        <p class="text-sm text-gray-500 mt-2">Sementara ini, Anda bisa melihat ringkasan di dashboard.</p>
-                    </div>
-                </div>
-                <button onclick="this.closest('.fixed').remove()" class="w-full bg-gray-100 hover:bg-gray-200 text-gray-700 font-medium py-3 px-6 rounded-lg transition-colors mt-6">
-                    Tutup
-                </button>
-            </div>
-        `;
-
-        document.body.appendChild(modal);
+        this.reportManager.show();
     }
 }
 
 // Initialize when DOM is loaded
-document.addEventListener('DOMContentLoaded', () => {
-    window.financeManager = new FinanceManager();
+document.addEventListener('DOMContentLoaded', async () => {
+    // finance.html doesn't load main.js, so create the shared managers it uses here
+    if (!window.gamificationManager) {
+        window.gamificationManager = new GamificationManager(window.storageManager);
+        await window.gamificationManager.init();
+    }
+    if (!window.notificationManager) {
+        window.notificationManager = new NotificationManager(window.storageManager);
+        await window.notificationManager.init();
+    }
+    window.financeManager = new FinanceManager(window.storageManager, window.gamificationManager);
 });
\ No newline at end of file
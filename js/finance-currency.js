@@ -0,0 +1,285 @@
+/**
+ * Finance Currency - Base currency setting and the exchange rate table on financeDB.exchangeRates
+ * Rates are entered by hand or imported from CSV; nothing is fetched online. Amounts are converted with
+ * the rate in effect on their own date, so old months keep the rates of their time.
+ */
+
+class CurrencyManager {
+    constructor(financeManager) {
+        this.finance = financeManager;
+        this.repository = financeManager.repository;
+        this.currencies = {
+            IDR: 'Rupiah',
+            USD: 'Dolar AS',
+            SGD: 'Dolar Singapura',
+            MYR: 'Ringgit Malaysia',
+            EUR: 'Euro',
+            GBP: 'Pound Inggris',
+            JPY: 'Yen Jepang',
+            AUD: 'Dolar Australia',
+            CNY: 'Yuan Tiongkok',
+            SAR: 'Riyal Saudi'
+        };
+        this.converter = new CurrencyConverter();
+    }
+
+    get baseCurrency() {
+        return this.converter.baseCurrency;
+    }
+
+    get rates() {
+        return this.converter.rates;
+    }
+
+    // Currencies that could not be converted to the base currency since the last render
+    get missing() {
+        return this.converter.missing;
+    }
+
+    async load() {
+        try {
+            this.converter = await this.repository.getCurrencyConverter();
+        } catch (error) {
+            console.error('Error loading exchange rates:', error);
+            this.converter = new CurrencyConverter([], this.repository.getBaseCurrency());
+        }
+    }
+
+    setBaseCurrency(currency) {
+        this.repository.setBaseCurrency(currency);
+        this.converter = new CurrencyConverter(this.rates, currency);
+    }
+
+    currencyOf(record) {
+        return this.converter.currencyOf(record);
+    }
+
+    getRate(from, to, date) {
+        return this.converter.getRate(from, to, date);
+    }
+
+    /**
+     * Convert an amount between currencies with the rate of its date
+     * @returns {number|null} null when no rate is known
+     */
+    convert(amount, from, to = this.baseCurrency, date = undefined) {
+        return this.converter.convert(amount, from, to, date);
+    }
+
+    /**
+     * Amount of a transaction in the base currency at its date. Amounts without a known rate count
+     * as 0 and their currency is remembered in this.missing, so totals stay in one currency.
+     */
+    toBase(transaction, amount = transaction.amount) {
+        return this.converter.toBase(transaction, amount);
+    }
+
+    /**
+     * Value of an account in the base currency on a date
+     */
+    accountToBase(account, value = account.value, date = new Date().toISOString().split('T')[0]) {
+        return this.toBase({ currency: account.currency, date: date }, value);
+    }
+
+    format(amount, currency = this.baseCurrency) {
+        return CurrencyConverter.format(amount, currency);
+    }
+
+    /**
+     * An amount in its own currency, followed by its base currency value when they differ
+     */
+    formatWithBase(record, amount = record.amount) {
+        const currency = this.currencyOf(record);
+        const own = this.format(amount, currency);
+        if (currency === this.baseCurrency) return own;
+        const converted = this.convert(amount, currency, this.baseCurrency, record.date || undefined);
+        return converted === null ? own : `${own} <span class="text-xs text-gray-400">≈ ${this.format(converted)}</span>`;
+    }
+
+    /**
+     * <option> elements for a currency select
+     */
+    renderOptions(selected = this.baseCurrency) {
+        return Object.entries(this.currencies)
+            .map(([code, name]) => `<option value="${code}" ${code === selected ? 'selected' : ''}>${code} · ${name}</option>`)
+            .join('');
+    }
+
+    /**
+     * Short warning for totals that left out amounts without a rate, or an empty string
+     */
+    getMissingNotice() {
+        if (this.missing.size === 0) return '';
+        return `Kurs ${Array.from(this.missing).join(', ')} ke ${this.baseCurrency} belum diisi, jumlahnya tidak dihitung`;
+    }
+
+    /**
+     * Read exchange rates from CSV with the columns date, currency, rate and optionally quote
+     * (defaults to the base currency). Rates use a dot as decimal separator.
+     * @returns {{rates: Array, skipped: number}}
+     */
+    parseRatesCSV(text) {
+        const rows = Utils.parseCSV(text);
+        const rates = [];
+        let skipped = 0;
+        rows.forEach(row => {
+            const cells = Object.fromEntries(Object.entries(row).map(([key, cell]) => [key.trim().toLowerCase(), cell]));
+            const value = (key) => String(cells[key] ?? '').trim();
+            const rate = {
+                currency: value('currency').toUpperCase(),
+                quote: (value('quote') || this.baseCurrency).toUpperCase(),
+                date: value('date'),
+                rate: parseFloat(value('rate'))
+            };
+            if (!/^[A-Z]{3}$/.test(rate.currency) || !/^[A-Z]{3}$/.test(rate.quote) || rate.currency === rate.quote
+                || !/^\d{4}-\d{2}-\d{2}$/.test(rate.date) || !(rate.rate > 0)) {
+                skipped++;
+                return;
+            }
+            rates.push(rate);
+        });
+        return { rates, skipped };
+    }
+
+    /**
+     * Show the base currency and exchange rate modal
+     */
+    show() {
+        const today = new Date().toISOString().split('T')[0];
+        const modal = document.createElement('div');
+        modal.className = 'fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center p-4';
+        modal.innerHTML = `
+            <div class="bg-white rounded-2xl max-w-2xl w-full p-6 max-h-screen overflow-y-auto">
+                <div class="flex items-center justify-between mb-6">
+                    <h3 class="text-xl font-poppins font-semibold text-gray-900">Mata Uang & Kurs</h3>
+                    <button data-close class="text-gray-400 hover:text-gray-600 text-2xl leading-none" title="Tutup">&times;</button>
+                </div>
+
+                <section class="mb-8">
+                    <label class="block text-sm font-medium text-gray-700 mb-2">Mata uang utama</label>
+                    <select id="base-currency" class="form-input">${this.renderOptions()}</select>
+                    <p class="text-xs text-gray-500 mt-1">Total, laporan, dan kekayaan bersih ditampilkan dalam mata uang ini. Batas anggaran dan target tidak ikut dikonversi.</p>
+                </section>
+
+                <section>
+                    <h4 class="font-semibold text-gray-900 mb-1">Tabel kurs</h4>
+                    <p class="text-xs text-gray-500 mb-3">Transaksi lama dihitung dengan kurs terakhir sebelum tanggalnya.</p>
+                    <div id="rate-list" class="space-y-2 mb-4"></div>
+                    <form id="rate-form" class="grid grid-cols-2 md:grid-cols-4 gap-2 items-end">
+                        <select id="rate-currency" class="form-input">${this.renderOptions('USD')}</select>
+                        <input type="number" id="rate-value" class="form-input" min="0" step="any" placeholder="Kurs" required>
+                        <input type="date" id="rate-date" class="form-input" value="${today}" max="${today}" required>
+                        <button type="submit" class="bg-secondary hover:bg-blue-700 text-white font-medium py-2 px-4 rounded-lg transition-colors">Tambah</button>
+                    </form>
+                    <p id="rate-form-hint" class="text-xs text-gray-500 mt-1"></p>
+                    <div class="flex flex-wrap items-center gap-3 mt-6 p-3 bg-gray-50 rounded-lg">
+                        <span class="text-sm text-gray-700">Impor CSV dengan kolom <code>date,currency,rate</code> (opsional <code>quote</code>)</span>
+                        <label class="ml-auto text-secondary hover:text-blue-700 font-medium text-sm cursor-pointer">
+                            Pilih File
+                            <input type="file" id="rate-file" accept=".csv,text/csv" class="hidden">
+                        </label>
+                    </div>
+                </section>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+        this.renderRates(modal);
+
+        modal.querySelector('[data-close]').addEventListener('click', async () => {
+            modal.remove();
+            await this.finance.updateUI();
+        });
+        modal.querySelector('#base-currency').addEventListener('change', (e) => {
+            this.setBaseCurrency(e.target.value);
+            this.renderRates(modal);
+        });
+        modal.querySelector('#rate-currency').addEventListener('change', () => this.renderRates(modal));
+        modal.querySelector('#rate-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleAddRate(modal);
+        });
+        modal.querySelector('#rate-file').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) this.handleImport(modal, file);
+        });
+        modal.querySelector('#rate-list').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-rate-delete]');
+            if (button) this.deleteRate(modal, Number(button.dataset.rateDelete));
+        });
+    }
+
+    renderRates(modal) {
+        const currency = modal.querySelector('#rate-currency').value;
+        modal.querySelector('#rate-form-hint').textContent = `Nilai 1 ${currency} dalam ${this.baseCurrency}`;
+
+        const rates = [...this.rates].sort((a, b) => b.date.localeCompare(a.date) || a.currency.localeCompare(b.currency));
+        modal.querySelector('#rate-list').innerHTML = rates.length === 0
+            ? '<p class="text-sm text-gray-500">Belum ada kurs</p>'
+            : rates.map(rate => `
+                <div class="flex items-center justify-between p-2 bg-gray-50 rounded-lg text-sm">
+                    <span>1 ${rate.currency} = <strong>${this.format(rate.rate, rate.quote)}</strong></span>
+                    <span class="flex items-center text-gray-500">
+                        ${Utils.formatDate(rate.date, { weekday: undefined, day: 'numeric', month: 'short', year: 'numeric' })}
+                        <button data-rate-delete="${rate.id}" class="text-gray-400 hover:text-red-600 px-2" title="Hapus kurs">&times;</button>
+                    </span>
+                </div>
+            `).join('');
+    }
+
+    async saveRates(modal, rates) {
+        await this.repository.saveExchangeRates(rates);
+        this.converter = new CurrencyConverter(await this.repository.getExchangeRates(), this.baseCurrency);
+        this.renderRates(modal);
+    }
+
+    async handleAddRate(modal) {
+        const rate = {
+            currency: modal.querySelector('#rate-currency').value,
+            quote: this.baseCurrency,
+            date: modal.querySelector('#rate-date').value,
+            rate: parseFloat(modal.querySelector('#rate-value').value)
+        };
+        if (rate.currency === rate.quote || !(rate.rate > 0)) {
+            window.notificationManager?.showErrorMessage('Pilih mata uang lain dari mata uang utama dan isi kurs yang valid');
+            return;
+        }
+
+        try {
+            await this.saveRates(modal, [rate]);
+            modal.querySelector('#rate-value').value = '';
+        } catch (error) {
+            console.error('Error saving exchange rate:', error);
+            window.notificationManager?.showErrorMessage('Gagal menyimpan kurs');
+        }
+    }
+
+    async handleImport(modal, file) {
+        try {
+            const { rates, skipped } = this.parseRatesCSV(await file.text());
+            if (rates.length === 0) {
+                window.notificationManager?.showErrorMessage('Tidak ada kurs yang bisa dibaca dari file');
+                return;
+            }
+            await this.saveRates(modal, rates);
+            window.notificationManager?.showSuccessMessage(`${rates.length} kurs diimpor${skipped > 0 ? `, ${skipped} baris dilewati` : ''}`);
+        } catch (error) {
+            console.error('Error importing exchange rates:', error);
+            window.notificationManager?.showErrorMessage('Gagal mengimpor kurs');
+        }
+    }
+
+    async deleteRate(modal, rateId) {
+        try {
+            await this.repository.deleteExchangeRate(rateId);
+            this.converter = new CurrencyConverter(this.rates.filter(rate => rate.id !== rateId), this.baseCurrency);
+            this.renderRates(modal);
+        } catch (error) {
+            console.error('Error deleting exchange rate:', error);
+            window.notificationManager?.showErrorMessage('Gagal menghapus kurs');
+        }
+    }
+}
+
+window.CurrencyManager = CurrencyManager;
@@ -0,0 +1,383 @@
+/**
+ * Finance Debt - Payoff planner for the liabilities in financeDB.wealth
+ * Simulates the debts month by month with their interest and minimum payments. The chosen plan becomes a
+ * debt goal with milestones and reminder-only recurring payments.
+ */
+
+class DebtPlanner {
+    constructor(financeManager) {
+        this.finance = financeManager;
+        this.repository = financeManager.repository;
+        this.strategies = {
+            avalanche: {
+                label: 'Avalanche',
+                description: 'Bunga tertinggi dulu, total bunga paling kecil',
+                order: (debts) => [...debts].sort((a, b) => b.rate - a.rate || a.balance - b.balance)
+            },
+            snowball: {
+                label: 'Snowball',
+                description: 'Saldo terkecil dulu, cepat terasa ada yang lunas',
+                order: (debts) => [...debts].sort((a, b) => a.balance - b.balance || b.rate - a.rate)
+            },
+            custom: {
+                label: 'Urutan Sendiri',
+                description: 'Urutan yang Anda tentukan',
+                order: (debts) => this.customOrder
+                    .map(id => debts.find(debt => debt.id === id))
+                    .filter(Boolean)
+                    .concat(debts.filter(debt => !this.customOrder.includes(debt.id)))
+            }
+        };
+        // Plans that are not paid off after this many months count as never paid off
+        this.maxMonths = 600;
+        this.milestones = [25, 50, 75];
+        this.reminderDays = 1;
+        this.customOrder = [];
+    }
+
+    /**
+     * Liabilities with an outstanding balance, in the base currency
+     * @returns {Array<{id: number, name: string, balance: number, rate: number, minimum: number}>}
+     */
+    getDebts() {
+        const currency = this.finance.currencyManager;
+        return this.finance.wealth
+            .filter(account => this.finance.wealthManager.isLiability(account) && account.value > 0)
+            .map(account => ({
+                id: account.id,
+                name: account.name,
+                balance: currency.accountToBase(account),
+                rate: account.interestRate || 0,
+                minimum: currency.accountToBase(account, account.minimumPayment || 0)
+            }));
+    }
+
+    /**
+     * The active debt goal created from a plan, if any
+     */
+    getPlanGoal() {
+        return this.finance.goals.find(goal => goal.debtPlan && goal.status !== 'completed') || null;
+    }
+
+    /**
+     * Pay the debts month by month. Interest is added first, then every open debt gets its minimum.
+     * With rollover the monthly budget stays the same (all minimums plus the extra payment), so whatever
+     * is left, including the minimums of debts already paid off, goes to the first open debt in order.
+     * @param {Array} debts - From getDebts()
+     * @param {Object} options
+     * @param {number} [options.extra] - Extra payment per month
+     * @param {Array<number>} [options.order] - Debt ids, first paid off first
+     * @param {boolean} [options.rollover] - false pays only the minimums
+     * @returns {{feasible: boolean, months: number|null, totalInterest: number, payoffs: Map<number, number>, firstPayments: Map<number, number>}}
+     *   payoffs maps debt ids to the month (1-based) they are paid off in
+     */
+    simulate(debts, { extra = 0, order = [], rollover = true } = {}) {
+        const state = debts.map(debt => ({ ...debt }));
+        const priority = order.map(id => state.find(debt => debt.id === id)).filter(Boolean);
+        const budget = debts.reduce((sum, debt) => sum + debt.minimum, 0) + extra;
+        const payoffs = new Map();
+        const firstPayments = new Map();
+        const isOpen = (debt) => debt.balance > 0.005;
+        let totalInterest = 0;
+        let month = 0;
+
+        while (state.some(isOpen) && month < this.maxMonths) {
+            month++;
+            const open = state.filter(isOpen);
+            open.forEach(debt => {
+                const interest = debt.balance * debt.rate / 1200;
+                debt.balance += interest;
+                totalInterest += interest;
+            });
+
+            const pay = (debt, amount) => {
+                const paid = Math.min(amount, debt.balance);
+                debt.balance -= paid;
+                if (month === 1) firstPayments.set(debt.id, (firstPayments.get(debt.id) || 0) + paid);
+                return paid;
+            };
+            let available = budget;
+            open.forEach(debt => {
+                available -= pay(debt, debt.minimum);
+            });
+            if (rollover) {
+                for (const debt of priority) {
+                    if (available <= 0) break;
+                    if (isOpen(debt)) available -= pay(debt, available);
+                }
+            }
+
+            open.filter(debt => !isOpen(debt)).forEach(debt => {
+                debt.balance = 0;
+                payoffs.set(debt.id, month);
+            });
+        }
+
+        const feasible = !state.some(isOpen);
+        return { feasible, months: feasible ? month : null, totalInterest, payoffs, firstPayments };
+    }
+
+    /**
+     * Every strategy with its simulation, plus paying only the minimums for comparison
+     */
+    compare(debts, extra) {
+        const baseline = this.simulate(debts, { rollover: false });
+        const plans = Object.entries(this.strategies).map(([key, strategy]) => {
+            const order = strategy.order(debts).map(debt => debt.id);
+            const result = this.simulate(debts, { extra, order });
+            return {
+                key: key,
+                order: order,
+                ...result,
+                interestSaved: baseline.feasible && result.feasible ? baseline.totalInterest - result.totalInterest : null
+            };
+        });
+        return { baseline, plans };
+    }
+
+    /**
+     * YYYY-MM-DD of the payment in a plan month, keeping the day of the first payment
+     * @param {string} startDate - First payment, month 1
+     * @param {number} month - 1-based
+     */
+    getPaymentDate(startDate, month) {
+        const [year, monthNumber, day] = startDate.split('-').map(Number);
+        return RecurringSchedule.clampDay(year, monthNumber - 1 + month - 1, day);
+    }
+
+    formatMonth(date) {
+        return new Date(`${date}T00:00:00`).toLocaleDateString('id-ID', { month: 'short', year: 'numeric' });
+    }
+
+    /**
+     * Show the planner modal
+     */
+    show() {
+        const debts = this.getDebts();
+        const planGoal = this.getPlanGoal();
+        const plan = planGoal?.debtPlan;
+        this.customOrder = plan ? [...plan.order] : this.strategies.snowball.order(debts).map(debt => debt.id);
+        const defaultStart = `${this.finance.budgetManager.shiftMonth(this.finance.currentMonth, 1)}-01`;
+
+        const modal = document.createElement('div');
+        modal.className = 'fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center p-4';
+        modal.innerHTML = `
+            <div class="bg-white rounded-2xl max-w-3xl w-full p-6 max-h-screen overflow-y-auto">
+                <div class="flex items-center justify-between mb-6">
+                    <h3 class="text-xl font-poppins font-semibold text-gray-900">Rencana Pelunasan Utang</h3>
+                    <button data-close class="text-gray-400 hover:text-gray-600 text-2xl leading-none" title="Tutup">&times;</button>
+                </div>
+                ${debts.length === 0 ? `
+                    <div class="text-center py-8 text-gray-500">
+                        <p class="mb-1">Belum ada utang yang tercatat</p>
+                        <p class="text-sm">Tambahkan pinjaman atau kartu kredit beserta bunga dan cicilan minimumnya di Aset & Liabilitas.</p>
+                    </div>
+                ` : `
+                    <div class="grid grid-cols-2 gap-3 mb-6">
+                        <div>
+                            <label class="block text-sm font-medium text-gray-700 mb-2">Bayar ekstra per bulan</label>
+                            <input type="number" id="debt-extra" class="form-input" min="0" step="any" value="${plan?.extraPayment ?? 0}">
+                        </div>
+                        <div>
+                            <label class="block text-sm font-medium text-gray-700 mb-2">Pembayaran pertama</label>
+                            <input type="date" id="debt-start" class="form-input" value="${plan?.startDate || defaultStart}" required>
+                        </div>
+                    </div>
+                    <div id="debt-strategies" class="grid grid-cols-1 md:grid-cols-3 gap-3 mb-4"></div>
+                    <div id="debt-custom-order" class="hidden mb-4"></div>
+                    <div id="debt-comparison" class="mb-4"></div>
+                    <div id="debt-schedule" class="mb-6"></div>
+                    <p class="text-xs text-gray-500 mb-4">
+                        Rencana dibuat sebagai target "Pelunasan Utang" dan pengingat bulanan per utang. Jumlah pengingat mengikuti bulan pertama;
+                        terapkan ulang rencana setelah memperbarui saldo agar jumlahnya ikut berubah.
+                    </p>
+                    <button id="debt-apply" class="w-full bg-secondary hover:bg-blue-700 text-white font-medium py-3 px-6 rounded-lg transition-colors">
+                        ${planGoal ? 'Perbarui Rencana' : 'Terapkan Rencana'}
+                    </button>
+                `}
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+        modal.querySelector('[data-close]').addEventListener('click', () => modal.remove());
+        if (debts.length === 0) return;
+
+        modal.selectedStrategy = plan?.strategy || 'avalanche';
+        this.renderPlanner(modal, debts);
+
+        modal.querySelector('#debt-extra').addEventListener('input', Utils.debounce(() => this.renderPlanner(modal, debts), 300));
+        modal.querySelector('#debt-start').addEventListener('change', () => this.renderPlanner(modal, debts));
+        modal.addEventListener('click', (e) => {
+            const strategy = e.target.closest('[data-debt-strategy]');
+            const move = e.target.closest('[data-debt-move]');
+            if (strategy) {
+                modal.selectedStrategy = strategy.dataset.debtStrategy;
+                this.renderPlanner(modal, debts);
+            } else if (move) {
+                const index = this.customOrder.indexOf(Number(move.dataset.debtId));
+                const target = index + Number(move.dataset.debtMove);
+                if (index < 0 || target < 0 || target >= this.customOrder.length) return;
+                [this.customOrder[index], this.customOrder[target]] = [this.customOrder[target], this.customOrder[index]];
+                this.renderPlanner(modal, debts);
+            }
+        });
+        modal.querySelector('#debt-apply').addEventListener('click', () => this.applyPlan(modal, debts));
+    }
+
+    readOptions(modal) {
+        return {
+            extra: Math.max(0, parseFloat(modal.querySelector('#debt-extra').value) || 0),
+            startDate: modal.querySelector('#debt-start').value || new Date().toISOString().split('T')[0]
+        };
+    }
+
+    renderPlanner(modal, debts) {
+        const { extra, startDate } = this.readOptions(modal);
+        const { baseline, plans } = this.compare(debts, extra);
+        modal.comparison = { baseline, plans };
+        const selected = plans.find(plan => plan.key === modal.selectedStrategy);
+        const payoffDate = (result) => result.feasible ? this.formatMonth(this.getPaymentDate(startDate, result.months)) : 'Tidak lunas';
+        const format = (amount) => this.finance.formatCurrency(Math.round(amount));
+
+        modal.querySelector('#debt-strategies').innerHTML = plans.map(plan => `
+            <button data-debt-strategy="${plan.key}" class="text-left p-4 rounded-lg border-2 ${plan.key === modal.selectedStrategy ? 'border-secondary bg-blue-50' : 'border-gray-200 hover:border-gray-300'}">
+                <p class="font-semibold text-gray-900">${this.strategies[plan.key].label}</p>
+                <p class="text-xs text-gray-500 mb-2">${this.strategies[plan.key].description}</p>
+                <p class="text-sm">Lunas <strong>${payoffDate(plan)}</strong></p>
+                <p class="text-sm">Bunga ${plan.feasible ? format(plan.totalInterest) : '-'}</p>
+                ${plan.interestSaved !== null ? `<p class="text-sm text-emerald-600">Hemat ${format(plan.interestSaved)}</p>` : ''}
+            </button>
+        `).join('');
+
+        const customOrder = modal.querySelector('#debt-custom-order');
+        customOrder.classList.toggle('hidden', modal.selectedStrategy !== 'custom');
+        customOrder.innerHTML = `
+            <p class="text-sm font-medium text-gray-700 mb-2">Urutan pelunasan</p>
+            <div class="space-y-1">
+                ${this.strategies.custom.order(debts).map((debt, index, ordered) => `
+                    <div class="flex items-center justify-between p-2 bg-gray-50 rounded-lg text-sm">
+                        <span>${index + 1}. ${Utils.sanitizeHTML(debt.name)}</span>
+                        <span>
+                            <button data-debt-move="-1" data-debt-id="${debt.id}" class="px-2 text-gray-500 hover:text-secondary ${index === 0 ? 'invisible' : ''}" title="Naikkan">↑</button>
+                            <button data-debt-move="1" data-debt-id="${debt.id}" class="px-2 text-gray-500 hover:text-secondary ${index === ordered.length - 1 ? 'invisible' : ''}" title="Turunkan">↓</button>
+                        </span>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+
+        modal.querySelector('#debt-comparison').innerHTML = `
+            <p class="text-sm text-gray-600">
+                Hanya cicilan minimum: ${baseline.feasible
+                    ? `lunas ${payoffDate(baseline)}, bunga ${format(baseline.totalInterest)}`
+                    : 'cicilan minimum tidak cukup menutup bunga, utang tidak akan lunas'}
+            </p>
+        `;
+
+        const byId = new Map(debts.map(debt => [debt.id, debt]));
+        modal.querySelector('#debt-schedule').innerHTML = !selected.feasible ? `
+            <p class="text-sm text-red-600">Dengan pembayaran ini utang tidak lunas dalam ${this.maxMonths / 12} tahun. Tambah pembayaran ekstra atau isi cicilan minimum tiap utang.</p>
+        ` : `
+            <table class="w-full text-sm">
+                <thead>
+                    <tr class="text-left text-xs text-gray-500 border-b border-gray-200">
+                        <th class="py-2">Utang</th>
+                        <th class="py-2 text-right">Saldo</th>
+                        <th class="py-2 text-right">Bunga</th>
+                        <th class="py-2 text-right">Bayar bulan pertama</th>
+                        <th class="py-2 text-right">Lunas</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${[...selected.payoffs.entries()].sort((a, b) => a[1] - b[1]).map(([id, month]) => {
+                        const debt = byId.get(id);
+                        return `
+                            <tr class="border-b border-gray-100">
+                                <td class="py-2">${Utils.sanitizeHTML(debt.name)}${debt.minimum === 0 ? ' <span class="text-xs text-amber-600">(tanpa cicilan minimum)</span>' : ''}</td>
+                                <td class="py-2 text-right">${format(debt.balance)}</td>
+                                <td class="py-2 text-right">${debt.rate}%</td>
+                                <td class="py-2 text-right">${format(selected.firstPayments.get(id) || 0)}</td>
+                                <td class="py-2 text-right">${this.formatMonth(this.getPaymentDate(startDate, month))}</td>
+                            </tr>
+                        `;
+                    }).join('')}
+                </tbody>
+            </table>
+        `;
+        modal.querySelector('#debt-apply').disabled = !selected.feasible;
+    }
+
+    /**
+     * Save the selected plan as the debt goal and its payment reminders
+     */
+    async applyPlan(modal, debts) {
+        const { extra, startDate } = this.readOptions(modal);
+        const plan = modal.comparison.plans.find(item => item.key === modal.selectedStrategy);
+        if (!plan?.feasible) return;
+
+        const base = this.finance.currencyManager.baseCurrency;
+        const existing = this.getPlanGoal();
+        const totalBalance = debts.reduce((sum, debt) => sum + debt.balance, 0);
+        const savedAmount = existing?.savedAmount || 0;
+        const now = new Date().toISOString();
+
+        const goal = {
+            ...(existing || {
+                name: 'Bebas Utang',
+                type: 'debt',
+                status: 'active',
+                milestones: [...this.milestones],
+                milestonesReached: [],
+                createdAt: now
+            }),
+            // Payments already made stay counted; the rest of the target is what is still owed
+            savedAmount: savedAmount,
+            targetAmount: Math.round(savedAmount + totalBalance),
+            targetDate: this.getPaymentDate(startDate, plan.months),
+            debtPlan: {
+                strategy: plan.key,
+                extraPayment: extra,
+                order: plan.order,
+                startDate: startDate,
+                months: plan.months,
+                totalInterest: Math.round(plan.totalInterest),
+                interestSaved: plan.interestSaved === null ? null : Math.round(plan.interestSaved),
+                appliedAt: now
+            }
+        };
+
+        const templates = debts
+            .filter(debt => plan.firstPayments.get(debt.id) > 0)
+            .map(debt => ({
+                type: 'transfer',
+                category: 'debt',
+                description: `Bayar ${debt.name}`,
+                amount: Math.ceil(plan.firstPayments.get(debt.id)),
+                currency: base,
+                variance: 0,
+                frequency: 'monthly',
+                startDate: startDate,
+                nextDate: startDate,
+                endDate: this.getPaymentDate(startDate, plan.payoffs.get(debt.id)),
+                reminderDays: this.reminderDays,
+                reminderOnly: true,
+                accountId: debt.id,
+                status: 'active',
+                createdAt: now
+            }));
+
+        try {
+            await this.repository.saveDebtPlan(goal, templates);
+            modal.remove();
+            await this.finance.recurringManager.refresh();
+            await this.finance.goalManager.loadProjections();
+            this.finance.goalManager.render();
+            window.notificationManager?.showSuccessMessage(existing ? 'Rencana pelunasan diperbarui' : 'Rencana pelunasan dibuat');
+        } catch (error) {
+            console.error('Error saving debt plan:', error);
+            window.notificationManager?.showErrorMessage('Gagal menyimpan rencana pelunasan');
+        }
+    }
+}
+
+window.DebtPlanner = DebtPlanner;
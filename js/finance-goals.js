@@ -0,0 +1,409 @@
+/**
+ * Finance Goals - Savings and debt-payoff goals on financeDB.goals
+ * Contributions are stored as 'transfer' transactions linked to the goal by goalId, so they show up in
+ * the transaction history without counting as income or expense. The goal keeps the running total.
+ */
+
+class GoalManager {
+    constructor(financeManager) {
+        this.finance = financeManager;
+        this.repository = financeManager.repository;
+        this.goalTypes = {
+            savings: { label: 'Tabungan', category: 'savings', contribution: 'Setoran' },
+            debt: { label: 'Pelunasan Utang', category: 'debt', contribution: 'Pembayaran' }
+        };
+        // Contributions and savings of this many days set the pace for projections
+        this.projectionDays = 90;
+        this.completionXP = 50;
+        // XP for each milestone (percent paid) of goals that track them, such as debt plans
+        this.milestoneXP = 20;
+        // Projection per goal id, filled by loadProjections()
+        this.projections = new Map();
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        document.getElementById('add-goal-btn')?.addEventListener('click', () => {
+            this.showGoalModal();
+        });
+
+        document.getElementById('goal-list')?.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-goal-action]');
+            if (!button) return;
+            const goal = this.finance.goals.find(item => item.id === Number(button.dataset.goalId));
+            if (!goal) return;
+            if (button.dataset.goalAction === 'contribute') {
+                this.showContributionModal(goal);
+            } else if (button.dataset.goalAction === 'plan') {
+                this.finance.debtPlanner.show();
+            } else if (button.dataset.goalAction === 'delete') {
+                this.deleteGoal(goal);
+            }
+        });
+    }
+
+    /**
+     * Estimate when each active goal is reached.
+     * The pace is the goal's own contributions over the last projectionDays; goals without recent
+     * contributions use the average monthly savings (income minus expenses) instead.
+     */
+    async loadProjections() {
+        this.projections = new Map();
+        const active = this.finance.goals.filter(goal => goal.status !== 'completed');
+        if (active.length === 0) return;
+
+        const from = new Date();
+        from.setDate(from.getDate() - this.projectionDays);
+        const fromDate = from.toISOString().split('T')[0];
+        const months = this.projectionDays / 30;
+
+        try {
+            const recent = await this.repository.getTransactionsInRange(fromDate, new Date().toISOString().split('T')[0]);
+            const toBase = (t) => this.finance.currencyManager.toBase(t);
+            const income = recent.filter(t => t.type === 'income').reduce((sum, t) => sum + toBase(t), 0);
+            const expense = recent.filter(t => t.type === 'expense').reduce((sum, t) => sum + toBase(t), 0);
+            const monthlySavings = (income - expense) / months;
+
+            for (const goal of active) {
+                const contributions = (await this.repository.getGoalContributions(goal.id))
+                    .filter(t => t.date >= fromDate)
+                    .reduce((sum, t) => sum + toBase(t), 0);
+                const pace = contributions > 0 ? contributions / months : monthlySavings;
+                this.projections.set(goal.id, this.project(goal, pace, contributions > 0 ? 'contributions' : 'savings'));
+            }
+        } catch (error) {
+            console.error('Error loading goal projections:', error);
+        }
+    }
+
+    /**
+     * Projection for one goal
+     * @param {Object} goal
+     * @param {number} monthlyPace - Amount added per month
+     * @param {'contributions'|'savings'} basis - What the pace is based on
+     * @returns {{projectedDate: Date|null, requiredMonthly: number|null, onTrack: boolean|null, basis: string}}
+     */
+    project(goal, monthlyPace, basis) {
+        const remaining = Math.max(0, goal.targetAmount - (goal.savedAmount || 0));
+        const now = new Date();
+
+        let projectedDate = null;
+        if (monthlyPace > 0) {
+            projectedDate = new Date(now);
+            projectedDate.setDate(projectedDate.getDate() + Math.ceil((remaining / monthlyPace) * 30));
+        }
+
+        let requiredMonthly = null;
+        if (goal.targetDate) {
+            const monthsLeft = Math.max(1, (new Date(goal.targetDate) - now) / (30 * 24 * 60 * 60 * 1000));
+            requiredMonthly = Math.ceil(remaining / monthsLeft);
+        }
+
+        return {
+            projectedDate: projectedDate,
+            requiredMonthly: requiredMonthly,
+            onTrack: projectedDate && goal.targetDate ? projectedDate <= new Date(goal.targetDate) : null,
+            basis: basis
+        };
+    }
+
+    /**
+     * Render goal cards, active goals first
+     */
+    render() {
+        const container = document.getElementById('goal-list');
+        if (!container) return;
+
+        if (this.finance.goals.length === 0) {
+            container.innerHTML = `
+                <div class="text-center py-8 text-gray-500">
+                    <p class="mb-1">Belum ada target</p>
+                    <p class="text-sm">Buat target tabungan atau pelunasan utang dan pantau kapan tercapai.</p>
+                </div>
+            `;
+            return;
+        }
+
+        const goals = [...this.finance.goals].sort((a, b) =>
+            Number(a.status === 'completed') - Number(b.status === 'completed') ||
+            String(a.targetDate || '').localeCompare(String(b.targetDate || ''))
+        );
+        container.innerHTML = goals.map(goal => this.renderGoal(goal)).join('');
+    }
+
+    renderGoal(goal) {
+        const type = this.goalTypes[goal.type] || this.goalTypes.savings;
+        const saved = goal.savedAmount || 0;
+        const percent = goal.targetAmount > 0 ? Math.min(100, Math.round((saved / goal.targetAmount) * 100)) : 0;
+        const completed = goal.status === 'completed';
+
+        return `
+            <div class="p-4 bg-gray-50 rounded-lg ${completed ? 'opacity-75' : ''}">
+                <div class="flex items-start justify-between mb-2">
+                    <div>
+                        <h4 class="font-medium text-gray-900">${completed ? '✅ ' : ''}${Utils.sanitizeHTML(goal.name)}</h4>
+                        <p class="text-xs text-gray-500">
+                            ${type.label}${goal.debtPlan ? ` · ${this.finance.debtPlanner.strategies[goal.debtPlan.strategy]?.label || ''}` : ''}${goal.targetDate ? ` · target ${Utils.formatDate(goal.targetDate, { weekday: undefined, day: 'numeric', month: 'short', year: 'numeric' })}` : ''}
+                        </p>
+                    </div>
+                    <div class="flex items-center space-x-2">
+                        ${goal.debtPlan && !completed ? `
+                            <button data-goal-action="plan" data-goal-id="${goal.id}" class="text-sm text-secondary hover:text-blue-700 font-medium">Rencana</button>
+                        ` : ''}
+                        ${completed ? '' : `
+                            <button data-goal-action="contribute" data-goal-id="${goal.id}" class="text-sm bg-secondary hover:bg-blue-700 text-white px-3 py-1 rounded-lg transition-colors">
+                                + ${type.contribution}
+                            </button>
+                        `}
+                        <button data-goal-action="delete" data-goal-id="${goal.id}" class="text-gray-400 hover:text-red-600 p-1" title="Hapus target">
+                            <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16"></path>
+                            </svg>
+                        </button>
+                    </div>
+                </div>
+                <div class="flex items-center justify-between text-sm mb-1">
+                    <span class="text-gray-600">${this.finance.formatCurrency(saved)} dari ${this.finance.formatCurrency(goal.targetAmount)}</span>
+                    <span class="font-semibold text-gray-700">${percent}%</span>
+                </div>
+                <div class="w-full bg-gray-200 rounded-full h-2">
+                    <div class="${completed ? 'bg-emerald-500' : 'bg-secondary'} h-2 rounded-full transition-all duration-300" style="width: ${percent}%"></div>
+                </div>
+                ${goal.milestones ? `
+                    <p class="text-xs text-gray-500 mt-1">
+                        ${goal.milestones.map(milestone => (goal.milestonesReached || []).includes(milestone) ? `✓ ${milestone}%` : `${milestone}%`).join(' · ')}
+                    </p>
+                ` : ''}
+                <p class="text-xs text-gray-500 mt-2">${completed ? `Tercapai ${Utils.formatDate(goal.completedAt, { weekday: undefined })}` : this.describeProjection(goal)}</p>
+            </div>
+        `;
+    }
+
+    /**
+     * One line about when the goal will be reached
+     */
+    describeProjection(goal) {
+        const projection = this.projections.get(goal.id);
+        if (!projection) return 'Menghitung perkiraan...';
+
+        const parts = [];
+        if (projection.projectedDate) {
+            const basis = projection.basis === 'contributions' ? 'setoran 3 bulan terakhir' : 'rata-rata tabungan bulanan';
+            parts.push(`Perkiraan tercapai ${projection.projectedDate.toLocaleDateString('id-ID', { month: 'long', year: 'numeric' })} (${basis})`);
+        } else {
+            parts.push('Belum bisa diperkirakan: belum ada setoran atau sisa uang bulanan');
+        }
+        if (projection.onTrack === false && projection.requiredMonthly) {
+            parts.push(`butuh ${this.finance.formatCurrency(projection.requiredMonthly)}/bulan agar tepat waktu`);
+        }
+        return parts.join(' · ');
+    }
+
+    /**
+     * Show the create goal modal
+     */
+    showGoalModal() {
+        const modal = document.createElement('div');
+        modal.className = 'fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center p-4';
+        modal.innerHTML = `
+            <div class="bg-white rounded-2xl max-w-md w-full p-6">
+                <h3 class="text-xl font-poppins font-semibold text-gray-900 mb-6">Target Baru</h3>
+                <form id="goal-form" class="space-y-4">
+                    <div>
+                        <label class="block text-sm font-medium text-gray-700 mb-2">Nama</label>
+                        <input type="text" id="goal-name" class="form-input" placeholder="Dana darurat" maxlength="60" required>
+                    </div>
+                    <div>
+                        <label class="block text-sm font-medium text-gray-700 mb-2">Jenis</label>
+                        <select id="goal-type" class="form-input">
+                            ${Object.entries(this.goalTypes).map(([value, type]) => `<option value="${value}">${type.label}</option>`).join('')}
+                        </select>
+                    </div>
+                    <div>
+                        <label class="block text-sm font-medium text-gray-700 mb-2">Jumlah target</label>
+                        <input type="number" id="goal-target" class="form-input" min="1" step="1" placeholder="10000000" required>
+                    </div>
+                    <div>
+                        <label class="block text-sm font-medium text-gray-700 mb-2">Tanggal target</label>
+                        <input type="date" id="goal-date" class="form-input" min="${new Date().toISOString().split('T')[0]}" required>
+                    </div>
+                    <div class="flex space-x-3 pt-4">
+                        <button type="button" data-close class="flex-1 bg-gray-100 hover:bg-gray-200 text-gray-700 font-medium py-3 px-6 rounded-lg transition-colors">
+                            Batal
+                        </button>
+                        <button type="submit" class="flex-1 bg-secondary hover:bg-blue-700 text-white font-medium py-3 px-6 rounded-lg transition-colors">
+                            Simpan
+                        </button>
+                    </div>
+                </form>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+        modal.querySelector('[data-close]').addEventListener('click', () => modal.remove());
+        modal.querySelector('#goal-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleCreateGoal(modal);
+        });
+    }
+
+    async handleCreateGoal(modal) {
+        const goal = {
+            name: modal.querySelector('#goal-name').value.trim(),
+            type: modal.querySelector('#goal-type').value,
+            targetAmount: parseFloat(modal.querySelector('#goal-target').value),
+            targetDate: modal.querySelector('#goal-date').value,
+            savedAmount: 0,
+            status: 'active',
+            createdAt: new Date().toISOString()
+        };
+        if (!goal.name || !Number.isFinite(goal.targetAmount) || goal.targetAmount <= 0) {
+            window.notificationManager?.showErrorMessage('Isi nama dan jumlah target yang valid');
+            return;
+        }
+
+        try {
+            goal.id = await this.repository.saveGoal(goal);
+            this.finance.goals.push(goal);
+            modal.remove();
+            await this.loadProjections();
+            this.render();
+            window.notificationManager?.showSuccessMessage('Target dibuat');
+        } catch (error) {
+            console.error('Error creating goal:', error);
+            window.notificationManager?.showErrorMessage('Gagal membuat target');
+        }
+    }
+
+    /**
+     * Show the contribution modal for a goal
+     */
+    showContributionModal(goal) {
+        const type = this.goalTypes[goal.type] || this.goalTypes.savings;
+        const remaining = Math.max(0, goal.targetAmount - (goal.savedAmount || 0));
+
+        const modal = document.createElement('div');
+        modal.className = 'fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center p-4';
+        modal.innerHTML = `
+            <div class="bg-white rounded-2xl max-w-md w-full p-6">
+                <h3 class="text-xl font-poppins font-semibold text-gray-900 mb-1">${type.contribution}</h3>
+                <p class="text-sm text-gray-500 mb-6">${Utils.sanitizeHTML(goal.name)} · sisa ${this.finance.formatCurrency(remaining)}</p>
+                <form id="contribution-form" class="space-y-4">
+                    <div>
+                        <label class="block text-sm font-medium text-gray-700 mb-2">Jumlah</label>
+                        <input type="number" id="contribution-amount" class="form-input" min="1" step="1" placeholder="${remaining}" required>
+                    </div>
+                    <div>
+                        <label class="block text-sm font-medium text-gray-700 mb-2">Tanggal</label>
+                        <input type="date" id="contribution-date" class="form-input" value="${new Date().toISOString().split('T')[0]}" required>
+                    </div>
+                    <p class="text-xs text-gray-500">Dicatat sebagai transaksi transfer, tidak dihitung sebagai pengeluaran.</p>
+                    <div class="flex space-x-3 pt-4">
+                        <button type="button" data-close class="flex-1 bg-gray-100 hover:bg-gray-200 text-gray-700 font-medium py-3 px-6 rounded-lg transition-colors">
+                            Batal
+                        </button>
+                        <button type="submit" class="flex-1 bg-secondary hover:bg-blue-700 text-white font-medium py-3 px-6 rounded-lg transition-colors">
+                            Simpan
+                        </button>
+                    </div>
+                </form>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+        modal.querySelector('[data-close]').addEventListener('click', () => modal.remove());
+        modal.querySelector('#contribution-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleContribution(modal, goal);
+        });
+    }
+
+    async handleContribution(modal, goal) {
+        const type = this.goalTypes[goal.type] || this.goalTypes.savings;
+        const amount = parseFloat(modal.querySelector('#contribution-amount').value);
+        if (!Number.isFinite(amount) || amount <= 0) {
+            window.notificationManager?.showErrorMessage('Jumlah harus lebih dari 0');
+            return;
+        }
+
+        try {
+            const { goal: updated, completed } = await this.repository.addGoalContribution(goal.id, {
+                type: 'transfer',
+                amount: amount,
+                // Goals are kept in the base currency
+                currency: this.finance.currencyManager.baseCurrency,
+                category: type.category,
+                description: `${type.contribution}: ${goal.name}`,
+                date: modal.querySelector('#contribution-date').value,
+                timestamp: new Date().toISOString()
+            });
+            modal.remove();
+            await this.awardMilestones(updated);
+
+            await this.finance.loadData();
+            await this.loadProjections();
+            await this.finance.updateUI();
+
+            if (completed) {
+                await this.celebrate(goal);
+            } else {
+                window.notificationManager?.showSuccessMessage(`${type.contribution} dicatat`);
+            }
+        } catch (error) {
+            console.error('Error adding goal contribution:', error);
+            window.notificationManager?.showErrorMessage('Gagal mencatat setoran');
+        }
+    }
+
+    /**
+     * Reward a goal that was just completed
+     */
+    async celebrate(goal) {
+        const gamification = this.finance.gamification;
+        if (!gamification) return;
+
+        await gamification.unlockAchievement(goal.type === 'debt' ? 'debt_paid_off' : 'goal_reached');
+        await gamification.addXP(this.completionXP, `Target ${goal.name} tercapai`);
+    }
+
+    /**
+     * Give XP for every milestone the goal passed, each only once
+     * @param {Object} goal - As saved after the contribution
+     */
+    async awardMilestones(goal) {
+        if (!goal.milestones || !(goal.targetAmount > 0)) return;
+        const percent = ((goal.savedAmount || 0) / goal.targetAmount) * 100;
+        const reached = goal.milestones.filter(milestone => percent >= milestone && !(goal.milestonesReached || []).includes(milestone));
+        if (reached.length === 0) return;
+
+        goal.milestonesReached = [...(goal.milestonesReached || []), ...reached];
+        await this.repository.saveGoal(goal);
+
+        const gamification = this.finance.gamification;
+        for (const milestone of reached) {
+            await gamification?.addXP(this.milestoneXP, `${milestone}% ${goal.name}`);
+        }
+        window.notificationManager?.showSuccessMessage(`${Math.max(...reached)}% ${goal.name} tercapai! +${this.milestoneXP * reached.length} XP`);
+    }
+
+    /**
+     * Delete a goal after confirmation
+     */
+    async deleteGoal(goal) {
+        if (!confirm(`Hapus target "${goal.name}"? Setoran yang sudah dicatat tetap ada di riwayat transaksi.`)) return;
+
+        try {
+            await this.repository.deleteGoal(goal.id);
+            this.finance.goals = this.finance.goals.filter(item => item.id !== goal.id);
+            this.projections.delete(goal.id);
+            this.render();
+        } catch (error) {
+            console.error('Error deleting goal:', error);
+            window.notificationManager?.showErrorMessage('Gagal menghapus target');
+        }
+    }
+}
+
+window.GoalManager = GoalManager;
@@ -0,0 +1,716 @@
+/**
+ * Finance Import - Bank and e-wallet statements into financeDB.transactions
+ * CSV files go through a column-mapping wizard (with built-in and saved presets); OFX/QFX and QIF files
+ * are read directly. Every batch is previewed, and rows already recorded are skipped by date, amount and description.
+ */
+
+class ImportManager {
+    constructor(financeManager) {
+        this.finance = financeManager;
+        this.repository = financeManager.repository;
+        this.presetStorageKey = 'financeImportPresets';
+
+        // Header names of common Indonesian statement exports; the wizard picks the first column matching one
+        this.builtInPresets = [
+            {
+                id: 'auto',
+                name: 'Deteksi otomatis',
+                columns: {
+                    date: ['tanggal transaksi', 'tanggal', 'tgl', 'date', 'transaction date', 'waktu'],
+                    description: ['keterangan', 'deskripsi', 'description', 'remarks', 'detail', 'catatan', 'uraian'],
+                    amount: ['jumlah', 'nominal', 'amount', 'mutasi'],
+                    debit: ['debit', 'debet', 'uang keluar', 'pengeluaran', 'keluar'],
+                    credit: ['kredit', 'credit', 'uang masuk', 'pemasukan', 'masuk']
+                },
+                dateOrder: 'dmy',
+                decimal: 'auto'
+            },
+            {
+                id: 'bca',
+                name: 'BCA (KlikBCA / myBCA)',
+                columns: { date: ['tanggal transaksi', 'tanggal'], description: ['keterangan'], amount: ['jumlah', 'mutasi'] },
+                dateOrder: 'dmy',
+                decimal: '.'
+            },
+            {
+                id: 'mandiri',
+                name: 'Mandiri (Livin)',
+                columns: { date: ['tanggal', 'posting date'], description: ['keterangan', 'remarks'], debit: ['debit', 'debet'], credit: ['kredit', 'credit'] },
+                dateOrder: 'dmy',
+                decimal: '.'
+            },
+            {
+                id: 'bri',
+                name: 'BRI (BRImo)',
+                columns: { date: ['tanggal', 'tgl transaksi'], description: ['uraian transaksi', 'keterangan'], debit: ['debet', 'debit'], credit: ['kredit'] },
+                dateOrder: 'dmy',
+                decimal: ','
+            },
+            {
+                id: 'bni',
+                name: 'BNI (wondr / Mobile)',
+                columns: { date: ['tanggal', 'post date'], description: ['keterangan', 'uraian'], debit: ['debet', 'debit'], credit: ['kredit', 'credit'] },
+                dateOrder: 'dmy',
+                decimal: '.'
+            },
+            {
+                id: 'ewallet',
+                name: 'E-wallet (GoPay / OVO / DANA / ShopeePay)',
+                columns: { date: ['tanggal', 'waktu', 'date'], description: ['deskripsi', 'keterangan', 'detail transaksi', 'merchant'], amount: ['nominal', 'jumlah', 'amount'] },
+                dateOrder: 'dmy',
+                decimal: ','
+            }
+        ];
+
+        this.monthNames = {
+            jan: 1, feb: 2, mar: 3, apr: 4, mei: 5, may: 5, jun: 6, jul: 7, agu: 8, agt: 8, aug: 8,
+            sep: 9, okt: 10, oct: 10, nov: 11, nop: 11, des: 12, dec: 12
+        };
+        this.previewLimit = 500;
+    }
+
+    /**
+     * Presets the user saved from the wizard, followed by the built-in ones
+     */
+    getPresets() {
+        const saved = this.finance.storage.getFromLocalStorage(this.presetStorageKey) || [];
+        return [...this.builtInPresets, ...saved];
+    }
+
+    savePreset(preset) {
+        const saved = (this.finance.storage.getFromLocalStorage(this.presetStorageKey) || [])
+            .filter(item => item.name !== preset.name);
+        saved.push(preset);
+        this.finance.storage.saveToLocalStorage(this.presetStorageKey, saved);
+    }
+
+    /**
+     * File format from its extension, falling back to its content
+     * @returns {'csv'|'ofx'|'qif'}
+     */
+    detectFormat(filename, text) {
+        const extension = filename.split('.').pop().toLowerCase();
+        if (extension === 'ofx' || extension === 'qfx' || /<OFX>/i.test(text)) return 'ofx';
+        if (extension === 'qif' || /^!Type:/im.test(text)) return 'qif';
+        return 'csv';
+    }
+
+    /**
+     * Parse an amount written in Indonesian or English notation.
+     * "1.250.000,50", "1,250,000.50", "Rp 50.000", "-75.000", "(75.000)" and bank suffixes
+     * "1,000.00 CR" / "DB" are all understood; debits come out negative.
+     * @param {string} value
+     * @param {'.'|','|'auto'} decimal - Decimal separator
+     * @returns {number|null}
+     */
+    parseAmount(value, decimal = 'auto') {
+        if (value === undefined || value === null) return null;
+        let text = String(value).trim();
+        if (text === '') return null;
+
+        let sign = 1;
+        if (/\b(DB|DR)\.?\s*$/i.test(text)) sign = -1;
+        text = text.replace(/\b(CR|DB|DR)\.?\s*$/i, '').trim();
+        if (/^\(.*\)$/.test(text) || /^-|^Rp\.?\s*-|-$/i.test(text)) sign = -1;
+        text = text.replace(/[^\d.,]/g, '');
+        if (text === '') return null;
+
+        let separator = decimal;
+        if (separator === 'auto') {
+            // The last separator is the decimal one when 1-2 digits follow it
+            const match = text.match(/[.,](\d+)$/);
+            separator = match && match[1].length <= 2 ? text[text.length - match[1].length - 1] : null;
+        }
+        const normalized = separator
+            ? text.split(separator).map((part, index, parts) => index === parts.length - 1 && parts.length > 1 ? `.${part}` : part.replace(/[.,]/g, '')).join('')
+            : text.replace(/[.,]/g, '');
+        const amount = parseFloat(normalized);
+        return Number.isFinite(amount) ? sign * amount : null;
+    }
+
+    /**
+     * Parse a date cell to YYYY-MM-DD. Month names (Jan, Mei, Agu, ...) and a trailing time are accepted.
+     * @param {string} value
+     * @param {'dmy'|'mdy'|'ymd'} order - Order of the numeric parts
+     * @returns {string|null}
+     */
+    parseDate(value, order = 'dmy') {
+        const text = String(value || '').trim().replace(/[T\s]\d{1,2}[:.]\d{2}([:.]\d{2})?.*$/, '');
+        const parts = text.split(/[\/\-.\s,']+/).filter(Boolean);
+        if (parts.length < 3) return null;
+
+        let day;
+        let month;
+        let year;
+        // Words other than a month name (e.g. a weekday) are ignored
+        const named = parts.find(part => /^[a-z]{3,}$/i.test(part) && this.monthNames[part.slice(0, 3).toLowerCase()]);
+        if (named) {
+            month = this.monthNames[named.slice(0, 3).toLowerCase()];
+            const numbers = parts.filter(part => /^\d+$/.test(part));
+            if (numbers.length < 2) return null;
+            [day, year] = numbers[0].length === 4 ? [numbers[1], numbers[0]] : numbers;
+        } else if (order === 'ymd' || parts[0].length === 4) {
+            [year, month, day] = parts;
+        } else if (order === 'mdy') {
+            [month, day, year] = parts;
+        } else {
+            [day, month, year] = parts;
+        }
+
+        day = Number(day);
+        month = Number(month);
+        year = Number(year);
+        if (year < 100) year += 2000;
+        if (!day || !month || !year || month > 12 || day > 31) return null;
+        return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    }
+
+    /**
+     * Index of the header row: the first row where at least two cells match a preset column name
+     */
+    findHeaderRow(rows, preset) {
+        const names = Object.values(preset.columns).flat();
+        const index = rows.slice(0, 20).findIndex(row =>
+            row.filter(cell => names.includes(cell.toLowerCase())).length >= 2
+        );
+        return Math.max(0, index);
+    }
+
+    /**
+     * Column indexes of a header row according to a preset
+     * @returns {{date: number, description: number, amount: number, debit: number, credit: number}} -1 when absent
+     */
+    matchColumns(headers, preset) {
+        const lower = headers.map(header => header.toLowerCase());
+        const mapping = {};
+        ['date', 'description', 'amount', 'debit', 'credit'].forEach(field => {
+            const names = preset.columns[field] || [];
+            // Exact names first, so "tanggal transaksi" wins over a later "tanggal" column
+            let index = -1;
+            for (const name of names) {
+                index = lower.indexOf(name);
+                if (index !== -1) break;
+            }
+            mapping[field] = index;
+        });
+        // A separate debit/credit pair makes a generic amount column (often the balance) irrelevant
+        if (mapping.debit !== -1 && mapping.credit !== -1 && preset.id === 'auto') {
+            mapping.amount = -1;
+        }
+        return mapping;
+    }
+
+    /**
+     * Turn CSV rows into statement entries using a column mapping
+     * @param {string[][]} rows - All rows of the file
+     * @param {Object} mapping - headerRow, column indexes, dateOrder and decimal
+     * @returns {{entries: Array<{date: string, amount: number, description: string}>, skipped: number}}
+     */
+    mapRows(rows, mapping) {
+        const entries = [];
+        let skipped = 0;
+
+        rows.slice(mapping.headerRow + 1).forEach(row => {
+            const date = this.parseDate(row[mapping.date], mapping.dateOrder);
+            let amount = null;
+            if (mapping.amount !== -1) {
+                amount = this.parseAmount(row[mapping.amount], mapping.decimal);
+            } else if (mapping.debit !== -1 || mapping.credit !== -1) {
+                const debit = Math.abs(this.parseAmount(row[mapping.debit], mapping.decimal) || 0);
+                const credit = Math.abs(this.parseAmount(row[mapping.credit], mapping.decimal) || 0);
+                amount = credit - debit;
+            }
+
+            // Opening balances, totals and footers have no date or no amount
+            if (!date || !amount) {
+                skipped++;
+                return;
+            }
+            entries.push({
+                date: date,
+                amount: amount,
+                description: (row[mapping.description] || '').replace(/\s+/g, ' ').trim()
+            });
+        });
+
+        return { entries, skipped };
+    }
+
+    /**
+     * Parse the STMTTRN records of an OFX/QFX file (SGML or XML flavour)
+     */
+    parseOFX(text) {
+        const field = (block, name) => {
+            const match = block.match(new RegExp(`<${name}>([^<\\r\\n]*)`, 'i'));
+            return match ? match[1].trim() : '';
+        };
+
+        const entries = [];
+        const blocks = text.match(/<STMTTRN>[\s\S]*?(?=<\/STMTTRN>|<STMTTRN>|<\/BANKTRANLIST>)/gi) || [];
+        blocks.forEach(block => {
+            const posted = field(block, 'DTPOSTED');
+            const amount = parseFloat(field(block, 'TRNAMT').replace(',', '.'));
+            if (!/^\d{8}/.test(posted) || !Number.isFinite(amount) || amount === 0) return;
+
+            const name = field(block, 'NAME');
+            const memo = field(block, 'MEMO');
+            entries.push({
+                date: `${posted.slice(0, 4)}-${posted.slice(4, 6)}-${posted.slice(6, 8)}`,
+                amount: amount,
+                description: [name, memo && memo !== name ? memo : ''].filter(Boolean).join(' - '),
+                externalId: field(block, 'FITID') || null
+            });
+        });
+        return { entries, skipped: 0 };
+    }
+
+    /**
+     * Parse a QIF file; records end with ^, dates follow the chosen order
+     */
+    parseQIF(text, dateOrder = 'dmy') {
+        const entries = [];
+        let skipped = 0;
+        let record = {};
+
+        text.split(/\r?\n/).forEach(line => {
+            const code = line[0];
+            const value = line.slice(1).trim();
+            if (code === '!' || line.trim() === '') return;
+
+            if (code === '^') {
+                const date = this.parseDate(record.D, dateOrder);
+                const amount = this.parseAmount(record.T || record.U, 'auto');
+                if (date && amount) {
+                    entries.push({
+                        date: date,
+                        amount: amount,
+                        description: [record.P, record.M && record.M !== record.P ? record.M : ''].filter(Boolean).join(' - ')
+                    });
+                } else {
+                    skipped++;
+                }
+                record = {};
+            } else if ('DTUPM'.includes(code)) {
+                record[code] = value;
+            }
+        });
+        return { entries, skipped };
+    }
+
+    duplicateKey(date, amount, description) {
+        return `${date}|${Math.abs(amount)}|${(description || '').toLowerCase().replace(/\s+/g, ' ').trim()}`;
+    }
+
+    /**
+     * Mark entries that are already recorded. Each existing transaction covers one entry, so two identical
+     * purchases on the same day still import when only one was recorded before.
+     * @param {Array} entries
+     * @returns {Promise<Array>} Entries with a duplicate flag
+     */
+    async markDuplicates(entries) {
+        if (entries.length === 0) return [];
+
+        const dates = entries.map(entry => entry.date).sort();
+        const existing = await this.repository.getTransactionsInRange(dates[0], dates[dates.length - 1]);
+        const counts = new Map();
+        existing.forEach(t => {
+            const key = this.duplicateKey(t.date, t.amount, t.description);
+            counts.set(key, (counts.get(key) || 0) + 1);
+        });
+
+        return entries.map(entry => {
+            const key = this.duplicateKey(entry.date, entry.amount, entry.description);
+            const remaining = counts.get(key) || 0;
+            if (remaining > 0) counts.set(key, remaining - 1);
+            return { ...entry, duplicate: remaining > 0 };
+        });
+    }
+
+    /**
+     * Show the import wizard, starting with the file picker
+     */
+    show() {
+        const modal = document.createElement('div');
+        modal.className = 'fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center p-4';
+        modal.innerHTML = `
+            <div class="bg-white rounded-2xl max-w-3xl w-full p-6 max-h-screen overflow-y-auto">
+                <div class="flex items-center justify-between mb-6">
+                    <h3 class="text-xl font-poppins font-semibold text-gray-900">Impor Mutasi</h3>
+                    <button data-close class="text-gray-400 hover:text-gray-600 text-2xl leading-none" title="Tutup">&times;</button>
+                </div>
+                <div id="import-step">
+                    <label class="block border-2 border-dashed border-gray-300 rounded-lg p-8 text-center cursor-pointer hover:border-secondary">
+                        <div class="text-4xl mb-2">📄</div>
+                        <p class="font-medium text-gray-900">Pilih file mutasi</p>
+                        <p class="text-sm text-gray-500">CSV dari bank atau e-wallet, OFX/QFX, atau QIF</p>
+                        <input type="file" id="import-file" class="hidden" accept=".csv,.txt,.ofx,.qfx,.qif">
+                    </label>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+        modal.querySelector('[data-close]').addEventListener('click', () => modal.remove());
+        modal.querySelector('#import-file').addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+            try {
+                const text = await Utils.readFile(file);
+                this.openFile(modal, file.name, text);
+            } catch (error) {
+                console.error('Error reading statement file:', error);
+                window.notificationManager?.showErrorMessage('File tidak bisa dibaca');
+            }
+        });
+    }
+
+    openFile(modal, filename, text) {
+        const format = this.detectFormat(filename, text);
+        if (format === 'ofx') {
+            this.showPreview(modal, this.parseOFX(text), 'ofx');
+        } else if (format === 'qif') {
+            this.showQIFOptions(modal, text);
+        } else {
+            this.showMappingStep(modal, Utils.parseCSVRows(text));
+        }
+    }
+
+    showQIFOptions(modal, text) {
+        const step = modal.querySelector('#import-step');
+        step.innerHTML = `
+            <div class="space-y-4">
+                <div>
+                    <label class="block text-sm font-medium text-gray-700 mb-2">Urutan tanggal di file QIF</label>
+                    <select id="import-date-order" class="form-input">
+                        ${this.renderDateOrderOptions('dmy')}
+                    </select>
+                </div>
+                <button id="import-next" class="w-full bg-secondary hover:bg-blue-700 text-white font-medium py-3 px-6 rounded-lg transition-colors">
+                    Pratinjau
+                </button>
+            </div>
+        `;
+        step.querySelector('#import-next').addEventListener('click', () => {
+            this.showPreview(modal, this.parseQIF(text, step.querySelector('#import-date-order').value), 'qif');
+        });
+    }
+
+    renderDateOrderOptions(selected) {
+        const orders = { dmy: 'Hari/Bulan/Tahun', mdy: 'Bulan/Hari/Tahun', ymd: 'Tahun-Bulan-Hari' };
+        return Object.entries(orders)
+            .map(([value, label]) => `<option value="${value}" ${value === selected ? 'selected' : ''}>${label}</option>`)
+            .join('');
+    }
+
+    /**
+     * Column mapping step for CSV files
+     */
+    showMappingStep(modal, rows) {
+        const step = modal.querySelector('#import-step');
+        if (rows.length < 2) {
+            step.innerHTML = '<p class="text-center text-red-600 py-8">File CSV kosong atau tidak punya baris data</p>';
+            return;
+        }
+
+        const presets = this.getPresets();
+        const columnCount = Math.max(...rows.map(row => row.length));
+        const fieldLabels = {
+            date: 'Tanggal',
+            description: 'Keterangan',
+            amount: 'Jumlah (+/-, CR/DB)',
+            debit: 'Kolom debit (keluar)',
+            credit: 'Kolom kredit (masuk)'
+        };
+
+        step.innerHTML = `
+            <div class="space-y-4">
+                <div class="grid grid-cols-2 gap-3">
+                    <div>
+                        <label class="block text-sm font-medium text-gray-700 mb-2">Preset</label>
+                        <select id="import-preset" class="form-input">
+                            ${presets.map((preset, index) => `<option value="${index}">${Utils.sanitizeHTML(preset.name)}</option>`).join('')}
+                        </select>
+                    </div>
+                    <div>
+                        <label class="block text-sm font-medium text-gray-700 mb-2">Baris judul kolom</label>
+                        <input type="number" id="import-header-row" class="form-input" min="1" max="${rows.length}">
+                    </div>
+                </div>
+                <div class="grid grid-cols-2 md:grid-cols-3 gap-3">
+                    ${Object.entries(fieldLabels).map(([field, label]) => `
+                        <div>
+                            <label class="block text-sm font-medium text-gray-700 mb-2">${label}</label>
+                            <select data-import-column="${field}" class="form-input"></select>
+                        </div>
+                    `).join('')}
+                    <div>
+                        <label class="block text-sm font-medium text-gray-700 mb-2">Format tanggal</label>
+                        <select id="import-date-order" class="form-input">${this.renderDateOrderOptions('dmy')}</select>
+                    </div>
+                    <div>
+                        <label class="block text-sm font-medium text-gray-700 mb-2">Pemisah desimal</label>
+                        <select id="import-decimal" class="form-input">
+                            <option value="auto">Otomatis</option>
+                            <option value=",">Koma (1.000,50)</option>
+                            <option value=".">Titik (1,000.50)</option>
+                        </select>
+                    </div>
+                </div>
+                <div class="overflow-x-auto border border-gray-200 rounded-lg">
+                    <table class="w-full text-xs" id="import-sample"></table>
+                </div>
+                <div class="flex flex-wrap gap-3">
+                    <input type="text" id="import-preset-name" class="form-input flex-1" placeholder="Nama preset baru" maxlength="40">
+                    <button id="import-save-preset" class="bg-gray-100 hover:bg-gray-200 text-gray-700 font-medium py-2 px-4 rounded-lg transition-colors">
+                        Simpan Preset
+                    </button>
+                </div>
+                <button id="import-next" class="w-full bg-secondary hover:bg-blue-700 text-white font-medium py-3 px-6 rounded-lg transition-colors">
+                    Pratinjau
+                </button>
+            </div>
+        `;
+
+        const headerInput = step.querySelector('#import-header-row');
+        const columnSelects = step.querySelectorAll('[data-import-column]');
+
+        const fillColumns = () => {
+            const headers = rows[Number(headerInput.value) - 1] || [];
+            columnSelects.forEach(select => {
+                const current = select.value;
+                select.innerHTML = '<option value="-1">-</option>' + Array.from({ length: columnCount }, (value, index) =>
+                    `<option value="${index}">${Utils.sanitizeHTML(headers[index] || `Kolom ${index + 1}`)}</option>`
+                ).join('');
+                select.value = current || '-1';
+            });
+        };
+        const readMapping = () => {
+            const mapping = {
+                headerRow: Math.max(0, Number(headerInput.value) - 1),
+                dateOrder: step.querySelector('#import-date-order').value,
+                decimal: step.querySelector('#import-decimal').value
+            };
+            columnSelects.forEach(select => {
+                mapping[select.dataset.importColumn] = Number(select.value);
+            });
+            return mapping;
+        };
+        const renderSample = () => {
+            const mapping = readMapping();
+            const sample = rows.slice(mapping.headerRow, mapping.headerRow + 6);
+            step.querySelector('#import-sample').innerHTML = sample.map((row, rowIndex) => `
+                <tr class="${rowIndex === 0 ? 'bg-gray-100 font-semibold' : 'border-t border-gray-100'}">
+                    ${Array.from({ length: columnCount }, (value, index) => `<td class="px-2 py-1 whitespace-nowrap">${Utils.sanitizeHTML(row[index] || '')}</td>`).join('')}
+                </tr>
+            `).join('');
+        };
+        const applyPreset = () => {
+            const preset = presets[Number(step.querySelector('#import-preset').value)];
+            // Saved presets store the mapping itself, built-in ones column names to look for
+            const headerRow = preset.mapping ? preset.mapping.headerRow : this.findHeaderRow(rows, preset);
+            headerInput.value = headerRow + 1;
+            fillColumns();
+            const columns = preset.mapping || this.matchColumns(rows[headerRow], preset);
+            columnSelects.forEach(select => {
+                select.value = String(columns[select.dataset.importColumn] ?? -1);
+            });
+            step.querySelector('#import-date-order').value = preset.mapping?.dateOrder || preset.dateOrder;
+            step.querySelector('#import-decimal').value = preset.mapping?.decimal || preset.decimal;
+            renderSample();
+        };
+
+        step.querySelector('#import-preset').addEventListener('change', applyPreset);
+        headerInput.addEventListener('change', () => {
+            fillColumns();
+            renderSample();
+        });
+        applyPreset();
+
+        step.querySelector('#import-save-preset').addEventListener('click', () => {
+            const name = step.querySelector('#import-preset-name').value.trim();
+            if (!name) {
+                window.notificationManager?.showErrorMessage('Beri nama preset terlebih dahulu');
+                return;
+            }
+            this.savePreset({ id: `custom-${Date.now()}`, name: name, mapping: readMapping() });
+            window.notificationManager?.showSuccessMessage('Preset disimpan');
+        });
+
+        step.querySelector('#import-next').addEventListener('click', () => {
+            const mapping = readMapping();
+            if (mapping.date === -1 || (mapping.amount === -1 && mapping.debit === -1 && mapping.credit === -1)) {
+                window.notificationManager?.showErrorMessage('Pilih kolom tanggal dan jumlah (atau debit/kredit)');
+                return;
+            }
+            this.showPreview(modal, this.mapRows(rows, mapping), 'csv');
+        });
+    }
+
+    /**
+     * Preview the parsed batch; duplicates start unticked. Batches over previewLimit leave out the rows
+     * already recorded before capping, so importing the same file again continues with the next rows.
+     */
+    async showPreview(modal, parsed, source) {
+        const step = modal.querySelector('#import-step');
+        let marked;
+        try {
+            marked = await this.markDuplicates(parsed.entries);
+        } catch (error) {
+            console.error('Error checking imported transactions for duplicates:', error);
+            step.innerHTML = '<p class="text-center text-red-600 py-8">Gagal memeriksa transaksi yang sudah tercatat</p>';
+            return;
+        }
+        const capped = marked.length > this.previewLimit;
+        const fresh = capped ? marked.filter(entry => !entry.duplicate) : marked;
+        const entries = fresh.slice(0, this.previewLimit);
+        const hiddenDuplicates = marked.length - fresh.length;
+        const remaining = fresh.length - entries.length;
+        const duplicates = entries.filter(entry => entry.duplicate).length;
+
+        if (entries.length === 0) {
+            step.innerHTML = hiddenDuplicates > 0
+                ? '<p class="text-center text-gray-500 py-8">Semua transaksi di file ini sudah pernah dicatat</p>'
+                : `<p class="text-center text-gray-500 py-8">Tidak ada transaksi yang bisa dibaca${parsed.skipped ? ` (${parsed.skipped} baris dilewati)` : ''}</p>`;
+            return;
+        }
+
+        const categories = this.finance.categoryManager;
+        const toDraft = (entry, accountId) => ({
+            type: entry.amount > 0 ? 'income' : 'expense',
+            amount: Math.abs(entry.amount),
+            description: entry.description,
+            ...(accountId ? { accountId } : {})
+        });
+        // What the rules suggest per row; rows the user changed keep their own choice
+        const suggestions = entries.map(entry => categories.categorize(toDraft(entry, null)));
+
+        step.innerHTML = `
+            <div class="grid grid-cols-3 gap-3 mb-3">
+                <div class="col-span-2 ${this.finance.wealth.length === 0 ? 'hidden' : ''}">
+                    <label class="block text-sm font-medium text-gray-700 mb-2">Akun untuk mutasi ini</label>
+                    <select id="import-account" class="form-input">
+                        <option value="">-</option>
+                        ${this.finance.wealth.map(account => `<option value="${account.id}">${Utils.sanitizeHTML(account.name)}</option>`).join('')}
+                    </select>
+                </div>
+                <div>
+                    <label class="block text-sm font-medium text-gray-700 mb-2">Mata uang</label>
+                    <select id="import-currency" class="form-input">${this.finance.currencyManager.renderOptions()}</select>
+                </div>
+            </div>
+            <p class="text-sm text-gray-600 mb-3">
+                ${entries.length} transaksi terbaca${duplicates ? `, ${duplicates} sudah pernah dicatat` : ''}${parsed.skipped ? `, ${parsed.skipped} baris dilewati` : ''}.
+                ${hiddenDuplicates > 0 ? `${hiddenDuplicates} baris yang sudah pernah dicatat tidak ditampilkan.` : ''}
+                ${remaining > 0 ? `${remaining} baris berikutnya belum ditampilkan; impor file yang sama lagi setelah ini untuk melanjutkan.` : ''}
+            </p>
+            <div class="overflow-x-auto border border-gray-200 rounded-lg mb-4 max-h-96 overflow-y-auto">
+                <table class="w-full text-sm">
+                    <thead class="bg-gray-50 sticky top-0">
+                        <tr class="text-left text-xs text-gray-500">
+                            <th class="p-2"><input type="checkbox" id="import-toggle-all" checked></th>
+                            <th class="p-2">Tanggal</th>
+                            <th class="p-2">Keterangan</th>
+                            <th class="p-2">Kategori</th>
+                            <th class="p-2 text-right">Jumlah</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${entries.map((entry, index) => `
+                            <tr class="border-t border-gray-100 ${entry.duplicate ? 'opacity-50' : ''}">
+                                <td class="p-2"><input type="checkbox" data-import-row="${index}" ${entry.duplicate ? '' : 'checked'}></td>
+                                <td class="p-2 whitespace-nowrap">${entry.date}</td>
+                                <td class="p-2">${Utils.sanitizeHTML(entry.description || '-')}${entry.duplicate ? ' <span class="text-xs text-amber-600">(duplikat)</span>' : ''}</td>
+                                <td class="p-2"><select data-import-category="${index}" class="text-xs border border-gray-200 rounded p-1">${categories.renderOptions(entry.amount > 0 ? 'income' : 'expense', suggestions[index] || 'other')}</select></td>
+                                <td class="p-2 text-right whitespace-nowrap ${entry.amount > 0 ? 'text-emerald-600' : 'text-red-600'}">${entry.amount > 0 ? '+' : '-'} ${Utils.formatNumber(Math.abs(entry.amount))}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+            <button id="import-commit" class="w-full bg-secondary hover:bg-blue-700 text-white font-medium py-3 px-6 rounded-lg transition-colors"></button>
+        `;
+
+        const accountSelect = step.querySelector('#import-account');
+        const currencySelect = step.querySelector('#import-currency');
+        const touched = new Set();
+        step.querySelectorAll('[data-import-category]').forEach(select => {
+            select.addEventListener('change', () => touched.add(Number(select.dataset.importCategory)));
+        });
+        accountSelect.addEventListener('change', () => {
+            const accountId = Number(accountSelect.value) || null;
+            const account = this.finance.wealth.find(item => item.id === accountId);
+            currencySelect.value = account ? this.finance.currencyManager.currencyOf(account) : this.finance.currencyManager.baseCurrency;
+            entries.forEach((entry, index) => {
+                suggestions[index] = categories.categorize(toDraft(entry, accountId));
+                if (!touched.has(index)) {
+                    step.querySelector(`[data-import-category="${index}"]`).value = suggestions[index] || 'other';
+                }
+            });
+        });
+
+        const commitButton = step.querySelector('#import-commit');
+        const rowBoxes = step.querySelectorAll('[data-import-row]');
+        const updateCount = () => {
+            const selected = Array.from(rowBoxes).filter(box => box.checked).length;
+            commitButton.textContent = `Impor ${selected} transaksi`;
+            commitButton.disabled = selected === 0;
+        };
+        step.querySelector('#import-toggle-all').addEventListener('change', (e) => {
+            rowBoxes.forEach(box => {
+                box.checked = e.target.checked;
+            });
+            updateCount();
+        });
+        rowBoxes.forEach(box => box.addEventListener('change', updateCount));
+        updateCount();
+
+        commitButton.addEventListener('click', () => {
+            // Disabled until the import finishes so a double click does not import the batch twice
+            commitButton.disabled = true;
+            const importedAt = new Date().toISOString();
+            const accountId = Number(accountSelect.value) || null;
+            const currency = currencySelect.value;
+            const selected = Array.from(rowBoxes)
+                .filter(box => box.checked)
+                .map(box => Number(box.dataset.importRow));
+            const transactions = selected
+                .map(index => {
+                    const entry = entries[index];
+                    return {
+                        type: entry.amount > 0 ? 'income' : 'expense',
+                        amount: Math.abs(entry.amount),
+                        currency: currency,
+                        category: step.querySelector(`[data-import-category="${index}"]`).value,
+                        description: entry.description,
+                        date: entry.date,
+                        timestamp: importedAt,
+                        importedAt: importedAt,
+                        importSource: source,
+                        ...(accountId ? { accountId } : {}),
+                        ...(entry.externalId ? { externalId: entry.externalId } : {})
+                    };
+                });
+            this.commit(modal, transactions, entries.length - transactions.length, selected.map(index => suggestions[index]));
+        });
+    }
+
+    async commit(modal, transactions, skipped, suggested) {
+        try {
+            await this.repository.importTransactions(transactions);
+            for (const [index, transaction] of transactions.entries()) {
+                await this.finance.categoryManager.learn(transaction, suggested[index]);
+            }
+            modal.remove();
+            await this.finance.loadData();
+            await this.finance.updateUI();
+            await this.finance.budgetManager.checkAlerts();
+            window.notificationManager?.showSuccessMessage(`${transactions.length} transaksi diimpor${skipped ? `, ${skipped} dilewati` : ''}`);
+        } catch (error) {
+            console.error('Error importing transactions:', error);
+            window.notificationManager?.showErrorMessage('Gagal mengimpor transaksi');
+            modal.querySelector('#import-commit').disabled = false;
+        }
+    }
+}
+
+window.ImportManager = ImportManager;
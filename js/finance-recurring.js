@@ -0,0 +1,367 @@
+/**
+ * Finance Recurring - Recurring transaction templates and bill reminders on financeDB.recurring
+ * Due occurrences are recorded when finance.html loads and, where periodic background sync is available,
+ * by the service worker. Occurrence dates come from RecurringSchedule.
+ */
+
+class RecurringManager {
+    constructor(financeManager) {
+        this.finance = financeManager;
+        this.repository = financeManager.repository;
+        this.templates = [];
+        // Bill reminders are shown at this hour on the reminder day
+        this.reminderHour = 8;
+        this.syncTag = 'recurring-transactions';
+        this.syncInterval = 12 * 60 * 60 * 1000;
+    }
+
+    /**
+     * Record due occurrences, then load the templates
+     * @returns {Promise<number>} Number of transactions recorded
+     */
+    async materializeDue() {
+        let created = [];
+        try {
+            created = await this.repository.materializeRecurring(new Date().toISOString().split('T')[0]);
+            if (created.length > 0) {
+                window.notificationManager?.showMessage(`${created.length} transaksi berulang dicatat otomatis`, 'info');
+            }
+        } catch (error) {
+            console.error('Error recording recurring transactions:', error);
+        }
+        await this.loadTemplates();
+        return created.length;
+    }
+
+    async loadTemplates() {
+        try {
+            this.templates = await this.repository.getRecurring();
+        } catch (error) {
+            console.error('Error loading recurring transactions:', error);
+            this.templates = [];
+        }
+    }
+
+    /**
+     * Ask the service worker, if one is active, to record due occurrences in the background
+     */
+    async registerBackgroundSync() {
+        try {
+            const registration = await navigator.serviceWorker?.getRegistration();
+            if (!registration?.periodicSync) return;
+            await registration.periodicSync.register(this.syncTag, { minInterval: this.syncInterval });
+        } catch (error) {
+            // Periodic sync needs an installed app and permission; loading the page still records occurrences
+            console.warn('Periodic sync for recurring transactions is not available:', error);
+        }
+    }
+
+    reminderKey(template) {
+        return `recurring-${template.id}-${template.nextDate}`;
+    }
+
+    /**
+     * Schedule a reminder before the next due date of every active bill
+     */
+    scheduleReminders() {
+        const notificationManager = window.notificationManager;
+        if (!notificationManager) return;
+
+        this.templates
+            .filter(template => template.status === 'active' && template.type !== 'income' && template.reminderDays > 0)
+            .forEach(template => {
+                const remindAt = new Date(`${template.nextDate}T00:00:00`);
+                remindAt.setDate(remindAt.getDate() - template.reminderDays);
+                remindAt.setHours(this.reminderHour);
+
+                notificationManager.scheduleNotification({
+                    key: this.reminderKey(template),
+                    type: 'bill-reminder',
+                    title: 'Tagihan segera jatuh tempo',
+                    message: `${template.description || this.finance.getCategoryLabel(template.category)} ${this.formatAmount(template)} jatuh tempo ${Utils.formatDate(template.nextDate, { weekday: 'long', day: 'numeric', month: 'long', year: undefined })}`,
+                    scheduledTime: remindAt.toISOString()
+                });
+            });
+    }
+
+    formatAmount(template) {
+        const amount = this.finance.formatCurrency(template.amount, this.finance.currencyManager.currencyOf(template));
+        return template.variance > 0 ? `± ${amount}` : amount;
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        document.getElementById('add-recurring-btn')?.addEventListener('click', () => {
+            this.showRecurringModal();
+        });
+
+        document.getElementById('recurring-list')?.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-recurring-action]');
+            if (!button) return;
+            const template = this.templates.find(item => item.id === Number(button.dataset.recurringId));
+            if (!template) return;
+            if (button.dataset.recurringAction === 'toggle') {
+                this.toggleTemplate(template);
+            } else if (button.dataset.recurringAction === 'delete') {
+                this.deleteTemplate(template);
+            }
+        });
+    }
+
+    /**
+     * Render templates, active ones first by next due date
+     */
+    render() {
+        const container = document.getElementById('recurring-list');
+        if (!container) return;
+
+        if (this.templates.length === 0) {
+            container.innerHTML = `
+                <div class="text-center py-8 text-gray-500">
+                    <p class="mb-1">Belum ada transaksi berulang</p>
+                    <p class="text-sm">Catat gaji, kos, cicilan, dan langganan sekali saja.</p>
+                </div>
+            `;
+            return;
+        }
+
+        const order = { active: 0, paused: 1, ended: 2 };
+        const templates = [...this.templates].sort((a, b) =>
+            order[a.status] - order[b.status] || a.nextDate.localeCompare(b.nextDate)
+        );
+
+        container.innerHTML = templates.map(template => {
+            const isIncome = template.type === 'income';
+            const status = {
+                active: `berikutnya ${Utils.formatDate(template.nextDate, { weekday: undefined, day: 'numeric', month: 'short', year: 'numeric' })}`,
+                paused: 'dijeda',
+                ended: 'selesai'
+            }[template.status];
+            const details = [RecurringSchedule.frequencies[template.frequency], status];
+            if (template.endDate && template.status === 'active') {
+                details.push(`sampai ${Utils.formatDate(template.endDate, { weekday: undefined, day: 'numeric', month: 'short', year: 'numeric' })}`);
+            }
+            if (template.type !== 'income' && template.reminderDays > 0 && template.status === 'active') {
+                details.push(`🔔 H-${template.reminderDays}`);
+            }
+            if (template.reminderOnly) {
+                details.push('pengingat saja');
+            }
+
+            return `
+                <div class="flex items-center justify-between p-3 bg-gray-50 rounded-lg ${template.status === 'active' ? '' : 'opacity-60'}">
+                    <div class="min-w-0">
+                        <p class="font-medium text-gray-900 truncate">${Utils.sanitizeHTML(template.description || this.finance.getCategoryLabel(template.category))}</p>
+                        <p class="text-xs text-gray-500">${Utils.sanitizeHTML(this.finance.getCategoryLabel(template.category))} · ${details.join(' · ')}</p>
+                    </div>
+                    <div class="flex items-center space-x-2 ml-3">
+                        <span class="font-semibold whitespace-nowrap ${isIncome ? 'text-emerald-600' : 'text-red-600'}">${isIncome ? '+' : '-'} ${this.formatAmount(template)}</span>
+                        ${template.status === 'ended' ? '' : `
+                            <button data-recurring-action="toggle" data-recurring-id="${template.id}" class="text-gray-400 hover:text-secondary p-1 text-xs font-medium" title="${template.status === 'active' ? 'Jeda' : 'Lanjutkan'}">
+                                ${template.status === 'active' ? 'Jeda' : 'Lanjut'}
+                            </button>
+                        `}
+                        <button data-recurring-action="delete" data-recurring-id="${template.id}" class="text-gray-400 hover:text-red-600 p-1" title="Hapus">
+                            <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16"></path>
+                            </svg>
+                        </button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Show the create template modal
+     */
+    showRecurringModal() {
+        const today = new Date().toISOString().split('T')[0];
+        const modal = document.createElement('div');
+        modal.className = 'fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center p-4';
+        modal.innerHTML = `
+            <div class="bg-white rounded-2xl max-w-md w-full p-6 max-h-screen overflow-y-auto">
+                <h3 class="text-xl font-poppins font-semibold text-gray-900 mb-6">Transaksi Berulang</h3>
+                <form id="recurring-form" class="space-y-4">
+                    <div class="grid grid-cols-2 gap-3">
+                        <div>
+                            <label class="block text-sm font-medium text-gray-700 mb-2">Tipe</label>
+                            <select id="recurring-type" class="form-input">
+                                <option value="expense">Pengeluaran</option>
+                                <option value="income">Pemasukan</option>
+                            </select>
+                        </div>
+                        <div>
+                            <label class="block text-sm font-medium text-gray-700 mb-2">Kategori</label>
+                            <select id="recurring-category" class="form-input"></select>
+                        </div>
+                    </div>
+                    <div>
+                        <label class="block text-sm font-medium text-gray-700 mb-2">Deskripsi</label>
+                        <input type="text" id="recurring-description" class="form-input" placeholder="Bayar kos" maxlength="60" required>
+                    </div>
+                    <div class="grid grid-cols-3 gap-3">
+                        <div>
+                            <label class="block text-sm font-medium text-gray-700 mb-2">Jumlah</label>
+                            <input type="number" id="recurring-amount" class="form-input" min="0.01" step="any" required>
+                        </div>
+                        <div>
+                            <label class="block text-sm font-medium text-gray-700 mb-2">Mata uang</label>
+                            <select id="recurring-currency" class="form-input">${this.finance.currencyManager.renderOptions()}</select>
+                        </div>
+                        <div>
+                            <label class="block text-sm font-medium text-gray-700 mb-2">Berubah (±%)</label>
+                            <input type="number" id="recurring-variance" class="form-input" min="0" max="100" step="1" value="0">
+                        </div>
+                    </div>
+                    <div class="grid grid-cols-2 gap-3">
+                        <div>
+                            <label class="block text-sm font-medium text-gray-700 mb-2">Frekuensi</label>
+                            <select id="recurring-frequency" class="form-input">
+                                ${Object.entries(RecurringSchedule.frequencies).map(([value, label]) => `<option value="${value}" ${value === 'monthly' ? 'selected' : ''}>${label}</option>`).join('')}
+                            </select>
+                        </div>
+                        <div>
+                            <label class="block text-sm font-medium text-gray-700 mb-2">Mulai</label>
+                            <input type="date" id="recurring-start" class="form-input" value="${today}" required>
+                        </div>
+                    </div>
+                    <div class="grid grid-cols-2 gap-3">
+                        <div>
+                            <label class="block text-sm font-medium text-gray-700 mb-2">Berakhir (opsional)</label>
+                            <input type="date" id="recurring-end" class="form-input">
+                        </div>
+                        <div id="recurring-reminder-field">
+                            <label class="block text-sm font-medium text-gray-700 mb-2">Ingatkan (hari sebelum)</label>
+                            <input type="number" id="recurring-reminder" class="form-input" min="0" max="30" step="1" value="1">
+                        </div>
+                    </div>
+                    <p class="text-xs text-gray-500">Tanggal yang sudah lewat sejak tanggal mulai langsung dicatat.</p>
+                    <div class="flex space-x-3 pt-4">
+                        <button type="button" data-close class="flex-1 bg-gray-100 hover:bg-gray-200 text-gray-700 font-medium py-3 px-6 rounded-lg transition-colors">
+                            Batal
+                        </button>
+                        <button type="submit" class="flex-1 bg-secondary hover:bg-blue-700 text-white font-medium py-3 px-6 rounded-lg transition-colors">
+                            Simpan
+                        </button>
+                    </div>
+                </form>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        const typeSelect = modal.querySelector('#recurring-type');
+        const updateType = () => {
+            modal.querySelector('#recurring-category').innerHTML = this.finance.categoryManager.renderOptions(typeSelect.value);
+            modal.querySelector('#recurring-reminder-field').classList.toggle('hidden', typeSelect.value === 'income');
+        };
+        updateType();
+        typeSelect.addEventListener('change', updateType);
+
+        modal.querySelector('[data-close]').addEventListener('click', () => modal.remove());
+        modal.querySelector('#recurring-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleSaveTemplate(modal);
+        });
+    }
+
+    async handleSaveTemplate(modal) {
+        const startDate = modal.querySelector('#recurring-start').value;
+        const template = {
+            type: modal.querySelector('#recurring-type').value,
+            category: modal.querySelector('#recurring-category').value,
+            description: modal.querySelector('#recurring-description').value.trim(),
+            amount: parseFloat(modal.querySelector('#recurring-amount').value),
+            currency: modal.querySelector('#recurring-currency').value,
+            variance: Math.max(0, parseFloat(modal.querySelector('#recurring-variance').value) || 0),
+            frequency: modal.querySelector('#recurring-frequency').value,
+            startDate: startDate,
+            endDate: modal.querySelector('#recurring-end').value || null,
+            nextDate: startDate,
+            reminderDays: parseInt(modal.querySelector('#recurring-reminder').value, 10) || 0,
+            status: 'active',
+            createdAt: new Date().toISOString()
+        };
+        if (template.type === 'income') template.reminderDays = 0;
+
+        if (!template.description || !Number.isFinite(template.amount) || template.amount <= 0) {
+            window.notificationManager?.showErrorMessage('Isi deskripsi dan jumlah yang valid');
+            return;
+        }
+        if (template.endDate && template.endDate < startDate) {
+            window.notificationManager?.showErrorMessage('Tanggal berakhir harus setelah tanggal mulai');
+            return;
+        }
+
+        try {
+            await this.repository.saveRecurring(template);
+            modal.remove();
+            await this.refresh();
+            window.notificationManager?.showSuccessMessage('Transaksi berulang disimpan');
+        } catch (error) {
+            console.error('Error saving recurring transaction:', error);
+            window.notificationManager?.showErrorMessage('Gagal menyimpan transaksi berulang');
+        }
+    }
+
+    /**
+     * Record what is due now, reload finance data and reschedule reminders
+     */
+    async refresh() {
+        await this.materializeDue();
+        await this.finance.loadData();
+        await this.finance.updateUI();
+        this.scheduleReminders();
+        await this.finance.budgetManager.checkAlerts();
+    }
+
+    /**
+     * Pause or resume a template. Resuming skips the occurrences that fell in the pause.
+     */
+    async toggleTemplate(template) {
+        const updated = { ...template };
+        if (template.status === 'active') {
+            updated.status = 'paused';
+            window.notificationManager?.cancelNotification(this.reminderKey(template));
+        } else {
+            const today = new Date().toISOString().split('T')[0];
+            updated.status = 'active';
+            while (updated.nextDate < today) {
+                updated.nextDate = RecurringSchedule.advance(updated.nextDate, updated.frequency, updated.startDate);
+            }
+            if (updated.endDate && updated.nextDate > updated.endDate) {
+                updated.status = 'ended';
+            }
+        }
+
+        try {
+            await this.repository.saveRecurring(updated);
+            await this.refresh();
+        } catch (error) {
+            console.error('Error updating recurring transaction:', error);
+            window.notificationManager?.showErrorMessage('Gagal memperbarui transaksi berulang');
+        }
+    }
+
+    /**
+     * Delete a template after confirmation
+     */
+    async deleteTemplate(template) {
+        if (!confirm(`Hapus "${template.description}"? Transaksi yang sudah tercatat tetap ada.`)) return;
+
+        try {
+            await this.repository.deleteRecurring(template.id);
+            window.notificationManager?.cancelNotification(this.reminderKey(template));
+            await this.loadTemplates();
+            this.render();
+        } catch (error) {
+            console.error('Error deleting recurring transaction:', error);
+            window.notificationManager?.showErrorMessage('Gagal menghapus transaksi berulang');
+        }
+    }
+}
+
+window.RecurringManager = RecurringManager;
@@ -0,0 +1,557 @@
+/**
+ * Finance Reports - Monthly and yearly reports built from financeDB.transactions
+ * Each section can be exported as CSV; the whole report can be printed or saved as PDF from a generated page.
+ */
+
+class ReportManager {
+    constructor(financeManager) {
+        this.finance = financeManager;
+        this.repository = financeManager.repository;
+        // Months in the trend and savings rate charts
+        this.trendMonths = 12;
+        this.topDescriptionLimit = 10;
+        this.charts = [];
+        this.report = null;
+    }
+
+    /**
+     * Date range and comparison range of a period
+     * @param {'month'|'year'} mode
+     * @param {string} period - YYYY-MM or YYYY
+     */
+    getPeriodRange(mode, period) {
+        if (mode === 'year') {
+            const year = Number(period);
+            return {
+                from: `${year}-01-01`,
+                to: `${year}-12-31`,
+                previous: String(year - 1),
+                previousFrom: `${year - 1}-01-01`,
+                previousTo: `${year - 1}-12-31`,
+                trendFrom: `${year}-01`,
+                trendTo: `${year}-12`
+            };
+        }
+        const previous = this.finance.budgetManager.shiftMonth(period, -1);
+        return {
+            from: `${period}-01`,
+            to: `${period}-31`,
+            previous: previous,
+            previousFrom: `${previous}-01`,
+            previousTo: `${previous}-31`,
+            trendFrom: this.finance.budgetManager.shiftMonth(period, -(this.trendMonths - 1)),
+            trendTo: period
+        };
+    }
+
+    /**
+     * Collect the transactions of a period and compute every report section.
+     * Amounts are in the base currency, each converted with the rate of its own date.
+     * @param {'month'|'year'} mode
+     * @param {string} period - YYYY-MM or YYYY
+     */
+    async buildReport(mode, period) {
+        const range = this.getPeriodRange(mode, period);
+        const from = [range.previousFrom, `${range.trendFrom}-01`].sort()[0];
+        const all = (await this.repository.getTransactionsInRange(from, range.to))
+            .filter(t => t.type === 'income' || t.type === 'expense');
+
+        this.finance.currencyManager.missing.clear();
+        const current = all.filter(t => t.date >= range.from && t.date <= range.to);
+        const previous = all.filter(t => t.date >= range.previousFrom && t.date <= range.previousTo);
+        const summary = this.summarize(current);
+        const previousSummary = this.summarize(previous);
+        const categories = this.getCategoryBreakdown(current, previous);
+        const topDescriptions = this.getTopDescriptions(current);
+        const trend = this.getTrend(all, range.trendFrom, range.trendTo);
+
+        return {
+            mode: mode,
+            period: period,
+            range: range,
+            currency: this.finance.currencyManager.baseCurrency,
+            currencyNotice: this.finance.currencyManager.getMissingNotice(),
+            summary: summary,
+            previousSummary: previousSummary,
+            deltas: ['income', 'expense', 'net', 'savingsRate'].map(key => ({
+                key: key,
+                current: summary[key],
+                previous: previousSummary[key],
+                change: summary[key] - previousSummary[key],
+                percent: previousSummary[key] ? Math.round(((summary[key] - previousSummary[key]) / Math.abs(previousSummary[key])) * 100) : null
+            })),
+            categories: categories,
+            topDescriptions: topDescriptions,
+            trend: trend
+        };
+    }
+
+    /**
+     * Amount of a transaction in the base currency, at the rate of its own date
+     */
+    amountOf(transaction) {
+        return this.finance.currencyManager.toBase(transaction);
+    }
+
+    summarize(transactions) {
+        const income = transactions.filter(t => t.type === 'income').reduce((sum, t) => sum + this.amountOf(t), 0);
+        const expense = transactions.filter(t => t.type === 'expense').reduce((sum, t) => sum + this.amountOf(t), 0);
+        return {
+            income: income,
+            expense: expense,
+            net: income - expense,
+            savingsRate: income > 0 ? Math.round(((income - expense) / income) * 100) : 0,
+            count: transactions.length
+        };
+    }
+
+    /**
+     * Expenses per category with the change against the previous period, largest first
+     */
+    getCategoryBreakdown(current, previous) {
+        const totals = new Map();
+        const add = (transactions, key) => transactions.filter(t => t.type === 'expense').forEach(t => {
+            const row = totals.get(t.category) || { category: t.category, amount: 0, previous: 0 };
+            row[key] += this.amountOf(t);
+            totals.set(t.category, row);
+        });
+        add(current, 'amount');
+        add(previous, 'previous');
+
+        const expense = current.filter(t => t.type === 'expense').reduce((sum, t) => sum + this.amountOf(t), 0);
+        return Array.from(totals.values())
+            .map(row => ({
+                ...row,
+                label: this.finance.getCategoryLabel(row.category),
+                share: expense > 0 ? Math.round((row.amount / expense) * 100) : 0,
+                change: row.amount - row.previous
+            }))
+            .sort((a, b) => b.amount - a.amount);
+    }
+
+    /**
+     * Largest expenses grouped by description, which is where the merchant is usually written
+     */
+    getTopDescriptions(transactions) {
+        const groups = new Map();
+        transactions.filter(t => t.type === 'expense').forEach(t => {
+            const label = (t.description || '').trim() || this.finance.getCategoryLabel(t.category);
+            const key = label.toLowerCase();
+            const group = groups.get(key) || { description: label, count: 0, amount: 0 };
+            group.count++;
+            group.amount += this.amountOf(t);
+            groups.set(key, group);
+        });
+        return Array.from(groups.values())
+            .sort((a, b) => b.amount - a.amount)
+            .slice(0, this.topDescriptionLimit);
+    }
+
+    /**
+     * Income, expense and savings rate for every month from fromMonth to toMonth
+     */
+    getTrend(transactions, fromMonth, toMonth) {
+        const trend = [];
+        for (let month = fromMonth; month <= toMonth; month = this.finance.budgetManager.shiftMonth(month, 1)) {
+            trend.push({ month: month, ...this.summarize(transactions.filter(t => t.date.startsWith(month))) });
+        }
+        return trend;
+    }
+
+    /**
+     * Show the reports modal
+     */
+    show() {
+        const currentMonth = this.finance.currentMonth;
+        const modal = document.createElement('div');
+        modal.className = 'fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center p-4';
+        modal.innerHTML = `
+            <div class="bg-white rounded-2xl max-w-4xl w-full p-6 max-h-screen overflow-y-auto">
+                <div class="flex flex-wrap items-center justify-between gap-3 mb-6">
+                    <h3 class="text-xl font-poppins font-semibold text-gray-900">Laporan Keuangan</h3>
+                    <div class="flex items-center space-x-2">
+                        <select id="report-mode" class="form-input py-2">
+                            <option value="month">Bulanan</option>
+                            <option value="year">Tahunan</option>
+                        </select>
+                        <input type="month" id="report-month" class="form-input py-2" value="${currentMonth}" max="${currentMonth}">
+                        <input type="number" id="report-year" class="form-input py-2 w-28 hidden" value="${currentMonth.slice(0, 4)}" min="2000" max="${currentMonth.slice(0, 4)}">
+                    </div>
+                </div>
+                <div id="report-content">
+                    <p class="text-center text-gray-500 py-8">Menyusun laporan...</p>
+                </div>
+                <div class="flex flex-wrap gap-3 mt-6">
+                    <button data-report-print class="flex-1 bg-secondary hover:bg-blue-700 text-white font-medium py-3 px-6 rounded-lg transition-colors">
+                        Cetak / Simpan PDF
+                    </button>
+                    <button data-close class="flex-1 bg-gray-100 hover:bg-gray-200 text-gray-700 font-medium py-3 px-6 rounded-lg transition-colors">
+                        Tutup
+                    </button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        const modeSelect = modal.querySelector('#report-mode');
+        const monthInput = modal.querySelector('#report-month');
+        const yearInput = modal.querySelector('#report-year');
+        const load = () => {
+            const mode = modeSelect.value;
+            monthInput.classList.toggle('hidden', mode !== 'month');
+            yearInput.classList.toggle('hidden', mode !== 'year');
+            const period = mode === 'year' ? yearInput.value : monthInput.value;
+            if (period) this.load(modal, mode, period);
+        };
+        modeSelect.addEventListener('change', load);
+        monthInput.addEventListener('change', load);
+        yearInput.addEventListener('change', load);
+
+        modal.querySelector('[data-close]').addEventListener('click', () => {
+            this.destroyCharts();
+            modal.remove();
+        });
+        modal.querySelector('[data-report-print]').addEventListener('click', () => this.print());
+        modal.querySelector('#report-content').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-report-export]');
+            if (button) this.exportCSV(button.dataset.reportExport);
+        });
+
+        load();
+    }
+
+    async load(modal, mode, period) {
+        const content = modal.querySelector('#report-content');
+        try {
+            this.report = await this.buildReport(mode, period);
+            this.destroyCharts();
+            content.innerHTML = this.renderReport(this.report);
+            this.renderCharts(content, this.report);
+        } catch (error) {
+            console.error('Error building finance report:', error);
+            content.innerHTML = '<p class="text-center text-red-600 py-8">Gagal menyusun laporan</p>';
+        }
+    }
+
+    formatPeriod(mode, period) {
+        if (mode === 'year') return `Tahun ${period}`;
+        return new Date(`${period}-01T00:00:00`).toLocaleDateString('id-ID', { month: 'long', year: 'numeric' });
+    }
+
+    formatDelta(delta, key) {
+        if (delta.change === 0) return '<span class="text-gray-400">tetap</span>';
+        // More spending is bad news, more of anything else is good news
+        const good = key === 'expense' ? delta.change < 0 : delta.change > 0;
+        const value = key === 'savingsRate'
+            ? `${delta.change > 0 ? '+' : ''}${delta.change} poin`
+            : `${delta.change > 0 ? '+' : '-'}${this.finance.formatCurrency(Math.abs(delta.change))}${delta.percent !== null ? ` (${delta.percent > 0 ? '+' : ''}${delta.percent}%)` : ''}`;
+        return `<span class="${good ? 'text-emerald-600' : 'text-red-600'}">${value}</span>`;
+    }
+
+    renderReport(report) {
+        const labels = { income: 'Pemasukan', expense: 'Pengeluaran', net: 'Selisih', savingsRate: 'Tingkat Tabungan' };
+        const previousLabel = this.formatPeriod(report.mode, report.range.previous);
+        const exportButton = (section) => `
+            <button data-report-export="${section}" class="text-secondary hover:text-blue-700 font-medium text-xs">Ekspor CSV</button>
+        `;
+
+        if (report.summary.count === 0 && report.previousSummary.count === 0) {
+            return `
+                <div class="text-center py-8 text-gray-500">
+                    <div class="text-5xl mb-4">📊</div>
+                    <p>Belum ada transaksi untuk ${this.formatPeriod(report.mode, report.period)}</p>
+                </div>
+            `;
+        }
+
+        return `
+            <div class="space-y-6">
+                ${report.currencyNotice ? `<p class="text-sm text-amber-700 bg-amber-50 rounded-lg px-4 py-2">${report.currencyNotice}</p>` : ''}
+                <section>
+                    <div class="flex items-center justify-between mb-3">
+                        <h4 class="font-semibold text-gray-900">Ringkasan ${this.formatPeriod(report.mode, report.period)} (${report.currency})</h4>
+                        ${exportButton('summary')}
+                    </div>
+                    <div class="grid grid-cols-2 md:grid-cols-4 gap-3">
+                        ${report.deltas.map(delta => `
+                            <div class="p-3 bg-gray-50 rounded-lg">
+                                <p class="text-xs text-gray-500">${labels[delta.key]}</p>
+                                <p class="text-lg font-semibold text-gray-900">${delta.key === 'savingsRate' ? `${delta.current}%` : this.finance.formatCurrency(delta.current)}</p>
+                                <p class="text-xs">${this.formatDelta(delta, delta.key)}</p>
+                            </div>
+                        `).join('')}
+                    </div>
+                    <p class="text-xs text-gray-400 mt-2">Dibandingkan dengan ${previousLabel}</p>
+                </section>
+
+                <section class="grid md:grid-cols-2 gap-6">
+                    <div>
+                        <div class="flex items-center justify-between mb-3">
+                            <h4 class="font-semibold text-gray-900">Pengeluaran per Kategori</h4>
+                            ${exportButton('categories')}
+                        </div>
+                        ${report.categories.length === 0 ? '<p class="text-sm text-gray-500">Tidak ada pengeluaran</p>' : `
+                            <div class="h-48 mb-3"><canvas data-report-chart="categories"></canvas></div>
+                            <table class="w-full text-sm">
+                                <thead>
+                                    <tr class="text-left text-xs text-gray-500">
+                                        <th class="py-1">Kategori</th>
+                                        <th class="py-1 text-right">Jumlah</th>
+                                        <th class="py-1 text-right">vs ${previousLabel}</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    ${report.categories.map(row => `
+                                        <tr class="border-t border-gray-100">
+                                            <td class="py-1">${Utils.sanitizeHTML(row.label)} <span class="text-gray-400">${row.share}%</span></td>
+                                            <td class="py-1 text-right">${this.finance.formatCurrency(row.amount)}</td>
+                                            <td class="py-1 text-right ${row.change > 0 ? 'text-red-600' : row.change < 0 ? 'text-emerald-600' : 'text-gray-400'}">
+                                                ${row.change === 0 ? '-' : `${row.change > 0 ? '+' : '-'}${this.finance.formatCurrency(Math.abs(row.change))}`}
+                                            </td>
+                                        </tr>
+                                    `).join('')}
+                                </tbody>
+                            </table>
+                        `}
+                    </div>
+                    <div>
+                        <div class="flex items-center justify-between mb-3">
+                            <h4 class="font-semibold text-gray-900">Pengeluaran Terbesar</h4>
+                            ${exportButton('descriptions')}
+                        </div>
+                        ${report.topDescriptions.length === 0 ? '<p class="text-sm text-gray-500">Tidak ada pengeluaran</p>' : `
+                            <table class="w-full text-sm">
+                                <thead>
+                                    <tr class="text-left text-xs text-gray-500">
+                                        <th class="py-1">Deskripsi</th>
+                                        <th class="py-1 text-right">Transaksi</th>
+                                        <th class="py-1 text-right">Jumlah</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    ${report.topDescriptions.map(row => `
+                                        <tr class="border-t border-gray-100">
+                                            <td class="py-1 truncate max-w-xs">${Utils.sanitizeHTML(row.description)}</td>
+                                            <td class="py-1 text-right">${row.count}x</td>
+                                            <td class="py-1 text-right">${this.finance.formatCurrency(row.amount)}</td>
+                                        </tr>
+                                    `).join('')}
+                                </tbody>
+                            </table>
+                        `}
+                    </div>
+                </section>
+
+                <section>
+                    <div class="flex items-center justify-between mb-3">
+                        <h4 class="font-semibold text-gray-900">Tren Pemasukan & Pengeluaran</h4>
+                        ${exportButton('trend')}
+                    </div>
+                    <div class="h-56"><canvas data-report-chart="trend"></canvas></div>
+                </section>
+
+                <section>
+                    <h4 class="font-semibold text-gray-900 mb-3">Riwayat Tingkat Tabungan</h4>
+                    <div class="h-40"><canvas data-report-chart="savings"></canvas></div>
+                </section>
+            </div>
+        `;
+    }
+
+    renderCharts(container, report) {
+        if (typeof Chart === 'undefined') return;
+
+        const currency = (value) => this.finance.formatCurrency(value);
+        const monthLabels = report.trend.map(row =>
+            new Date(`${row.month}-01T00:00:00`).toLocaleDateString('id-ID', { month: 'short', year: '2-digit' })
+        );
+        const create = (name, config) => {
+            const canvas = container.querySelector(`[data-report-chart="${name}"]`);
+            if (canvas) this.charts.push(new Chart(canvas, config));
+        };
+
+        create('categories', {
+            type: 'pie',
+            data: {
+                labels: report.categories.map(row => row.label),
+                datasets: [{
+                    data: report.categories.map(row => row.amount),
+                    backgroundColor: report.categories.map(row => this.finance.categoryManager.getColor(row.category))
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: { position: 'right' },
+                    tooltip: { callbacks: { label: (item) => `${item.label}: ${currency(item.parsed)}` } }
+                }
+            }
+        });
+
+        create('trend', {
+            type: 'line',
+            data: {
+                labels: monthLabels,
+                datasets: [
+                    { label: 'Pemasukan', data: report.trend.map(row => row.income), borderColor: '#059669', backgroundColor: 'rgba(5, 150, 105, 0.1)', tension: 0.3 },
+                    { label: 'Pengeluaran', data: report.trend.map(row => row.expense), borderColor: '#DC2626', backgroundColor: 'rgba(220, 38, 38, 0.1)', tension: 0.3 }
+                ]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: { tooltip: { callbacks: { label: (item) => `${item.dataset.label}: ${currency(item.parsed.y)}` } } },
+                scales: { y: { ticks: { callback: currency } } }
+            }
+        });
+
+        create('savings', {
+            type: 'bar',
+            data: {
+                labels: monthLabels,
+                datasets: [{
+                    label: 'Tingkat Tabungan',
+                    data: report.trend.map(row => row.savingsRate),
+                    backgroundColor: report.trend.map(row => row.savingsRate < 0 ? '#DC2626' : '#1E40AF')
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: { legend: { display: false }, tooltip: { callbacks: { label: (item) => `${item.parsed.y}%` } } },
+                scales: { y: { ticks: { callback: (value) => `${value}%` } } }
+            }
+        });
+    }
+
+    destroyCharts() {
+        this.charts.forEach(chart => chart.destroy());
+        this.charts = [];
+    }
+
+    /**
+     * Rows and headers of one report section, shared by the CSV export and the print page.
+     * Cells stay raw numbers for the CSV; isMoney(row, column) tells the print page which ones are rupiah.
+     * @param {'summary'|'categories'|'descriptions'|'trend'} section
+     */
+    getSectionTable(report, section) {
+        switch (section) {
+            case 'summary':
+                return {
+                    title: 'Ringkasan',
+                    headers: ['Ukuran', report.period, report.range.previous, 'Selisih'],
+                    rows: report.deltas.map(delta => [
+                        { income: 'Pemasukan', expense: 'Pengeluaran', net: 'Selisih', savingsRate: 'Tingkat Tabungan (%)' }[delta.key],
+                        delta.current,
+                        delta.previous,
+                        delta.change
+                    ]),
+                    isMoney: (row, column) => column > 0 && report.deltas[row].key !== 'savingsRate'
+                };
+            case 'categories':
+                return {
+                    title: 'Pengeluaran per Kategori',
+                    headers: ['Kategori', 'Jumlah', 'Persentase', report.range.previous, 'Selisih'],
+                    rows: report.categories.map(row => [row.label, row.amount, row.share, row.previous, row.change]),
+                    isMoney: (row, column) => column === 1 || column >= 3
+                };
+            case 'descriptions':
+                return {
+                    title: 'Pengeluaran Terbesar',
+                    headers: ['Deskripsi', 'Transaksi', 'Jumlah'],
+                    rows: report.topDescriptions.map(row => [row.description, row.count, row.amount]),
+                    isMoney: (row, column) => column === 2
+                };
+            case 'trend':
+                return {
+                    title: 'Tren Bulanan',
+                    headers: ['Bulan', 'Pemasukan', 'Pengeluaran', 'Selisih', 'Tingkat Tabungan (%)'],
+                    rows: report.trend.map(row => [row.month, row.income, row.expense, row.net, row.savingsRate]),
+                    isMoney: (row, column) => column >= 1 && column <= 3
+                };
+            default:
+                throw new Error(`Unknown report section: ${section}`);
+        }
+    }
+
+    /**
+     * Download one report section as CSV
+     */
+    exportCSV(section) {
+        if (!this.report) return;
+
+        const table = this.getSectionTable(this.report, section);
+        const rows = table.rows.map(row => Object.fromEntries(table.headers.map((header, index) => [header, row[index]])));
+        const csv = Utils.toCSV(rows, table.headers) || table.headers.join(',');
+        const filename = `laporan-${section}-${this.report.period}.csv`;
+
+        if (Utils.downloadFile(csv, filename, 'text/csv;charset=utf-8')) {
+            window.notificationManager?.showSuccessMessage('CSV berhasil diunduh');
+        } else {
+            window.notificationManager?.showErrorMessage('Gagal export CSV');
+        }
+    }
+
+    /**
+     * Open the report as a standalone page and print it; the browser's print dialog can save it as PDF
+     */
+    print() {
+        if (!this.report) return;
+
+        const html = this.renderPrintPage(this.report);
+        const printWindow = window.open('', '_blank');
+        if (!printWindow) {
+            // Pop-ups blocked: hand the page over as a file instead
+            Utils.downloadFile(html, `laporan-${this.report.period}.html`, 'text/html');
+            return;
+        }
+        printWindow.document.write(html);
+        printWindow.document.close();
+        printWindow.addEventListener('load', () => printWindow.print());
+    }
+
+    renderPrintPage(report) {
+        const escape = (value) => Utils.sanitizeHTML(String(value));
+        const tables = ['summary', 'categories', 'descriptions', 'trend'].map(section => {
+            const table = this.getSectionTable(report, section);
+            if (table.rows.length === 0) return '';
+            return `
+                <h2>${escape(table.title)}</h2>
+                <table>
+                    <thead><tr>${table.headers.map(header => `<th>${escape(header)}</th>`).join('')}</tr></thead>
+                    <tbody>
+                        ${table.rows.map((row, rowIndex) => `<tr>${row.map((value, column) => `<td>${escape(table.isMoney(rowIndex, column) ? this.finance.formatCurrency(value, report.currency) : value)}</td>`).join('')}</tr>`).join('')}
+                    </tbody>
+                </table>
+            `;
+        }).join('');
+
+        return `<!DOCTYPE html>
+<html lang="id">
+<head>
+    <meta charset="UTF-8">
+    <title>Laporan Keuangan - ${escape(this.formatPeriod(report.mode, report.period))}</title>
+    <style>
+        body { font-family: Inter, Arial, sans-serif; color: #0F172A; margin: 32px; }
+        h1 { font-size: 20px; margin-bottom: 4px; }
+        h2 { font-size: 15px; margin-top: 28px; }
+        p { color: #64748B; font-size: 12px; }
+        table { width: 100%; border-collapse: collapse; font-size: 12px; }
+        th, td { border-bottom: 1px solid #E2E8F0; padding: 6px 8px; text-align: right; }
+        th:first-child, td:first-child { text-align: left; }
+        th { background: #F1F5F9; }
+        @media print { body { margin: 0; } }
+    </style>
+</head>
+<body>
+    <h1>Laporan Keuangan - ${escape(this.formatPeriod(report.mode, report.period))}</h1>
+    <p>Dibuat ${escape(new Date().toLocaleString('id-ID'))}. Transfer ke target keuangan tidak dihitung sebagai pemasukan atau pengeluaran.</p>
+    ${tables}
+</body>
+</html>`;
+    }
+}
+
+window.ReportManager = ReportManager;
@@ -0,0 +1,422 @@
+/**
+ * Finance Wealth - Asset and liability accounts with value history on financeDB.wealth
+ * Every value change is kept in wealthSnapshots, which the net worth chart is drawn from.
+ */
+
+class WealthManager {
+    constructor(financeManager) {
+        this.finance = financeManager;
+        this.repository = financeManager.repository;
+        this.categories = {
+            cash: { label: 'Tunai', type: 'asset', icon: '💵' },
+            bank: { label: 'Rekening Bank', type: 'asset', icon: '🏦' },
+            ewallet: { label: 'E-Wallet', type: 'asset', icon: '📱' },
+            gold: { label: 'Emas', type: 'asset', icon: '🪙' },
+            stocks: { label: 'Saham', type: 'asset', icon: '📈' },
+            crypto: { label: 'Kripto', type: 'asset', icon: '₿' },
+            loan: { label: 'Pinjaman', type: 'liability', icon: '🧾' },
+            credit_card: { label: 'Kartu Kredit', type: 'liability', icon: '💳' }
+        };
+        // Months of history shown in the chart
+        this.historyMonths = 12;
+        this.chart = null;
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        document.getElementById('add-account-btn')?.addEventListener('click', () => {
+            this.showAccountModal();
+        });
+
+        document.getElementById('account-list')?.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-wealth-action]');
+            if (!button) return;
+            const account = this.finance.wealth.find(item => item.id === Number(button.dataset.accountId));
+            if (!account) return;
+            if (button.dataset.wealthAction === 'value') {
+                this.showValueModal(account);
+            } else if (button.dataset.wealthAction === 'edit') {
+                this.showAccountModal(account);
+            } else if (button.dataset.wealthAction === 'delete') {
+                this.deleteAccount(account);
+            }
+        });
+    }
+
+    isLiability(account) {
+        return (this.categories[account.category]?.type || account.type) === 'liability';
+    }
+
+    /**
+     * Net worth at the end of each of the last historyMonths months and today, in the base currency.
+     * Each account counts with its latest snapshot on or before the point, converted at the rate of
+     * that point; months before the first snapshot are left out.
+     * @param {Array} accounts
+     * @param {Array} snapshots - Sorted by date
+     * @returns {Array<{date: string, value: number}>}
+     */
+    getHistory(accounts, snapshots) {
+        if (snapshots.length === 0) return [];
+
+        const liabilities = new Set(accounts.filter(account => this.isLiability(account)).map(account => account.id));
+        const byId = new Map(accounts.map(account => [account.id, account]));
+        const today = new Date().toISOString().split('T')[0];
+
+        const points = [];
+        for (let i = this.historyMonths - 1; i >= 1; i--) {
+            const date = new Date();
+            date.setDate(1);
+            date.setMonth(date.getMonth() - i + 1);
+            date.setDate(0); // Last day of the month before
+            points.push(date.toISOString().split('T')[0]);
+        }
+        points.push(today);
+
+        const history = [];
+        const latest = new Map();
+        let index = 0;
+        for (const point of points) {
+            while (index < snapshots.length && snapshots[index].date <= point) {
+                latest.set(snapshots[index].accountId, snapshots[index].value);
+                index++;
+            }
+            if (latest.size === 0) continue;
+
+            let value = 0;
+            latest.forEach((amount, accountId) => {
+                if (!byId.has(accountId)) return;
+                const converted = this.finance.currencyManager.accountToBase(byId.get(accountId), amount, point);
+                value += liabilities.has(accountId) ? -converted : converted;
+            });
+            history.push({ date: point, value: value });
+        }
+        return history;
+    }
+
+    /**
+     * Render the account list and the net worth chart
+     */
+    render() {
+        this.renderAccounts();
+        this.renderChart();
+    }
+
+    renderAccounts() {
+        const container = document.getElementById('account-list');
+        if (!container) return;
+
+        if (this.finance.wealth.length === 0) {
+            container.innerHTML = `
+                <div class="text-center py-8 text-gray-500">
+                    <p class="mb-1">Belum ada akun</p>
+                    <p class="text-sm">Tambahkan tabungan, investasi, dan utang untuk menghitung kekayaan bersih.</p>
+                </div>
+            `;
+            return;
+        }
+
+        const assets = this.finance.wealth.filter(account => !this.isLiability(account));
+        const liabilities = this.finance.wealth.filter(account => this.isLiability(account));
+        const toBase = (account) => this.finance.currencyManager.accountToBase(account);
+        const group = (title, accounts, totalClass) => accounts.length === 0 ? '' : `
+            <div>
+                <div class="flex items-center justify-between mb-2">
+                    <h4 class="text-sm font-semibold text-gray-700">${title}</h4>
+                    <span class="text-sm font-semibold ${totalClass}">${this.finance.formatCurrency(accounts.reduce((sum, account) => sum + toBase(account), 0))}</span>
+                </div>
+                <div class="space-y-2">
+                    ${accounts.sort((a, b) => toBase(b) - toBase(a)).map(account => this.renderAccount(account)).join('')}
+                </div>
+            </div>
+        `;
+
+        container.innerHTML = group('Aset', assets, 'text-emerald-600') + group('Liabilitas', liabilities, 'text-red-600');
+    }
+
+    renderAccount(account) {
+        const category = this.categories[account.category] || { label: account.category, icon: '💼' };
+        const liability = this.isLiability(account);
+        const details = [category.label];
+        if (account.date) {
+            details.push(`per ${Utils.formatDate(account.date, { weekday: undefined, day: 'numeric', month: 'short', year: 'numeric' })}`);
+        }
+        if (liability && account.interestRate) {
+            details.push(`bunga ${account.interestRate}%/tahun`);
+        }
+        if (liability && account.minimumPayment) {
+            details.push(`min. ${this.formatValue(account, account.minimumPayment)}/bulan`);
+        }
+
+        return `
+            <div class="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
+                <div class="flex items-center min-w-0">
+                    <span class="text-xl mr-3">${category.icon}</span>
+                    <div class="min-w-0">
+                        <p class="font-medium text-gray-900 truncate">${Utils.sanitizeHTML(account.name)}</p>
+                        <p class="text-xs text-gray-500">${details.join(' · ')}</p>
+                    </div>
+                </div>
+                <div class="flex items-center space-x-2 ml-3">
+                    <button data-wealth-action="value" data-account-id="${account.id}" class="font-semibold ${liability ? 'text-red-600' : 'text-gray-900'} hover:underline" title="Perbarui nilai">
+                        ${this.finance.currencyManager.formatWithBase({ currency: account.currency }, account.value)}
+                    </button>
+                    <button data-wealth-action="edit" data-account-id="${account.id}" class="text-gray-400 hover:text-secondary p-1" title="Ubah akun">
+                        <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z"></path>
+                        </svg>
+                    </button>
+                    <button data-wealth-action="delete" data-account-id="${account.id}" class="text-gray-400 hover:text-red-600 p-1" title="Hapus akun">
+                        <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16"></path>
+                        </svg>
+                    </button>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * An amount in the account's own currency
+     */
+    formatValue(account, amount = account.value) {
+        return this.finance.formatCurrency(amount, this.finance.currencyManager.currencyOf(account));
+    }
+
+    renderChart() {
+        const canvas = document.getElementById('net-worth-chart');
+        if (!canvas || typeof Chart === 'undefined') return;
+
+        const history = this.getHistory(this.finance.wealth, this.finance.wealthSnapshots);
+        canvas.parentElement.classList.toggle('hidden', history.length < 2);
+
+        // Chart.js refuses to draw on a canvas that already has a chart
+        if (this.chart) this.chart.destroy();
+        this.chart = null;
+        if (history.length < 2) return;
+
+        this.chart = new Chart(canvas, {
+            type: 'line',
+            data: {
+                labels: history.map(point => new Date(point.date).toLocaleDateString('id-ID', { month: 'short', year: '2-digit' })),
+                datasets: [{
+                    label: 'Kekayaan Bersih',
+                    data: history.map(point => point.value),
+                    borderColor: '#7C3AED',
+                    backgroundColor: 'rgba(124, 58, 237, 0.1)',
+                    fill: true,
+                    tension: 0.3
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: { display: false },
+                    tooltip: { callbacks: { label: (item) => this.finance.formatCurrency(item.parsed.y) } }
+                },
+                scales: { y: { ticks: { callback: (value) => this.finance.formatCurrency(value) } } }
+            }
+        });
+    }
+
+    /**
+     * Show the create/edit account modal
+     * @param {Object} [account] - Account to edit
+     */
+    showAccountModal(account = null) {
+        const today = new Date().toISOString().split('T')[0];
+        const modal = document.createElement('div');
+        modal.className = 'fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center p-4';
+        modal.innerHTML = `
+            <div class="bg-white rounded-2xl max-w-md w-full p-6 max-h-screen overflow-y-auto">
+                <h3 class="text-xl font-poppins font-semibold text-gray-900 mb-6">${account ? 'Ubah Akun' : 'Akun Baru'}</h3>
+                <form id="account-form" class="space-y-4">
+                    <div>
+                        <label class="block text-sm font-medium text-gray-700 mb-2">Nama</label>
+                        <input type="text" id="account-name" class="form-input" placeholder="BCA Tabungan" maxlength="60" required>
+                    </div>
+                    <div>
+                        <label class="block text-sm font-medium text-gray-700 mb-2">Jenis</label>
+                        <select id="account-category" class="form-input">
+                            <optgroup label="Aset">
+                                ${this.renderCategoryOptions('asset')}
+                            </optgroup>
+                            <optgroup label="Liabilitas">
+                                ${this.renderCategoryOptions('liability')}
+                            </optgroup>
+                        </select>
+                    </div>
+                    <div class="grid grid-cols-3 gap-3">
+                        <div>
+                            <label class="block text-sm font-medium text-gray-700 mb-2" id="account-value-label">Nilai saat ini</label>
+                            <input type="number" id="account-value" class="form-input" min="0" step="any" required>
+                        </div>
+                        <div>
+                            <label class="block text-sm font-medium text-gray-700 mb-2">Mata uang</label>
+                            <select id="account-currency" class="form-input">${this.finance.currencyManager.renderOptions(account ? this.finance.currencyManager.currencyOf(account) : undefined)}</select>
+                        </div>
+                        <div>
+                            <label class="block text-sm font-medium text-gray-700 mb-2">Per tanggal</label>
+                            <input type="date" id="account-date" class="form-input" max="${today}" required>
+                        </div>
+                    </div>
+                    <div id="liability-fields" class="grid grid-cols-2 gap-3">
+                        <div>
+                            <label class="block text-sm font-medium text-gray-700 mb-2">Bunga (%/tahun)</label>
+                            <input type="number" id="account-interest" class="form-input" min="0" step="0.01" placeholder="0">
+                        </div>
+                        <div>
+                            <label class="block text-sm font-medium text-gray-700 mb-2">Cicilan minimum</label>
+                            <input type="number" id="account-minimum" class="form-input" min="0" step="any" placeholder="0">
+                        </div>
+                    </div>
+                    <div class="flex space-x-3 pt-4">
+                        <button type="button" data-close class="flex-1 bg-gray-100 hover:bg-gray-200 text-gray-700 font-medium py-3 px-6 rounded-lg transition-colors">
+                            Batal
+                        </button>
+                        <button type="submit" class="flex-1 bg-secondary hover:bg-blue-700 text-white font-medium py-3 px-6 rounded-lg transition-colors">
+                            Simpan
+                        </button>
+                    </div>
+                </form>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        const categorySelect = modal.querySelector('#account-category');
+        modal.querySelector('#account-name').value = account?.name || '';
+        categorySelect.value = account?.category || 'bank';
+        modal.querySelector('#account-value').value = account ? account.value : '';
+        modal.querySelector('#account-date').value = account?.date || today;
+        modal.querySelector('#account-interest').value = account?.interestRate ?? '';
+        modal.querySelector('#account-minimum').value = account?.minimumPayment ?? '';
+
+        const toggleLiabilityFields = () => {
+            const liability = this.categories[categorySelect.value].type === 'liability';
+            modal.querySelector('#liability-fields').classList.toggle('hidden', !liability);
+            modal.querySelector('#account-value-label').textContent = liability ? 'Sisa utang' : 'Nilai saat ini';
+        };
+        toggleLiabilityFields();
+        categorySelect.addEventListener('change', toggleLiabilityFields);
+
+        modal.querySelector('[data-close]').addEventListener('click', () => modal.remove());
+        modal.querySelector('#account-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleSaveAccount(modal, account);
+        });
+    }
+
+    renderCategoryOptions(type) {
+        return Object.entries(this.categories)
+            .filter(([, category]) => category.type === type)
+            .map(([value, category]) => `<option value="${value}">${category.icon} ${category.label}</option>`)
+            .join('');
+    }
+
+    async handleSaveAccount(modal, account) {
+        const category = modal.querySelector('#account-category').value;
+        const type = this.categories[category].type;
+        const value = parseFloat(modal.querySelector('#account-value').value);
+        const name = modal.querySelector('#account-name').value.trim();
+        if (!name || !Number.isFinite(value) || value < 0) {
+            window.notificationManager?.showErrorMessage('Isi nama dan nilai yang valid');
+            return;
+        }
+
+        const record = { ...(account || {}), name, category, type, value, currency: modal.querySelector('#account-currency').value };
+        if (type === 'liability') {
+            record.interestRate = parseFloat(modal.querySelector('#account-interest').value) || 0;
+            record.minimumPayment = parseFloat(modal.querySelector('#account-minimum').value) || 0;
+        } else {
+            delete record.interestRate;
+            delete record.minimumPayment;
+        }
+
+        try {
+            await this.repository.saveAccount(record, modal.querySelector('#account-date').value);
+            modal.remove();
+            await this.finance.loadData();
+            await this.finance.updateUI();
+            window.notificationManager?.showSuccessMessage(account ? 'Akun diperbarui' : 'Akun ditambahkan');
+        } catch (error) {
+            console.error('Error saving wealth account:', error);
+            window.notificationManager?.showErrorMessage('Gagal menyimpan akun');
+        }
+    }
+
+    /**
+     * Show the modal that records a new value for an account
+     */
+    showValueModal(account) {
+        const today = new Date().toISOString().split('T')[0];
+        const modal = document.createElement('div');
+        modal.className = 'fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center p-4';
+        modal.innerHTML = `
+            <div class="bg-white rounded-2xl max-w-md w-full p-6">
+                <h3 class="text-xl font-poppins font-semibold text-gray-900 mb-1">Perbarui Nilai</h3>
+                <p class="text-sm text-gray-500 mb-6">${Utils.sanitizeHTML(account.name)} · terakhir ${this.formatValue(account)}</p>
+                <form id="value-form" class="space-y-4">
+                    <div>
+                        <label class="block text-sm font-medium text-gray-700 mb-2">${this.isLiability(account) ? 'Sisa utang' : 'Nilai'} (${this.finance.currencyManager.currencyOf(account)})</label>
+                        <input type="number" id="snapshot-value" class="form-input" min="0" step="any" value="${account.value}" required>
+                    </div>
+                    <div>
+                        <label class="block text-sm font-medium text-gray-700 mb-2">Tanggal</label>
+                        <input type="date" id="snapshot-date" class="form-input" value="${today}" max="${today}" required>
+                    </div>
+                    <p class="text-xs text-gray-500">Nilai lama tetap tersimpan untuk grafik kekayaan bersih.</p>
+                    <div class="flex space-x-3 pt-4">
+                        <button type="button" data-close class="flex-1 bg-gray-100 hover:bg-gray-200 text-gray-700 font-medium py-3 px-6 rounded-lg transition-colors">
+                            Batal
+                        </button>
+                        <button type="submit" class="flex-1 bg-secondary hover:bg-blue-700 text-white font-medium py-3 px-6 rounded-lg transition-colors">
+                            Simpan
+                        </button>
+                    </div>
+                </form>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+        modal.querySelector('[data-close]').addEventListener('click', () => modal.remove());
+        modal.querySelector('#value-form').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const value = parseFloat(modal.querySelector('#snapshot-value').value);
+            if (!Number.isFinite(value) || value < 0) {
+                window.notificationManager?.showErrorMessage('Nilai tidak valid');
+                return;
+            }
+
+            try {
+                await this.repository.saveAccount({ ...account, value }, modal.querySelector('#snapshot-date').value);
+                modal.remove();
+                await this.finance.loadData();
+                await this.finance.updateUI();
+            } catch (error) {
+                console.error('Error recording account value:', error);
+                window.notificationManager?.showErrorMessage('Gagal menyimpan nilai');
+            }
+        });
+    }
+
+    /**
+     * Delete an account and its history after confirmation
+     */
+    async deleteAccount(account) {
+        if (!confirm(`Hapus akun "${account.name}" beserta riwayat nilainya?`)) return;
+
+        try {
+            await this.repository.deleteAccount(account.id);
+            await this.finance.loadData();
+            await this.finance.updateUI();
+        } catch (error) {
+            console.error('Error deleting wealth account:', error);
+            window.notificationManager?.showErrorMessage('Gagal menghapus akun');
+        }
+    }
+}
+
+window.WealthManager = WealthManager;
@@ -0,0 +1,593 @@
+/**
+ * Finance Zakat - Zakat maal and fitrah calculator with infaq and sedekah tracking
+ * Shown only when the user opted in (islamicFinanceEnabled, set by onboarding for Muslim users).
+ * Zakat maal uses the asset accounts of financeDB.wealth against a nisab from a locally entered gold
+ * price; the haul is counted over the Hijri year. Giving is recorded as expense transactions in the
+ * 'giving' category and its sub-categories.
+ */
+
+class ZakatManager {
+    constructor(financeManager) {
+        this.finance = financeManager;
+        this.repository = financeManager.repository;
+        this.profiles = new ProfileRepository(financeManager.storage || window.storageManager);
+        this.settingsKey = 'zakatSettings';
+        this.defaultSettings = {
+            goldPrice: null,
+            goldPriceDate: null,
+            nisabGrams: 85,
+            ricePrice: null,
+            fitrahKg: 2.5,
+            householdMembers: 1,
+            haulStart: null,
+            excludedAccounts: [],
+            deductedAccounts: [],
+            lastPaid: null
+        };
+        this.zakatRate = 0.025;
+        this.givingTypes = {
+            zakat: 'Zakat Maal',
+            zakat_fitrah: 'Zakat Fitrah',
+            infaq: 'Infaq',
+            sedekah: 'Sedekah'
+        };
+        this.hijriCalendar = 'islamic-umalqura';
+        this.yearGiving = [];
+    }
+
+    isEnabled() {
+        return Boolean(this.profiles.getPreferences().islamicFinanceEnabled);
+    }
+
+    getSettings() {
+        return { ...this.defaultSettings, ...(this.finance.storage.getFromLocalStorage(this.settingsKey) || {}) };
+    }
+
+    saveSettings(changes) {
+        const settings = { ...this.getSettings(), ...changes };
+        this.finance.storage.saveToLocalStorage(this.settingsKey, settings);
+        return settings;
+    }
+
+    /**
+     * Day, month and year of a YYYY-MM-DD date in the Hijri calendar
+     * @returns {{year: number, month: number, day: number}}
+     */
+    toHijri(date) {
+        const parts = new Intl.DateTimeFormat(`en-u-ca-${this.hijriCalendar}`, { day: 'numeric', month: 'numeric', year: 'numeric' })
+            .formatToParts(new Date(`${date}T12:00:00`));
+        const value = (type) => Number(parts.find(part => part.type === type)?.value);
+        return { year: value('year'), month: value('month'), day: value('day') };
+    }
+
+    formatHijri(date) {
+        return new Date(`${date}T12:00:00`).toLocaleDateString(`id-ID-u-ca-${this.hijriCalendar}`, { day: 'numeric', month: 'long', year: 'numeric' });
+    }
+
+    addDays(date, days) {
+        const [year, month, day] = date.split('-').map(Number);
+        return new Date(Date.UTC(year, month - 1, day + days)).toISOString().split('T')[0];
+    }
+
+    /**
+     * First day on or after the same Hijri day one Hijri year (354 or 355 days) later
+     */
+    addHijriYear(date) {
+        const start = this.toHijri(date);
+        const compare = (a, b) => a.year - b.year || a.month - b.month || a.day - b.day;
+        const target = { ...start, year: start.year + 1 };
+        let candidate = this.addDays(date, 350);
+        while (compare(this.toHijri(candidate), target) < 0) {
+            candidate = this.addDays(candidate, 1);
+        }
+        return candidate;
+    }
+
+    isCounted(account, settings) {
+        return this.finance.wealthManager.isLiability(account)
+            ? settings.deductedAccounts.includes(account.id)
+            : !settings.excludedAccounts.includes(account.id);
+    }
+
+    /**
+     * Zakatable wealth in the base currency: counted assets minus the debts the user chose to deduct
+     * @param {Map<number, number>} [values] - Account values to use instead of the current ones
+     * @param {string} [date] - Date of the values, for the exchange rate
+     */
+    getZakatableWealth(settings, values = null, date = undefined) {
+        const currency = this.finance.currencyManager;
+        return this.finance.wealth
+            .filter(account => this.isCounted(account, settings))
+            .reduce((sum, account) => {
+                const value = values ? (values.get(account.id) ?? 0) : account.value;
+                const converted = currency.accountToBase(account, value, date);
+                return sum + (this.finance.wealthManager.isLiability(account) ? -converted : converted);
+            }, 0);
+    }
+
+    /**
+     * Start of the current haul: the day wealth last rose to the nisab and stayed there, judged from
+     * the value history, or the date the user set. A zakat payment starts the next haul.
+     * @returns {string|null} YYYY-MM-DD, or null while wealth is below the nisab
+     */
+    getHaulStart(settings, nisab) {
+        if (settings.haulStart) return settings.haulStart;
+
+        const latest = new Map();
+        let start = null;
+        for (const snapshot of this.finance.wealthSnapshots) {
+            latest.set(snapshot.accountId, snapshot.value);
+            const wealth = this.getZakatableWealth(settings, latest, snapshot.date);
+            if (wealth < nisab) {
+                start = null;
+            } else if (!start) {
+                start = snapshot.date;
+            }
+        }
+        if (this.getZakatableWealth(settings) < nisab) return null;
+
+        if (settings.lastPaid?.date && (!start || settings.lastPaid.date > start)) {
+            return settings.lastPaid.date;
+        }
+        return start || new Date().toISOString().split('T')[0];
+    }
+
+    /**
+     * Zakat maal status with the current settings and accounts
+     */
+    calculate(settings = this.getSettings()) {
+        const today = new Date().toISOString().split('T')[0];
+        const wealth = this.getZakatableWealth(settings);
+        const nisab = settings.goldPrice > 0 ? settings.goldPrice * settings.nisabGrams : null;
+        const reached = nisab !== null && wealth >= nisab;
+
+        let haul = null;
+        if (reached) {
+            const start = this.getHaulStart(settings, nisab);
+            const end = this.addHijriYear(start);
+            const [startTime, endTime, now] = [start, end, today].map(date => new Date(`${date}T00:00:00`).getTime());
+            haul = {
+                start: start,
+                end: end,
+                complete: today >= end,
+                percent: Math.min(100, Math.round(((now - startTime) / (endTime - startTime)) * 100)),
+                daysLeft: Math.max(0, Math.round((endTime - now) / (24 * 60 * 60 * 1000)))
+            };
+        }
+
+        return {
+            wealth: wealth,
+            nisab: nisab,
+            reached: reached,
+            haul: haul,
+            amount: reached ? Math.ceil(wealth * this.zakatRate) : 0,
+            fitrah: settings.ricePrice > 0 ? Math.ceil(settings.householdMembers * settings.fitrahKg * settings.ricePrice) : null
+        };
+    }
+
+    /**
+     * Giving transactions of a year, newest first
+     * @param {number} year
+     */
+    async getGiving(year) {
+        const categories = new Set(['giving', ...Object.keys(this.givingTypes)]);
+        const transactions = await this.repository.getTransactionsInRange(`${year}-01-01`, `${year}-12-31`);
+        return transactions
+            .filter(t => t.type === 'expense' && (categories.has(t.category) || this.finance.categoryManager.categories.get(t.category)?.parentId === 'giving'))
+            .sort((a, b) => b.date.localeCompare(a.date));
+    }
+
+    /**
+     * Totals per giving category in the base currency
+     */
+    summarizeGiving(transactions) {
+        const totals = new Map();
+        transactions.forEach(t => totals.set(t.category, (totals.get(t.category) || 0) + this.finance.currencyManager.toBase(t)));
+        return Array.from(totals.entries())
+            .map(([category, amount]) => ({ category, label: this.finance.getCategoryLabel(category), amount }))
+            .sort((a, b) => b.amount - a.amount);
+    }
+
+    async loadGiving() {
+        try {
+            this.yearGiving = await this.getGiving(new Date().getFullYear());
+        } catch (error) {
+            console.error('Error loading giving transactions:', error);
+            this.yearGiving = [];
+        }
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        document.getElementById('zakat-settings-btn')?.addEventListener('click', () => this.showSettingsModal());
+        document.getElementById('add-giving-btn')?.addEventListener('click', () => this.showGivingModal());
+        document.getElementById('zakat-report-btn')?.addEventListener('click', () => this.showReport());
+        document.getElementById('zakat-summary')?.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-zakat-pay]');
+            if (!button) return;
+            this.showGivingModal(button.dataset.zakatPay, Number(button.dataset.amount) || null);
+        });
+    }
+
+    /**
+     * Render the zakat section, or hide it for users who did not opt in
+     */
+    async render() {
+        const section = document.getElementById('zakat-section');
+        if (!section) return;
+        section.classList.toggle('hidden', !this.isEnabled());
+        if (!this.isEnabled()) return;
+
+        await this.loadGiving();
+        const settings = this.getSettings();
+        const result = this.calculate(settings);
+        const format = (amount) => this.finance.formatCurrency(amount);
+        const shortDate = (date) => Utils.formatDate(date, { weekday: undefined, day: 'numeric', month: 'short', year: 'numeric' });
+
+        let maalStatus;
+        if (result.nisab === null) {
+            maalStatus = '<p class="text-sm text-gray-500">Isi harga emas per gram di Pengaturan untuk menghitung nisab.</p>';
+        } else if (!result.reached) {
+            maalStatus = `<p class="text-sm text-gray-500">Harta belum mencapai nisab ${format(result.nisab)}. Belum wajib zakat maal.</p>`;
+        } else {
+            const haul = result.haul;
+            maalStatus = `
+                <p class="text-sm text-gray-600">Nisab ${format(result.nisab)} · zakat 2,5% <strong>${format(result.amount)}</strong></p>
+                <div class="mt-3">
+                    <div class="flex items-center justify-between text-xs text-gray-500 mb-1">
+                        <span>Haul sejak ${this.formatHijri(haul.start)}</span>
+                        <span>${haul.complete ? 'Haul genap' : `${haul.daysLeft} hari lagi`}</span>
+                    </div>
+                    <div class="w-full bg-gray-200 rounded-full h-2">
+                        <div class="${haul.complete ? 'bg-emerald-500' : 'bg-teal-500'} h-2 rounded-full" style="width: ${haul.percent}%"></div>
+                    </div>
+                    <p class="text-xs text-gray-500 mt-1">Jatuh tempo ${this.formatHijri(haul.end)} (${shortDate(haul.end)})</p>
+                </div>
+                ${haul.complete ? `
+                    <button data-zakat-pay="zakat" data-amount="${result.amount}" class="mt-3 text-sm bg-secondary hover:bg-blue-700 text-white px-3 py-1 rounded-lg transition-colors">Bayar Zakat Maal</button>
+                ` : ''}
+            `;
+        }
+
+        const giving = this.summarizeGiving(this.yearGiving);
+        const givingTotal = giving.reduce((sum, row) => sum + row.amount, 0);
+
+        document.getElementById('zakat-summary').innerHTML = `
+            <div class="grid grid-cols-1 md:grid-cols-3 gap-4">
+                <div class="p-4 bg-gray-50 rounded-lg">
+                    <p class="text-xs text-gray-500">Zakat Maal · harta terhitung</p>
+                    <p class="text-lg font-semibold text-gray-900 mb-2">${format(result.wealth)}</p>
+                    ${maalStatus}
+                </div>
+                <div class="p-4 bg-gray-50 rounded-lg">
+                    <p class="text-xs text-gray-500">Zakat Fitrah · ${settings.householdMembers} jiwa</p>
+                    ${result.fitrah === null ? `
+                        <p class="text-sm text-gray-500 mt-2">Isi harga beras per kg di Pengaturan.</p>
+                    ` : `
+                        <p class="text-lg font-semibold text-gray-900 mb-2">${format(result.fitrah)}</p>
+                        <p class="text-sm text-gray-600">${settings.fitrahKg} kg beras × ${settings.householdMembers} jiwa</p>
+                        <button data-zakat-pay="zakat_fitrah" data-amount="${result.fitrah}" class="mt-3 text-sm bg-secondary hover:bg-blue-700 text-white px-3 py-1 rounded-lg transition-colors">Bayar Zakat Fitrah</button>
+                    `}
+                </div>
+                <div class="p-4 bg-gray-50 rounded-lg">
+                    <p class="text-xs text-gray-500">Pemberian tahun ${new Date().getFullYear()}</p>
+                    <p class="text-lg font-semibold text-gray-900 mb-2">${format(givingTotal)}</p>
+                    ${giving.length === 0 ? '<p class="text-sm text-gray-500">Belum ada zakat, infaq, atau sedekah yang dicatat.</p>' : `
+                        <div class="space-y-1">
+                            ${giving.map(row => `
+                                <div class="flex items-center justify-between text-sm">
+                                    <span class="text-gray-600">${Utils.sanitizeHTML(this.finance.categoryManager.getIcon(row.category))} ${Utils.sanitizeHTML(row.label)}</span>
+                                    <span class="text-gray-900">${format(row.amount)}</span>
+                                </div>
+                            `).join('')}
+                        </div>
+                    `}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Show the zakat settings modal
+     */
+    showSettingsModal() {
+        const settings = this.getSettings();
+        const today = new Date().toISOString().split('T')[0];
+        const base = this.finance.currencyManager.baseCurrency;
+        const accountRow = (account) => `
+            <label class="flex items-center justify-between p-2 bg-gray-50 rounded-lg text-sm">
+                <span>
+                    <input type="checkbox" data-zakat-account="${account.id}" class="mr-2" ${this.isCounted(account, settings) ? 'checked' : ''}>
+                    ${Utils.sanitizeHTML(account.name)}
+                </span>
+                <span class="text-gray-500">${this.finance.formatCurrency(account.value, this.finance.currencyManager.currencyOf(account))}</span>
+            </label>
+        `;
+        const assets = this.finance.wealth.filter(account => !this.finance.wealthManager.isLiability(account));
+        const liabilities = this.finance.wealth.filter(account => this.finance.wealthManager.isLiability(account));
+
+        const modal = document.createElement('div');
+        modal.className = 'fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center p-4';
+        modal.innerHTML = `
+            <div class="bg-white rounded-2xl max-w-lg w-full p-6 max-h-screen overflow-y-auto">
+                <h3 class="text-xl font-poppins font-semibold text-gray-900 mb-6">Pengaturan Zakat</h3>
+                <form id="zakat-settings-form" class="space-y-4">
+                    <div class="grid grid-cols-3 gap-3">
+                        <div>
+                            <label class="block text-sm font-medium text-gray-700 mb-2">Harga emas/gram (${base})</label>
+                            <input type="number" id="zakat-gold-price" class="form-input" min="0" step="any" value="${settings.goldPrice ?? ''}">
+                        </div>
+                        <div>
+                            <label class="block text-sm font-medium text-gray-700 mb-2">Per tanggal</label>
+                            <input type="date" id="zakat-gold-date" class="form-input" value="${settings.goldPriceDate || today}" max="${today}">
+                        </div>
+                        <div>
+                            <label class="block text-sm font-medium text-gray-700 mb-2">Nisab (gram)</label>
+                            <input type="number" id="zakat-nisab-grams" class="form-input" min="1" step="any" value="${settings.nisabGrams}">
+                        </div>
+                    </div>
+                    <div class="grid grid-cols-3 gap-3">
+                        <div>
+                            <label class="block text-sm font-medium text-gray-700 mb-2">Harga beras/kg (${base})</label>
+                            <input type="number" id="zakat-rice-price" class="form-input" min="0" step="any" value="${settings.ricePrice ?? ''}">
+                        </div>
+                        <div>
+                            <label class="block text-sm font-medium text-gray-700 mb-2">Kg per jiwa</label>
+                            <input type="number" id="zakat-fitrah-kg" class="form-input" min="0" step="0.1" value="${settings.fitrahKg}">
+                        </div>
+                        <div>
+                            <label class="block text-sm font-medium text-gray-700 mb-2">Anggota keluarga</label>
+                            <input type="number" id="zakat-members" class="form-input" min="1" step="1" value="${settings.householdMembers}">
+                        </div>
+                    </div>
+                    <div>
+                        <label class="block text-sm font-medium text-gray-700 mb-2">Awal haul (opsional)</label>
+                        <input type="date" id="zakat-haul-start" class="form-input" value="${settings.haulStart || ''}" max="${today}">
+                        <p class="text-xs text-gray-500 mt-1">Kosongkan agar dihitung dari riwayat nilai akun sejak harta mencapai nisab.</p>
+                    </div>
+                    ${assets.length > 0 ? `
+                        <div>
+                            <p class="text-sm font-medium text-gray-700 mb-2">Harta yang dihitung</p>
+                            <div class="space-y-1">${assets.map(accountRow).join('')}</div>
+                        </div>
+                    ` : ''}
+                    ${liabilities.length > 0 ? `
+                        <div>
+                            <p class="text-sm font-medium text-gray-700 mb-2">Utang jatuh tempo yang dikurangkan</p>
+                            <div class="space-y-1">${liabilities.map(accountRow).join('')}</div>
+                        </div>
+                    ` : ''}
+                    <div class="flex space-x-3 pt-4">
+                        <button type="button" data-close class="flex-1 bg-gray-100 hover:bg-gray-200 text-gray-700 font-medium py-3 px-6 rounded-lg transition-colors">
+                            Batal
+                        </button>
+                        <button type="submit" class="flex-1 bg-secondary hover:bg-blue-700 text-white font-medium py-3 px-6 rounded-lg transition-colors">
+                            Simpan
+                        </button>
+                    </div>
+                </form>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+        modal.querySelector('[data-close]').addEventListener('click', () => modal.remove());
+        modal.querySelector('#zakat-settings-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            const number = (selector) => {
+                const value = parseFloat(modal.querySelector(selector).value);
+                return Number.isFinite(value) && value > 0 ? value : null;
+            };
+            const checked = (accounts, wanted) => accounts
+                .filter(account => modal.querySelector(`[data-zakat-account="${account.id}"]`).checked === wanted)
+                .map(account => account.id);
+
+            this.saveSettings({
+                goldPrice: number('#zakat-gold-price'),
+                goldPriceDate: modal.querySelector('#zakat-gold-date').value || today,
+                nisabGrams: number('#zakat-nisab-grams') || this.defaultSettings.nisabGrams,
+                ricePrice: number('#zakat-rice-price'),
+                fitrahKg: number('#zakat-fitrah-kg') || this.defaultSettings.fitrahKg,
+                householdMembers: Math.max(1, Math.round(number('#zakat-members') || 1)),
+                haulStart: modal.querySelector('#zakat-haul-start').value || null,
+                excludedAccounts: checked(assets, false),
+                deductedAccounts: checked(liabilities, true)
+            });
+            modal.remove();
+            this.render();
+        });
+    }
+
+    /**
+     * Show the modal that records a zakat, infaq or sedekah payment
+     * @param {string} [category] - Key of givingTypes
+     * @param {number} [amount] - Suggested amount
+     */
+    showGivingModal(category = 'sedekah', amount = null) {
+        const today = new Date().toISOString().split('T')[0];
+        const modal = document.createElement('div');
+        modal.className = 'fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center p-4';
+        modal.innerHTML = `
+            <div class="bg-white rounded-2xl max-w-md w-full p-6">
+                <h3 class="text-xl font-poppins font-semibold text-gray-900 mb-6">Catat Zakat, Infaq & Sedekah</h3>
+                <form id="giving-form" class="space-y-4">
+                    <div>
+                        <label class="block text-sm font-medium text-gray-700 mb-2">Jenis</label>
+                        <select id="giving-category" class="form-input">
+                            ${Object.entries(this.givingTypes).map(([value, label]) => `<option value="${value}" ${value === category ? 'selected' : ''}>${label}</option>`).join('')}
+                        </select>
+                    </div>
+                    <div>
+                        <label class="block text-sm font-medium text-gray-700 mb-2">Jumlah (${this.finance.currencyManager.baseCurrency})</label>
+                        <input type="number" id="giving-amount" class="form-input" min="1" step="any" value="${amount ?? ''}" required>
+                    </div>
+                    <div>
+                        <label class="block text-sm font-medium text-gray-700 mb-2">Penerima / lembaga</label>
+                        <input type="text" id="giving-recipient" class="form-input" placeholder="Masjid, BAZNAS, panti asuhan" maxlength="60">
+                    </div>
+                    <div>
+                        <label class="block text-sm font-medium text-gray-700 mb-2">Tanggal</label>
+                        <input type="date" id="giving-date" class="form-input" value="${today}" max="${today}" required>
+                    </div>
+                    <div class="flex space-x-3 pt-4">
+                        <button type="button" data-close class="flex-1 bg-gray-100 hover:bg-gray-200 text-gray-700 font-medium py-3 px-6 rounded-lg transition-colors">
+                            Batal
+                        </button>
+                        <button type="submit" class="flex-1 bg-secondary hover:bg-blue-700 text-white font-medium py-3 px-6 rounded-lg transition-colors">
+                            Simpan
+                        </button>
+                    </div>
+                </form>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+        modal.querySelector('[data-close]').addEventListener('click', () => modal.remove());
+        modal.querySelector('#giving-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleGiving(modal);
+        });
+    }
+
+    async handleGiving(modal) {
+        const category = modal.querySelector('#giving-category').value;
+        const amount = parseFloat(modal.querySelector('#giving-amount').value);
+        const recipient = modal.querySelector('#giving-recipient').value.trim();
+        if (!Number.isFinite(amount) || amount <= 0) {
+            window.notificationManager?.showErrorMessage('Jumlah harus lebih dari 0');
+            return;
+        }
+
+        const transaction = {
+            type: 'expense',
+            amount: amount,
+            currency: this.finance.currencyManager.baseCurrency,
+            category: category,
+            description: recipient ? `${this.givingTypes[category]} - ${recipient}` : this.givingTypes[category],
+            date: modal.querySelector('#giving-date').value,
+            timestamp: new Date().toISOString()
+        };
+
+        try {
+            await this.repository.addTransaction(transaction);
+            // Paying zakat maal closes the haul; the next one starts from this payment
+            if (category === 'zakat') {
+                this.saveSettings({ lastPaid: { date: transaction.date, amount: amount }, haulStart: null });
+            }
+            modal.remove();
+            await this.finance.loadData();
+            await this.finance.updateUI();
+            window.notificationManager?.showSuccessMessage(`${this.givingTypes[category]} dicatat`);
+        } catch (error) {
+            console.error('Error recording giving transaction:', error);
+            window.notificationManager?.showErrorMessage('Gagal mencatat pemberian');
+        }
+    }
+
+    /**
+     * Show the yearly giving report with a CSV export
+     */
+    showReport() {
+        const currentYear = new Date().getFullYear();
+        const modal = document.createElement('div');
+        modal.className = 'fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center p-4';
+        modal.innerHTML = `
+            <div class="bg-white rounded-2xl max-w-2xl w-full p-6 max-h-screen overflow-y-auto">
+                <div class="flex flex-wrap items-center justify-between gap-3 mb-6">
+                    <h3 class="text-xl font-poppins font-semibold text-gray-900">Laporan Zakat & Sedekah</h3>
+                    <div class="flex items-center space-x-2">
+                        <input type="number" id="giving-year" class="form-input py-2 w-28" value="${currentYear}" min="2000" max="${currentYear}">
+                        <button data-giving-export class="text-secondary hover:text-blue-700 font-medium text-sm px-2">Ekspor CSV</button>
+                        <button data-close class="text-gray-400 hover:text-gray-600 text-2xl leading-none" title="Tutup">&times;</button>
+                    </div>
+                </div>
+                <div id="giving-report"></div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+        const yearInput = modal.querySelector('#giving-year');
+        const load = () => this.renderReport(modal, Number(yearInput.value) || currentYear);
+        modal.querySelector('[data-close]').addEventListener('click', () => modal.remove());
+        yearInput.addEventListener('change', load);
+        modal.querySelector('[data-giving-export]').addEventListener('click', () => this.exportCSV(modal.transactions || [], Number(yearInput.value)));
+        load();
+    }
+
+    async renderReport(modal, year) {
+        const container = modal.querySelector('#giving-report');
+        try {
+            modal.transactions = await this.getGiving(year);
+        } catch (error) {
+            console.error('Error building giving report:', error);
+            container.innerHTML = '<p class="text-center text-red-600 py-8">Gagal menyusun laporan</p>';
+            return;
+        }
+
+        const transactions = modal.transactions;
+        if (transactions.length === 0) {
+            container.innerHTML = `<p class="text-center text-gray-500 py-8">Belum ada zakat, infaq, atau sedekah di tahun ${year}</p>`;
+            return;
+        }
+
+        const format = (amount) => this.finance.formatCurrency(amount);
+        const totals = this.summarizeGiving(transactions);
+        const total = totals.reduce((sum, row) => sum + row.amount, 0);
+        const hijriYears = [...new Set([`${year}-01-01`, `${year}-12-31`].map(date => this.toHijri(date).year))];
+
+        container.innerHTML = `
+            <p class="text-sm text-gray-500 mb-4">Tahun ${year} · ${hijriYears.join('–')} H</p>
+            <div class="grid grid-cols-2 md:grid-cols-4 gap-3 mb-6">
+                <div class="p-3 bg-gray-50 rounded-lg">
+                    <p class="text-xs text-gray-500">Total</p>
+                    <p class="text-lg font-semibold text-gray-900">${format(total)}</p>
+                </div>
+                ${totals.map(row => `
+                    <div class="p-3 bg-gray-50 rounded-lg">
+                        <p class="text-xs text-gray-500">${Utils.sanitizeHTML(row.label)}</p>
+                        <p class="text-lg font-semibold text-gray-900">${format(row.amount)}</p>
+                    </div>
+                `).join('')}
+            </div>
+            <table class="w-full text-sm">
+                <thead>
+                    <tr class="text-left text-xs text-gray-500 border-b border-gray-200">
+                        <th class="py-2">Tanggal</th>
+                        <th class="py-2">Jenis</th>
+                        <th class="py-2">Keterangan</th>
+                        <th class="py-2 text-right">Jumlah</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${transactions.map(t => `
+                        <tr class="border-b border-gray-100">
+                            <td class="py-2 whitespace-nowrap">${Utils.formatDate(t.date, { weekday: undefined, day: 'numeric', month: 'short', year: undefined })}</td>
+                            <td class="py-2">${Utils.sanitizeHTML(this.finance.getCategoryLabel(t.category))}</td>
+                            <td class="py-2">${Utils.sanitizeHTML(t.description || '-')}</td>
+                            <td class="py-2 text-right whitespace-nowrap">${this.finance.currencyManager.formatWithBase(t)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    exportCSV(transactions, year) {
+        if (transactions.length === 0) {
+            window.notificationManager?.showMessage('Tidak ada data untuk diekspor', 'info');
+            return;
+        }
+        const rows = transactions.map(t => ({
+            tanggal: t.date,
+            tanggal_hijriah: this.formatHijri(t.date),
+            jenis: this.finance.getCategoryLabel(t.category),
+            keterangan: t.description || '',
+            jumlah: t.amount,
+            mata_uang: this.finance.currencyManager.currencyOf(t)
+        }));
+        Utils.downloadFile(Utils.toCSV(rows), `zakat-sedekah-${year}.csv`, 'text/csv');
+    }
+}
+
+window.ZakatManager = ZakatManager;
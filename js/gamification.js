@@ -9,6 +9,7 @@ class GamificationManager {
             throw new Error("StorageManager is a required dependency for GamificationManager.");
         }
         this.storageManager = storageManager;
+        this.profiles = new ProfileRepository(storageManager);
         this.userProfile = null;
         this.achievements = [];
     }
@@ -17,7 +18,7 @@ class GamificationManager {
      * Initialize gamification system. Must be called after instantiation.
      */
     async init() {
-        this.userProfile = this.storageManager.getFromLocalStorage('userProfile');
+        this.userProfile = this.profiles.get();
         
         // This should not happen in a normal flow post-onboarding, but as a safeguard:
         if (!this.userProfile) {
@@ -26,16 +27,31 @@ class GamificationManager {
         }
         
         await this.loadAchievements();
+        this.subscribeToChanges();
         // Disabling automatic check on init to be called explicitly when needed.
         // await this.checkAchievements();
     }
 
+    /**
+     * Pick up XP and achievements earned in another tab, so this tab doesn't overwrite them.
+     */
+    subscribeToChanges() {
+        this.profiles.subscribe(() => {
+            const profile = this.profiles.get();
+            if (profile) {
+                this.userProfile = profile;
+                this.loadAchievements();
+                document.dispatchEvent(new CustomEvent('xpUpdated'));
+            }
+        });
+    }
+
     /**
      * Load achievements from storage or use defaults.
      */
     async loadAchievements() {
         try {
-            const stored = this.storageManager.getFromLocalStorage('achievements');
+            const stored = this.profiles.getAchievements();
             this.achievements = stored || this.getDefaultAchievements();
         } catch (error) {
             console.error('Error loading achievements:', error);
@@ -50,6 +66,8 @@ class GamificationManager {
         return [
             { id: 'first_habit', name: 'Langkah Pertama', description: 'Selesaikan habit pertama Anda', xpReward: 50, unlocked: false },
             { id: 'week_warrior', name: 'Pejuang 7 Hari', description: 'Selesaikan 7 habit secara konsisten', xpReward: 100, unlocked: false },
+            { id: 'goal_reached', name: 'Target Tercapai', description: 'Capai target tabungan pertama Anda', xpReward: 100, unlocked: false },
+            { id: 'debt_paid_off', name: 'Bebas Utang', description: 'Lunasi target utang pertama Anda', xpReward: 150, unlocked: false },
             // Add other achievements...
         ];
     }
@@ -70,7 +88,7 @@ class GamificationManager {
             this.handleLevelUp(oldLevel, newLevel);
         }
 
-        this.storageManager.saveToLocalStorage('userProfile', this.userProfile);
+        this.profiles.save(this.userProfile);
         this.showXPGain(amount, reason);
 
         // Globally dispatch an event instead of directly calling UI update functions.
@@ -78,6 +96,31 @@ class GamificationManager {
         document.dispatchEvent(new CustomEvent('xpUpdated'));
     }
 
+    /**
+     * Unlock an achievement and award its XP. Unlocking twice does nothing.
+     * @param {string} id - Id from getDefaultAchievements().
+     * @returns {Promise<boolean>} Whether the achievement was newly unlocked.
+     */
+    async unlockAchievement(id) {
+        let achievement = this.achievements.find(item => item.id === id);
+        if (!achievement) {
+            // Stored lists predate achievements added later
+            const definition = this.getDefaultAchievements().find(item => item.id === id);
+            if (!definition) throw new Error(`Unknown achievement: ${id}`);
+            achievement = { ...definition };
+            this.achievements.push(achievement);
+        }
+        if (achievement.unlocked) return false;
+
+        achievement.unlocked = true;
+        achievement.unlockedAt = new Date().toISOString();
+        // addXP saves the profile, achievements included
+        this.userProfile.achievements = this.achievements;
+        this.showAchievementUnlocked(achievement);
+        await this.addXP(achievement.xpReward, achievement.name);
+        return true;
+    }
+
     /**
      * Calculate level based on XP.
      * Level thresholds: Level 2 at 100 XP, Level 3 at 300, Level 4 at 600, etc.
@@ -141,5 +184,25 @@ class GamificationManager {
         document.body.appendChild(notification);
     }
 
+    /**
+     * UI function to show an unlocked achievement.
+     */
+    showAchievementUnlocked(achievement) {
+        const notification = document.createElement('div');
+        notification.className = 'fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center';
+        notification.innerHTML = `
+            <div class="bg-white rounded-2xl p-8 text-center animate-fade-in-up max-w-sm">
+                <div class="text-6xl mb-4">🏆</div>
+                <h2 class="text-2xl font-bold text-gray-900 mb-2">Pencapaian Baru!</h2>
+                <p class="text-lg font-semibold text-blue-600" data-field="name"></p>
+                <p class="text-gray-600 mt-1" data-field="description"></p>
+                <button onclick="this.closest('.fixed').remove()" class="bg-blue-500 text-white font-semibold py-3 px-8 rounded-lg mt-4">Mantap!</button>
+            </div>
+        `;
+        notification.querySelector('[data-field="name"]').textContent = achievement.name;
+        notification.querySelector('[data-field="description"]').textContent = achievement.description;
+        document.body.appendChild(notification);
+    }
+
     // Other methods (achievements, etc.) would follow...
 }
@@ -6,12 +6,15 @@
 class HabitEngine {
     constructor(storageManager, gamificationManager) {
         this.storage = storageManager;
+        this.repository = new HabitRepository(storageManager);
         this.gamification = gamificationManager;
         this.habits = [];
         this.habitLogs = [];
         this.streaks = new Map();
+        this.aiRecommendations = [];
         this.currentDate = new Date().toISOString().split('T')[0];
         this.currentMonth = new Date();
+        this.logWindowDays = 31;
         this.init();
     }
 
@@ -22,6 +25,7 @@ class HabitEngine {
         try {
             await this.loadData();
             this.setupEventListeners();
+            this.subscribeToChanges();
             this.updateUI();
             
             // Check if onboarding is complete
@@ -39,11 +43,14 @@ class HabitEngine {
      */
     async loadData() {
         try {
-            this.habits = await this.storage.getAllFromDB('habitsDB', 'dailyHabits');
-            this.habitLogs = await this.storage.getAllFromDB('habitsDB', 'habitLogs');
+            this.habits = await this.repository.getHabits();
+            // Only recent logs are kept in memory; the calendar queries its own range
+            const since = new Date();
+            since.setDate(since.getDate() - this.logWindowDays);
+            this.habitLogs = await this.repository.getLogs({ from: since.toISOString().split('T')[0] });
             
             // Load streaks
-            const streakData = await this.storage.getAllFromDB('habitsDB', 'streaks');
+            const streakData = await this.repository.getStreaks();
             this.streaks = new Map(streakData.map(s => [s.habitId, s]));
             
         } catch (error) {
@@ -54,6 +61,18 @@ class HabitEngine {
         }
     }
 
+    /**
+     * Refresh when habits are changed in another tab
+     */
+    subscribeToChanges() {
+        this.repository.subscribe(async () => {
+            await this.loadData();
+            this.renderStats();
+            this.renderCalendar();
+            this.filterHabits();
+        });
+    }
+
     /**
      * Setup event listeners
      */
@@ -106,7 +125,7 @@ class HabitEngine {
 
         // AI recommendation
         document.getElementById('refresh-ai-recommendations')?.addEventListener('click', () => {
-            this.loadAIRecommendations();
+            this.loadAIRecommendations(true);
         });
 
         document.getElementById('use-ai-recommendation')?.addEventListener('click', () => {
@@ -171,15 +190,12 @@ class HabitEngine {
         };
 
         try {
-            // Save to database
-            const habitId = await window.storageManager.saveToDB('habitsDB', 'dailyHabits', formData);
+            // Save habit and its initial streak together
+            const { habit, streak } = await this.repository.addHabit(formData);
             
             // Add to local array
-            const newHabit = { ...formData, id: habitId };
-            this.habits.push(newHabit);
-            
-            // Initialize streak
-            await this.initializeStreak(habitId);
+            this.habits.push(habit);
+            this.streaks.set(habit.id, streak);
             
             // Hide modal
             this.hideAddHabitModal();
@@ -217,22 +233,6 @@ class HabitEngine {
         return xpMap[difficulty] || 10;
     }
 
-    /**
-     * Initialize streak for new habit
-     */
-    async initializeStreak(habitId) {
-        const streakData = {
-            habitId: habitId,
-            currentStreak: 0,
-            bestStreak: 0,
-            lastCompleted: null,
-            totalCompletions: 0
-        };
-        
-        await window.storageManager.saveToDB('habitsDB', 'streaks', streakData);
-        this.streaks.set(habitId, streakData);
-    }
-
     /**
      * Toggle habit completion
      */
@@ -241,29 +241,33 @@ class HabitEngine {
         const timestamp = new Date().toISOString();
         
         try {
-            // Save habit log
+            const existingLogIndex = this.habitLogs.findIndex(
+                log => log.habitId === habitId && log.date === today
+            );
+            
+            // Save habit log, reusing today's log so toggling doesn't pile up records
             const logData = {
                 habitId: habitId,
                 date: today,
                 status: completed ? 'completed' : 'pending',
                 timestamp: timestamp
             };
+            if (existingLogIndex >= 0 && this.habitLogs[existingLogIndex].id !== undefined) {
+                logData.id = this.habitLogs[existingLogIndex].id;
+            }
             
-            await this.storage.saveToDB('habitsDB', 'habitLogs', logData);
+            const streak = this.calculateStreak(habitId, completed);
             
-            // Update local array
-            const existingLogIndex = this.habitLogs.findIndex(
-                log => log.habitId === habitId && log.date === today
-            );
+            // Log and streak are written together so a failure can't leave them out of sync
+            logData.id = await this.repository.saveLog(logData, streak);
             
+            // Update local state only after the write committed
             if (existingLogIndex >= 0) {
                 this.habitLogs[existingLogIndex] = logData;
             } else {
                 this.habitLogs.push(logData);
             }
-            
-            // Update streak
-            await this.updateStreak(habitId, completed);
+            this.streaks.set(habitId, streak);
             
             // Award XP if completed
             if (completed) {
@@ -285,19 +289,10 @@ class HabitEngine {
     }
 
     /**
-     * Update streak for habit
+     * Calculate the updated streak for a habit (does not save it)
      */
-    async updateStreak(habitId, completed) {
-        let streak = this.streaks.get(habitId);
-        if (!streak) {
-            streak = {
-                habitId: habitId,
-                currentStreak: 0,
-                bestStreak: 0,
-                lastCompleted: null,
-                totalCompletions: 0
-            };
-        }
+    calculateStreak(habitId, completed) {
+        const streak = { ...(this.streaks.get(habitId) || this.repository.createStreak(habitId)) };
         
         if (completed) {
             streak.totalCompletions++;
@@ -330,9 +325,7 @@ class HabitEngine {
             }
         }
         
-        // Save streak
-        await this.storage.saveToDB('habitsDB', 'streaks', streak);
-        this.streaks.set(habitId, streak);
+        return streak;
     }
 
     /**
@@ -437,7 +430,7 @@ class HabitEngine {
     /**
      * Render calendar
      */
-    renderCalendar() {
+    async renderCalendar() {
         const calendar = document.getElementById('habit-calendar');
         const monthDisplay = document.getElementById('current-month');
         
@@ -450,14 +443,27 @@ class HabitEngine {
         ];
         monthDisplay.textContent = `${monthNames[this.currentMonth.getMonth()]} ${this.currentMonth.getFullYear()}`;
         
-        // Clear calendar
-        calendar.innerHTML = '';
-        
         // Get first day of month and number of days
         const firstDay = new Date(this.currentMonth.getFullYear(), this.currentMonth.getMonth(), 1);
         const lastDay = new Date(this.currentMonth.getFullYear(), this.currentMonth.getMonth() + 1, 0);
         const startDate = new Date(firstDay);
         startDate.setDate(startDate.getDate() - firstDay.getDay());
+        const endDate = new Date(startDate);
+        endDate.setDate(startDate.getDate() + 41);
+        
+        // Load completed logs for the visible 6-week grid
+        let rangeLogs = [];
+        try {
+            rangeLogs = (await this.repository.getLogs({
+                from: startDate.toISOString().split('T')[0],
+                to: endDate.toISOString().split('T')[0]
+            })).filter(log => log.status === 'completed');
+        } catch (error) {
+            console.error('Error loading calendar logs:', error);
+        }
+        
+        // Clear calendar
+        calendar.innerHTML = '';
         
         // Generate calendar days
         for (let i = 0; i < 42; i++) {
@@ -469,8 +475,7 @@ class HabitEngine {
             const isToday = dateStr === this.currentDate;
             
             // Calculate completion for this date
-            const dayLogs = this.habitLogs.filter(log => log.date === dateStr);
-            const completed = dayLogs.filter(log => log.status === 'completed').length;
+            const completed = rangeLogs.filter(log => log.date === dateStr).length;
             const total = this.habits.length;
             const completionRate = total > 0 ? completed / total : 0;
             
@@ -553,7 +558,7 @@ class HabitEngine {
                                 ${isCompleted ? '<svg class="w-6 h-6" fill="currentColor" viewBox="0 0 20 20"><path fill-rule="evenodd" d="M16.707 5.293a1 1 0 010 1.414l-8 8a1 1 0 01-1.414 0l-4-4a1 1 0 011.414-1.414L8 12.586l7.293-7.293a1 1 0 011.414 0z" clip-rule="evenodd"></path></svg>' : ''}
                             </button>
                         </div>
-                        <button class="text-gray-400 hover:text-red-500 p-2" onclick="window.habitEngine.deleteHabit('${habit.id}')" title="Hapus habit">
+                        <button class="text-gray-400 hover:text-red-500 p-2" onclick="window.habitEngine.deleteHabit(${habit.id})" title="Hapus habit">
                             <svg class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                                 <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16"></path>
                             </svg>
@@ -615,15 +620,8 @@ class HabitEngine {
         }
         
         try {
-            // Delete from database
-            await window.storageManager.deleteFromDB('habitsDB', 'dailyHabits', habitId);
-            await window.storageManager.deleteFromDB('habitsDB', 'streaks', habitId);
-            
-            // Delete related logs
-            const logsToDelete = this.habitLogs.filter(log => log.habitId === habitId);
-            for (const log of logsToDelete) {
-                await window.storageManager.deleteFromDB('habitsDB', 'habitLogs', log.id);
-            }
+            // Delete habit, streak and related logs in one transaction
+            await this.repository.deleteHabit(habitId);
             
             // Update local arrays
             this.habits = this.habits.filter(h => h.id !== habitId);
@@ -647,8 +645,9 @@ class HabitEngine {
 
     /**
      * Load AI recommendations
+     * @param {boolean} [regenerate=false] - Ask the AI again instead of using the cached suggestions
      */
-    async loadAIRecommendations() {
+    async loadAIRecommendations(regenerate = false) {
         if (!window.aiIntegration) return;
         
         const modal = document.getElementById('ai-recommendation-modal');
@@ -666,34 +665,11 @@ class HabitEngine {
         modal.classList.remove('hidden');
         
         try {
-            const recommendation = await window.aiIntegration.generateHabitSuggestion('umum');
-            
-            // Parse recommendation into structured format
-            const habits = this.parseAIRecommendation(recommendation);
-            
-            container.innerHTML = '';
-            habits.forEach((habit, index) => {
-                const habitElement = document.createElement('div');
-                habitElement.className = 'border border-gray-200 rounded-lg p-4 cursor-pointer hover:border-blue-300 transition-colors';
-                habitElement.innerHTML = `
-                    <div class="flex items-start">
-                        <div class="text-2xl mr-3">${habit.icon}</div>
-                        <div class="flex-1">
-                            <h4 class="font-semibold text-gray-900 mb-1">${habit.name}</h4>
-                            <p class="text-sm text-gray-600 mb-2">${habit.description}</p>
-                            <div class="text-xs text-gray-500">${habit.roadmap}</div>
-                        </div>
-                        <input type="radio" name="ai-habit" value="${index}" class="mt-1">
-                    </div>
-                `;
-                
-                habitElement.addEventListener('click', () => {
-                    const radio = habitElement.querySelector('input[type="radio"]');
-                    radio.checked = true;
-                });
-                
-                container.appendChild(habitElement);
+            const recommendation = await window.aiIntegration.generateHabitSuggestion('umum', {
+                regenerate: regenerate,
+                onUpdate: (updated) => this.renderAIRecommendations(updated)
             });
+            this.renderAIRecommendations(recommendation);
             
         } catch (error) {
             console.error('Error loading AI recommendations:', error);
@@ -707,57 +683,47 @@ class HabitEngine {
     }
 
     /**
-     * Parse AI recommendation into structured format
+     * Render AI habit suggestions into the recommendation modal
+     * @param {{data: {habits: Array<Object>}, source: string}} result - From AiIntegration.generateHabitSuggestion
      */
-    parseAIRecommendation(recommendation) {
-        // This is a simplified parser - in real implementation, you'd want more sophisticated parsing
-        const lines = recommendation.split('\n').filter(line => line.trim());
-        const habits = [];
-        
-        let currentHabit = null;
-        for (const line of lines) {
-            if (line.match(/^\d+\.\s*\*\*/)) {
-                if (currentHabit) habits.push(currentHabit);
-                currentHabit = {
-                    name: line.replace(/^\d+\.\s*\*\*([^*]+)\*\*.*/, '$1').trim(),
-                    description: '',
-                    roadmap: '',
-                    icon: '🎯'
-                };
-            } else if (currentHabit && line.includes('Alasan:')) {
-                currentHabit.description = line.replace(/.*Alasan:\s*/, '').trim();
-            } else if (currentHabit && line.includes('Roadmap:')) {
-                currentHabit.roadmap = line.replace(/.*Roadmap:\s*/, '').trim();
-            }
-        }
-        
-        if (currentHabit) habits.push(currentHabit);
+    renderAIRecommendations(result) {
+        const container = document.getElementById('ai-recommendations');
+        this.aiRecommendations = result.data.habits;
         
-        // Fallback if parsing fails
-        if (habits.length === 0) {
-            habits.push(
-                {
-                    name: 'Olahraga 30 menit',
-                    description: 'Meningkatkan kesehatan fisik dan mental',
-                    roadmap: 'Mulai dengan 10 menit, tingkatkan perlahan',
-                    icon: '💪'
-                },
-                {
-                    name: 'Meditasi 10 menit',
-                    description: 'Meningkatkan fokus dan ketenangan',
-                    roadmap: 'Gunakan app guided meditation',
-                    icon: '🧘'
-                },
-                {
-                    name: 'Baca buku 20 menit',
-                    description: 'Meningkatkan pengetahuan',
-                    roadmap: 'Pilih topik yang diminati',
-                    icon: '📚'
-                }
-            );
+        container.innerHTML = '';
+        if (result.source === 'offline') {
+            const notice = document.createElement('p');
+            notice.className = 'text-xs text-gray-500';
+            notice.textContent = 'AI sedang tidak tersedia, menampilkan rekomendasi offline sesuai minatmu.';
+            container.appendChild(notice);
         }
         
-        return habits;
+        this.aiRecommendations.forEach((habit, index) => {
+            const habitElement = document.createElement('div');
+            habitElement.className = 'border border-gray-200 rounded-lg p-4 cursor-pointer hover:border-blue-300 transition-colors';
+            habitElement.innerHTML = `
+                <div class="flex items-start">
+                    <div class="text-2xl mr-3" data-field="icon"></div>
+                    <div class="flex-1">
+                        <h4 class="font-semibold text-gray-900 mb-1" data-field="name"></h4>
+                        <p class="text-sm text-gray-600 mb-2" data-field="reason"></p>
+                        <div class="text-xs text-gray-500">${this.getCategoryLabel(habit.category)} · ${this.getDifficultyLabel(habit.difficulty)} · ${habit.targetTime}</div>
+                    </div>
+                    <input type="radio" name="ai-habit" value="${index}" class="mt-1">
+                </div>
+            `;
+            // AI text is inserted as text, never as HTML
+            ['icon', 'name', 'reason'].forEach(field => {
+                habitElement.querySelector(`[data-field="${field}"]`).textContent = habit[field];
+            });
+            
+            habitElement.addEventListener('click', () => {
+                const radio = habitElement.querySelector('input[type="radio"]');
+                radio.checked = true;
+            });
+            
+            container.appendChild(habitElement);
+        });
     }
 
     /**
@@ -772,8 +738,14 @@ class HabitEngine {
             return;
         }
         
-        // This would populate the add habit form with the selected recommendation
-        // Implementation depends on the structure of the recommendation data
+        // Fill the add habit form with the selected recommendation
+        const habit = this.aiRecommendations[parseInt(selectedRadio.value, 10)];
+        document.getElementById('habit-name').value = habit.name;
+        document.getElementById('habit-description').value = habit.reason;
+        document.getElementById('habit-category').value = habit.category;
+        document.getElementById('habit-difficulty').value = habit.difficulty;
+        document.getElementById('habit-time').value = habit.targetTime;
+        this.selectIcon(habit.icon);
         
         // Close AI modal
         document.getElementById('ai-recommendation-modal').classList.add('hidden');
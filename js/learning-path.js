@@ -6,79 +6,15 @@
 class LearningPath {
     constructor(storageManager, gamification, aiIntegration) {
         this.storage = storageManager;
+        this.repository = new LearningRepository(storageManager);
+        this.profiles = new ProfileRepository(storageManager);
         this.gamification = gamification;
         this.ai = aiIntegration;
         this.userProfile = null;
         this.learningData = null;
         
         // Learning categories dengan skill trees
-        this.categories = {
-            'financial': {
-                name: 'Financial Literacy',
-                icon: '💰',
-                color: 'bg-green-500',
-                skills: [
-                    { id: 'budgeting', name: 'Budgeting', xp: 50, unlocked: true, completed: false },
-                    { id: 'emergency-fund', name: 'Emergency Fund', xp: 75, unlocked: true, completed: false },
-                    { id: 'investing-basics', name: 'Investing Basics', xp: 100, unlocked: false, completed: false },
-                    { id: 'stock-market', name: 'Stock Market', xp: 150, unlocked: false, completed: false },
-                    { id: 'crypto', name: 'Cryptocurrency', xp: 120, unlocked: false, completed: false },
-                    { id: 'retirement-planning', name: 'Retirement Planning', xp: 200, unlocked: false, completed: false }
-                ]
-            },
-            'fitness': {
-                name: 'Physical Health',
-                icon: '💪',
-                color: 'bg-red-500',
-                skills: [
-                    { id: 'workout-routine', name: 'Workout Routine', xp: 50, unlocked: true, completed: false },
-                    { id: 'nutrition-basics', name: 'Nutrition Basics', xp: 75, unlocked: true, completed: false },
-                    { id: 'calisthenics', name: 'Calisthenics', xp: 100, unlocked: false, completed: false },
-                    { id: 'weight-training', name: 'Weight Training', xp: 120, unlocked: false, completed: false },
-                    { id: 'cardiovascular', name: 'Cardiovascular Health', xp: 100, unlocked: false, completed: false },
-                    { id: 'meal-prep', name: 'Meal Preparation', xp: 80, unlocked: false, completed: false }
-                ]
-            },
-            'mental': {
-                name: 'Mental Strength',
-                icon: '🧠',
-                color: 'bg-purple-500',
-                skills: [
-                    { id: 'meditation', name: 'Daily Meditation', xp: 50, unlocked: true, completed: false },
-                    { id: 'journaling', name: 'Journaling', xp: 40, unlocked: true, completed: false },
-                    { id: 'emotional-control', name: 'Emotional Control', xp: 100, unlocked: false, completed: false },
-                    { id: 'stress-management', name: 'Stress Management', xp: 90, unlocked: false, completed: false },
-                    { id: 'mindfulness', name: 'Mindfulness', xp: 80, unlocked: false, completed: false },
-                    { id: 'discipline', name: 'Self Discipline', xp: 150, unlocked: false, completed: false }
-                ]
-            },
-            'social': {
-                name: 'Social Skills',
-                icon: '🤝',
-                color: 'bg-blue-500',
-                skills: [
-                    { id: 'communication', name: 'Communication', xp: 50, unlocked: true, completed: false },
-                    { id: 'active-listening', name: 'Active Listening', xp: 60, unlocked: true, completed: false },
-                    { id: 'public-speaking', name: 'Public Speaking', xp: 120, unlocked: false, completed: false },
-                    { id: 'networking', name: 'Networking', xp: 100, unlocked: false, completed: false },
-                    { id: 'leadership', name: 'Leadership', xp: 150, unlocked: false, completed: false },
-                    { id: 'conflict-resolution', name: 'Conflict Resolution', xp: 110, unlocked: false, completed: false }
-                ]
-            },
-            'career': {
-                name: 'Career Development',
-                icon: '🚀',
-                color: 'bg-indigo-500',
-                skills: [
-                    { id: 'time-management', name: 'Time Management', xp: 50, unlocked: true, completed: false },
-                    { id: 'goal-setting', name: 'Goal Setting', xp: 60, unlocked: true, completed: false },
-                    { id: 'productivity', name: 'Productivity', xp: 80, unlocked: false, completed: false },
-                    { id: 'digital-marketing', name: 'Digital Marketing', xp: 100, unlocked: false, completed: false },
-                    { id: 'coding-basics', name: 'Coding Basics', xp: 150, unlocked: false, completed: false },
-                    { id: 'entrepreneurship', name: 'Entrepreneurship', xp: 200, unlocked: false, completed: false }
-                ]
-            }
-        };
+        this.categories = this.repository.getSkillTree();
         
         this.init();
     }
@@ -86,15 +22,9 @@ class LearningPath {
     async init() {
         try {
             // Load user profile dan learning data
-            this.userProfile = await this.storage.getItem('system', 'userProfile');
-            this.learningData = await this.storage.getItem('learning', 'learningData') || {
-                categories: this.categories,
-                completedSkills: [],
-                totalXP: 0,
-                weeklyProgress: {},
-                streaks: {},
-                lastActivity: null
-            };
+            this.userProfile = this.profiles.get();
+            this.learningData = await this.repository.getLearningData();
+            this.categories = this.learningData.categories;
             
             // Initialize learning UI jika di page yang tepat
             if (window.location.pathname.includes('learning.html')) {
@@ -298,10 +228,10 @@ class LearningPath {
             this.learningData.weeklyProgress[weekKey]++;
             
             // Unlock next skill dalam kategori yang sama
-            this.unlockNextSkill(categoryId, skillId);
+            const nextSkill = this.unlockNextSkill(categoryId, skillId);
             
-            // Save ke storage
-            await this.storage.setItem('learning', 'learningData', this.learningData);
+            // Simpan skill, skill berikutnya dan progress log dalam satu transaksi
+            await this.repository.completeSkill(skill, categoryId, nextSkill);
             
             // Add XP ke gamification
             await this.gamification.addXP(skill.xp, `Completed skill: ${skill.name}`);
@@ -332,8 +262,10 @@ class LearningPath {
             if (!nextSkill.unlocked) {
                 nextSkill.unlocked = true;
                 this.showNotification(`Skill baru terbuka: ${nextSkill.name}!`, 'success');
+                return nextSkill;
             }
         }
+        return null;
     }
     
     showSkillCompletionPopup(skill, category) {
@@ -427,40 +359,57 @@ class LearningPath {
         `;
     }
     
-    async generateAIRecommendations() {
+    async generateAIRecommendations(regenerate = false) {
+        // Klik lagi saat AI masih menulis untuk membatalkan
+        if (this.aiController) {
+            this.aiController.abort();
+            return;
+        }
+        this.aiController = new AbortController();
+        
         const aiRecommendBtn = document.getElementById('ai-recommendations');
         if (aiRecommendBtn) {
-            aiRecommendBtn.disabled = true;
             aiRecommendBtn.innerHTML = `
                 <svg class="animate-spin -ml-1 mr-3 h-5 w-5 text-white inline" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
                     <circle class="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" stroke-width="4"></circle>
                     <path class="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
                 </svg>
-                Mendapatkan rekomendasi...
+                Batalkan
             `;
         }
         
         try {
             // Prepare context untuk AI
+            const skills = Object.values(this.learningData.categories).flatMap(category => category.skills);
             const context = {
                 completedSkills: this.learningData.completedSkills,
+                completedSkillNames: skills.filter(skill => skill.completed).map(skill => skill.name),
+                availableSkills: skills.filter(skill => skill.unlocked && !skill.completed).map(skill => skill.name),
                 totalXP: this.learningData.totalXP,
                 categories: Object.keys(this.learningData.categories),
                 userProfile: this.userProfile
             };
             
-            // Get AI recommendation
-            const recommendation = await this.ai.generateRecommendation('learning', context);
+            // Get AI recommendation, ditampilkan sambil ditulis
+            const output = this.displayAIRecommendation('', { streaming: true });
+            const result = await this.ai.streamRecommendation('learning', context, {
+                regenerate: regenerate,
+                signal: this.aiController.signal,
+                onToken: (token, text) => {
+                    if (output) output.textContent = text;
+                },
+                onUpdate: (updated) => this.displayAIRecommendation(updated)
+            });
             
             // Display recommendation
-            this.displayAIRecommendation(recommendation);
+            this.displayAIRecommendation(result.text, { cancelled: result.cancelled });
             
         } catch (error) {
             console.error('Error getting AI recommendation:', error);
             this.showNotification('Gagal mendapatkan rekomendasi AI', 'error');
         } finally {
+            this.aiController = null;
             if (aiRecommendBtn) {
-                aiRecommendBtn.disabled = false;
                 aiRecommendBtn.innerHTML = `
                     <svg class="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                         <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9.663 17h4.673M12 3v1m6.364 1.636l-.707.707M21 12h-1M4 12H3m3.343-5.657l-.707-.707m2.828 9.9a5 5 0 117.072 0l-.548.547A3.374 3.374 0 0014 18.469V19a2 2 0 11-4 0v-.531c0-.895-.356-1.754-.988-2.386l-.548-.547z"></path>
@@ -471,9 +420,12 @@ class LearningPath {
         }
     }
     
-    displayAIRecommendation(recommendation) {
+    /**
+     * Render the AI card; returns the text element so streamed tokens can be written into it
+     */
+    displayAIRecommendation(recommendation, state = {}) {
         const container = document.getElementById('ai-recommendation-content');
-        if (!container) return;
+        if (!container) return null;
         
         container.innerHTML = `
             <div class="bg-gradient-to-r from-blue-50 to-indigo-50 rounded-2xl p-6 border border-blue-200">
@@ -483,14 +435,23 @@ class LearningPath {
                     </div>
                     <div class="flex-1">
                         <h4 class="font-semibold text-gray-800 mb-2">Rekomendasi AI</h4>
-                        <p class="text-gray-700 leading-relaxed">${recommendation}</p>
+                        <p class="ai-response-text text-gray-700 leading-relaxed whitespace-pre-line"></p>
+                        ${state.cancelled ? '<p class="text-xs text-gray-400 mt-2">Dibatalkan, jawaban belum lengkap</p>' : ''}
+                        <button class="ai-regenerate-btn text-sm text-gray-500 hover:text-gray-700 mt-3">${state.streaming ? 'Batalkan' : 'Buat ulang'}</button>
                     </div>
                 </div>
             </div>
         `;
         
+        const output = container.querySelector('.ai-response-text');
+        output.textContent = recommendation;
+        
+        // Saat streaming tombol ini membatalkan, setelahnya meminta jawaban baru
+        container.querySelector('.ai-regenerate-btn').addEventListener('click', () => this.generateAIRecommendations(true));
+        
         // Scroll ke recommendation
         container.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+        return output;
     }
     
     filterProgress(filter) {
@@ -500,9 +461,7 @@ class LearningPath {
     }
     
     getWeekKey(date) {
-        const year = date.getFullYear();
-        const weekNumber = Math.ceil((((date - new Date(year, 0, 1)) / 86400000) + new Date(year, 0, 1).getDay() + 1) / 7);
-        return `${year}-W${weekNumber}`;
+        return this.repository.getWeekKey(date);
     }
     
     showNotification(message, type = 'info') {
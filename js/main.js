@@ -5,6 +5,8 @@
 
 // Global variable to hold the application state
 let userProfile = null;
+let progressChart = null;
+let repositories = null;
 
 // --- UTILITY FUNCTIONS ---
 
@@ -56,6 +58,12 @@ async function main() {
     const weatherManager = new WeatherManager(storageManager);
     const aiIntegration = new AiIntegration(storageManager);
     const notificationManager = new NotificationManager(storageManager);
+    repositories = {
+        profile: new ProfileRepository(storageManager),
+        habits: new HabitRepository(storageManager),
+        finance: new FinanceRepository(storageManager),
+        mental: new MentalRepository(storageManager)
+    };
 
     // Make managers globally available
     window.storageManager = storageManager;
@@ -85,7 +93,7 @@ async function main() {
     }
 
     // 4. Load user profile
-    userProfile = storageManager.getFromLocalStorage('userProfile');
+    userProfile = repositories.profile.get();
     if (!userProfile) {
         console.error('CRITICAL: Onboarding complete but no user profile found.');
         storageManager.removeFromLocalStorage('onboardingComplete');
@@ -158,6 +166,32 @@ function setupEventListeners() {
     document.getElementById('report-trigger')?.addEventListener('click', () => handlePanicAction('report'));
     document.getElementById('get-motivation')?.addEventListener('click', () => handlePanicAction('motivation'));
     document.getElementById('redirect-positive')?.addEventListener('click', () => handlePanicAction('redirect'));
+
+    document.addEventListener('xpUpdated', () => {
+        userProfile = repositories.profile.get() || userProfile;
+        updateUserStats();
+    });
+
+    window.addEventListener('storageQuotaWarning', () => {
+        window.notificationManager?.showNotification('Penyimpanan hampir penuh', {
+            body: 'Buka Pengaturan untuk mengarsipkan data lama agar aplikasi tetap lancar.'
+        });
+    });
+
+    subscribeToStorageChanges();
+}
+
+/**
+ * Keeps the dashboard in sync with changes made in other tabs (e.g. habits.html).
+ */
+function subscribeToStorageChanges() {
+    repositories.habits.subscribe(async () => {
+        await loadTodayHabits();
+        await loadStreakData();
+        await loadProgressChart();
+    });
+    repositories.finance.subscribe('transactions', () => loadFinanceHealth());
+    repositories.mental.subscribe(() => loadMentalHealth());
 }
 
 /**
@@ -202,9 +236,8 @@ async function loadTodayHabits() {
     if (!habitsContainer) return;
     try {
         const today = new Date().toISOString().split('T')[0];
-        const habits = await window.storageManager.getAllFromDB('habitsDB', 'dailyHabits');
-        const logs = await window.storageManager.getAllFromDB('habitsDB', 'habitLogs');
-        const todayLogs = logs.filter(log => log.date === today);
+        const habits = await repositories.habits.getHabits();
+        const todayLogs = await repositories.habits.getLogsForDate(today);
 
         document.getElementById('habits-today').textContent = `${todayLogs.filter(l => l.status === 'completed').length}/${habits.length}`;
 
@@ -241,7 +274,9 @@ async function loadTodayHabits() {
 
 async function toggleHabit(habit, completed) {
     const today = new Date().toISOString().split('T')[0];
-    await window.storageManager.saveToDB('habitsDB', 'habitLogs', {
+    const todayLog = (await repositories.habits.getLogsForDate(today)).find(log => log.habitId === habit.id);
+    await repositories.habits.saveLog({
+        ...(todayLog ? { id: todayLog.id } : {}),
         habitId: habit.id,
         date: today,
         status: completed ? 'completed' : 'pending',
@@ -259,7 +294,7 @@ async function toggleHabit(habit, completed) {
 async function loadStreakData() {
     const bestStreakEl = document.getElementById('best-streak');
     try {
-        const streaks = await window.storageManager.getAllFromDB('habitsDB', 'streaks');
+        const streaks = await repositories.habits.getStreaks();
         const bestStreak = streaks.reduce((max, s) => Math.max(max, s.bestStreak || 0), 0);
         bestStreakEl.textContent = `${bestStreak} hari`;
     } catch (e) {
@@ -271,11 +306,12 @@ async function loadStreakData() {
 async function loadFinanceHealth() {
     const financeHealthEl = document.getElementById('finance-health');
     try {
-        const transactions = await window.storageManager.getAllFromDB('financeDB', 'transactions');
         const month = new Date().toISOString().slice(0, 7);
-        const monthTxs = transactions.filter(t => t.date?.startsWith(month));
-        const income = monthTxs.filter(t => t.type === 'income').reduce((sum, t) => sum + t.amount, 0);
-        const expense = monthTxs.filter(t => t.type === 'expense').reduce((sum, t) => sum + t.amount, 0);
+        const [monthTxs, converter] = await Promise.all([
+            repositories.finance.getTransactionsForMonth(month),
+            repositories.finance.getCurrencyConverter()
+        ]);
+        const { income, expense } = converter.totals(monthTxs);
         const savingsRate = income > 0 ? ((income - expense) / income) * 100 : 0;
         let healthScore = savingsRate < 0 ? 20 : 50 + (savingsRate / 2); // Simple score
         financeHealthEl.textContent = `${Math.round(Math.max(0, Math.min(100, healthScore)))}%`;
@@ -288,9 +324,8 @@ async function loadFinanceHealth() {
 async function loadMentalHealth() {
     const mentalHealthEl = document.getElementById('mental-health');
     try {
-        const moodLogs = await window.storageManager.getAllFromDB('mentalDB', 'moodLogs');
-        if (moodLogs.length > 0) {
-            const latestLog = moodLogs.sort((a, b) => new Date(b.date) - new Date(a.date))[0];
+        const latestLog = await repositories.mental.getLatestMood();
+        if (latestLog) {
             const healthScore = (latestLog.mood / 5) * 100; // Mood is 1-5
             mentalHealthEl.textContent = `${Math.round(healthScore)}%`;
         } else {
@@ -305,8 +340,10 @@ async function loadMentalHealth() {
 async function getXPHistory(days) {
     const labels = [];
     const data = [];
-    const habitLogs = await window.storageManager.getAllFromDB('habitsDB', 'habitLogs');
-    const habits = await window.storageManager.getAllFromDB('habitsDB', 'dailyHabits');
+    const start = new Date();
+    start.setDate(start.getDate() - (days - 1));
+    const habitLogs = await repositories.habits.getLogs({ from: start.toISOString().split('T')[0] });
+    const habits = await repositories.habits.getHabits();
     const habitMap = new Map(habits.map(h => [h.id, h.xpValue || 10]));
 
     for (let i = days - 1; i >= 0; i--) {
@@ -327,7 +364,9 @@ async function loadProgressChart() {
     if (!ctx || typeof Chart === 'undefined') return;
     try {
         const history = await getXPHistory(7);
-        new Chart(ctx, {
+        // Chart.js refuses to draw on a canvas that already has a chart
+        if (progressChart) progressChart.destroy();
+        progressChart = new Chart(ctx, {
             type: 'line',
             data: {
                 labels: history.labels,
@@ -6,6 +6,8 @@
 class MentalTracker {
     constructor(storageManager, gamification, aiIntegration) {
         this.storage = storageManager;
+        this.repository = new MentalRepository(storageManager);
+        this.profiles = new ProfileRepository(storageManager);
         this.gamification = gamification;
         this.ai = aiIntegration;
         this.userProfile = null;
@@ -43,17 +45,8 @@ class MentalTracker {
     async init() {
         try {
             // Load user profile dan mental data
-            this.userProfile = await this.storage.getItem('system', 'userProfile');
-            this.mentalData = await this.storage.getItem('mental', 'mentalData') || {
-                moodHistory: [],
-                meditationLog: [],
-                streaks: { meditation: 0, moodTracking: 0 },
-                insights: [],
-                lastMoodUpdate: null,
-                lastMeditation: null,
-                weeklyStats: {},
-                monthlyStats: {}
-            };
+            this.userProfile = this.profiles.get();
+            this.mentalData = await this.repository.getMentalData();
             
             // Initialize UI jika di mental health page
             if (window.location.pathname.includes('mental.html')) {
@@ -118,23 +111,20 @@ class MentalTracker {
         const now = new Date().toISOString();
         
         try {
-            // Update mood history
-            const existingEntry = this.mentalData.moodHistory.find(entry => 
-                entry.date === today
-            );
+            // Save data; a second check-in today updates today's entry
+            const entry = await this.repository.saveMood({
+                date: today,
+                mood: moodValue,
+                timestamp: now,
+                emotions: this.getSelectedEmotions()
+            });
             
-            if (existingEntry) {
-                existingEntry.mood = moodValue;
-                existingEntry.timestamp = now;
-                existingEntry.emotions = this.getSelectedEmotions();
+            // Update mood history
+            const existingIndex = this.mentalData.moodHistory.findIndex(item => item.date === today);
+            if (existingIndex >= 0) {
+                this.mentalData.moodHistory[existingIndex] = entry;
             } else {
-                this.mentalData.moodHistory.push({
-                    date: today,
-                    mood: moodValue,
-                    timestamp: now,
-                    emotions: this.getSelectedEmotions(),
-                    notes: ''
-                });
+                this.mentalData.moodHistory.push(entry);
             }
             
             this.mentalData.lastMoodUpdate = now;
@@ -142,9 +132,6 @@ class MentalTracker {
             // Update streak
             this.updateMoodStreak();
             
-            // Save data
-            await this.storage.setItem('mental', 'mentalData', this.mentalData);
-            
             // Add XP
             await this.gamification.addXP(10, 'Daily mood check-in');
             
@@ -308,22 +295,20 @@ class MentalTracker {
             }
             
             // Log meditation session
-            this.mentalData.meditationLog.push({
+            const session = await this.repository.addMeditationSession({
                 date: new Date().toISOString().split('T')[0],
                 timestamp: new Date().toISOString(),
                 type: sessionType,
                 duration: duration,
                 xp: xpGained
             });
+            this.mentalData.meditationLog.push(session);
             
-            this.mentalData.lastMeditation = new Date().toISOString();
+            this.mentalData.lastMeditation = session.timestamp;
             
             // Update meditation streak
             this.updateMeditationStreak();
             
-            // Save data
-            await this.storage.setItem('mental', 'mentalData', this.mentalData);
-            
             // Add XP
             await this.gamification.addXP(xpGained, `Meditation session: ${sessionType}`);
             
@@ -341,39 +326,16 @@ class MentalTracker {
     }
     
     updateMoodStreak() {
-        const today = new Date().toISOString().split('T')[0];
-        const yesterday = new Date();
-        yesterday.setDate(yesterday.getDate() - 1);
-        const yesterdayStr = yesterday.toISOString().split('T')[0];
-        
-        const hasToday = this.mentalData.moodHistory.some(entry => entry.date === today);
-        const hasYesterday = this.mentalData.moodHistory.some(entry => entry.date === yesterdayStr);
-        
-        if (hasToday) {
-            if (hasYesterday) {
-                this.mentalData.streaks.moodTracking++;
-            } else {
-                this.mentalData.streaks.moodTracking = 1;
-            }
-        }
+        // Dihitung ulang dari log supaya check-in berulang di hari yang sama tidak menambah streak
+        this.mentalData.streaks.moodTracking = this.repository.countStreak(
+            this.mentalData.moodHistory.map(entry => entry.date)
+        );
     }
     
     updateMeditationStreak() {
-        const today = new Date().toISOString().split('T')[0];
-        const yesterday = new Date();
-        yesterday.setDate(yesterday.getDate() - 1);
-        const yesterdayStr = yesterday.toISOString().split('T')[0];
-        
-        const hasToday = this.mentalData.meditationLog.some(entry => entry.date === today);
-        const hasYesterday = this.mentalData.meditationLog.some(entry => entry.date === yesterdayStr);
-        
-        if (hasToday) {
-            if (hasYesterday) {
-                this.mentalData.streaks.meditation++;
-            } else {
-                this.mentalData.streaks.meditation = 1;
-            }
-        }
+        this.mentalData.streaks.meditation = this.repository.countStreak(
+            this.mentalData.meditationLog.map(entry => entry.date)
+        );
     }
     
     checkStreaks() {
@@ -562,16 +524,22 @@ class MentalTracker {
         console.log('Show meditation modal');
     }
     
-    async generateAIInsights() {
+    async generateAIInsights(regenerate = false) {
+        // Klik lagi saat AI masih menulis untuk membatalkan
+        if (this.aiController) {
+            this.aiController.abort();
+            return;
+        }
+        this.aiController = new AbortController();
+        
         const aiInsightsBtn = document.getElementById('ai-insights');
         if (aiInsightsBtn) {
-            aiInsightsBtn.disabled = true;
             aiInsightsBtn.innerHTML = `
                 <svg class="animate-spin -ml-1 mr-3 h-5 w-5 text-white inline" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
                     <circle class="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" stroke-width="4"></circle>
                     <path class="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
                 </svg>
-                Menganalisis...
+                Batalkan
             `;
         }
         
@@ -585,18 +553,26 @@ class MentalTracker {
                 userProfile: this.userProfile
             };
             
-            // Get AI insights
-            const insights = await this.ai.generateRecommendation('mental-health', context);
+            // Get AI insights, ditampilkan sambil ditulis
+            const output = this.displayAIInsights('', { streaming: true });
+            const result = await this.ai.streamRecommendation('mental-health', context, {
+                regenerate: regenerate,
+                signal: this.aiController.signal,
+                onToken: (token, text) => {
+                    if (output) output.textContent = text;
+                },
+                onUpdate: (updated) => this.displayAIInsights(updated)
+            });
             
             // Display insights
-            this.displayAIInsights(insights);
+            this.displayAIInsights(result.text, { cancelled: result.cancelled });
             
         } catch (error) {
             console.error('Error getting AI insights:', error);
             this.showNotification('Gagal mendapatkan insights AI', 'error');
         } finally {
+            this.aiController = null;
             if (aiInsightsBtn) {
-                aiInsightsBtn.disabled = false;
                 aiInsightsBtn.innerHTML = `
                     <svg class="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                         <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9.663 17h4.673M12 3v1m6.364 1.636l-.707.707M21 12h-1M4 12H3m3.343-5.657l-.707-.707m2.828 9.9a5 5 0 117.072 0l-.548.547A3.374 3.374 0 0014 18.469V19a2 2 0 11-4 0v-.531c0-.895-.356-1.754-.988-2.386l-.548-.547z"></path>
@@ -607,9 +583,12 @@ class MentalTracker {
         }
     }
     
-    displayAIInsights(insights) {
+    /**
+     * Render the AI card; returns the text element so streamed tokens can be written into it
+     */
+    displayAIInsights(insights, state = {}) {
         const container = document.getElementById('ai-insights-content');
-        if (!container) return;
+        if (!container) return null;
         
         container.innerHTML = `
             <div class="bg-gradient-to-r from-purple-50 to-pink-50 rounded-2xl p-6 border border-purple-200">
@@ -619,14 +598,23 @@ class MentalTracker {
                     </div>
                     <div class="flex-1">
                         <h4 class="font-semibold text-gray-800 mb-2">Insights Kesehatan Mental</h4>
-                        <p class="text-gray-700 leading-relaxed">${insights}</p>
+                        <p class="ai-response-text text-gray-700 leading-relaxed whitespace-pre-line"></p>
+                        ${state.cancelled ? '<p class="text-xs text-gray-400 mt-2">Dibatalkan, jawaban belum lengkap</p>' : ''}
+                        <button class="ai-regenerate-btn text-sm text-gray-500 hover:text-gray-700 mt-3">${state.streaming ? 'Batalkan' : 'Buat ulang'}</button>
                     </div>
                 </div>
             </div>
         `;
         
+        const output = container.querySelector('.ai-response-text');
+        output.textContent = insights;
+        
+        // Saat streaming tombol ini membatalkan, setelahnya meminta jawaban baru
+        container.querySelector('.ai-regenerate-btn').addEventListener('click', () => this.generateAIInsights(true));
+        
         // Scroll ke insights
         container.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+        return output;
     }
     
     showNotification(message, type = 'info') {
@@ -11,6 +11,8 @@ class NotificationManager {
         this.storageManager = storageManager;
         this.permission = 'default';
         this.scheduledNotifications = [];
+        // Shown notifications are kept this long so a keyed one is not scheduled again
+        this.triggeredRetentionDays = 30;
     }
 
     /**
@@ -51,11 +53,61 @@ class NotificationManager {
         new Notification(title, { body: options.body, icon: 'icon.png', ...options });
     }
 
+    /**
+     * Alert the user: a system notification when permitted, otherwise an in-page message.
+     * @param {string} title
+     * @param {string} body
+     * @param {'info'|'warning'|'error'} [level='info'] - Color of the in-page message.
+     */
+    showAlert(title, body, level = 'info') {
+        if (this.permission === 'granted') {
+            this.showNotification(title, { body: body });
+        } else {
+            this.showMessage(`${title}: ${body}`, level);
+        }
+    }
+
+    showSuccessMessage(message) {
+        this.showMessage(message, 'success');
+    }
+
+    showErrorMessage(message) {
+        this.showMessage(message, 'error');
+    }
+
+    /**
+     * Show a short message at the top of the page.
+     * @param {string} message
+     * @param {'success'|'info'|'warning'|'error'} [level='info']
+     */
+    showMessage(message, level = 'info') {
+        const colors = {
+            success: 'bg-emerald-500',
+            info: 'bg-blue-500',
+            warning: 'bg-amber-500',
+            error: 'bg-red-500'
+        };
+        const element = document.createElement('div');
+        element.className = `fixed top-4 right-4 max-w-sm px-6 py-3 rounded-lg shadow-lg text-white z-50 slide-in-right ${colors[level] || colors.info}`;
+        element.textContent = message;
+        document.body.appendChild(element);
+        setTimeout(() => element.remove(), level === 'error' || level === 'warning' ? 6000 : 3000);
+    }
+
     /**
      * Schedule a notification to be shown at a later time.
+     * Notifications with a key are scheduled once: a pending one with the same key is replaced,
+     * and nothing is scheduled when one with that key was already shown.
      * @param {object} notificationData - Data for the notification.
+     * @param {string} [notificationData.key] - Identifies the event the notification is about.
      */
     scheduleNotification(notificationData) {
+        if (notificationData.key) {
+            if (this.scheduledNotifications.some(notif => notif.key === notificationData.key && notif.status === 'triggered')) {
+                return;
+            }
+            this.scheduledNotifications = this.scheduledNotifications.filter(notif => notif.key !== notificationData.key);
+        }
         const newNotif = {
             id: Date.now(),
             status: 'scheduled',
@@ -66,7 +118,16 @@ class NotificationManager {
     }
 
     /**
-     * Checks for and triggers any due notifications.
+     * Remove a pending notification by key.
+     * @param {string} key
+     */
+    cancelNotification(key) {
+        this.scheduledNotifications = this.scheduledNotifications.filter(notif => !(notif.key === key && notif.status === 'scheduled'));
+        this.saveScheduledNotifications();
+    }
+
+    /**
+     * Checks for and triggers any due notifications, and drops shown ones past the retention window.
      */
     checkScheduledNotifications() {
         const now = new Date().getTime();
@@ -76,6 +137,10 @@ class NotificationManager {
                 notif.status = 'triggered';
             }
         });
+        const retainAfter = now - this.triggeredRetentionDays * 24 * 60 * 60 * 1000;
+        this.scheduledNotifications = this.scheduledNotifications.filter(notif =>
+            notif.status !== 'triggered' || new Date(notif.scheduledTime).getTime() >= retainAfter
+        );
         this.saveScheduledNotifications();
     }
 
@@ -21,6 +21,7 @@ class OnboardingManager {
             },
             preferences: {
                 prayerEnabled: false,
+                islamicFinanceEnabled: false,
                 darkMode: false,
                 notificationTime: '09:00'
             },
@@ -319,9 +320,10 @@ class OnboardingManager {
                 }
                 this.userProfile.basicInfo.location = this.locationData;
                 
-                // Set prayer enabled if Muslim
+                // Set prayer and zakat features enabled if Muslim
                 if (this.userProfile.basicInfo.religion === 'islam') {
                     this.userProfile.preferences.prayerEnabled = true;
+                    this.userProfile.preferences.islamicFinanceEnabled = true;
                 }
                 
                 return true;
@@ -424,7 +426,7 @@ class OnboardingManager {
 
         try {
             // Save user profile
-            window.storageManager.saveToLocalStorage('userProfile', this.userProfile);
+            new ProfileRepository(window.storageManager).save(this.userProfile);
             
             // Initialize default data based on interests
             await this.initializeDefaultData();
@@ -487,9 +489,10 @@ class OnboardingManager {
             });
         }
 
-        // Save default habits
+        // Save default habits together with their streaks
+        const habitRepository = new HabitRepository(window.storageManager);
         for (const habit of defaultHabits) {
-            await window.storageManager.saveToDB('habitsDB', 'dailyHabits', habit);
+            await habitRepository.addHabit(habit);
         }
 
         // Initialize mental health baseline
@@ -499,7 +502,7 @@ class OnboardingManager {
             note: 'Initial assessment',
             timestamp: new Date().toISOString()
         };
-        await window.storageManager.saveToDB('mentalDB', 'moodLogs', moodLog);
+        await new MentalRepository(window.storageManager).saveMood(moodLog);
 
         // Initialize clean streak if addiction support is enabled
         if (this.userProfile.supportNeeds?.addictionSupport) {
@@ -9,6 +9,7 @@ class PrayerTimesManager {
             throw new Error("StorageManager is a required dependency for PrayerTimesManager.");
         }
         this.storageManager = storageManager;
+        this.profiles = new ProfileRepository(storageManager);
         this.userProfile = null;
         this.prayerTimes = null;
         this.cacheExpiry = 24 * 60 * 60 * 1000; // 24 hours
@@ -19,7 +20,7 @@ class PrayerTimesManager {
      */
     async init() {
         try {
-            this.userProfile = this.storageManager.getFromLocalStorage('userProfile');
+            this.userProfile = this.profiles.get();
             if (!this.userProfile?.preferences?.prayerEnabled || !this.userProfile?.basicInfo?.location) {
                 console.log('Prayer times disabled or location not available.');
                 return;
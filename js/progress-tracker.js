@@ -6,6 +6,11 @@
 class ProgressTracker {
     constructor(storageManager, gamification, aiIntegration) {
         this.storage = storageManager;
+        this.profiles = new ProfileRepository(storageManager);
+        this.habitRepository = new HabitRepository(storageManager);
+        this.financeRepository = new FinanceRepository(storageManager);
+        this.mentalRepository = new MentalRepository(storageManager);
+        this.learningRepository = new LearningRepository(storageManager);
         this.gamification = gamification;
         this.ai = aiIntegration;
         this.userProfile = null;
@@ -26,21 +31,28 @@ class ProgressTracker {
     async init() {
         try {
             // Load user profile dan data dari semua modules
-            this.userProfile = await this.storage.getItem('system', 'userProfile');
+            this.userProfile = this.profiles.get();
             
-            // Load data dari semua modules untuk comprehensive progress
-            const [habitData, learningData, financeData, mentalData] = await Promise.all([
-                this.storage.getItem('habits', 'habitData'),
-                this.storage.getItem('learning', 'learningData'),
-                this.storage.getItem('finance', 'financeData'),
-                this.storage.getItem('mental', 'mentalData')
+            // Load data dari semua modules untuk comprehensive progress (grafik paling jauh 30 hari)
+            const since = new Date();
+            since.setDate(since.getDate() - 30);
+            const from = since.toISOString().split('T')[0];
+            const [habits, habitLogs, streaks, learningData, transactions, converter, mentalData] = await Promise.all([
+                this.habitRepository.getHabits(),
+                this.habitRepository.getLogs({ from }),
+                this.habitRepository.getStreaks(),
+                this.learningRepository.getLearningData(),
+                this.financeRepository.getTransactionsForMonth(new Date().toISOString().slice(0, 7)),
+                this.financeRepository.getCurrencyConverter(),
+                this.mentalRepository.getMentalData()
             ]);
             
             // Aggregate data untuk progress tracking
             this.progressData = {
-                habits: habitData,
+                habits: { habits: this.toHabitProgress(habits, habitLogs, streaks) },
                 learning: learningData,
-                finance: financeData,
+                // Totals are in the base currency, since transactions can be in several currencies
+                finance: { transactions, ...converter.totals(transactions), currency: converter.baseCurrency },
                 mental: mentalData,
                 aggregatedStats: null
             };
@@ -62,6 +74,25 @@ class ProgressTracker {
         }
     }
     
+    /**
+     * Habits dengan completions per tanggal dan streak saat ini
+     */
+    toHabitProgress(habits, habitLogs, streaks) {
+        const streakMap = new Map(streaks.map(streak => [streak.habitId, streak]));
+        return habits.map(habit => {
+            const completions = {};
+            habitLogs
+                .filter(log => log.habitId === habit.id && log.status === 'completed')
+                .forEach(log => { completions[log.date] = true; });
+            
+            return {
+                ...habit,
+                completions,
+                streak: streakMap.get(habit.id)?.currentStreak || 0
+            };
+        });
+    }
+    
     calculateAggregatedStats() {
         const stats = {
             totalXP: 0,
@@ -97,23 +128,12 @@ class ProgressTracker {
         
         // Calculate dari finance data
         if (this.progressData.finance) {
-            const transactions = this.progressData.finance.transactions || [];
-            const currentMonth = new Date().getMonth();
-            const currentYear = new Date().getFullYear();
-            
-            const thisMonthTransactions = transactions.filter(t => {
-                const tDate = new Date(t.date);
-                return tDate.getMonth() === currentMonth && tDate.getFullYear() === currentYear;
-            });
-            
-            const totalIncome = thisMonthTransactions
-                .filter(t => t.type === 'income')
-                .reduce((sum, t) => sum + t.amount, 0);
-            const totalExpense = thisMonthTransactions
-                .filter(t => t.type === 'expense')
-                .reduce((sum, t) => sum + t.amount, 0);
-            
-            stats.completionRates.finance = totalIncome > 0 ? Math.max(0, ((totalIncome - totalExpense) / totalIncome) * 100) : 0;
+            // Income and expense of the current month, already in the base currency
+            const { income, expense } = this.progressData.finance;
+            const savingsRate = income > 0 ? ((income - expense) / income) * 100 : 0;
+
+            this.progressData.finance.savingsRate = Math.round(savingsRate);
+            stats.completionRates.finance = Math.max(0, savingsRate);
         }
         
         // Calculate dari mental data
@@ -557,6 +577,10 @@ class ProgressTracker {
         return categoryCount > 0 ? totalProgress / categoryCount : 0;
     }
     
+    getWeekKey(date) {
+        return this.learningRepository.getWeekKey(date);
+    }
+    
     filterProgressData(filter) {
         // Filter data berdasarkan time range
         console.log('Filtering progress data by:', filter);
@@ -565,16 +589,22 @@ class ProgressTracker {
         this.renderProgressCharts();
     }
     
-    async generateAIAnalysis() {
+    async generateAIAnalysis(regenerate = false) {
+        // Klik lagi saat AI masih menulis untuk membatalkan
+        if (this.aiController) {
+            this.aiController.abort();
+            return;
+        }
+        this.aiController = new AbortController();
+        
         const aiAnalysisBtn = document.getElementById('ai-progress-analysis');
         if (aiAnalysisBtn) {
-            aiAnalysisBtn.disabled = true;
             aiAnalysisBtn.innerHTML = `
                 <svg class="animate-spin -ml-1 mr-3 h-5 w-5 text-white inline" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
                     <circle class="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" stroke-width="4"></circle>
                     <path class="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
                 </svg>
-                Menganalisis...
+                Batalkan
             `;
         }
         
@@ -586,18 +616,26 @@ class ProgressTracker {
                 weeklyReport: this.generateWeeklyReport()
             };
             
-            // Get AI analysis
-            const analysis = await this.ai.generateRecommendation('progress-analysis', context);
+            // Get AI analysis, ditampilkan sambil ditulis
+            const output = this.displayAIAnalysis('', { streaming: true });
+            const result = await this.ai.streamRecommendation('progress-analysis', context, {
+                regenerate: regenerate,
+                signal: this.aiController.signal,
+                onToken: (token, text) => {
+                    if (output) output.textContent = text;
+                },
+                onUpdate: (updated) => this.displayAIAnalysis(updated)
+            });
             
             // Display analysis
-            this.displayAIAnalysis(analysis);
+            this.displayAIAnalysis(result.text, { cancelled: result.cancelled });
             
         } catch (error) {
             console.error('Error getting AI analysis:', error);
             this.showNotification('Gagal mendapatkan analisis AI', 'error');
         } finally {
+            this.aiController = null;
             if (aiAnalysisBtn) {
-                aiAnalysisBtn.disabled = false;
                 aiAnalysisBtn.innerHTML = `
                     <svg class="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                         <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9.663 17h4.673M12 3v1m6.364 1.636l-.707.707M21 12h-1M4 12H3m3.343-5.657l-.707-.707m2.828 9.9a5 5 0 117.072 0l-.548.547A3.374 3.374 0 0014 18.469V19a2 2 0 11-4 0v-.531c0-.895-.356-1.754-.988-2.386l-.548-.547z"></path>
@@ -608,9 +646,12 @@ class ProgressTracker {
         }
     }
     
-    displayAIAnalysis(analysis) {
+    /**
+     * Render the AI card; returns the text element so streamed tokens can be written into it
+     */
+    displayAIAnalysis(analysis, state = {}) {
         const container = document.getElementById('ai-analysis-content');
-        if (!container) return;
+        if (!container) return null;
         
         container.innerHTML = `
             <div class="bg-gradient-to-r from-indigo-50 to-blue-50 rounded-2xl p-6 border border-indigo-200">
@@ -620,14 +661,23 @@ class ProgressTracker {
                     </div>
                     <div class="flex-1">
                         <h4 class="font-semibold text-gray-800 mb-2">Analisis Progress Komprehensif</h4>
-                        <p class="text-gray-700 leading-relaxed">${analysis}</p>
+                        <p class="ai-response-text text-gray-700 leading-relaxed whitespace-pre-line"></p>
+                        ${state.cancelled ? '<p class="text-xs text-gray-400 mt-2">Dibatalkan, jawaban belum lengkap</p>' : ''}
+                        <button class="ai-regenerate-btn text-sm text-gray-500 hover:text-gray-700 mt-3">${state.streaming ? 'Batalkan' : 'Buat ulang'}</button>
                     </div>
                 </div>
             </div>
         `;
         
+        const output = container.querySelector('.ai-response-text');
+        output.textContent = analysis;
+        
+        // Saat streaming tombol ini membatalkan, setelahnya meminta jawaban baru
+        container.querySelector('.ai-regenerate-btn').addEventListener('click', () => this.generateAIAnalysis(true));
+        
         // Scroll ke analysis
         container.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+        return output;
     }
     
     async exportProgressData() {
@@ -0,0 +1,100 @@
+/**
+ * Recurring Schedule - Occurrence dates of recurring transaction templates
+ * Loaded by finance.html and imported by the service worker, so it only uses plain date math and no DOM.
+ */
+
+class RecurringSchedule {
+    static frequencies = {
+        daily: 'Harian',
+        weekly: 'Mingguan',
+        monthly: 'Bulanan',
+        yearly: 'Tahunan'
+    };
+
+    // A template left alone for years catches up at most this many occurrences per run
+    static maxCatchUp = 400;
+
+    /**
+     * Occurrence after the given one. Monthly and yearly templates keep the day of their start date,
+     * falling back to the last day of shorter months (31 Jan -> 28 Feb -> 31 Mar).
+     * @param {string} date - YYYY-MM-DD
+     * @param {string} frequency - Key of RecurringSchedule.frequencies
+     * @param {string} startDate - YYYY-MM-DD the template started on
+     * @returns {string} YYYY-MM-DD
+     */
+    static advance(date, frequency, startDate) {
+        const [year, month, day] = date.split('-').map(Number);
+        const anchorDay = Number(startDate.split('-')[2]);
+
+        switch (frequency) {
+            case 'daily':
+                return new Date(Date.UTC(year, month - 1, day + 1)).toISOString().split('T')[0];
+            case 'weekly':
+                return new Date(Date.UTC(year, month - 1, day + 7)).toISOString().split('T')[0];
+            case 'monthly':
+                return this.clampDay(year, month, anchorDay);
+            case 'yearly':
+                return this.clampDay(year + 1, month - 1, anchorDay);
+            default:
+                throw new Error(`Unknown recurring frequency: ${frequency}`);
+        }
+    }
+
+    /**
+     * Date in a month with the day limited to that month's length
+     * @param {number} monthIndex - 0-based; 12 rolls over into January of the next year
+     */
+    static clampDay(year, monthIndex, day) {
+        const lastDay = new Date(Date.UTC(year, monthIndex + 1, 0)).getUTCDate();
+        return new Date(Date.UTC(year, monthIndex, Math.min(day, lastDay))).toISOString().split('T')[0];
+    }
+
+    /**
+     * Occurrences of a template that are due up to today and have not been recorded yet
+     * @param {Object} template - Recurring template with nextDate, frequency, startDate and optional endDate
+     * @param {string} today - YYYY-MM-DD
+     * @returns {{dates: string[], nextDate: string, active: boolean}} The template's state after recording them
+     */
+    static collectDue(template, today) {
+        const dates = [];
+        let next = template.nextDate;
+        while (next <= today && (!template.endDate || next <= template.endDate) && dates.length < this.maxCatchUp) {
+            dates.push(next);
+            next = this.advance(next, template.frequency, template.startDate);
+        }
+        return {
+            dates: dates,
+            nextDate: next,
+            active: !template.endDate || next <= template.endDate
+        };
+    }
+
+    /**
+     * Occurrences that become transactions. Reminder-only templates (such as debt plan payments) just
+     * move to their next date, since the user records the actual payment.
+     */
+    static recordedDates(template, due) {
+        return template.reminderOnly ? [] : due.dates;
+    }
+
+    /**
+     * Transaction recorded for one occurrence. Templates with a variance record their usual amount
+     * marked as estimated, since the real bill can differ.
+     */
+    static toTransaction(template, date) {
+        return {
+            type: template.type,
+            amount: template.amount,
+            category: template.category,
+            description: template.description || '',
+            date: date,
+            timestamp: new Date().toISOString(),
+            recurringId: template.id,
+            estimated: (template.variance || 0) > 0,
+            ...(template.currency ? { currency: template.currency } : {})
+        };
+    }
+}
+
+// self is the window on pages and the global scope in the service worker
+self.RecurringSchedule = RecurringSchedule;
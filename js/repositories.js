@@ -0,0 +1,974 @@
+/**
+ * Repositories - One canonical location per entity on top of StorageManager
+ * Modules read and write their data through these instead of choosing
+ * localStorage keys or IndexedDB stores themselves.
+ *
+ *   Profile, preferences, achievements  -> localStorage 'userProfile'
+ *   Habits, logs, streaks               -> habitsDB
+ *   Transactions, budgets, goals, wealth -> financeDB
+ *   Mood logs, meditation sessions      -> mentalDB
+ *   Skill states, learning progress     -> learningDB
+ *   Coach conversations and messages    -> systemDB
+ */
+
+/**
+ * Shared helpers for the repositories
+ */
+class BaseRepository {
+    constructor(storageManager) {
+        if (!storageManager) {
+            throw new Error(`StorageManager is a required dependency for ${this.constructor.name}.`);
+        }
+        this.storage = storageManager;
+    }
+
+    /**
+     * Today as YYYY-MM-DD, the date format used by every store
+     */
+    today() {
+        return new Date().toISOString().split('T')[0];
+    }
+
+    /**
+     * Query a store by its date index, optionally limited to an inclusive range
+     */
+    queryByDate(dbName, storeName, { from = null, to = null } = {}) {
+        const query = this.storage.query(dbName, storeName).where('date');
+        if (from && to) return query.between(from, to).toArray();
+        if (from) return query.aboveOrEqual(from).toArray();
+        if (to) return query.belowOrEqual(to).toArray();
+        return query.toArray();
+    }
+
+    /**
+     * Number of consecutive days up to today that appear in dates.
+     * A streak that ended yesterday is still alive until today is over.
+     */
+    countStreak(dates) {
+        const days = new Set(dates);
+        const cursor = new Date();
+        if (!days.has(cursor.toISOString().split('T')[0])) {
+            cursor.setDate(cursor.getDate() - 1);
+        }
+
+        let streak = 0;
+        while (days.has(cursor.toISOString().split('T')[0])) {
+            streak++;
+            cursor.setDate(cursor.getDate() - 1);
+        }
+        return streak;
+    }
+}
+
+/**
+ * User profile with its preferences and achievements
+ */
+class ProfileRepository extends BaseRepository {
+    constructor(storageManager) {
+        super(storageManager);
+        this.key = 'userProfile';
+        this.layoutKey = 'storageLayoutVersion';
+        this.layoutVersion = 2;
+        this.defaultPreferences = {
+            darkMode: false,
+            prayerEnabled: false,
+            islamicFinanceEnabled: false,
+            habitReminders: true,
+            notificationTime: '09:00',
+            aiLanguage: 'id'
+        };
+        this.migrateLegacyKeys();
+    }
+
+    /**
+     * Get the profile, or null before onboarding
+     */
+    get() {
+        return this.storage.getFromLocalStorage(this.key);
+    }
+
+    /**
+     * Replace the stored profile
+     */
+    save(profile) {
+        return this.storage.saveToLocalStorage(this.key, profile);
+    }
+
+    /**
+     * Change the stored profile in place
+     * @param {function(Object): void} mutate - Receives the profile to modify
+     * @returns {Object|null} The saved profile, or null when there is none yet
+     */
+    update(mutate) {
+        const profile = this.get();
+        if (!profile) return null;
+        mutate(profile);
+        this.save(profile);
+        return profile;
+    }
+
+    getPreferences() {
+        return { ...this.defaultPreferences, ...(this.get()?.preferences || {}) };
+    }
+
+    savePreferences(changes) {
+        return this.update(profile => {
+            profile.preferences = { ...this.defaultPreferences, ...profile.preferences, ...changes };
+        });
+    }
+
+    /**
+     * Stored achievements, or null when none were saved yet
+     */
+    getAchievements() {
+        const achievements = this.get()?.achievements;
+        return achievements && achievements.length > 0 ? achievements : null;
+    }
+
+    saveAchievements(achievements) {
+        return this.update(profile => {
+            profile.achievements = achievements;
+        });
+    }
+
+    /**
+     * Run handler when the profile changes in another tab
+     */
+    subscribe(handler) {
+        return this.storage.subscribe('localStorage', this.key, handler);
+    }
+
+    /**
+     * One-time move of the separate 'preferences' and 'achievements' keys into the profile.
+     * Waits until a profile exists, since there is nothing to merge into before onboarding.
+     */
+    migrateLegacyKeys() {
+        if (typeof localStorage === 'undefined') return;
+        if ((this.storage.getFromLocalStorage(this.layoutKey) || 1) >= this.layoutVersion) return;
+
+        const profile = this.get();
+        if (!profile) return;
+
+        const legacyPreferences = this.storage.getFromLocalStorage('preferences');
+        if (legacyPreferences) {
+            // The settings page wrote here, so it holds the user's latest choices
+            profile.preferences = { ...profile.preferences, ...legacyPreferences };
+        }
+
+        const legacyAchievements = this.storage.getFromLocalStorage('achievements');
+        if (legacyAchievements && !(profile.achievements && profile.achievements.length > 0)) {
+            profile.achievements = legacyAchievements;
+        }
+
+        if (this.save(profile)) {
+            this.storage.removeFromLocalStorage('preferences');
+            this.storage.removeFromLocalStorage('achievements');
+            this.storage.saveToLocalStorage(this.layoutKey, this.layoutVersion);
+            console.log('Migrated legacy preferences and achievements into userProfile');
+        }
+    }
+}
+
+/**
+ * Habits with their daily logs and streaks
+ */
+class HabitRepository extends BaseRepository {
+    getHabits() {
+        return this.storage.getAllFromDB('habitsDB', 'dailyHabits');
+    }
+
+    getLogs(range = {}) {
+        return this.queryByDate('habitsDB', 'habitLogs', range);
+    }
+
+    getLogsForDate(date) {
+        return this.storage.query('habitsDB', 'habitLogs').where('date').equals(date).toArray();
+    }
+
+    getStreaks() {
+        return this.storage.getAllFromDB('habitsDB', 'streaks');
+    }
+
+    /**
+     * Create an empty streak record for a habit
+     */
+    createStreak(habitId) {
+        return {
+            habitId: habitId,
+            currentStreak: 0,
+            bestStreak: 0,
+            lastCompleted: null,
+            totalCompletions: 0
+        };
+    }
+
+    /**
+     * Save a new habit together with its initial streak
+     * @returns {Promise<{habit: Object, streak: Object}>}
+     */
+    async addHabit(habit) {
+        return this.storage.transaction('habitsDB', ['dailyHabits', 'streaks'], async (tx) => {
+            const habitId = await tx.put('dailyHabits', habit);
+            const streak = this.createStreak(habitId);
+            await tx.put('streaks', streak);
+            return { habit: { ...habit, id: habitId }, streak };
+        });
+    }
+
+    /**
+     * Save a habit log, and the updated streak in the same transaction when given
+     * @returns {Promise<number>} The log id
+     */
+    async saveLog(log, streak = null) {
+        const stores = streak ? ['habitLogs', 'streaks'] : ['habitLogs'];
+        return this.storage.transaction('habitsDB', stores, async (tx) => {
+            const logId = await tx.put('habitLogs', log);
+            if (streak) {
+                await tx.put('streaks', streak);
+            }
+            return logId;
+        });
+    }
+
+    /**
+     * Delete a habit with its streak and every log
+     */
+    async deleteHabit(habitId) {
+        return this.storage.transaction('habitsDB', ['dailyHabits', 'streaks', 'habitLogs'], async (tx) => {
+            await tx.delete('dailyHabits', habitId);
+            await tx.delete('streaks', habitId);
+
+            const logsToDelete = await tx.query('habitLogs', 'habitId', habitId);
+            for (const log of logsToDelete) {
+                await tx.delete('habitLogs', log.id);
+            }
+        });
+    }
+
+    subscribe(handler) {
+        return this.storage.subscribe('habitsDB', '*', handler);
+    }
+}
+
+/**
+ * Transactions, budgets, goals and wealth items
+ */
+class FinanceRepository extends BaseRepository {
+    /**
+     * Transactions of one month
+     * @param {string} month - YYYY-MM
+     */
+    getTransactionsForMonth(month) {
+        return this.storage.query('financeDB', 'transactions').where('date').startsWith(month).toArray();
+    }
+
+    /**
+     * Latest transactions by date
+     */
+    getRecentTransactions(limit = 10) {
+        return this.storage.query('financeDB', 'transactions').where('date').orderBy('desc').limit(limit).toArray();
+    }
+
+    /**
+     * Transactions in an inclusive YYYY-MM-DD range, including archived ones
+     */
+    getTransactionsInRange(from, to) {
+        return this.storage.getRecordsInRange('financeDB', 'transactions', from, to);
+    }
+
+    addTransaction(transaction) {
+        return this.storage.saveToDB('financeDB', 'transactions', transaction);
+    }
+
+    /**
+     * Add a batch of transactions; either all of them are saved or none
+     * @returns {Promise<number>} Number of transactions saved
+     */
+    importTransactions(transactions) {
+        return this.storage.transaction('financeDB', 'transactions', async (tx) => {
+            for (const transaction of transactions) {
+                await tx.put('transactions', transaction);
+            }
+            return transactions.length;
+        });
+    }
+
+    getBudgets() {
+        return this.storage.getAllFromDB('financeDB', 'budgets');
+    }
+
+    /**
+     * Save the budget of a category; budgets are keyed by category
+     */
+    saveBudget(budget) {
+        return this.storage.saveToDB('financeDB', 'budgets', { ...budget, updatedAt: new Date().toISOString() });
+    }
+
+    deleteBudget(category) {
+        return this.storage.deleteFromDB('financeDB', 'budgets', category);
+    }
+
+    /**
+     * Close the months a budget has finished, unless another tab already did
+     * @param {string} category
+     * @param {string} fromMonth - The month the caller computed the settlement from
+     * @param {function(Object): Object} settle - Returns the updated budget
+     * @returns {Promise<Object|null>} The saved budget, or null when it was already settled or deleted
+     */
+    settleBudget(category, fromMonth, settle) {
+        return this.storage.transaction('financeDB', 'budgets', async (tx) => {
+            const budget = await tx.get('budgets', category);
+            if (!budget || budget.month !== fromMonth) return null;
+            const settled = { ...settle(budget), updatedAt: new Date().toISOString() };
+            await tx.put('budgets', settled);
+            return settled;
+        });
+    }
+
+    getGoals() {
+        return this.storage.getAllFromDB('financeDB', 'goals');
+    }
+
+    /**
+     * Save a savings or debt-payoff goal
+     * @returns {Promise<number>} The goal id
+     */
+    saveGoal(goal) {
+        return this.storage.saveToDB('financeDB', 'goals', { ...goal, updatedAt: new Date().toISOString() });
+    }
+
+    /**
+     * Transactions recorded as contributions to a goal, archived ones included
+     */
+    async getGoalContributions(goalId) {
+        const live = await this.storage.query('financeDB', 'transactions').where('goalId').equals(goalId).toArray();
+        // A record can exist in both after an interrupted archive run; the live copy wins
+        const liveIds = new Set(live.map(transaction => transaction.id));
+        const archived = (await this.storage.getArchivedRecords('financeDB', 'transactions'))
+            .filter(transaction => transaction.goalId === goalId && !liveIds.has(transaction.id));
+        return [...archived, ...live];
+    }
+
+    /**
+     * Record a contribution as a transaction linked to the goal and add it to the goal's progress.
+     * A goal that reaches its target is marked completed in the same transaction.
+     * @returns {Promise<{goal: Object, completed: boolean}>} completed is true only when this contribution finished the goal
+     */
+    addGoalContribution(goalId, transaction) {
+        return this.storage.transaction('financeDB', ['transactions', 'goals'], async (tx) => {
+            const goal = await tx.get('goals', goalId);
+            if (!goal) throw new Error(`Goal ${goalId} not found`);
+
+            await tx.put('transactions', { ...transaction, goalId: goalId });
+            goal.savedAmount = (goal.savedAmount || 0) + transaction.amount;
+            goal.updatedAt = new Date().toISOString();
+
+            const completed = goal.status !== 'completed' && goal.savedAmount >= goal.targetAmount;
+            if (completed) {
+                goal.status = 'completed';
+                goal.completedAt = goal.updatedAt;
+            }
+            await tx.put('goals', goal);
+            return { goal, completed };
+        });
+    }
+
+    /**
+     * Save a debt plan's goal and replace the payment reminders of the plan it supersedes
+     * @param {Object} goal - Debt goal with its plan; without id to create
+     * @param {Array<Object>} templates - Reminder-only recurring templates, linked to the goal by debtPlanGoalId
+     * @returns {Promise<number>} The goal id
+     */
+    saveDebtPlan(goal, templates) {
+        return this.storage.transaction('financeDB', ['goals', 'recurring'], async (tx) => {
+            const record = { ...goal, updatedAt: new Date().toISOString() };
+            if (record.id === undefined) delete record.id;
+            const goalId = await tx.put('goals', record);
+
+            for (const template of (await tx.getAll('recurring')).filter(item => item.debtPlanGoalId === goalId)) {
+                await tx.delete('recurring', template.id);
+            }
+            for (const template of templates) {
+                await tx.put('recurring', { ...template, debtPlanGoalId: goalId });
+            }
+            return goalId;
+        });
+    }
+
+    /**
+     * Delete a goal; its contributions, archived ones included, stay as ordinary transactions and the
+     * reminders of its debt plan go
+     */
+    async deleteGoal(goalId) {
+        await this.storage.transaction('financeDB', ['transactions', 'goals', 'recurring'], async (tx) => {
+            await tx.delete('goals', goalId);
+            for (const template of (await tx.getAll('recurring')).filter(item => item.debtPlanGoalId === goalId)) {
+                await tx.delete('recurring', template.id);
+            }
+            const contributions = await tx.query('transactions', 'goalId', goalId);
+            for (const transaction of contributions) {
+                delete transaction.goalId;
+                await tx.put('transactions', transaction);
+            }
+        });
+        await this.storage.updateArchivedRecords('financeDB', 'transactions', (transaction) => {
+            if (transaction.goalId !== goalId) return null;
+            const { goalId: removed, ...unlinked } = transaction;
+            return unlinked;
+        });
+    }
+
+    getWealth() {
+        return this.storage.getAllFromDB('financeDB', 'wealth');
+    }
+
+    /**
+     * Value history of all accounts, oldest first
+     */
+    getWealthSnapshots() {
+        return this.storage.query('financeDB', 'wealthSnapshots').where('date').toArray();
+    }
+
+    /**
+     * Create or update an asset/liability account and record its value on a date.
+     * The account's value and date always follow its latest snapshot, so recording an older value
+     * only fills in history.
+     * @param {Object} account - Without id to create
+     * @param {string} date - YYYY-MM-DD the value applies to
+     * @returns {Promise<number>} The account id
+     */
+    saveAccount(account, date) {
+        return this.storage.transaction('financeDB', ['wealth', 'wealthSnapshots'], async (tx) => {
+            const now = new Date().toISOString();
+            const record = { ...account, updatedAt: now };
+            if (record.id === undefined) {
+                delete record.id;
+                record.createdAt = record.createdAt || now;
+                record.date = date;
+            }
+            const id = await tx.put('wealth', record);
+            record.id = id;
+
+            const snapshots = await tx.query('wealthSnapshots', 'accountId', id);
+            const existing = snapshots.find(snapshot => snapshot.date === date);
+            await tx.put('wealthSnapshots', {
+                ...(existing || {}),
+                accountId: id,
+                date: date,
+                value: account.value,
+                recordedAt: now
+            });
+
+            const latest = [...snapshots.filter(snapshot => snapshot !== existing), { date, value: account.value }]
+                .sort((a, b) => a.date.localeCompare(b.date))
+                .pop();
+            if (latest.date !== record.date || latest.value !== record.value) {
+                await tx.put('wealth', { ...record, value: latest.value, date: latest.date });
+            }
+            return id;
+        });
+    }
+
+    /**
+     * Delete an account together with its value history
+     */
+    deleteAccount(accountId) {
+        return this.storage.transaction('financeDB', ['wealth', 'wealthSnapshots'], async (tx) => {
+            await tx.delete('wealth', accountId);
+            const snapshots = await tx.query('wealthSnapshots', 'accountId', accountId);
+            for (const snapshot of snapshots) {
+                await tx.delete('wealthSnapshots', snapshot.id);
+            }
+        });
+    }
+
+    getCategories() {
+        return this.storage.getAllFromDB('financeDB', 'categories');
+    }
+
+    saveCategory(category) {
+        return this.storage.saveToDB('financeDB', 'categories', { ...category, updatedAt: new Date().toISOString() });
+    }
+
+    /**
+     * Delete a category. Its rules, recurring templates and transactions, archived ones included,
+     * move to the replacement; its sub-categories become top-level and its budget is deleted.
+     * @param {string} categoryId
+     * @param {string} replacementId - Usually the parent, otherwise 'other'
+     */
+    async deleteCategory(categoryId, replacementId) {
+        const stores = ['categories', 'categoryRules', 'transactions', 'budgets', 'recurring'];
+        await this.storage.transaction('financeDB', stores, async (tx) => {
+            await tx.delete('categories', categoryId);
+            for (const child of await tx.query('categories', 'parentId', categoryId)) {
+                await tx.put('categories', { ...child, parentId: null });
+            }
+            for (const rule of await tx.query('categoryRules', 'categoryId', categoryId)) {
+                await tx.put('categoryRules', { ...rule, categoryId: replacementId });
+            }
+            for (const transaction of await tx.query('transactions', 'category', categoryId)) {
+                await tx.put('transactions', { ...transaction, category: replacementId });
+            }
+            for (const template of (await tx.getAll('recurring')).filter(item => item.category === categoryId)) {
+                await tx.put('recurring', { ...template, category: replacementId });
+            }
+            // Budgets are keyed by category, so the budget itself is dropped rather than merged
+            await tx.delete('budgets', categoryId);
+        });
+        await this.storage.updateArchivedRecords('financeDB', 'transactions', transaction =>
+            transaction.category === categoryId ? { ...transaction, category: replacementId } : null
+        );
+    }
+
+    getCategoryRules() {
+        return this.storage.getAllFromDB('financeDB', 'categoryRules');
+    }
+
+    /**
+     * Save a categorisation rule
+     * @returns {Promise<number>} The rule id
+     */
+    saveCategoryRule(rule) {
+        return this.storage.saveToDB('financeDB', 'categoryRules', { ...rule, updatedAt: new Date().toISOString() });
+    }
+
+    deleteCategoryRule(ruleId) {
+        return this.storage.deleteFromDB('financeDB', 'categoryRules', ruleId);
+    }
+
+    /**
+     * Recompute the category of every stored transaction, archived ones included
+     * @param {function(Object): (string|null)} categorize - New category, or null to leave it
+     * @returns {Promise<number>} Number of transactions that changed
+     */
+    async recategorizeTransactions(categorize) {
+        const recategorized = (transaction) => {
+            const category = categorize(transaction);
+            return category && category !== transaction.category ? { ...transaction, category } : null;
+        };
+        const changed = await this.storage.transaction('financeDB', 'transactions', async (tx) => {
+            let count = 0;
+            for (const transaction of await tx.getAll('transactions')) {
+                const updated = recategorized(transaction);
+                if (updated) {
+                    await tx.put('transactions', updated);
+                    count++;
+                }
+            }
+            return count;
+        });
+        return changed + await this.storage.updateArchivedRecords('financeDB', 'transactions', recategorized);
+    }
+
+    /**
+     * Exchange rates, oldest first
+     */
+    getExchangeRates() {
+        return this.storage.query('financeDB', 'exchangeRates').where('date').toArray();
+    }
+
+    /**
+     * Currency all finance totals are shown in
+     */
+    getBaseCurrency() {
+        return this.storage.getFromLocalStorage('financeSettings')?.baseCurrency || CurrencyConverter.legacyCurrency;
+    }
+
+    setBaseCurrency(currency) {
+        const settings = this.storage.getFromLocalStorage('financeSettings') || {};
+        this.storage.saveToLocalStorage('financeSettings', { ...settings, baseCurrency: currency });
+    }
+
+    /**
+     * Converter with the stored exchange rates, for totals in the base currency
+     * @returns {Promise<CurrencyConverter>}
+     */
+    async getCurrencyConverter() {
+        return new CurrencyConverter(await this.getExchangeRates(), this.getBaseCurrency());
+    }
+
+    /**
+     * Save exchange rates, replacing any rate already stored for the same pair and date
+     * @param {Array<{currency: string, quote: string, date: string, rate: number}>} rates - 1 currency = rate quote
+     * @returns {Promise<number>} Number of rates saved
+     */
+    saveExchangeRates(rates) {
+        return this.storage.transaction('financeDB', 'exchangeRates', async (tx) => {
+            const now = new Date().toISOString();
+            for (const rate of rates) {
+                const existing = (await tx.query('exchangeRates', 'currency', rate.currency))
+                    .find(item => item.quote === rate.quote && item.date === rate.date);
+                await tx.put('exchangeRates', { ...(existing || {}), ...rate, updatedAt: now });
+            }
+            return rates.length;
+        });
+    }
+
+    deleteExchangeRate(rateId) {
+        return this.storage.deleteFromDB('financeDB', 'exchangeRates', rateId);
+    }
+
+    getRecurring() {
+        return this.storage.getAllFromDB('financeDB', 'recurring');
+    }
+
+    /**
+     * Save a recurring transaction template
+     * @returns {Promise<number>} The template id
+     */
+    saveRecurring(template) {
+        return this.storage.saveToDB('financeDB', 'recurring', { ...template, updatedAt: new Date().toISOString() });
+    }
+
+    /**
+     * Delete a template; transactions it already recorded stay as ordinary transactions
+     */
+    deleteRecurring(recurringId) {
+        return this.storage.transaction('financeDB', ['transactions', 'recurring'], async (tx) => {
+            await tx.delete('recurring', recurringId);
+            const transactions = await tx.query('transactions', 'recurringId', recurringId);
+            for (const transaction of transactions) {
+                delete transaction.recurringId;
+                await tx.put('transactions', transaction);
+            }
+        });
+    }
+
+    /**
+     * Record every due occurrence of the active templates and move them to their next date.
+     * Runs in one transaction, so a second tab (or the service worker) sees the advanced dates
+     * and does not record the same occurrence twice.
+     * @param {string} today - YYYY-MM-DD
+     * @returns {Promise<Array>} The transactions that were recorded
+     */
+    materializeRecurring(today) {
+        return this.storage.transaction('financeDB', ['transactions', 'recurring'], async (tx) => {
+            const created = [];
+            const templates = await tx.query('recurring', 'status', 'active');
+            for (const template of templates) {
+                const due = RecurringSchedule.collectDue(template, today);
+                if (due.dates.length === 0 && due.active) continue;
+
+                for (const date of RecurringSchedule.recordedDates(template, due)) {
+                    const transaction = RecurringSchedule.toTransaction(template, date);
+                    transaction.id = await tx.put('transactions', transaction);
+                    created.push(transaction);
+                }
+                await tx.put('recurring', {
+                    ...template,
+                    nextDate: due.nextDate,
+                    status: due.active ? 'active' : 'ended',
+                    updatedAt: new Date().toISOString()
+                });
+            }
+            return created;
+        });
+    }
+
+    subscribe(storeName, handler) {
+        return this.storage.subscribe('financeDB', storeName, handler);
+    }
+}
+
+/**
+ * Mood logs and meditation sessions
+ */
+class MentalRepository extends BaseRepository {
+    getMoodLogs(range = {}) {
+        return this.queryByDate('mentalDB', 'moodLogs', range);
+    }
+
+    getLatestMood() {
+        return this.storage.query('mentalDB', 'moodLogs').where('date').orderBy('desc').first();
+    }
+
+    /**
+     * Save the mood of a day; a second check-in on the same day updates the first
+     * @returns {Promise<Object>} The saved record
+     */
+    async saveMood(entry) {
+        const existing = await this.storage.query('mentalDB', 'moodLogs').where('date').equals(entry.date).first();
+        const record = existing ? { ...existing, ...entry } : { ...entry };
+        record.id = await this.storage.saveToDB('mentalDB', 'moodLogs', record);
+        return record;
+    }
+
+    getMeditationSessions(range = {}) {
+        return this.queryByDate('mentalDB', 'meditationSessions', range);
+    }
+
+    async addMeditationSession(session) {
+        const id = await this.storage.saveToDB('mentalDB', 'meditationSessions', session);
+        return { ...session, id };
+    }
+
+    /**
+     * Mood history, meditation log and streaks in the shape the trackers work with
+     */
+    async getMentalData(range = {}) {
+        const [moodHistory, meditationLog] = await Promise.all([
+            this.getMoodLogs(range),
+            this.getMeditationSessions(range)
+        ]);
+        return {
+            moodHistory,
+            meditationLog,
+            streaks: {
+                moodTracking: this.countStreak(moodHistory.map(entry => entry.date)),
+                meditation: this.countStreak(meditationLog.map(session => session.date))
+            },
+            lastMoodUpdate: moodHistory.length > 0 ? moodHistory[moodHistory.length - 1].timestamp : null,
+            lastMeditation: meditationLog.length > 0 ? meditationLog[meditationLog.length - 1].timestamp : null
+        };
+    }
+
+    subscribe(handler) {
+        return this.storage.subscribe('mentalDB', '*', handler);
+    }
+}
+
+/**
+ * Skill tree state and learning progress
+ */
+class LearningRepository extends BaseRepository {
+    /**
+     * The skill tree with its default lock state; a fresh copy on every call
+     */
+    getSkillTree() {
+        return {
+            'financial': {
+                name: 'Financial Literacy',
+                icon: '💰',
+                color: 'bg-green-500',
+                skills: [
+                    { id: 'budgeting', name: 'Budgeting', xp: 50, unlocked: true, completed: false },
+                    { id: 'emergency-fund', name: 'Emergency Fund', xp: 75, unlocked: true, completed: false },
+                    { id: 'investing-basics', name: 'Investing Basics', xp: 100, unlocked: false, completed: false },
+                    { id: 'stock-market', name: 'Stock Market', xp: 150, unlocked: false, completed: false },
+                    { id: 'crypto', name: 'Cryptocurrency', xp: 120, unlocked: false, completed: false },
+                    { id: 'retirement-planning', name: 'Retirement Planning', xp: 200, unlocked: false, completed: false }
+                ]
+            },
+            'fitness': {
+                name: 'Physical Health',
+                icon: '💪',
+                color: 'bg-red-500',
+                skills: [
+                    { id: 'workout-routine', name: 'Workout Routine', xp: 50, unlocked: true, completed: false },
+                    { id: 'nutrition-basics', name: 'Nutrition Basics', xp: 75, unlocked: true, completed: false },
+                    { id: 'calisthenics', name: 'Calisthenics', xp: 100, unlocked: false, completed: false },
+                    { id: 'weight-training', name: 'Weight Training', xp: 120, unlocked: false, completed: false },
+                    { id: 'cardiovascular', name: 'Cardiovascular Health', xp: 100, unlocked: false, completed: false },
+                    { id: 'meal-prep', name: 'Meal Preparation', xp: 80, unlocked: false, completed: false }
+                ]
+            },
+            'mental': {
+                name: 'Mental Strength',
+                icon: '🧠',
+                color: 'bg-purple-500',
+                skills: [
+                    { id: 'meditation', name: 'Daily Meditation', xp: 50, unlocked: true, completed: false },
+                    { id: 'journaling', name: 'Journaling', xp: 40, unlocked: true, completed: false },
+                    { id: 'emotional-control', name: 'Emotional Control', xp: 100, unlocked: false, completed: false },
+                    { id: 'stress-management', name: 'Stress Management', xp: 90, unlocked: false, completed: false },
+                    { id: 'mindfulness', name: 'Mindfulness', xp: 80, unlocked: false, completed: false },
+                    { id: 'discipline', name: 'Self Discipline', xp: 150, unlocked: false, completed: false }
+                ]
+            },
+            'social': {
+                name: 'Social Skills',
+                icon: '🤝',
+                color: 'bg-blue-500',
+                skills: [
+                    { id: 'communication', name: 'Communication', xp: 50, unlocked: true, completed: false },
+                    { id: 'active-listening', name: 'Active Listening', xp: 60, unlocked: true, completed: false },
+                    { id: 'public-speaking', name: 'Public Speaking', xp: 120, unlocked: false, completed: false },
+                    { id: 'networking', name: 'Networking', xp: 100, unlocked: false, completed: false },
+                    { id: 'leadership', name: 'Leadership', xp: 150, unlocked: false, completed: false },
+                    { id: 'conflict-resolution', name: 'Conflict Resolution', xp: 110, unlocked: false, completed: false }
+                ]
+            },
+            'career': {
+                name: 'Career Development',
+                icon: '🚀',
+                color: 'bg-indigo-500',
+                skills: [
+                    { id: 'time-management', name: 'Time Management', xp: 50, unlocked: true, completed: false },
+                    { id: 'goal-setting', name: 'Goal Setting', xp: 60, unlocked: true, completed: false },
+                    { id: 'productivity', name: 'Productivity', xp: 80, unlocked: false, completed: false },
+                    { id: 'digital-marketing', name: 'Digital Marketing', xp: 100, unlocked: false, completed: false },
+                    { id: 'coding-basics', name: 'Coding Basics', xp: 150, unlocked: false, completed: false },
+                    { id: 'entrepreneurship', name: 'Entrepreneurship', xp: 200, unlocked: false, completed: false }
+                ]
+            }
+        };
+    }
+
+    getSkillStates() {
+        return this.storage.getAllFromDB('learningDB', 'skills');
+    }
+
+    getProgress(range = {}) {
+        return this.queryByDate('learningDB', 'progress', range);
+    }
+
+    /**
+     * Shape a skill of the tree as a record for the skills store
+     */
+    toSkillRecord(skill, categoryId) {
+        return {
+            id: skill.id,
+            name: skill.name,
+            category: categoryId,
+            xp: skill.xp,
+            status: skill.completed ? 'completed' : skill.unlocked ? 'unlocked' : 'locked',
+            updatedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Save a completed skill, the skill it unlocks and a progress entry together
+     */
+    async completeSkill(skill, categoryId, nextSkill = null) {
+        const timestamp = new Date().toISOString();
+        return this.storage.transaction('learningDB', ['skills', 'progress'], async (tx) => {
+            await tx.put('skills', this.toSkillRecord(skill, categoryId));
+            if (nextSkill) {
+                await tx.put('skills', this.toSkillRecord(nextSkill, categoryId));
+            }
+            await tx.put('progress', {
+                skillId: skill.id,
+                categoryId: categoryId,
+                xp: skill.xp,
+                date: this.today(),
+                timestamp: timestamp
+            });
+        });
+    }
+
+    /**
+     * Skill tree merged with the saved skill states and progress
+     */
+    async getLearningData() {
+        const [skillStates, progress] = await Promise.all([this.getSkillStates(), this.getProgress()]);
+        const states = new Map(skillStates.map(record => [record.id, record.status]));
+        const categories = this.getSkillTree();
+
+        const completedSkills = [];
+        let totalXP = 0;
+        Object.values(categories).forEach(category => {
+            category.skills.forEach(skill => {
+                const status = states.get(skill.id);
+                if (status === 'completed') {
+                    skill.completed = true;
+                    skill.unlocked = true;
+                    completedSkills.push(skill.id);
+                    totalXP += skill.xp;
+                } else if (status === 'unlocked') {
+                    skill.unlocked = true;
+                }
+            });
+        });
+
+        const weeklyProgress = {};
+        progress.forEach(entry => {
+            const weekKey = this.getWeekKey(new Date(entry.date));
+            weeklyProgress[weekKey] = (weeklyProgress[weekKey] || 0) + 1;
+        });
+
+        return {
+            categories,
+            completedSkills,
+            totalXP,
+            weeklyProgress,
+            lastActivity: progress.length > 0 ? progress[progress.length - 1].timestamp : null
+        };
+    }
+
+    /**
+     * Week key used to bucket learning progress, e.g. 2024-W12
+     */
+    getWeekKey(date) {
+        const year = date.getFullYear();
+        const weekNumber = Math.ceil((((date - new Date(year, 0, 1)) / 86400000) + new Date(year, 0, 1).getDay() + 1) / 7);
+        return `${year}-W${weekNumber}`;
+    }
+
+    subscribe(handler) {
+        return this.storage.subscribe('learningDB', '*', handler);
+    }
+}
+
+/**
+ * AI coach conversations and their messages
+ */
+class CoachRepository extends BaseRepository {
+    /**
+     * Conversations, most recently active first
+     */
+    getConversations() {
+        return this.storage.query('systemDB', 'coachConversations').where('updatedAt').orderBy('desc').toArray();
+    }
+
+    /**
+     * Start an empty conversation
+     * @returns {Promise<Object>} The saved conversation with its id
+     */
+    async createConversation(title) {
+        const now = new Date().toISOString();
+        const conversation = { title: title, createdAt: now, updatedAt: now };
+        conversation.id = await this.storage.saveToDB('systemDB', 'coachConversations', conversation);
+        return conversation;
+    }
+
+    /**
+     * Messages of a conversation in the order they were sent
+     */
+    async getMessages(conversationId) {
+        const messages = await this.storage.query('systemDB', 'coachMessages')
+            .where('conversationId').equals(conversationId)
+            .toArray();
+        return messages.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+    }
+
+    /**
+     * Append a message and bump the conversation to the top of the list
+     * @param {Object} conversation
+     * @param {{role: string, content: string, intent?: string, cancelled?: boolean}} message
+     * @returns {Promise<Object>} The saved message with its id
+     */
+    async addMessage(conversation, message) {
+        const record = { ...message, conversationId: conversation.id, timestamp: new Date().toISOString() };
+        await this.storage.transaction('systemDB', ['coachConversations', 'coachMessages'], async (tx) => {
+            record.id = await tx.put('coachMessages', record);
+            conversation.updatedAt = record.timestamp;
+            await tx.put('coachConversations', conversation);
+        });
+        return record;
+    }
+
+    /**
+     * Delete a conversation together with its messages
+     */
+    deleteConversation(conversationId) {
+        return this.storage.transaction('systemDB', ['coachConversations', 'coachMessages'], async (tx) => {
+            const messages = await tx.query('coachMessages', 'conversationId', conversationId);
+            for (const message of messages) {
+                await tx.delete('coachMessages', message.id);
+            }
+            await tx.delete('coachConversations', conversationId);
+        });
+    }
+
+    subscribe(handler) {
+        return this.storage.subscribe('systemDB', 'coachMessages', handler);
+    }
+}
+
+window.BaseRepository = BaseRepository;
+window.ProfileRepository = ProfileRepository;
+window.HabitRepository = HabitRepository;
+window.FinanceRepository = FinanceRepository;
+window.MentalRepository = MentalRepository;
+window.LearningRepository = LearningRepository;
+window.CoachRepository = CoachRepository;
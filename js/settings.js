@@ -5,8 +5,10 @@
 
 class SettingsManager {
     constructor() {
+        this.profiles = new ProfileRepository(window.storageManager);
         this.userProfile = null;
         this.preferences = {};
+        this.ai = window.aiIntegration || new AiIntegration(window.storageManager);
         this.init();
     }
 
@@ -19,6 +21,11 @@ class SettingsManager {
             this.setupEventListeners();
             this.updateUI();
             this.checkServiceWorker();
+            this.renderStorageInfo();
+            await this.ai.init();
+            await this.renderAISettings();
+            this.renderAIPrivacy();
+            await this.renderOutgoingLog();
         } catch (error) {
             console.error('Error initializing settings:', error);
         }
@@ -29,13 +36,8 @@ class SettingsManager {
      */
     async loadUserData() {
         try {
-            this.userProfile = window.storageManager.getFromLocalStorage('userProfile');
-            this.preferences = window.storageManager.getFromLocalStorage('preferences') || {
-                darkMode: false,
-                prayerEnabled: false,
-                habitReminders: true,
-                notificationTime: '09:00'
-            };
+            this.userProfile = this.profiles.get();
+            this.preferences = this.profiles.getPreferences();
         } catch (error) {
             console.error('Error loading user data:', error);
         }
@@ -72,6 +74,10 @@ class SettingsManager {
             this.togglePrayerNotifications(e.target.checked);
         });
 
+        document.getElementById('islamic-finance-toggle')?.addEventListener('change', (e) => {
+            this.toggleIslamicFinance(e.target.checked);
+        });
+
         document.getElementById('habit-reminders-toggle')?.addEventListener('change', (e) => {
             this.toggleHabitReminders(e.target.checked);
         });
@@ -97,6 +103,61 @@ class SettingsManager {
             this.exportCSV();
         });
 
+        // Storage
+        document.getElementById('storage-persist-btn')?.addEventListener('click', () => {
+            this.requestPersistentStorage();
+        });
+
+        document.getElementById('auto-archive-toggle')?.addEventListener('change', (e) => {
+            window.storageManager.saveStorageSettings({ autoArchive: e.target.checked });
+        });
+
+        document.getElementById('archive-months')?.addEventListener('change', (e) => {
+            window.storageManager.saveStorageSettings({ archiveAfterMonths: parseInt(e.target.value, 10) });
+        });
+
+        document.getElementById('archive-now-btn')?.addEventListener('click', () => {
+            this.archiveNow();
+        });
+
+        // AI assistant
+        document.getElementById('ai-provider-select')?.addEventListener('change', (e) => {
+            this.renderAIProviderConfig(e.target.value);
+        });
+
+        document.getElementById('ai-language')?.addEventListener('change', (e) => {
+            this.preferences.aiLanguage = e.target.value;
+            this.profiles.savePreferences({ aiLanguage: e.target.value });
+        });
+
+        document.getElementById('ai-save-btn')?.addEventListener('click', () => {
+            this.saveAISettings();
+        });
+
+        document.getElementById('ai-test-btn')?.addEventListener('click', () => {
+            this.testAIProvider();
+        });
+
+        document.getElementById('ai-remove-key-btn')?.addEventListener('click', () => {
+            this.removeAIKey();
+        });
+
+        // AI privacy
+        document.getElementById('ai-privacy-matrix')?.addEventListener('change', (e) => {
+            const { module, option } = e.target.dataset;
+            if (module && option) {
+                this.saveAIPrivacy(module, option, e.target.checked);
+            }
+        });
+
+        document.getElementById('ai-preview-btn')?.addEventListener('click', () => {
+            this.previewCoachPrompt();
+        });
+
+        document.getElementById('ai-log-clear-btn')?.addEventListener('click', () => {
+            this.clearOutgoingLog();
+        });
+
         // Danger zone
         document.getElementById('clear-all-data-btn')?.addEventListener('click', () => {
             this.confirmClearAllData();
@@ -208,6 +269,12 @@ class SettingsManager {
             prayerToggle.checked = this.preferences.prayerEnabled;
         }
 
+        // Zakat and sedekah toggle
+        const islamicFinanceToggle = document.getElementById('islamic-finance-toggle');
+        if (islamicFinanceToggle) {
+            islamicFinanceToggle.checked = this.preferences.islamicFinanceEnabled;
+        }
+
         // Habit reminders toggle
         const habitToggle = document.getElementById('habit-reminders-toggle');
         if (habitToggle) {
@@ -257,6 +324,380 @@ class SettingsManager {
         }
     }
 
+    /**
+     * Render storage usage, persistence status and archive settings
+     */
+    async renderStorageInfo() {
+        const storage = window.storageManager;
+
+        const settings = storage.getStorageSettings();
+        const autoArchiveToggle = document.getElementById('auto-archive-toggle');
+        if (autoArchiveToggle) autoArchiveToggle.checked = settings.autoArchive;
+        const archiveMonths = document.getElementById('archive-months');
+        if (archiveMonths) archiveMonths.value = String(settings.archiveAfterMonths);
+
+        try {
+            const estimate = await storage.getStorageEstimate();
+            const usageText = document.getElementById('storage-usage-text');
+            const usageBar = document.getElementById('storage-usage-bar');
+            if (estimate.quota) {
+                const percent = Math.round(estimate.ratio * 100);
+                usageText.textContent = `${this.formatBytes(estimate.usage)} dari ${this.formatBytes(estimate.quota)} (${percent}%)`;
+                usageBar.style.width = `${Math.max(percent, 1)}%`;
+                usageBar.classList.toggle('bg-red-600', estimate.ratio >= storage.storageWarningThreshold);
+            } else {
+                usageText.textContent = `${this.formatBytes(estimate.usage)} (kuota tidak diketahui)`;
+            }
+
+            const persistStatus = document.getElementById('storage-persist-status');
+            const persistButton = document.getElementById('storage-persist-btn');
+            persistStatus.textContent = estimate.persisted
+                ? 'Aktif - browser tidak akan menghapus data saat ruang penuh'
+                : 'Tidak aktif - browser bisa menghapus data saat ruang penyimpanan penuh';
+            persistButton.classList.toggle('hidden', estimate.persisted || !estimate.supported);
+
+            const usage = await storage.getDatabaseUsage();
+            const labels = {
+                habitsDB: 'habits',
+                financeDB: 'finance',
+                learningDB: 'learning',
+                mentalDB: 'mental',
+                systemDB: 'system',
+                localStorage: 'preferences'
+            };
+            document.getElementById('storage-db-usage').innerHTML = usage.map(entry => `
+                <div class="flex justify-between">
+                    <span>${this.getRestoreModuleLabel(labels[entry.dbName])}</span>
+                    <span>${entry.count} data · ${this.formatBytes(entry.bytes)}</span>
+                </div>
+            `).join('');
+
+            const archives = await storage.getArchiveSummary();
+            const archiveSummary = document.getElementById('archive-summary');
+            if (archives.length > 0) {
+                const totalCount = archives.reduce((sum, entry) => sum + entry.count, 0);
+                const totalBytes = archives.reduce((sum, entry) => sum + entry.bytes, 0);
+                const from = archives.reduce((min, entry) => entry.from < min ? entry.from : min, archives[0].from);
+                const to = archives.reduce((max, entry) => entry.to > max ? entry.to : max, archives[0].to);
+                archiveSummary.textContent = `${totalCount} data diarsipkan (${from} s/d ${to}), ${this.formatBytes(totalBytes)}`;
+            } else {
+                archiveSummary.textContent = 'Belum ada arsip';
+            }
+        } catch (error) {
+            console.error('Error loading storage info:', error);
+            document.getElementById('storage-usage-text').textContent = 'Tidak tersedia';
+        }
+    }
+
+    /**
+     * Ask the browser for persistent storage
+     */
+    async requestPersistentStorage() {
+        const granted = await window.storageManager.requestPersistentStorage();
+        if (!granted && window.notificationManager) {
+            window.notificationManager.showErrorMessage('Browser menolak penyimpanan permanen. Coba pasang aplikasi ke layar utama.');
+        }
+        await this.renderStorageInfo();
+    }
+
+    /**
+     * Archive old records now using the selected age
+     */
+    async archiveNow() {
+        const months = parseInt(document.getElementById('archive-months').value, 10);
+        const confirmed = await this.showConfirmationModal(
+            'Arsipkan Data Lama',
+            `Log habit, transaksi, dan mood yang lebih lama dari ${months} bulan akan dikompres ke arsip. Data tetap ada di backup dan laporan tahunan. Lanjutkan?`
+        );
+        if (!confirmed) return;
+
+        try {
+            document.getElementById('loading-screen').classList.remove('hidden');
+            const result = await window.storageManager.archiveOldRecords(months);
+            if (window.notificationManager) {
+                window.notificationManager.showSuccessMessage(
+                    result.archived > 0 ? `${result.archived} data berhasil diarsipkan` : 'Tidak ada data lama untuk diarsipkan'
+                );
+            }
+        } catch (error) {
+            console.error('Error archiving data:', error);
+            if (window.notificationManager) {
+                window.notificationManager.showErrorMessage('Gagal mengarsipkan data');
+            }
+        } finally {
+            document.getElementById('loading-screen').classList.add('hidden');
+            await this.renderStorageInfo();
+        }
+    }
+
+    /**
+     * Format a byte count for display
+     */
+    formatBytes(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+        return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+    }
+
+    /**
+     * Render the AI provider picker with the active provider selected
+     */
+    async renderAISettings() {
+        const select = document.getElementById('ai-provider-select');
+        if (!select) return;
+
+        select.innerHTML = Object.values(this.ai.providers).map(provider =>
+            `<option value="${provider.id}">${this.escapeHTML(provider.name)}</option>`
+        ).join('');
+        select.value = this.ai.activeProviderId;
+        document.getElementById('ai-language').value = this.preferences.aiLanguage;
+        await this.renderAIProviderConfig(this.ai.activeProviderId);
+    }
+
+    /**
+     * Fill the AI form with the stored config of a provider
+     */
+    async renderAIProviderConfig(providerId) {
+        const provider = this.ai.providers[providerId];
+        const config = await this.ai.getProviderConfig(providerId);
+
+        document.getElementById('ai-base-url').value = config.baseUrl || '';
+        document.getElementById('ai-base-url').disabled = !provider.remote;
+        document.getElementById('ai-model').value = config.model || '';
+        document.getElementById('ai-daily-quota').value = config.dailyQuota;
+
+        const apiKeyInput = document.getElementById('ai-api-key');
+        apiKeyInput.value = '';
+        apiKeyInput.disabled = !provider.remote;
+        apiKeyInput.placeholder = config.hasApiKey
+            ? 'Tersimpan - kosongkan untuk tetap memakai key lama'
+            : (provider.requiresApiKey ? 'Wajib diisi' : 'Opsional');
+        document.getElementById('ai-remove-key-btn')?.classList.toggle('hidden', !config.hasApiKey);
+
+        document.getElementById('ai-provider-note').textContent = provider.remote
+            ? 'Prompt dikirim ke server penyedia ini.'
+            : 'Jawaban dibuat di perangkat tanpa koneksi internet, cocok untuk uji coba.';
+        this.setAIStatus(config.hasApiKey && !config.apiKey
+            ? 'API key tersimpan tidak bisa dibuka di perangkat ini, silakan isi ulang'
+            : '', 'text-yellow-600');
+    }
+
+    /**
+     * Read the AI form and return the changes to store
+     */
+    readAIForm() {
+        const apiKey = document.getElementById('ai-api-key').value.trim();
+        const dailyQuota = parseInt(document.getElementById('ai-daily-quota').value, 10);
+        return {
+            baseUrl: document.getElementById('ai-base-url').value.trim(),
+            model: document.getElementById('ai-model').value.trim(),
+            dailyQuota: Number.isFinite(dailyQuota) && dailyQuota >= 0 ? dailyQuota : 0,
+            // Leave the stored key untouched when the field is empty
+            apiKey: apiKey || undefined
+        };
+    }
+
+    /**
+     * Save the AI form and make the provider active
+     */
+    async saveAISettings() {
+        const providerId = document.getElementById('ai-provider-select').value;
+        try {
+            await this.ai.saveProviderConfig(providerId, this.readAIForm());
+            this.ai.setActiveProvider(providerId);
+            await this.renderAIProviderConfig(providerId);
+            this.setAIStatus('Pengaturan AI disimpan', 'text-green-600');
+        } catch (error) {
+            console.error('Error saving AI settings:', error);
+            this.setAIStatus('Gagal menyimpan pengaturan AI', 'text-red-600');
+        }
+    }
+
+    /**
+     * Delete the stored API key of the selected provider
+     */
+    async removeAIKey() {
+        const providerId = document.getElementById('ai-provider-select').value;
+        const confirmed = await this.showConfirmationModal(
+            'Hapus API Key',
+            `API key ${this.ai.providers[providerId].name} akan dihapus dari perangkat ini. Lanjutkan?`
+        );
+        if (!confirmed) return;
+
+        try {
+            // An empty string clears the key; undefined would keep it
+            await this.ai.saveProviderConfig(providerId, { apiKey: '' });
+            await this.renderAIProviderConfig(providerId);
+            this.setAIStatus('API key dihapus', 'text-green-600');
+        } catch (error) {
+            console.error('Error removing AI API key:', error);
+            this.setAIStatus('Gagal menghapus API key', 'text-red-600');
+        }
+    }
+
+    /**
+     * Save the form, then send a test prompt to the selected provider
+     */
+    async testAIProvider() {
+        const providerId = document.getElementById('ai-provider-select').value;
+        const button = document.getElementById('ai-test-btn');
+        button.disabled = true;
+        this.setAIStatus('Menguji koneksi...', 'text-gray-500');
+        try {
+            await this.ai.saveProviderConfig(providerId, this.readAIForm());
+            await this.renderAIProviderConfig(providerId);
+            const reply = await this.ai.testProvider(providerId);
+            this.setAIStatus(`Terhubung: "${reply.slice(0, 60)}"`, 'text-green-600');
+        } catch (error) {
+            console.error('AI provider test failed:', error);
+            this.setAIStatus(`Gagal terhubung: ${error.message}`, 'text-red-600');
+        } finally {
+            button.disabled = false;
+            this.renderOutgoingLog();
+        }
+    }
+
+    /**
+     * Show a status line under the AI form
+     */
+    setAIStatus(message, colorClass) {
+        const status = document.getElementById('ai-provider-status');
+        if (!status) return;
+        status.textContent = message;
+        status.className = `text-sm ${colorClass}`;
+    }
+
+    /**
+     * Render the consent matrix: one row per module, one checkbox per option it offers
+     */
+    renderAIPrivacy() {
+        const head = document.getElementById('ai-privacy-head');
+        const body = document.getElementById('ai-privacy-matrix');
+        if (!head || !body) return;
+
+        const privacy = this.ai.privacy;
+        const settings = this.ai.getPrivacySettings();
+        const options = Object.keys(privacy.options);
+
+        head.innerHTML = `
+            <tr>
+                <th class="py-2 pr-4 font-medium">Modul</th>
+                ${options.map(option => `<th class="py-2 px-2 font-medium text-center">${privacy.options[option]}</th>`).join('')}
+            </tr>
+        `;
+        body.innerHTML = Object.entries(privacy.modules).map(([module, info]) => `
+            <tr>
+                <td class="py-3 pr-4 font-medium text-gray-900">${info.label}</td>
+                ${options.map(option => `
+                    <td class="py-3 px-2 text-center">
+                        ${info.options.includes(option) ? `
+                            <input type="checkbox" class="w-4 h-4" data-module="${module}" data-option="${option}"
+                                aria-label="${info.label}: ${privacy.options[option]}"
+                                ${settings[module][option] ? 'checked' : ''}
+                                ${option !== 'share' && !settings[module].share ? 'disabled' : ''}>
+                        ` : '<span class="text-gray-300">-</span>'}
+                    </td>
+                `).join('')}
+            </tr>
+        `).join('');
+    }
+
+    /**
+     * Store one cell of the consent matrix
+     */
+    saveAIPrivacy(module, option, allowed) {
+        try {
+            this.ai.savePrivacySettings(module, { [option]: allowed });
+            this.renderAIPrivacy();
+            this.setAIPrivacyStatus('Pengaturan privasi AI disimpan', 'text-green-600');
+        } catch (error) {
+            console.error('Error saving AI privacy settings:', error);
+            this.setAIPrivacyStatus('Gagal menyimpan pengaturan privasi AI', 'text-red-600');
+        }
+    }
+
+    setAIPrivacyStatus(message, colorClass) {
+        const status = document.getElementById('ai-privacy-status');
+        if (!status) return;
+        status.textContent = message;
+        status.className = `text-sm ${colorClass}`;
+    }
+
+    /**
+     * Show the coach system prompt as it would be sent with the current privacy settings
+     */
+    async previewCoachPrompt() {
+        const output = document.getElementById('ai-preview-output');
+        try {
+            const coachContext = await this.ai.getCoachContext();
+            const [system] = this.ai.buildCoachMessages(coachContext, [], '');
+            output.textContent = system.content;
+        } catch (error) {
+            console.error('Error building AI prompt preview:', error);
+            output.textContent = 'Gagal membuat pratinjau prompt';
+        }
+        output.classList.remove('hidden');
+    }
+
+    /**
+     * List the most recent prompts sent to AI providers
+     */
+    async renderOutgoingLog() {
+        const container = document.getElementById('ai-outgoing-log');
+        if (!container) return;
+
+        let entries = [];
+        try {
+            entries = await this.ai.outgoingLog.getRecent();
+        } catch (error) {
+            console.error('Error loading AI outgoing log:', error);
+        }
+
+        if (entries.length === 0) {
+            container.innerHTML = '<p class="text-sm text-gray-400">Belum ada prompt yang dikirim.</p>';
+            return;
+        }
+
+        container.innerHTML = entries.map(entry => `
+            <details class="bg-gray-50 rounded-lg">
+                <summary class="cursor-pointer px-4 py-3 text-sm flex items-center justify-between">
+                    <span class="font-medium text-gray-900">${this.escapeHTML(entry.type)} · ${this.escapeHTML(entry.providerName)}</span>
+                    <span class="text-gray-500">${new Date(entry.timestamp).toLocaleString('id-ID')}</span>
+                </summary>
+                <div class="px-4 pb-4 space-y-2">
+                    <p class="text-xs text-gray-500">
+                        ${entry.remote ? `Dikirim ke ${this.escapeHTML(entry.endpoint || '-')}` : 'Diproses di perangkat'} · model ${this.escapeHTML(entry.model || '-')}
+                    </p>
+                    ${entry.messages.map(message => `
+                        <div>
+                            <p class="text-xs font-medium text-gray-500 uppercase">${this.escapeHTML(message.role)}</p>
+                            <pre class="text-xs whitespace-pre-wrap text-gray-700">${this.escapeHTML(message.content)}</pre>
+                        </div>
+                    `).join('')}
+                </div>
+            </details>
+        `).join('');
+    }
+
+    /**
+     * Remove every entry from the outgoing prompt log
+     */
+    async clearOutgoingLog() {
+        const confirmed = await this.showConfirmationModal(
+            'Hapus Log Prompt',
+            'Semua catatan prompt yang pernah dikirim ke penyedia AI akan dihapus dari perangkat ini. Lanjutkan?'
+        );
+        if (!confirmed) return;
+
+        try {
+            await this.ai.outgoingLog.clear();
+            await this.renderOutgoingLog();
+        } catch (error) {
+            console.error('Error clearing AI outgoing log:', error);
+        }
+    }
+
     /**
      * Edit profile
      */
@@ -286,7 +727,7 @@ class SettingsManager {
      */
     toggleDarkMode(enabled) {
         this.preferences.darkMode = enabled;
-        window.storageManager.saveToLocalStorage('preferences', this.preferences);
+        this.profiles.savePreferences({ darkMode: enabled });
 
         // Apply dark mode (simplified implementation)
         if (enabled) {
@@ -307,17 +748,25 @@ class SettingsManager {
      */
     togglePrayerNotifications(enabled) {
         this.preferences.prayerEnabled = enabled;
-        window.storageManager.saveToLocalStorage('preferences', this.preferences);
+        this.userProfile = this.profiles.savePreferences({ prayerEnabled: enabled }) || this.userProfile;
 
-        // Update user profile if exists
-        if (this.userProfile) {
-            this.userProfile.preferences.prayerEnabled = enabled;
-            window.storageManager.saveToLocalStorage('userProfile', this.userProfile);
+        if (window.notificationManager) {
+            window.notificationManager.showSuccessMessage(
+                enabled ? 'Notifikasi shalat diaktifkan' : 'Notifikasi shalat dinonaktifkan'
+            );
         }
+    }
+
+    /**
+     * Toggle the zakat, infaq and sedekah section of the finance page
+     */
+    toggleIslamicFinance(enabled) {
+        this.preferences.islamicFinanceEnabled = enabled;
+        this.userProfile = this.profiles.savePreferences({ islamicFinanceEnabled: enabled }) || this.userProfile;
 
         if (window.notificationManager) {
             window.notificationManager.showSuccessMessage(
-                enabled ? 'Notifikasi shalat diaktifkan' : 'Notifikasi shalat dinonaktifkan'
+                enabled ? 'Fitur zakat & sedekah diaktifkan' : 'Fitur zakat & sedekah dinonaktifkan'
             );
         }
     }
@@ -327,7 +776,7 @@ class SettingsManager {
      */
     toggleHabitReminders(enabled) {
         this.preferences.habitReminders = enabled;
-        window.storageManager.saveToLocalStorage('preferences', this.preferences);
+        this.profiles.savePreferences({ habitReminders: enabled });
 
         if (window.notificationManager) {
             window.notificationManager.showSuccessMessage(
@@ -341,7 +790,7 @@ class SettingsManager {
      */
     setNotificationTime(time) {
         this.preferences.notificationTime = time;
-        window.storageManager.saveToLocalStorage('preferences', this.preferences);
+        this.profiles.savePreferences({ notificationTime: time });
 
         if (window.notificationManager) {
             window.notificationManager.showSuccessMessage('Waktu notifikasi diupdate');
@@ -352,10 +801,20 @@ class SettingsManager {
      * Backup data
      */
     async backupData() {
+        let passphrase = null;
+        if (document.getElementById('backup-encrypt-toggle')?.checked) {
+            passphrase = await this.showPassphraseModal(
+                'Enkripsi Backup',
+                'Buat kata sandi untuk backup ini. Kata sandi tidak disimpan dan tidak bisa dipulihkan jika lupa.',
+                { confirm: true }
+            );
+            if (!passphrase) return;
+        }
+
         try {
             document.getElementById('loading-screen').classList.remove('hidden');
             
-            await window.storageManager.backup();
+            await window.storageManager.backupData({ passphrase });
             
             if (window.notificationManager) {
                 window.notificationManager.showSuccessMessage('Backup berhasil diunduh');
@@ -385,39 +844,220 @@ class SettingsManager {
         if (!file) return;
 
         try {
+            let passphrase = null;
+            if (await window.storageManager.isEncryptedBackup(file)) {
+                passphrase = await this.showPassphraseModal(
+                    'Backup Terenkripsi',
+                    'Masukkan kata sandi yang digunakan saat membuat backup ini.'
+                );
+                if (!passphrase) return;
+            }
+
+            // Decrypt and verify first so the preview reflects what will be restored
             document.getElementById('loading-screen').classList.remove('hidden');
-            
-            const confirmed = await this.showConfirmationModal(
-                'Restore Data',
-                'Ini akan mengganti semua data Anda dengan data dari file backup. Yakin ingin melanjutkan?'
-            );
+            const backup = await window.storageManager.readBackup(file, passphrase);
+            const preview = window.storageManager.previewBackup(backup);
+            document.getElementById('loading-screen').classList.add('hidden');
+
+            const selection = await this.showRestorePreviewModal(preview);
+            if (!selection) return;
 
-            if (!confirmed) {
-                document.getElementById('loading-screen').classList.add('hidden');
-                return;
+            if (selection.strategy === 'replace') {
+                const confirmed = await this.showConfirmationModal(
+                    'Restore Data',
+                    'Modul yang dipilih akan dikosongkan dan diganti dengan data dari file backup. Yakin ingin melanjutkan?'
+                );
+                if (!confirmed) return;
             }
 
-            await window.storageManager.restoreData(file);
-            
+            document.getElementById('loading-screen').classList.remove('hidden');
+            const report = await window.storageManager.restoreBackup(backup, selection);
+            document.getElementById('loading-screen').classList.add('hidden');
+
             if (window.notificationManager) {
                 window.notificationManager.showSuccessMessage('Data berhasil direstore');
             }
-            
+
+            await this.showRestoreReport(report);
+
             // Reload page to reflect changes
-            setTimeout(() => {
-                window.location.reload();
-            }, 2000);
+            window.location.reload();
             
         } catch (error) {
             console.error('Error restoring data:', error);
             if (window.notificationManager) {
-                window.notificationManager.showErrorMessage('Gagal merestore data');
+                window.notificationManager.showErrorMessage(
+                    error.code === 'DECRYPT_FAILED' ? 'Kata sandi salah atau file backup rusak' : 'Gagal merestore data'
+                );
             }
         } finally {
             document.getElementById('loading-screen').classList.add('hidden');
+            document.getElementById('restore-file-input').value = '';
         }
     }
 
+    /**
+     * Get restore module label
+     */
+    getRestoreModuleLabel(module) {
+        const labels = {
+            'habits': '✅ Habits',
+            'finance': '💰 Keuangan',
+            'learning': '📚 Pembelajaran',
+            'mental': '🧠 Kesehatan Mental',
+            'system': '🛡️ Sistem (laporan trigger, streak bersih, notifikasi)',
+            'preferences': '👤 Profil & Preferensi'
+        };
+        return labels[module] || module;
+    }
+
+    /**
+     * Show restore preview with per-store counts and date ranges
+     * @returns {Promise<{modules: string[], strategy: string}|null>} Selection, or null if cancelled
+     */
+    showRestorePreviewModal(preview) {
+        return new Promise((resolve) => {
+            const modal = document.getElementById('restore-preview-modal');
+            const container = document.getElementById('restore-preview-modules');
+            const confirmButton = document.getElementById('restore-preview-confirm');
+            const cancelButton = document.getElementById('restore-preview-cancel');
+
+            document.getElementById('restore-preview-options').classList.remove('hidden');
+            document.getElementById('restore-report').classList.add('hidden');
+            cancelButton.classList.remove('hidden');
+            confirmButton.textContent = 'Restore';
+
+            const formatRange = ({ from, to }) => {
+                if (!from) return '-';
+                const format = (value) => new Date(value).toLocaleDateString('id-ID');
+                return from === to ? format(from) : `${format(from)} – ${format(to)}`;
+            };
+
+            container.innerHTML = Object.entries(preview).map(([module, info]) => `
+                <label class="block p-4 border border-gray-200 rounded-lg cursor-pointer hover:border-blue-300">
+                    <div class="flex items-center justify-between">
+                        <div class="flex items-center">
+                            <input type="checkbox" name="restore-module" value="${module}" class="mr-3" checked>
+                            <span class="font-medium text-gray-900">${this.getRestoreModuleLabel(module)}</span>
+                        </div>
+                        <span class="text-sm text-gray-500">${info.total} item</span>
+                    </div>
+                    ${info.stores ? `
+                        <div class="mt-2 ml-7 space-y-1 text-xs text-gray-500">
+                            ${Object.entries(info.stores).map(([storeName, store]) => `
+                                <div class="flex justify-between">
+                                    <span>${this.escapeHTML(storeName)}: ${store.count}</span>
+                                    <span>${formatRange(store)}</span>
+                                </div>
+                            `).join('')}
+                        </div>
+                    ` : `
+                        <div class="mt-2 ml-7 text-xs text-gray-500">${info.keys.map(key => this.escapeHTML(key)).join(', ')}</div>
+                    `}
+                </label>
+            `).join('') || '<p class="text-gray-500 text-center py-4">File backup tidak berisi data.</p>';
+
+            modal.classList.remove('hidden');
+
+            const close = (value) => {
+                modal.classList.add('hidden');
+                confirmButton.removeEventListener('click', handleConfirm);
+                cancelButton.removeEventListener('click', handleCancel);
+                resolve(value);
+            };
+
+            const handleConfirm = () => {
+                const modules = Array.from(container.querySelectorAll('input[name="restore-module"]:checked'))
+                    .map(input => input.value);
+                if (modules.length === 0) {
+                    if (window.notificationManager) {
+                        window.notificationManager.showErrorMessage('Pilih minimal satu modul');
+                    }
+                    return;
+                }
+                const strategy = document.querySelector('input[name="restore-strategy"]:checked')?.value || 'merge';
+                close({ modules, strategy });
+            };
+
+            const handleCancel = () => close(null);
+
+            confirmButton.addEventListener('click', handleConfirm);
+            cancelButton.addEventListener('click', handleCancel);
+        });
+    }
+
+    /**
+     * Show the restore result and conflicts in the restore modal
+     */
+    showRestoreReport(report) {
+        return new Promise((resolve) => {
+            const modal = document.getElementById('restore-preview-modal');
+            const reportElement = document.getElementById('restore-report');
+            const confirmButton = document.getElementById('restore-preview-confirm');
+            const cancelButton = document.getElementById('restore-preview-cancel');
+
+            const resolutionLabels = {
+                'kept-live': 'data saat ini dipertahankan',
+                'used-backup': 'data backup lebih baru, dipakai',
+                'new-id': 'ID bentrok, disimpan dengan ID baru',
+                'duplicate-live': 'duplikat di data saat ini'
+            };
+
+            document.getElementById('restore-preview-modules').innerHTML = '';
+            document.getElementById('restore-preview-options').classList.add('hidden');
+            cancelButton.classList.add('hidden');
+            confirmButton.textContent = 'Selesai';
+
+            const shownConflicts = report.conflicts.slice(0, 50);
+            reportElement.innerHTML = `
+                <div class="grid grid-cols-3 gap-3 mb-4 text-center">
+                    <div class="p-3 bg-emerald-50 rounded-lg">
+                        <div class="text-2xl font-bold text-emerald-600">${report.written}</div>
+                        <div class="text-xs text-emerald-700">Ditulis</div>
+                    </div>
+                    <div class="p-3 bg-gray-50 rounded-lg">
+                        <div class="text-2xl font-bold text-gray-600">${report.skipped}</div>
+                        <div class="text-xs text-gray-700">Dilewati</div>
+                    </div>
+                    <div class="p-3 bg-amber-50 rounded-lg">
+                        <div class="text-2xl font-bold text-amber-600">${report.conflicts.length}</div>
+                        <div class="text-xs text-amber-700">Konflik</div>
+                    </div>
+                </div>
+                ${shownConflicts.length > 0 ? `
+                    <div class="max-h-60 overflow-y-auto space-y-1 text-xs text-gray-600">
+                        ${shownConflicts.map(conflict => `
+                            <div class="flex justify-between p-2 bg-gray-50 rounded">
+                                <span>${this.escapeHTML(`${conflict.dbName}.${conflict.storeName}`)} — ${this.escapeHTML(String(conflict.key))}</span>
+                                <span class="text-amber-700">${resolutionLabels[conflict.resolution] || conflict.resolution}</span>
+                            </div>
+                        `).join('')}
+                        ${report.conflicts.length > shownConflicts.length ? `<p class="text-center text-gray-400">+${report.conflicts.length - shownConflicts.length} konflik lainnya</p>` : ''}
+                    </div>
+                ` : ''}
+                ${report.warnings.map(warning => `<p class="text-xs text-amber-700 mt-2">${this.escapeHTML(warning)}</p>`).join('')}
+            `;
+            reportElement.classList.remove('hidden');
+            modal.classList.remove('hidden');
+
+            const handleDone = () => {
+                modal.classList.add('hidden');
+                confirmButton.removeEventListener('click', handleDone);
+                resolve();
+            };
+            confirmButton.addEventListener('click', handleDone);
+        });
+    }
+
+    /**
+     * Escape text coming from a backup file before rendering it
+     */
+    escapeHTML(str) {
+        const temp = document.createElement('div');
+        temp.textContent = str;
+        return temp.innerHTML;
+    }
+
     /**
      * Export to CSV
      */
@@ -553,6 +1193,65 @@ class SettingsManager {
         });
     }
 
+    /**
+     * Show passphrase modal
+     * @param {object} options
+     * @param {boolean} [options.confirm] - Ask for the passphrase twice (when creating one)
+     * @returns {Promise<string|null>} The passphrase, or null if cancelled
+     */
+    showPassphraseModal(title, message, options = {}) {
+        return new Promise((resolve) => {
+            const modal = document.getElementById('passphrase-modal');
+            const form = document.getElementById('passphrase-form');
+            const input = document.getElementById('passphrase-input');
+            const confirmInput = document.getElementById('passphrase-confirm-input');
+            const errorElement = document.getElementById('passphrase-error');
+            const cancelButton = document.getElementById('passphrase-cancel');
+
+            document.getElementById('passphrase-title').textContent = title;
+            document.getElementById('passphrase-message').textContent = message;
+            input.value = '';
+            confirmInput.value = '';
+            confirmInput.classList.toggle('hidden', !options.confirm);
+            errorElement.classList.add('hidden');
+
+            modal.classList.remove('hidden');
+            input.focus();
+
+            const close = (value) => {
+                modal.classList.add('hidden');
+                input.value = '';
+                confirmInput.value = '';
+                form.removeEventListener('submit', handleSubmit);
+                cancelButton.removeEventListener('click', handleCancel);
+                resolve(value);
+            };
+
+            const showError = (text) => {
+                errorElement.textContent = text;
+                errorElement.classList.remove('hidden');
+            };
+
+            const handleSubmit = (e) => {
+                e.preventDefault();
+                if (options.confirm && input.value.length < 8) {
+                    showError('Kata sandi minimal 8 karakter');
+                    return;
+                }
+                if (options.confirm && input.value !== confirmInput.value) {
+                    showError('Kata sandi tidak sama');
+                    return;
+                }
+                close(input.value);
+            };
+
+            const handleCancel = () => close(null);
+
+            form.addEventListener('submit', handleSubmit);
+            cancelButton.addEventListener('click', handleCancel);
+        });
+    }
+
     /**
      * Hide confirmation modal
      */
@@ -3,10 +3,198 @@
  * Handles all data persistence with error handling and migration support
  */
 
+/**
+ * Storage Query - Chainable IndexedDB query built by StorageManager.query()
+ * Uses IDBKeyRange on an index (or the primary key) so only matching records are read.
+ *
+ *   await storageManager.query('habitsDB', 'habitLogs')
+ *       .where('date').between('2024-01-01', '2024-01-31')
+ *       .orderBy('desc')
+ *       .limit(20)
+ *       .toArray();
+ */
+class StorageQuery {
+    constructor(storageManager, dbName, storeName) {
+        this.storageManager = storageManager;
+        this.dbName = dbName;
+        this.storeName = storeName;
+        this.indexName = null;
+        this.range = null;
+        this.direction = 'next';
+        this.filters = [];
+        this.limitCount = Infinity;
+        this.offsetCount = 0;
+    }
+
+    /**
+     * Query along an index instead of the primary key
+     */
+    where(indexName) {
+        this.indexName = indexName;
+        return this;
+    }
+
+    equals(value) {
+        this.range = IDBKeyRange.only(value);
+        return this;
+    }
+
+    between(lower, upper, { excludeLower = false, excludeUpper = false } = {}) {
+        this.range = IDBKeyRange.bound(lower, upper, excludeLower, excludeUpper);
+        return this;
+    }
+
+    above(value) {
+        this.range = IDBKeyRange.lowerBound(value, true);
+        return this;
+    }
+
+    aboveOrEqual(value) {
+        this.range = IDBKeyRange.lowerBound(value);
+        return this;
+    }
+
+    below(value) {
+        this.range = IDBKeyRange.upperBound(value, true);
+        return this;
+    }
+
+    belowOrEqual(value) {
+        this.range = IDBKeyRange.upperBound(value);
+        return this;
+    }
+
+    /**
+     * Match string keys with a prefix, e.g. startsWith('2024-03') on a YYYY-MM-DD date index
+     */
+    startsWith(prefix) {
+        this.range = IDBKeyRange.bound(prefix, prefix + '\uffff');
+        return this;
+    }
+
+    /**
+     * Sort by the queried index (or primary key)
+     * @param {'asc'|'desc'} direction
+     */
+    orderBy(direction = 'asc') {
+        this.direction = direction === 'desc' ? 'prev' : 'next';
+        return this;
+    }
+
+    /**
+     * Extra in-memory condition, applied before limit/offset
+     */
+    filter(predicate) {
+        this.filters.push(predicate);
+        return this;
+    }
+
+    limit(count) {
+        this.limitCount = count;
+        return this;
+    }
+
+    offset(count) {
+        this.offsetCount = count;
+        return this;
+    }
+
+    /**
+     * Run the query and collect matching records
+     */
+    async toArray() {
+        const db = await this.storageManager.initDB(this.dbName);
+        return new Promise((resolve, reject) => {
+            const results = [];
+            let skipped = 0;
+            let advanced = false;
+
+            const request = this.getSource(db).openCursor(this.range, this.direction);
+
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor || results.length >= this.limitCount) {
+                    db.close();
+                    resolve(results);
+                    return;
+                }
+
+                // Without filters the offset can be skipped natively
+                if (this.filters.length === 0 && this.offsetCount > 0 && !advanced) {
+                    advanced = true;
+                    cursor.advance(this.offsetCount);
+                    return;
+                }
+
+                const value = cursor.value;
+                if (this.filters.every(predicate => predicate(value))) {
+                    if (this.filters.length > 0 && skipped < this.offsetCount) {
+                        skipped++;
+                    } else {
+                        results.push(value);
+                    }
+                }
+                cursor.continue();
+            };
+
+            request.onerror = () => {
+                db.close();
+                reject(request.error);
+            };
+        });
+    }
+
+    /**
+     * First matching record, or undefined
+     */
+    async first() {
+        const [record] = await this.limit(1).toArray();
+        return record;
+    }
+
+    /**
+     * Count matching records (limit/offset are ignored)
+     */
+    async count() {
+        if (this.filters.length > 0) {
+            const limit = this.limitCount;
+            const offset = this.offsetCount;
+            this.limitCount = Infinity;
+            this.offsetCount = 0;
+            try {
+                return (await this.toArray()).length;
+            } finally {
+                this.limitCount = limit;
+                this.offsetCount = offset;
+            }
+        }
+
+        const db = await this.storageManager.initDB(this.dbName);
+        return new Promise((resolve, reject) => {
+            const request = this.getSource(db).count(this.range ?? undefined);
+            request.onsuccess = () => {
+                db.close();
+                resolve(request.result);
+            };
+            request.onerror = () => {
+                db.close();
+                reject(request.error);
+            };
+        });
+    }
+
+    /**
+     * Store or index the query reads from
+     */
+    getSource(db) {
+        const store = db.transaction(this.storeName, 'readonly').objectStore(this.storeName);
+        return this.indexName ? store.index(this.indexName) : store;
+    }
+}
+
 class StorageManager {
     constructor() {
         this.dbName = 'Pria1PercentDB';
-        this.dbVersion = 1;
         this.databases = {
             habits: 'habitsDB',
             finance: 'financeDB',
@@ -15,6 +203,462 @@ class StorageManager {
             system: 'systemDB'
         };
         this.maxLocalStorageSize = 5 * 1024 * 1024; // 5MB
+        this.appVersion = '1.0.0';
+
+        // Backup file format
+        this.backupFormat = 'pria1percent-backup';
+        this.backupFormatVersion = 2;
+        this.backupKdfIterations = 250000;
+        // Device-bound secrets never leave the browser; cached AI responses are regenerated on demand;
+        // the outgoing AI prompt log is a local audit trail and may hold data the user chose not to back up
+        this.backupExcludedStores = { systemDB: ['cryptoKeys', 'aiCache', 'aiOutgoingLog'] };
+
+        // How merge-restore recognizes the same record across devices,
+        // and which fields point at records of another store
+        this.mergeRules = {
+            habitsDB: {
+                dailyHabits: { naturalKey: (habit) => `${habit.name}|${habit.createdAt}` },
+                habitLogs: { naturalKey: (log) => `${log.habitId}|${log.date}`, references: { habitId: 'dailyHabits' } },
+                streaks: { references: { habitId: 'dailyHabits' } }
+            },
+            financeDB: {
+                transactions: {
+                    naturalKey: (t) => `${t.date}|${t.type}|${t.amount}|${t.description || ''}`,
+                    references: { goalId: 'goals', recurringId: 'recurring', accountId: 'wealth' }
+                },
+                goals: { naturalKey: (goal) => `${goal.name}|${goal.createdAt}` },
+                wealth: { naturalKey: (account) => `${account.name}|${account.createdAt}` },
+                recurring: {
+                    naturalKey: (template) => `${template.description}|${template.createdAt}`,
+                    references: { debtPlanGoalId: 'goals', accountId: 'wealth' }
+                },
+                categoryRules: { naturalKey: (rule) => `${rule.categoryId}|${JSON.stringify(rule.match)}` },
+                exchangeRates: { naturalKey: (rate) => `${rate.currency}|${rate.quote}|${rate.date}` },
+                wealthSnapshots: {
+                    naturalKey: (snapshot) => `${snapshot.accountId}|${snapshot.date}`,
+                    references: { accountId: 'wealth' }
+                }
+            },
+            learningDB: {
+                progress: { naturalKey: (p) => `${p.skillId}|${p.date}` }
+            },
+            mentalDB: {
+                moodLogs: { naturalKey: (log) => log.date },
+                meditationSessions: { naturalKey: (session) => session.timestamp }
+            },
+            systemDB: {
+                coachConversations: { naturalKey: (conversation) => conversation.createdAt },
+                coachMessages: {
+                    naturalKey: (message) => `${message.conversationId}|${message.timestamp}|${message.role}`,
+                    references: { conversationId: 'coachConversations' }
+                }
+            }
+        };
+
+        // Ordered schema migrations per database, keyed by version
+        this.migrations = {};
+        this.registerDefaultMigrations();
+
+        // Cross-tab change notifications
+        this.instanceId = `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+        this.changeChannelName = 'pria1percent-storage';
+        this.changeSubscribers = [];
+        this.pendingChanges = new Map();
+        this.changeFlushTimer = null;
+        this.initChangeBus();
+
+        // Quota monitoring and archival of old records.
+        // Archivable stores map to the YYYY-MM-DD field they are archived by.
+        this.storageWarningThreshold = 0.8;
+        this.storageSettingsKey = 'storageSettings';
+        this.archivableStores = {
+            habitsDB: { habitLogs: 'date' },
+            financeDB: { transactions: 'date' },
+            mentalDB: { moodLogs: 'date' }
+        };
+
+        // localStorage values that did not fit and live in systemDB.migratedData instead
+        this.overflowCache = new Map();
+        this.overflowReady = this.loadOverflowData();
+    }
+
+    /**
+     * Listen for changes made in other tabs.
+     * Uses BroadcastChannel where available and falls back to the localStorage storage event.
+     */
+    initChangeBus() {
+        if (typeof window === 'undefined') return;
+
+        if ('BroadcastChannel' in window) {
+            this.changeChannel = new BroadcastChannel(this.changeChannelName);
+            this.changeChannel.onmessage = (event) => this.handleRemoteChange(event.data);
+        }
+
+        window.addEventListener('storage', (event) => {
+            if (event.key === this.changeChannelName) {
+                // Fallback transport; ignored when BroadcastChannel already delivered it
+                if (!this.changeChannel && event.newValue) {
+                    this.handleRemoteChange(JSON.parse(event.newValue));
+                }
+                return;
+            }
+            if (event.key !== null) {
+                this.dispatchChange({ dbName: 'localStorage', storeName: event.key, type: 'put', keys: [event.key] }, 'remote');
+            }
+        });
+    }
+
+    /**
+     * Subscribe to store-level changes
+     * @param {string} dbName - Database name, or 'localStorage' for localStorage keys
+     * @param {string} storeName - Store name (or localStorage key); '*' for every store of the database
+     * @param {function(object): void} handler - Receives { dbName, storeName, type, keys, source }
+     * @param {object} [options]
+     * @param {boolean} [options.includeLocal] - Also notify about writes made by this tab
+     * @returns {function(): void} Unsubscribe function
+     */
+    subscribe(dbName, storeName, handler, options = {}) {
+        const subscriber = { dbName, storeName, handler, includeLocal: Boolean(options.includeLocal) };
+        this.changeSubscribers.push(subscriber);
+        return () => {
+            this.changeSubscribers = this.changeSubscribers.filter(s => s !== subscriber);
+        };
+    }
+
+    /**
+     * Queue a change notification. Changes are coalesced per store and flushed shortly after,
+     * so a restore of thousands of records doesn't flood other tabs.
+     */
+    notifyChange(dbName, storeName, type, key = null) {
+        const id = `${dbName}.${storeName}`;
+        const pending = this.pendingChanges.get(id) || { dbName, storeName, type, keys: [] };
+        if (pending.type !== type) pending.type = 'batch';
+        if (key !== null && key !== undefined && pending.keys.length < 100) pending.keys.push(key);
+        this.pendingChanges.set(id, pending);
+
+        if (!this.changeFlushTimer) {
+            this.changeFlushTimer = setTimeout(() => this.flushChanges(), 50);
+        }
+    }
+
+    /**
+     * Broadcast queued changes to other tabs and local subscribers
+     */
+    flushChanges() {
+        this.changeFlushTimer = null;
+        const changes = Array.from(this.pendingChanges.values());
+        this.pendingChanges.clear();
+
+        for (const change of changes) {
+            const message = { ...change, origin: this.instanceId, timestamp: new Date().toISOString() };
+            try {
+                if (this.changeChannel) {
+                    this.changeChannel.postMessage(message);
+                } else {
+                    localStorage.setItem(this.changeChannelName, JSON.stringify(message));
+                    localStorage.removeItem(this.changeChannelName);
+                }
+            } catch (error) {
+                console.warn('Failed to broadcast storage change:', error);
+            }
+            this.dispatchChange(change, 'local');
+        }
+    }
+
+    /**
+     * Handle a change message from another tab
+     */
+    handleRemoteChange(message) {
+        if (!message || message.origin === this.instanceId) return;
+        this.dispatchChange(message, 'remote');
+    }
+
+    /**
+     * Call matching subscribers
+     */
+    dispatchChange(change, source) {
+        const event = {
+            dbName: change.dbName,
+            storeName: change.storeName,
+            type: change.type,
+            keys: change.keys || [],
+            source
+        };
+
+        for (const subscriber of this.changeSubscribers) {
+            if (subscriber.dbName !== event.dbName) continue;
+            if (subscriber.storeName !== '*' && subscriber.storeName !== event.storeName) continue;
+            if (source === 'local' && !subscriber.includeLocal) continue;
+            try {
+                subscriber.handler(event);
+            } catch (error) {
+                console.error(`Storage change handler for ${event.dbName}.${event.storeName} failed:`, error);
+            }
+        }
+    }
+
+    /**
+     * Register the built-in schema migrations.
+     * Version 1 is the original schema; add new steps with the next version number
+     * instead of editing an existing one, since users may already have run it.
+     */
+    registerDefaultMigrations() {
+        this.registerMigration('habitsDB', 1, 'Create habit stores', (db) => this.createHabitsStores(db));
+        this.registerMigration('financeDB', 1, 'Create finance stores', (db) => this.createFinanceStores(db));
+        this.registerMigration('learningDB', 1, 'Create learning stores', (db) => this.createLearningStores(db));
+        this.registerMigration('mentalDB', 1, 'Create mental health stores', (db) => this.createMentalStores(db));
+        this.registerMigration('systemDB', 1, 'Create system stores', (db) => this.createSystemStores(db));
+
+        this.registerMigration('systemDB', 2, 'Create migration history store', (db) => {
+            if (!db.objectStoreNames.contains('migrations')) {
+                const migrationsStore = db.createObjectStore('migrations', { keyPath: 'id' });
+                migrationsStore.createIndex('dbName', 'dbName', { unique: false });
+                migrationsStore.createIndex('appliedAt', 'appliedAt', { unique: false });
+            }
+        });
+
+        this.registerMigration('mentalDB', 2, 'Create meditation sessions store', (db) => {
+            if (!db.objectStoreNames.contains('meditationSessions')) {
+                const sessionsStore = db.createObjectStore('meditationSessions', { keyPath: 'id', autoIncrement: true });
+                sessionsStore.createIndex('date', 'date', { unique: false });
+                sessionsStore.createIndex('type', 'type', { unique: false });
+            }
+        });
+
+        this.registerMigration('systemDB', 3, 'Create localStorage overflow and archive stores', (db) => {
+            if (!db.objectStoreNames.contains('migratedData')) {
+                db.createObjectStore('migratedData', { keyPath: 'originalKey' });
+            }
+            if (!db.objectStoreNames.contains('archives')) {
+                const archiveStore = db.createObjectStore('archives', { keyPath: 'id' });
+                archiveStore.createIndex('source', 'source', { unique: false });
+                archiveStore.createIndex('period', 'period', { unique: false });
+            }
+        });
+
+        this.registerMigration('systemDB', 4, 'Create AI provider settings and device key stores', (db) => {
+            if (!db.objectStoreNames.contains('aiProviders')) {
+                db.createObjectStore('aiProviders', { keyPath: 'id' });
+            }
+            if (!db.objectStoreNames.contains('cryptoKeys')) {
+                db.createObjectStore('cryptoKeys', { keyPath: 'id' });
+            }
+        });
+
+        this.registerMigration('systemDB', 5, 'Create AI coach conversation stores', (db) => {
+            if (!db.objectStoreNames.contains('coachConversations')) {
+                const conversationStore = db.createObjectStore('coachConversations', { keyPath: 'id', autoIncrement: true });
+                conversationStore.createIndex('updatedAt', 'updatedAt', { unique: false });
+            }
+            if (!db.objectStoreNames.contains('coachMessages')) {
+                const messageStore = db.createObjectStore('coachMessages', { keyPath: 'id', autoIncrement: true });
+                messageStore.createIndex('conversationId', 'conversationId', { unique: false });
+                messageStore.createIndex('timestamp', 'timestamp', { unique: false });
+            }
+        });
+
+        this.registerMigration('financeDB', 2, 'Index transactions by savings goal', (db, transaction) => {
+            const transStore = transaction.objectStore('transactions');
+            if (!transStore.indexNames.contains('goalId')) {
+                transStore.createIndex('goalId', 'goalId', { unique: false });
+            }
+        });
+
+        this.registerMigration('financeDB', 3, 'Create wealth snapshot store', (db, transaction) => {
+            if (!db.objectStoreNames.contains('wealthSnapshots')) {
+                const snapshotStore = db.createObjectStore('wealthSnapshots', { keyPath: 'id', autoIncrement: true });
+                snapshotStore.createIndex('accountId', 'accountId', { unique: false });
+                snapshotStore.createIndex('date', 'date', { unique: false });
+
+                // Existing accounts start their history with the value they have now
+                const cursorRequest = transaction.objectStore('wealth').openCursor();
+                cursorRequest.onsuccess = () => {
+                    const cursor = cursorRequest.result;
+                    if (!cursor) return;
+                    const account = cursor.value;
+                    snapshotStore.add({
+                        accountId: account.id,
+                        date: account.date || new Date().toISOString().split('T')[0],
+                        value: account.value || 0,
+                        recordedAt: new Date().toISOString()
+                    });
+                    cursor.continue();
+                };
+            }
+        });
+
+        this.registerMigration('financeDB', 4, 'Create recurring transaction store', (db, transaction) => {
+            if (!db.objectStoreNames.contains('recurring')) {
+                const recurringStore = db.createObjectStore('recurring', { keyPath: 'id', autoIncrement: true });
+                recurringStore.createIndex('nextDate', 'nextDate', { unique: false });
+                recurringStore.createIndex('status', 'status', { unique: false });
+            }
+            const transStore = transaction.objectStore('transactions');
+            if (!transStore.indexNames.contains('recurringId')) {
+                transStore.createIndex('recurringId', 'recurringId', { unique: false });
+            }
+        });
+
+        this.registerMigration('financeDB', 5, 'Create transaction category and rule stores', (db, transaction) => {
+            if (!db.objectStoreNames.contains('categories')) {
+                const categoryStore = db.createObjectStore('categories', { keyPath: 'id' });
+                categoryStore.createIndex('type', 'type', { unique: false });
+                categoryStore.createIndex('parentId', 'parentId', { unique: false });
+
+                // The categories the app used to hard-code, kept under the same ids
+                [
+                    ['salary', 'Gaji', 'income', '💼', '#059669'],
+                    ['food', 'Makanan', 'expense', '🍽️', '#F59E0B'],
+                    ['transport', 'Transportasi', 'expense', '🚗', '#3B82F6'],
+                    ['housing', 'Tempat Tinggal', 'expense', '🏠', '#8B5CF6'],
+                    ['bills', 'Tagihan & Langganan', 'expense', '🧾', '#6366F1'],
+                    ['entertainment', 'Hiburan', 'expense', '🎬', '#EC4899'],
+                    ['health', 'Kesehatan', 'expense', '💊', '#EF4444'],
+                    ['education', 'Pendidikan', 'expense', '📚', '#0EA5E9'],
+                    ['savings', 'Tabungan', 'transfer', '🐷', '#10B981'],
+                    ['debt', 'Cicilan Utang', 'transfer', '💳', '#DC2626'],
+                    ['other', 'Lainnya', 'any', '📦', '#6B7280']
+                ].forEach(([id, name, type, icon, color], order) => {
+                    categoryStore.add({ id, name, type, icon, color, parentId: null, builtIn: true, order });
+                });
+            }
+            if (!db.objectStoreNames.contains('categoryRules')) {
+                const ruleStore = db.createObjectStore('categoryRules', { keyPath: 'id', autoIncrement: true });
+                ruleStore.createIndex('categoryId', 'categoryId', { unique: false });
+            }
+            const transStore = transaction.objectStore('transactions');
+            if (!transStore.indexNames.contains('accountId')) {
+                transStore.createIndex('accountId', 'accountId', { unique: false });
+            }
+        });
+
+        this.registerMigration('financeDB', 6, 'Create exchange rate store', (db) => {
+            if (!db.objectStoreNames.contains('exchangeRates')) {
+                const rateStore = db.createObjectStore('exchangeRates', { keyPath: 'id', autoIncrement: true });
+                rateStore.createIndex('currency', 'currency', { unique: false });
+                rateStore.createIndex('date', 'date', { unique: false });
+            }
+        });
+
+        this.registerMigration('financeDB', 7, 'Add zakat, infaq and sedekah categories', (db, transaction) => {
+            const categoryStore = transaction.objectStore('categories');
+            [
+                ['giving', 'Zakat & Sedekah', null, '🤲', '#0D9488'],
+                ['zakat', 'Zakat Maal', 'giving', '🕌', '#0F766E'],
+                ['zakat_fitrah', 'Zakat Fitrah', 'giving', '🌾', '#14B8A6'],
+                ['infaq', 'Infaq', 'giving', '🤝', '#2DD4BF'],
+                ['sedekah', 'Sedekah', 'giving', '💝', '#5EEAD4']
+            ].forEach(([id, name, parentId, icon, color], index) => {
+                // A category the user already created under the same id is left alone
+                categoryStore.get(id).onsuccess = (event) => {
+                    if (event.target.result) return;
+                    categoryStore.add({ id, name, type: 'expense', icon, color, parentId, builtIn: true, order: 20 + index });
+                };
+            });
+        });
+
+        this.registerMigration('systemDB', 6, 'Create outgoing AI prompt log store', (db) => {
+            if (!db.objectStoreNames.contains('aiOutgoingLog')) {
+                const logStore = db.createObjectStore('aiOutgoingLog', { keyPath: 'id', autoIncrement: true });
+                logStore.createIndex('timestamp', 'timestamp', { unique: false });
+            }
+        });
+    }
+
+    /**
+     * Register a schema migration for a database.
+     * The up step runs inside the versionchange transaction, so it must only issue
+     * IndexedDB requests on the given db/transaction and must not await anything else.
+     * @param {string} dbName - Database the migration belongs to (e.g. 'habitsDB').
+     * @param {number} version - Schema version this step upgrades to.
+     * @param {string} description - Short human readable summary, stored in the history.
+     * @param {function(IDBDatabase, IDBTransaction): void} up - Upgrade step.
+     */
+    registerMigration(dbName, version, description, up) {
+        if (!Number.isInteger(version) || version < 1) {
+            throw new Error(`Invalid migration version for ${dbName}: ${version}`);
+        }
+        const steps = this.migrations[dbName] || (this.migrations[dbName] = []);
+        if (steps.some(step => step.version === version)) {
+            throw new Error(`Migration ${dbName}@${version} is already registered`);
+        }
+        steps.push({ version, description, up });
+        steps.sort((a, b) => a.version - b.version);
+    }
+
+    /**
+     * Get the current schema version of a database (its highest registered migration)
+     */
+    getDBVersion(dbName) {
+        const steps = this.migrations[dbName] || [];
+        return steps.length > 0 ? steps[steps.length - 1].version : 1;
+    }
+
+    /**
+     * Apply every registered migration between oldVersion and newVersion, in order
+     * @returns {Array} The migrations that ran
+     */
+    runMigrations(dbName, db, transaction, oldVersion, newVersion) {
+        const pending = (this.migrations[dbName] || [])
+            .filter(step => step.version > oldVersion && step.version <= newVersion);
+
+        for (const step of pending) {
+            console.log(`Migrating ${dbName} to v${step.version}: ${step.description}`);
+            step.up(db, transaction);
+        }
+        return pending;
+    }
+
+    /**
+     * Transform every record of a store from inside a migration step.
+     * Return the updated record from transform, or null to delete it;
+     * returning undefined leaves the record untouched.
+     */
+    migrateRecords(transaction, storeName, transform) {
+        const request = transaction.objectStore(storeName).openCursor();
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) return;
+
+            const updated = transform(cursor.value);
+            if (updated === null) {
+                cursor.delete();
+            } else if (updated !== undefined) {
+                cursor.update(updated);
+            }
+            cursor.continue();
+        };
+    }
+
+    /**
+     * Record applied migrations in systemDB so we can tell what ran and when
+     */
+    async recordMigrations(dbName, steps, fromVersion) {
+        if (steps.length === 0) return;
+        try {
+            for (const step of steps) {
+                await this.saveToDB('systemDB', 'migrations', {
+                    id: `${dbName}@${step.version}`,
+                    dbName: dbName,
+                    version: step.version,
+                    fromVersion: fromVersion,
+                    description: step.description,
+                    appliedAt: new Date().toISOString()
+                });
+            }
+        } catch (error) {
+            console.warn(`Failed to record migrations for ${dbName}:`, error);
+        }
+    }
+
+    /**
+     * Get migration history, optionally for a single database
+     */
+    async getMigrationHistory(dbName = null) {
+        if (dbName) {
+            return this.queryDB('systemDB', 'migrations', 'dbName', dbName);
+        }
+        return this.getAllFromDB('systemDB', 'migrations');
     }
 
     /**
@@ -22,21 +666,18 @@ class StorageManager {
      */
     async initIndexedDB() {
         try {
-            // Check if this is first time setup
-            const isFirstTime = this.getFromLocalStorage('firstTimeSetup') !== false;
-            
-            if (isFirstTime) {
-                // Clear all existing data
-                await this.resetAllDatabases();
-                this.setToLocalStorage('firstTimeSetup', false);
-                console.log('First time setup - all databases cleared');
-            }
-            
+            // Other pages open their databases on demand, so existing data is never wiped here
             const promises = Object.entries(this.databases).map(([key, name]) => {
                 return this.initDB(name);
             });
             await Promise.all(promises);
+            await this.overflowReady;
             console.log('All IndexedDB databases initialized');
+
+            // Housekeeping must never block startup
+            this.runStorageMaintenance().catch(error => {
+                console.warn('Storage maintenance failed:', error);
+            });
         } catch (error) {
             console.error('Failed to initialize IndexedDB:', error);
             throw error;
@@ -47,35 +688,53 @@ class StorageManager {
      * Initialize individual database with stores
      */
     async initDB(dbName) {
-        return new Promise((resolve, reject) => {
-            const request = indexedDB.open(dbName, this.dbVersion);
+        const version = this.getDBVersion(dbName);
+        let appliedSteps = [];
+        let fromVersion = 0;
 
-            request.onerror = () => reject(request.error);
-            request.onsuccess = () => resolve(request.result);
+        const db = await new Promise((resolve, reject) => {
+            const request = indexedDB.open(dbName, version);
+
+            request.onerror = () => {
+                if (request.error?.name === 'VersionError') {
+                    reject(new Error(
+                        `${dbName} was created by a newer version of the app (schema newer than v${version}). ` +
+                        'Refusing to open it to avoid data loss; please update the app.'
+                    ));
+                    return;
+                }
+                reject(request.error);
+            };
+
+            request.onblocked = () => {
+                console.warn(`Upgrade of ${dbName} to v${version} is blocked by another open tab`);
+            };
+
+            request.onsuccess = () => {
+                const db = request.result;
+                // Let other tabs upgrade the schema instead of blocking them
+                db.onversionchange = () => db.close();
+                resolve(db);
+            };
 
             request.onupgradeneeded = (event) => {
                 const db = event.target.result;
+                const transaction = event.target.transaction;
+                fromVersion = event.oldVersion;
 
-                // Create stores based on database name
-                switch (dbName) {
-                    case 'habitsDB':
-                        this.createHabitsStores(db);
-                        break;
-                    case 'financeDB':
-                        this.createFinanceStores(db);
-                        break;
-                    case 'learningDB':
-                        this.createLearningStores(db);
-                        break;
-                    case 'mentalDB':
-                        this.createMentalStores(db);
-                        break;
-                    case 'systemDB':
-                        this.createSystemStores(db);
-                        break;
+                try {
+                    appliedSteps = this.runMigrations(dbName, db, transaction, event.oldVersion, event.newVersion);
+                } catch (error) {
+                    console.error(`Migration of ${dbName} failed:`, error);
+                    transaction.abort();
+                    // The open request fails with AbortError; surface the real cause instead
+                    request.onerror = () => reject(error);
                 }
             };
         });
+
+        await this.recordMigrations(dbName, appliedSteps, fromVersion);
+        return db;
     }
 
     /**
@@ -239,10 +898,14 @@ class StorageManager {
 
                 request.onsuccess = () => {
                     db.close();
+                    this.notifyChange(dbName, storeName, 'put', request.result);
                     resolve(request.result);
                 };
                 request.onerror = () => {
                     db.close();
+                    if (request.error?.name === 'QuotaExceededError') {
+                        this.handleQuotaExceeded(dbName);
+                    }
                     reject(request.error);
                 };
             });
@@ -317,6 +980,7 @@ class StorageManager {
 
                 request.onsuccess = () => {
                     db.close();
+                    this.notifyChange(dbName, storeName, 'delete', key);
                     resolve(true);
                 };
                 request.onerror = () => {
@@ -330,6 +994,83 @@ class StorageManager {
         }
     }
 
+    /**
+     * Run several reads/writes across stores of one database in a single readwrite transaction.
+     * If fn throws or any request fails, the whole transaction is rolled back.
+     * Only await the helpers passed to fn inside it: awaiting anything else (fetch, timers)
+     * lets IndexedDB auto-commit the transaction early.
+     * @param {string} dbName - Database name (e.g. 'habitsDB')
+     * @param {string|string[]} storeNames - Stores the transaction may touch
+     * @param {function(object): Promise<*>} fn - Receives { put, delete, get, getAll, query, abort }
+     * @returns {Promise<*>} Whatever fn returned, once the transaction has committed
+     */
+    async transaction(dbName, storeNames, fn) {
+        const names = Array.isArray(storeNames) ? storeNames : [storeNames];
+        const db = await this.initDB(dbName);
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(names, 'readwrite');
+            let result;
+            let failure = null;
+            // Writes are only announced once the transaction has committed
+            const changes = [];
+
+            const wrap = (request) => new Promise((res, rej) => {
+                request.onsuccess = () => res(request.result);
+                request.onerror = () => rej(request.error);
+            });
+
+            const api = {
+                put: (storeName, data) => wrap(transaction.objectStore(storeName).put(data)).then((key) => {
+                    changes.push([storeName, 'put', key]);
+                    return key;
+                }),
+                delete: (storeName, key) => wrap(transaction.objectStore(storeName).delete(key)).then(() => {
+                    changes.push([storeName, 'delete', key]);
+                }),
+                get: (storeName, key) => wrap(transaction.objectStore(storeName).get(key)),
+                getAll: (storeName) => wrap(transaction.objectStore(storeName).getAll()),
+                query: (storeName, indexName, value) => wrap(transaction.objectStore(storeName).index(indexName).getAll(value)),
+                abort: () => transaction.abort()
+            };
+
+            transaction.oncomplete = () => {
+                db.close();
+                changes.forEach(([storeName, type, key]) => this.notifyChange(dbName, storeName, type, key));
+                resolve(result);
+            };
+
+            transaction.onabort = () => {
+                db.close();
+                const error = failure || transaction.error || new Error(`Transaction on ${dbName} was aborted`);
+                console.error(`Transaction on ${dbName} [${names.join(', ')}] rolled back:`, error);
+                reject(error);
+            };
+
+            Promise.resolve()
+                .then(() => fn(api))
+                .then((value) => {
+                    result = value;
+                })
+                .catch((error) => {
+                    failure = error;
+                    try {
+                        transaction.abort();
+                    } catch (abortError) {
+                        // Already aborting because a request failed
+                    }
+                });
+        });
+    }
+
+    /**
+     * Start a chainable query with key ranges, ordering and pagination
+     * @returns {StorageQuery}
+     */
+    query(dbName, storeName) {
+        return new StorageQuery(this, dbName, storeName);
+    }
+
     /**
      * Query IndexedDB with index
      */
@@ -363,15 +1104,20 @@ class StorageManager {
     saveToLocalStorage(key, data) {
         try {
             const serialized = JSON.stringify(data);
+            const existing = localStorage.getItem(key);
+            const existingSize = existing !== null ? existing.length + key.length : 0;
             
             // Check size if available
-            if (this.getLocalStorageSize() + serialized.length > this.maxLocalStorageSize) {
+            if (this.getLocalStorageSize() - existingSize + serialized.length > this.maxLocalStorageSize) {
                 console.warn('localStorage size limit exceeded, migrating to IndexedDB');
                 this.migrateToIndexedDB(key, data);
                 return false;
             }
 
             localStorage.setItem(key, serialized);
+            if (this.overflowCache.has(key)) {
+                this.releaseOverflow(key);
+            }
             return true;
         } catch (error) {
             console.error('Error saving to localStorage:', error);
@@ -387,6 +1133,9 @@ class StorageManager {
      */
     getFromLocalStorage(key) {
         try {
+            if (this.overflowCache.has(key)) {
+                return structuredClone(this.overflowCache.get(key));
+            }
             const data = localStorage.getItem(key);
             return data ? JSON.parse(data) : null;
         } catch (error) {
@@ -401,6 +1150,9 @@ class StorageManager {
     removeFromLocalStorage(key) {
         try {
             localStorage.removeItem(key);
+            if (this.overflowCache.has(key)) {
+                this.releaseOverflow(key);
+            }
             return true;
         } catch (error) {
             console.error('Error removing from localStorage:', error);
@@ -422,15 +1174,19 @@ class StorageManager {
     }
 
     /**
-     * Migrate data to IndexedDB when localStorage is full
+     * Migrate data to IndexedDB when localStorage is full.
+     * The value is cached in memory right away so getFromLocalStorage keeps returning it.
      */
     async migrateToIndexedDB(key, data) {
+        this.overflowCache.set(key, structuredClone(data));
         try {
             await this.saveToDB('systemDB', 'migratedData', {
                 originalKey: key,
                 data: data,
                 migratedAt: new Date().toISOString()
             });
+            // Drop the stale copy so it cannot shadow the newer value after a reload
+            localStorage.removeItem(key);
             console.log(`Migrated ${key} to IndexedDB`);
         } catch (error) {
             console.error('Failed to migrate to IndexedDB:', error);
@@ -438,40 +1194,419 @@ class StorageManager {
     }
 
     /**
-     * Backup all data to JSON file
+     * Load overflowed localStorage values into the in-memory cache
      */
-    async backupData() {
+    async loadOverflowData() {
+        if (typeof indexedDB === 'undefined') return;
         try {
-            const backup = {
-                version: '1.0',
-                timestamp: new Date().toISOString(),
-                localStorage: {},
-                indexedDB: {}
-            };
+            const entries = await this.getAllFromDB('systemDB', 'migratedData');
+            this.overflowCache = new Map(entries.map(entry => [entry.originalKey, entry.data]));
+        } catch (error) {
+            console.warn('Failed to load overflowed localStorage data:', error);
+        }
+    }
 
-            // Backup localStorage
-            for (let key in localStorage) {
-                if (localStorage.hasOwnProperty(key)) {
-                    backup.localStorage[key] = localStorage.getItem(key);
-                }
+    /**
+     * Forget an overflowed value once the key fits in localStorage again
+     */
+    releaseOverflow(key) {
+        this.overflowCache.delete(key);
+        this.deleteFromDB('systemDB', 'migratedData', key).catch(error => {
+            console.warn(`Failed to release overflowed ${key}:`, error);
+        });
+    }
+
+    /**
+     * Storage settings (persistence request, auto-archive) with defaults
+     */
+    getStorageSettings() {
+        return {
+            autoArchive: false,
+            archiveAfterMonths: 12,
+            persistRequested: false,
+            lastArchiveRun: null,
+            ...this.getFromLocalStorage(this.storageSettingsKey)
+        };
+    }
+
+    /**
+     * Merge changes into the storage settings
+     */
+    saveStorageSettings(changes) {
+        const settings = { ...this.getStorageSettings(), ...changes };
+        this.saveToLocalStorage(this.storageSettingsKey, settings);
+        return settings;
+    }
+
+    /**
+     * Origin-wide usage and quota as reported by the browser
+     * @returns {Promise<{supported: boolean, usage: number, quota: number|null, ratio: number|null, persisted: boolean}>}
+     */
+    async getStorageEstimate() {
+        if (!navigator.storage?.estimate) {
+            return { supported: false, usage: this.getLocalStorageSize() * 2, quota: null, ratio: null, persisted: false };
+        }
+
+        const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+        const persisted = navigator.storage.persisted ? await navigator.storage.persisted() : false;
+        return {
+            supported: true,
+            usage,
+            quota,
+            ratio: quota > 0 ? usage / quota : null,
+            persisted
+        };
+    }
+
+    /**
+     * Ask the browser not to evict our data under storage pressure
+     * @returns {Promise<boolean>} Whether storage is persistent now
+     */
+    async requestPersistentStorage() {
+        if (!navigator.storage?.persist) return false;
+        try {
+            if (await navigator.storage.persisted()) return true;
+            const granted = await navigator.storage.persist();
+            this.saveStorageSettings({ persistRequested: true });
+            return granted;
+        } catch (error) {
+            console.warn('Persistent storage request failed:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Approximate size of every database and store.
+     * Browsers only report origin-wide totals, so sizes are measured from the serialized records.
+     */
+    async getDatabaseUsage() {
+        const usage = [];
+
+        for (const dbName of Object.values(this.databases)) {
+            const db = await this.initDB(dbName);
+            const storeNames = Array.from(db.objectStoreNames);
+            db.close();
+
+            const stores = {};
+            let bytes = 0;
+            let count = 0;
+            for (const storeName of storeNames) {
+                const records = await this.getAllFromDB(dbName, storeName);
+                const size = new Blob([JSON.stringify(records)]).size;
+                stores[storeName] = { count: records.length, bytes: size };
+                bytes += size;
+                count += records.length;
             }
+            usage.push({ dbName, bytes, count, stores });
+        }
 
-            // Backup IndexedDB data
-            for (const [key, dbName] of Object.entries(this.databases)) {
-                try {
-                    const dbData = {};
-                    const db = await this.initDB(dbName);
-                    
-                    for (const storeName of db.objectStoreNames) {
-                        const storeData = await this.getAllFromDB(dbName, storeName);
-                        dbData[storeName] = storeData;
+        // localStorage keeps strings as UTF-16
+        usage.push({ dbName: 'localStorage', bytes: this.getLocalStorageSize() * 2, count: localStorage.length, stores: {} });
+        return usage;
+    }
+
+    /**
+     * Warn when the origin is close to its quota, archiving old records if allowed
+     */
+    async checkStorageQuota() {
+        const estimate = await this.getStorageEstimate();
+        if (estimate.ratio !== null && estimate.ratio >= this.storageWarningThreshold) {
+            console.warn(`Storage is ${Math.round(estimate.ratio * 100)}% full`);
+            window.dispatchEvent(new CustomEvent('storageQuotaWarning', { detail: estimate }));
+
+            const settings = this.getStorageSettings();
+            if (settings.autoArchive) {
+                await this.archiveOldRecords(settings.archiveAfterMonths);
+            }
+        }
+        return estimate;
+    }
+
+    /**
+     * React to a write that failed because the quota is full
+     */
+    handleQuotaExceeded(dbName) {
+        console.error(`Storage quota exceeded while writing to ${dbName}`);
+        window.dispatchEvent(new CustomEvent('storageQuotaWarning', { detail: { exceeded: true, dbName } }));
+    }
+
+    /**
+     * Startup housekeeping: persistence request, quota check and the daily auto-archive run
+     */
+    async runStorageMaintenance() {
+        const settings = this.getStorageSettings();
+        if (!settings.persistRequested) {
+            await this.requestPersistentStorage();
+        }
+
+        await this.checkStorageQuota();
+
+        const today = new Date().toISOString().split('T')[0];
+        if (settings.autoArchive && settings.lastArchiveRun !== today) {
+            await this.archiveOldRecords(settings.archiveAfterMonths);
+            this.saveStorageSettings({ lastArchiveRun: today });
+        }
+    }
+
+    /**
+     * Move records older than the given number of months into compressed monthly archives.
+     * Whole months are archived so a month is never split between live data and the archive.
+     * @returns {Promise<{cutoff: string, archived: number, stores: Object}>}
+     */
+    async archiveOldRecords(olderThanMonths = this.getStorageSettings().archiveAfterMonths) {
+        const cutoff = new Date();
+        cutoff.setMonth(cutoff.getMonth() - olderThanMonths);
+        const cutoffMonth = cutoff.toISOString().slice(0, 7);
+        const summary = { cutoff: cutoffMonth, archived: 0, stores: {} };
+
+        for (const [dbName, stores] of Object.entries(this.archivableStores)) {
+            for (const [storeName, dateField] of Object.entries(stores)) {
+                // 'YYYY-MM-DD' sorts below 'YYYY-MM' only for earlier months
+                const records = await this.query(dbName, storeName).where(dateField).below(cutoffMonth).toArray();
+                if (records.length === 0) continue;
+
+                const { keyPath } = await this.getStoreSchema(dbName, storeName);
+                const byMonth = new Map();
+                for (const record of records) {
+                    const period = String(record[dateField]).slice(0, 7);
+                    if (!byMonth.has(period)) byMonth.set(period, []);
+                    byMonth.get(period).push(record);
+                }
+
+                for (const [period, monthRecords] of byMonth) {
+                    await this.writeArchiveChunk(dbName, storeName, period, keyPath, monthRecords);
+                }
+
+                // Only drop live records once every month is safely archived
+                await this.transaction(dbName, [storeName], async (tx) => {
+                    for (const record of records) {
+                        await tx.delete(storeName, record[keyPath]);
                     }
-                    
-                    backup.indexedDB[dbName] = dbData;
-                    db.close();
-                } catch (error) {
-                    console.warn(`Failed to backup ${dbName}:`, error);
+                });
+
+                summary.stores[`${dbName}.${storeName}`] = records.length;
+                summary.archived += records.length;
+            }
+        }
+
+        if (summary.archived > 0) {
+            console.log(`Archived ${summary.archived} records older than ${cutoffMonth}`);
+        }
+        return summary;
+    }
+
+    /**
+     * Add records to the archive chunk of one store and month
+     */
+    async writeArchiveChunk(dbName, storeName, period, keyPath, records) {
+        const id = `${dbName}.${storeName}.${period}`;
+        const existing = await this.getFromDB('systemDB', 'archives', id);
+        const previous = existing ? await this.decompressJSON(existing) : [];
+
+        // Keyed by primary key so re-running after an interrupted archive does not duplicate
+        const merged = new Map(previous.map(record => [record[keyPath], record]));
+        records.forEach(record => merged.set(record[keyPath], record));
+
+        const payload = await this.compressJSON(Array.from(merged.values()));
+        await this.saveToDB('systemDB', 'archives', {
+            id,
+            source: `${dbName}.${storeName}`,
+            dbName,
+            storeName,
+            period,
+            count: merged.size,
+            encoding: payload.encoding,
+            data: payload.data,
+            archivedAt: new Date().toISOString()
+        });
+    }
+
+    /**
+     * Read archived records of a store, optionally limited to an inclusive YYYY-MM-DD range
+     */
+    async getArchivedRecords(dbName, storeName, { from = null, to = null } = {}) {
+        const dateField = this.archivableStores[dbName]?.[storeName];
+        if (!dateField) return [];
+
+        const chunks = await this.query('systemDB', 'archives')
+            .where('source').equals(`${dbName}.${storeName}`)
+            .toArray();
+
+        const records = [];
+        for (const chunk of chunks) {
+            if (from && chunk.period < from.slice(0, 7)) continue;
+            if (to && chunk.period > to.slice(0, 7)) continue;
+
+            const chunkRecords = await this.decompressJSON(chunk);
+            records.push(...chunkRecords.filter(record =>
+                (!from || record[dateField] >= from) && (!to || record[dateField] <= to)
+            ));
+        }
+        return records;
+    }
+
+    /**
+     * Rewrite archived records of a store in place. Chunks are saved one by one since compression
+     * cannot run inside an IndexedDB transaction; a chunk without changes is left untouched.
+     * @param {function(Object): (Object|null)} update - The changed record, or null to keep it
+     * @returns {Promise<number>} Number of records changed
+     */
+    async updateArchivedRecords(dbName, storeName, update) {
+        const chunks = await this.query('systemDB', 'archives')
+            .where('source').equals(`${dbName}.${storeName}`)
+            .toArray();
+
+        let changed = 0;
+        for (const chunk of chunks) {
+            let chunkChanged = 0;
+            const records = (await this.decompressJSON(chunk)).map(record => {
+                const updated = update(record);
+                if (!updated) return record;
+                chunkChanged++;
+                return updated;
+            });
+            if (chunkChanged === 0) continue;
+
+            const payload = await this.compressJSON(records);
+            await this.saveToDB('systemDB', 'archives', { ...chunk, encoding: payload.encoding, data: payload.data });
+            changed += chunkChanged;
+        }
+        return changed;
+    }
+
+    /**
+     * Records of a store within an inclusive YYYY-MM-DD range, from live data and the archive.
+     * Use this for yearly reports that may reach past the archive cutoff.
+     */
+    async getRecordsInRange(dbName, storeName, from, to) {
+        const dateField = this.archivableStores[dbName]?.[storeName] || 'date';
+        const live = await this.query(dbName, storeName).where(dateField).between(from, to).toArray();
+        const archived = await this.getArchivedRecords(dbName, storeName, { from, to });
+        if (archived.length === 0) return live;
+
+        // A record can exist in both after an interrupted archive run; the live copy wins
+        const { keyPath } = await this.getStoreSchema(dbName, storeName);
+        const liveKeys = new Set(live.map(record => record[keyPath]));
+        return [...archived.filter(record => !liveKeys.has(record[keyPath])), ...live]
+            .sort((a, b) => String(a[dateField]).localeCompare(String(b[dateField])));
+    }
+
+    /**
+     * Summary of archived data per store, without decompressing it
+     */
+    async getArchiveSummary() {
+        const chunks = await this.getAllFromDB('systemDB', 'archives');
+        const summary = {};
+        for (const chunk of chunks) {
+            const entry = summary[chunk.source] || (summary[chunk.source] = {
+                dbName: chunk.dbName,
+                storeName: chunk.storeName,
+                count: 0,
+                bytes: 0,
+                from: chunk.period,
+                to: chunk.period
+            });
+            entry.count += chunk.count;
+            entry.bytes += chunk.data.length;
+            if (chunk.period < entry.from) entry.from = chunk.period;
+            if (chunk.period > entry.to) entry.to = chunk.period;
+        }
+        return Object.values(summary);
+    }
+
+    /**
+     * Serialize and gzip a value; falls back to plain JSON where CompressionStream is missing
+     */
+    async compressJSON(value) {
+        const json = JSON.stringify(value);
+        if (typeof CompressionStream === 'undefined') {
+            return { encoding: 'json', data: json };
+        }
+        const stream = new Blob([json]).stream().pipeThrough(new CompressionStream('gzip'));
+        const buffer = await new Response(stream).arrayBuffer();
+        // Base64 keeps archives intact in JSON backups
+        return { encoding: 'gzip-base64', data: this.bufferToBase64(buffer) };
+    }
+
+    /**
+     * Reverse of compressJSON
+     */
+    async decompressJSON({ encoding, data }) {
+        if (encoding === 'json') {
+            return JSON.parse(data);
+        }
+        if (typeof DecompressionStream === 'undefined') {
+            throw new Error('This browser cannot read compressed archives');
+        }
+        const stream = new Blob([this.base64ToBuffer(data)]).stream().pipeThrough(new DecompressionStream('gzip'));
+        return JSON.parse(await new Response(stream).text());
+    }
+
+    /**
+     * Collect every localStorage key and IndexedDB store into a plain backup object
+     */
+    async collectBackupData() {
+        const data = {
+            localStorage: {},
+            indexedDB: {}
+        };
+
+        // Backup localStorage
+        for (let key in localStorage) {
+            if (localStorage.hasOwnProperty(key)) {
+                data.localStorage[key] = localStorage.getItem(key);
+            }
+        }
+
+        // Backup IndexedDB data
+        for (const [key, dbName] of Object.entries(this.databases)) {
+            try {
+                const dbData = {};
+                const db = await this.initDB(dbName);
+                const storeNames = Array.from(db.objectStoreNames);
+                db.close();
+
+                const excluded = this.backupExcludedStores[dbName] || [];
+                for (const storeName of storeNames) {
+                    if (excluded.includes(storeName)) continue;
+                    dbData[storeName] = await this.getAllFromDB(dbName, storeName);
                 }
+
+                data.indexedDB[dbName] = dbData;
+            } catch (error) {
+                console.warn(`Failed to backup ${dbName}:`, error);
+            }
+        }
+
+        return data;
+    }
+
+    /**
+     * Backup all data to JSON file
+     * @param {object} options
+     * @param {string} [options.passphrase] - Encrypt the backup with this passphrase (PBKDF2 + AES-GCM)
+     */
+    async backupData(options = {}) {
+        try {
+            const data = await this.collectBackupData();
+            const payload = JSON.stringify(data);
+
+            const backup = {
+                format: this.backupFormat,
+                formatVersion: this.backupFormatVersion,
+                appVersion: this.appVersion,
+                timestamp: new Date().toISOString(),
+                encrypted: Boolean(options.passphrase),
+                checksum: null
+            };
+
+            if (options.passphrase) {
+                Object.assign(backup, await this.encryptPayload(payload, options.passphrase));
+                // Hash the ciphertext: a hash of the plaintext would let guesses be checked without the passphrase
+                backup.checksum = await this.sha256(backup.data);
+            } else {
+                backup.checksum = await this.sha256(payload);
+                backup.data = data;
             }
 
             // Create and download file
@@ -479,7 +1614,7 @@ class StorageManager {
             const url = URL.createObjectURL(blob);
             const a = document.createElement('a');
             a.href = url;
-            a.download = `pria1percent-backup-${new Date().toISOString().split('T')[0]}.json`;
+            a.download = `pria1percent-backup-${new Date().toISOString().split('T')[0]}${backup.encrypted ? '.encrypted' : ''}.json`;
             document.body.appendChild(a);
             a.click();
             document.body.removeChild(a);
@@ -492,41 +1627,486 @@ class StorageManager {
         }
     }
 
+    /**
+     * Check whether a backup file is encrypted without decrypting it
+     */
+    async isEncryptedBackup(file) {
+        try {
+            const backup = JSON.parse(await file.text());
+            return backup.format === this.backupFormat && backup.encrypted === true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Parse, decrypt and verify a backup file.
+     * Supports the current format and the legacy v1.0 plain dump.
+     * @returns {Promise<{localStorage: object, indexedDB: object}>}
+     */
+    async readBackup(file, passphrase = null) {
+        let backup;
+        try {
+            backup = JSON.parse(await file.text());
+        } catch (error) {
+            throw new Error('Backup file is not valid JSON');
+        }
+
+        // Legacy backups have no header or checksum
+        if (backup.format !== this.backupFormat) {
+            if (backup.version === '1.0' && (backup.localStorage || backup.indexedDB)) {
+                return { localStorage: backup.localStorage || {}, indexedDB: backup.indexedDB || {} };
+            }
+            throw new Error('Unrecognized backup format');
+        }
+
+        if (backup.formatVersion > this.backupFormatVersion) {
+            throw new Error(`Backup format v${backup.formatVersion} is newer than supported v${this.backupFormatVersion}`);
+        }
+
+        let payload;
+        if (backup.encrypted) {
+            if (!passphrase) {
+                const error = new Error('Backup is encrypted and needs a passphrase');
+                error.code = 'PASSPHRASE_REQUIRED';
+                throw error;
+            }
+            if (await this.sha256(backup.data) !== backup.checksum) {
+                throw new Error('Backup checksum mismatch, the file is corrupted');
+            }
+            payload = await this.decryptPayload(backup, passphrase);
+        } else {
+            payload = JSON.stringify(backup.data);
+            if (await this.sha256(payload) !== backup.checksum) {
+                throw new Error('Backup checksum mismatch, the file is corrupted');
+            }
+        }
+
+        return JSON.parse(payload);
+    }
+
     /**
      * Restore data from backup file
+     * @param {File} file - Backup file
+     * @param {string} [passphrase] - Passphrase for encrypted backups
+     * @param {object} [options] - See restoreBackup
      */
-    async restoreData(file) {
+    async restoreData(file, passphrase = null, options = {}) {
         try {
-            const text = await file.text();
-            const backup = JSON.parse(text);
+            // Decrypt and verify everything before touching any store
+            const backup = await this.readBackup(file, passphrase);
+            return await this.restoreBackup(backup, options);
+        } catch (error) {
+            console.error('Restore failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Summarize a parsed backup per module: record counts and date ranges per store
+     * @param {object} backup - Result of readBackup
+     */
+    previewBackup(backup) {
+        const preview = {};
+
+        for (const [module, dbName] of Object.entries(this.databases)) {
+            const dbData = backup.indexedDB?.[dbName];
+            if (!dbData) continue;
+
+            const stores = {};
+            let total = 0;
+            for (const [storeName, storeData] of Object.entries(dbData)) {
+                if (!Array.isArray(storeData)) continue;
+                stores[storeName] = { count: storeData.length, ...this.getDateRange(storeData) };
+                total += storeData.length;
+            }
+            preview[module] = { dbName, stores, total };
+        }
+
+        const keys = Object.keys(backup.localStorage || {});
+        if (keys.length > 0) {
+            preview.preferences = { dbName: 'localStorage', keys, total: keys.length };
+        }
+
+        return preview;
+    }
+
+    /**
+     * Earliest and latest date found in a list of records
+     */
+    getDateRange(records) {
+        let from = null;
+        let to = null;
+        for (const record of records) {
+            const value = this.getRecordDate(record);
+            if (!value) continue;
+            if (!from || value < from) from = value;
+            if (!to || value > to) to = value;
+        }
+        return { from, to };
+    }
+
+    /**
+     * Pick the field that dates a record, whichever store it comes from
+     */
+    getRecordDate(record) {
+        return record?.date || record?.timestamp || record?.createdAt || record?.weekStart || record?.scheduledTime || null;
+    }
 
-            // Restore localStorage
-            if (backup.localStorage) {
-                for (const [key, value] of Object.entries(backup.localStorage)) {
-                    localStorage.setItem(key, value);
+    /**
+     * Restore a parsed backup
+     * @param {object} backup - Result of readBackup
+     * @param {object} options
+     * @param {string[]} [options.modules] - Modules to restore (keys of this.databases plus 'preferences'); all by default
+     * @param {'replace'|'merge'} [options.strategy] - Clear each store first, or merge by id/date keeping the newer record
+     * @returns {Promise<object>} Report with written/skipped counts and conflicts
+     */
+    async restoreBackup(backup, options = {}) {
+        const modules = options.modules || [...Object.keys(this.databases), 'preferences'];
+        const strategy = options.strategy || 'replace';
+        const report = { strategy, written: 0, skipped: 0, conflicts: [], warnings: [] };
+
+        // Restore localStorage
+        if (modules.includes('preferences') && backup.localStorage) {
+            for (const [key, value] of Object.entries(backup.localStorage)) {
+                const current = localStorage.getItem(key);
+                if (strategy === 'merge' && current !== null && current !== value) {
+                    report.skipped++;
+                    report.conflicts.push({ dbName: 'localStorage', storeName: key, key, resolution: 'kept-live' });
+                    continue;
                 }
+                localStorage.setItem(key, value);
+                report.written++;
             }
+        }
+
+        // Restore IndexedDB data
+        for (const [module, dbName] of Object.entries(this.databases)) {
+            const dbData = backup.indexedDB?.[dbName];
+            if (!modules.includes(module) || !dbData) continue;
 
-            // Restore IndexedDB data
-            if (backup.indexedDB) {
-                for (const [dbName, dbData] of Object.entries(backup.indexedDB)) {
-                    for (const [storeName, storeData] of Object.entries(dbData)) {
-                        if (Array.isArray(storeData)) {
-                            for (const item of storeData) {
-                                await this.saveToDB(dbName, storeName, item);
-                            }
-                        }
+            const db = await this.initDB(dbName);
+            const liveStores = Array.from(db.objectStoreNames);
+            db.close();
+
+            // Old ids of records that got a new id, so references can follow them
+            const idRemap = {};
+
+            for (const storeName of this.orderStoresForRestore(dbName, Object.keys(dbData))) {
+                const storeData = dbData[storeName];
+                if (!Array.isArray(storeData)) continue;
+                if (!liveStores.includes(storeName)) {
+                    report.warnings.push(`${dbName}.${storeName} does not exist anymore, skipped`);
+                    continue;
+                }
+
+                if (strategy === 'merge') {
+                    await this.mergeStore(dbName, storeName, storeData, idRemap, report);
+                } else {
+                    await this.clearStore(dbName, storeName);
+                    for (const item of storeData) {
+                        await this.saveToDB(dbName, storeName, item);
+                        report.written++;
                     }
                 }
             }
+        }
 
-            return true;
+        return report;
+    }
+
+    /**
+     * Order stores so that referenced stores (e.g. dailyHabits) are restored before the stores pointing at them
+     */
+    orderStoresForRestore(dbName, storeNames) {
+        const rules = this.mergeRules[dbName] || {};
+        const referenced = new Set();
+        Object.values(rules).forEach(rule => {
+            Object.values(rule.references || {}).forEach(target => referenced.add(target));
+        });
+        return [...storeNames].sort((a, b) => Number(referenced.has(b)) - Number(referenced.has(a)));
+    }
+
+    /**
+     * Merge backup records into a live store.
+     * Records are matched by the store's natural key (e.g. habitId+date for habitLogs) or by primary key;
+     * on a match the newer record wins and a conflict is reported.
+     */
+    async mergeStore(dbName, storeName, items, idRemap, report) {
+        const rule = this.mergeRules[dbName]?.[storeName] || {};
+        const { keyPath, autoIncrement } = await this.getStoreSchema(dbName, storeName);
+        const live = await this.getAllFromDB(dbName, storeName);
+
+        const liveByKey = new Map(live.map(record => [record[keyPath], record]));
+        const liveByNaturalKey = new Map();
+        if (rule.naturalKey) {
+            for (const record of live) {
+                const naturalKey = rule.naturalKey(record);
+                if (liveByNaturalKey.has(naturalKey)) {
+                    report.conflicts.push({
+                        dbName, storeName, key: naturalKey, resolution: 'duplicate-live',
+                        reason: 'Data saat ini sudah memiliki lebih dari satu catatan untuk kunci ini'
+                    });
+                }
+                liveByNaturalKey.set(naturalKey, record);
+            }
+        }
+
+        const remap = idRemap[storeName] || (idRemap[storeName] = new Map());
+
+        for (const original of items) {
+            const item = { ...original };
+
+            // Follow records whose id changed earlier in this restore
+            for (const [field, targetStore] of Object.entries(rule.references || {})) {
+                const mapped = idRemap[targetStore]?.get(item[field]);
+                if (mapped !== undefined) item[field] = mapped;
+            }
+
+            const backupKey = original[keyPath];
+            const naturalKey = rule.naturalKey ? rule.naturalKey(item) : null;
+            const match = rule.naturalKey ? liveByNaturalKey.get(naturalKey) : liveByKey.get(item[keyPath]);
+
+            if (match) {
+                if (autoIncrement && backupKey !== match[keyPath]) {
+                    remap.set(backupKey, match[keyPath]);
+                }
+
+                const merged = { ...item, [keyPath]: match[keyPath] };
+                if (JSON.stringify(merged) === JSON.stringify(match)) {
+                    report.skipped++;
+                } else if (this.isNewerRecord(merged, match)) {
+                    await this.saveToDB(dbName, storeName, merged);
+                    report.written++;
+                    report.conflicts.push({ dbName, storeName, key: naturalKey ?? match[keyPath], resolution: 'used-backup' });
+                } else {
+                    report.skipped++;
+                    report.conflicts.push({ dbName, storeName, key: naturalKey ?? match[keyPath], resolution: 'kept-live' });
+                }
+                continue;
+            }
+
+            if (autoIncrement && liveByKey.has(item[keyPath])) {
+                // The id is taken by an unrelated live record: insert under a fresh id
+                delete item[keyPath];
+                const newKey = await this.saveToDB(dbName, storeName, item);
+                remap.set(backupKey, newKey);
+                item[keyPath] = newKey;
+                report.conflicts.push({ dbName, storeName, key: backupKey, resolution: 'new-id', newKey });
+            } else {
+                await this.saveToDB(dbName, storeName, item);
+            }
+
+            liveByKey.set(item[keyPath], item);
+            if (naturalKey !== null) liveByNaturalKey.set(naturalKey, item);
+            report.written++;
+        }
+    }
+
+    /**
+     * Whether record a was modified more recently than record b
+     */
+    isNewerRecord(a, b) {
+        const timeOf = (record) => {
+            const value = record.updatedAt || record.timestamp || record.lastCompleted || record.createdAt;
+            return value ? new Date(value).getTime() : null;
+        };
+        const timeA = timeOf(a);
+        const timeB = timeOf(b);
+        if (timeA === null || timeB === null) return false;
+        return timeA > timeB;
+    }
+
+    /**
+     * Read keyPath and autoIncrement of a store
+     */
+    async getStoreSchema(dbName, storeName) {
+        const db = await this.initDB(dbName);
+        try {
+            const store = db.transaction(storeName, 'readonly').objectStore(storeName);
+            return { keyPath: store.keyPath, autoIncrement: store.autoIncrement };
+        } finally {
+            db.close();
+        }
+    }
+
+    /**
+     * Remove every record from a store
+     */
+    async clearStore(dbName, storeName) {
+        try {
+            const db = await this.initDB(dbName);
+            return new Promise((resolve, reject) => {
+                const transaction = db.transaction(storeName, 'readwrite');
+                const request = transaction.objectStore(storeName).clear();
+
+                request.onsuccess = () => {
+                    db.close();
+                    this.notifyChange(dbName, storeName, 'clear');
+                    resolve(true);
+                };
+                request.onerror = () => {
+                    db.close();
+                    reject(request.error);
+                };
+            });
         } catch (error) {
-            console.error('Restore failed:', error);
+            console.error(`Error clearing ${dbName}.${storeName}:`, error);
             throw error;
         }
     }
 
+    /**
+     * Derive an AES-GCM key from a passphrase with PBKDF2
+     */
+    async deriveBackupKey(passphrase, salt, iterations) {
+        const baseKey = await crypto.subtle.importKey(
+            'raw',
+            new TextEncoder().encode(passphrase),
+            'PBKDF2',
+            false,
+            ['deriveKey']
+        );
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+            baseKey,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    /**
+     * Encrypt a backup payload string
+     * @returns {Promise<object>} kdf/cipher parameters and base64 ciphertext
+     */
+    async encryptPayload(payload, passphrase) {
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const iterations = this.backupKdfIterations;
+        const key = await this.deriveBackupKey(passphrase, salt, iterations);
+
+        const ciphertext = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv },
+            key,
+            new TextEncoder().encode(payload)
+        );
+
+        return {
+            kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations, salt: this.bufferToBase64(salt) },
+            cipher: { name: 'AES-GCM', iv: this.bufferToBase64(iv) },
+            data: this.bufferToBase64(ciphertext)
+        };
+    }
+
+    /**
+     * Decrypt an encrypted backup back to its payload string
+     */
+    async decryptPayload(backup, passphrase) {
+        const salt = this.base64ToBuffer(backup.kdf.salt);
+        const iv = this.base64ToBuffer(backup.cipher.iv);
+        const key = await this.deriveBackupKey(passphrase, salt, backup.kdf.iterations);
+
+        try {
+            const plaintext = await crypto.subtle.decrypt(
+                { name: 'AES-GCM', iv },
+                key,
+                this.base64ToBuffer(backup.data)
+            );
+            return new TextDecoder().decode(plaintext);
+        } catch (error) {
+            // AES-GCM authentication fails for a wrong passphrase and for tampered data alike
+            const decryptError = new Error('Wrong passphrase or damaged backup file');
+            decryptError.code = 'DECRYPT_FAILED';
+            throw decryptError;
+        }
+    }
+
+    /**
+     * SHA-256 hex digest of a string
+     */
+    async sha256(text) {
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+        return Array.from(new Uint8Array(digest))
+            .map(byte => byte.toString(16).padStart(2, '0'))
+            .join('');
+    }
+
+    /**
+     * Encode binary data as base64
+     */
+    bufferToBase64(buffer) {
+        const bytes = new Uint8Array(buffer);
+        let binary = '';
+        // Chunked to stay under the argument limit of String.fromCharCode
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }
+
+    /**
+     * Get the device key used for secrets such as API keys, creating it on first use.
+     * The key is non-extractable, so scripts can use it but never read its bytes.
+     */
+    async getSecretKey() {
+        const stored = await this.getFromDB('systemDB', 'cryptoKeys', 'secrets');
+        if (stored) return stored.key;
+
+        // The candidate is generated up front because awaiting crypto inside the transaction would end it.
+        // Reading and writing in one transaction keeps concurrent callers from replacing each other's key.
+        const candidate = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+        return this.transaction('systemDB', 'cryptoKeys', async (tx) => {
+            const existing = await tx.get('cryptoKeys', 'secrets');
+            if (existing) return existing.key;
+            await tx.put('cryptoKeys', { id: 'secrets', key: candidate, createdAt: new Date().toISOString() });
+            return candidate;
+        });
+    }
+
+    /**
+     * Encrypt a secret string with the device key
+     * @returns {Promise<{iv: string, data: string}>}
+     */
+    async encryptSecret(plaintext) {
+        const key = await this.getSecretKey();
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(plaintext));
+        return { iv: this.bufferToBase64(iv), data: this.bufferToBase64(ciphertext) };
+    }
+
+    /**
+     * Decrypt a secret from encryptSecret.
+     * Returns null when it was encrypted on another device, e.g. after restoring a backup.
+     */
+    async decryptSecret(secret) {
+        if (!secret) return null;
+        try {
+            const key = await this.getSecretKey();
+            const plaintext = await crypto.subtle.decrypt(
+                { name: 'AES-GCM', iv: this.base64ToBuffer(secret.iv) },
+                key,
+                this.base64ToBuffer(secret.data)
+            );
+            return new TextDecoder().decode(plaintext);
+        } catch (error) {
+            console.warn('Stored secret cannot be decrypted on this device');
+            return null;
+        }
+    }
+
+    /**
+     * Decode base64 to bytes
+     */
+    base64ToBuffer(base64) {
+        const binary = atob(base64);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+
     /**
      * Reset all databases (clear all data)
      */
@@ -586,7 +2166,5 @@ class StorageManager {
     }
 }
 
-}
-
 // Create global instance
 window.storageManager = new StorageManager();
\ No newline at end of file
@@ -186,43 +186,89 @@ class Utils {
     }
 
     /**
-     * Format currency in IDR
+     * Format currency, IDR unless another ISO 4217 code is given
      */
-    static formatCurrency(amount) {
-        try {
-            return new Intl.NumberFormat('id-ID', {
-                style: 'currency',
-                currency: 'IDR',
-                minimumFractionDigits: 0
-            }).format(amount);
-        } catch (error) {
-            console.error('Error formatting currency:', error);
-            return `Rp ${this.formatNumber(amount)}`;
+    static formatCurrency(amount, currency = 'IDR') {
+        return CurrencyConverter.format(amount, currency);
+    }
+
+    /**
+     * Parse CSV text into rows of cells.
+     * Handles quoted fields with delimiters, doubled quotes and line breaks inside them, CRLF line endings
+     * and a leading BOM. Without a delimiter, the most frequent of , ; tab | in the first line is used.
+     * @param {string} csvString
+     * @param {string} [delimiter]
+     * @returns {string[][]} Rows without the completely empty ones
+     */
+    static parseCSVRows(csvString, delimiter = null) {
+        const text = csvString.replace(/^\uFEFF/, '');
+        const separator = delimiter || this.detectCSVDelimiter(text);
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"' && cell.trim() === '') {
+                quoted = true;
+                cell = '';
+            } else if (char === separator) {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
         }
+        row.push(cell);
+        rows.push(row);
+
+        return rows
+            .map(cells => cells.map(value => value.trim()))
+            .filter(cells => cells.some(value => value !== ''));
     }
 
     /**
-     * Parse CSV string to array
+     * Guess the delimiter of CSV text from its first line, ignoring quoted parts
      */
-    static parseCSV(csvString) {
-        const lines = csvString.split('\n');
-        const headers = lines[0].split(',');
-        const data = [];
+    static detectCSVDelimiter(text) {
+        const firstLine = text.split(/\r?\n/).find(line => line.trim() !== '') || '';
+        const unquoted = firstLine.replace(/"[^"]*"/g, '');
+        const candidates = [',', ';', '\t', '|'];
+        const counts = candidates.map(candidate => unquoted.split(candidate).length - 1);
+        const best = counts.indexOf(Math.max(...counts));
+        return counts[best] > 0 ? candidates[best] : ',';
+    }
 
-        for (let i = 1; i < lines.length; i++) {
-            if (lines[i].trim() === '') continue;
-            
-            const values = lines[i].split(',');
+    /**
+     * Parse CSV string to array of objects keyed by the header row
+     */
+    static parseCSV(csvString, delimiter = null) {
+        const [headers, ...rows] = this.parseCSVRows(csvString, delimiter);
+        if (!headers) return [];
+
+        return rows.map(values => {
             const row = {};
-            
             headers.forEach((header, index) => {
-                row[header.trim()] = values[index] ? values[index].trim() : '';
+                row[header] = values[index] !== undefined ? values[index] : '';
             });
-            
-            data.push(row);
-        }
-
-        return data;
+            return row;
+        });
     }
 
     /**
@@ -237,8 +283,8 @@ class Utils {
         array.forEach(item => {
             const values = csvHeaders.map(header => {
                 const value = item[header];
-                // Escape commas and quotes
-                if (typeof value === 'string' && (value.includes(',') || value.includes('"'))) {
+                // Escape commas, quotes and line breaks
+                if (typeof value === 'string' && /[,"\r\n]/.test(value)) {
                     return `"${value.replace(/"/g, '""')}"`;
                 }
                 return value;
@@ -9,6 +9,7 @@ class WeatherManager {
             throw new Error("StorageManager is a required dependency for WeatherManager.");
         }
         this.storageManager = storageManager;
+        this.profiles = new ProfileRepository(storageManager);
         this.userProfile = null;
         this.weatherData = null;
         this.cacheExpiry = 60 * 60 * 1000; // 1 hour
@@ -19,7 +20,7 @@ class WeatherManager {
      */
     async init() {
         try {
-            this.userProfile = this.storageManager.getFromLocalStorage('userProfile');
+            this.userProfile = this.profiles.get();
             if (!this.userProfile?.basicInfo?.location || !this.userProfile.basicInfo.location.lat) {
                 console.log('Location with coordinates not available, skipping weather.');
                 this.showErrorState();
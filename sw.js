@@ -3,6 +3,8 @@
  * Handles caching and offline functionality
  */
 
+importScripts('/js/recurring-schedule.js');
+
 const CACHE_NAME = 'pria1percent-v1.0.0';
 const STATIC_CACHE = 'pria1percent-static-v1.0.0';
 const DYNAMIC_CACHE = 'pria1percent-dynamic-v1.0.0';
@@ -15,6 +17,7 @@ const STATIC_FILES = [
   '/habits.html',
   '/finance.html',
   '/learning.html',
+  '/coach.html',
   '/mental.html',
   '/progress.html',
   '/settings.html',
@@ -22,12 +25,31 @@ const STATIC_FILES = [
   '/css/animations.css',
   '/js/main.js',
   '/js/storage-manager.js',
+  '/js/repositories.js',
+  '/js/currency-converter.js',
   '/js/gamification.js',
   '/js/prayer-times.js',
   '/js/weather.js',
+  '/js/ai-providers.js',
+  '/js/ai-prompts.js',
+  '/js/ai-schema.js',
+  '/js/ai-cache.js',
+  '/js/ai-privacy.js',
   '/js/ai-integration.js',
+  '/js/coach.js',
   '/js/notifications.js',
   '/js/habit-engine.js',
+  '/js/finance-budgets.js',
+  '/js/finance-goals.js',
+  '/js/finance-wealth.js',
+  '/js/finance-reports.js',
+  '/js/finance-recurring.js',
+  '/js/finance-import.js',
+  '/js/finance-categories.js',
+  '/js/finance-currency.js',
+  '/js/finance-debt.js',
+  '/js/finance-zakat.js',
+  '/js/recurring-schedule.js',
   '/js/finance-core.js',
   '/js/learning-path.js',
   '/js/mental-tracker.js',
@@ -196,6 +218,8 @@ self.addEventListener('sync', (event) => {
     event.waitUntil(syncNotifications());
   } else if (event.tag === 'data-sync') {
     event.waitUntil(syncData());
+  } else if (event.tag === 'recurring-transactions') {
+    event.waitUntil(materializeRecurringTransactions());
   }
 });
 
@@ -323,6 +347,8 @@ self.addEventListener('periodicsync', (event) => {
     event.waitUntil(updatePrayerTimes());
   } else if (event.tag === 'weather-update') {
     event.waitUntil(updateWeather());
+  } else if (event.tag === 'recurring-transactions') {
+    event.waitUntil(materializeRecurringTransactions());
   }
 });
 
@@ -356,4 +382,62 @@ async function updateWeather() {
   }
 }
 
+/**
+ * Record due recurring transactions, mirroring FinanceRepository.materializeRecurring.
+ * The database is opened at whatever version the app left it; if the app has not created it
+ * (or the recurring store) yet, there is nothing to do.
+ */
+function materializeRecurringTransactions() {
+  return new Promise((resolve) => {
+    const request = indexedDB.open('financeDB');
+
+    // Creating the database here would skip the app's migrations
+    request.onupgradeneeded = () => request.transaction.abort();
+    request.onerror = () => resolve(0);
+
+    request.onsuccess = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains('recurring')) {
+        db.close();
+        resolve(0);
+        return;
+      }
+
+      const today = new Date().toISOString().split('T')[0];
+      const transaction = db.transaction(['recurring', 'transactions'], 'readwrite');
+      const recurringStore = transaction.objectStore('recurring');
+      const transactionStore = transaction.objectStore('transactions');
+      let created = 0;
+
+      recurringStore.index('status').getAll('active').onsuccess = (event) => {
+        event.target.result.forEach((template) => {
+          const due = RecurringSchedule.collectDue(template, today);
+          if (due.dates.length === 0 && due.active) return;
+
+          const dates = RecurringSchedule.recordedDates(template, due);
+          dates.forEach((date) => transactionStore.put(RecurringSchedule.toTransaction(template, date)));
+          created += dates.length;
+          recurringStore.put({
+            ...template,
+            nextDate: due.nextDate,
+            status: due.active ? 'active' : 'ended',
+            updatedAt: new Date().toISOString()
+          });
+        });
+      };
+
+      transaction.oncomplete = () => {
+        db.close();
+        console.log(`Service Worker: Recorded ${created} recurring transactions`);
+        resolve(created);
+      };
+      transaction.onerror = () => {
+        db.close();
+        console.error('Service Worker: Error recording recurring transactions', transaction.error);
+        resolve(0);
+      };
+    };
+  });
+}
+
 console.log('Service Worker: Loaded');
\ No newline at end of file